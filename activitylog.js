@@ -0,0 +1,302 @@
+import * as storage from './storage.js';
+
+/**
+ * The most the activity log may take up in storage, measured as the length of its JSON.
+ * The oldest entries are dropped once an append goes over the budget.
+ */
+const ACTIVITY_LOG_BUDGET_BYTES = 256 * 1024;
+
+/**
+ * Values longer than this (e.g. note contents) are shortened before they are logged.
+ */
+const MAX_LOGGED_VALUE_LENGTH = 200;
+
+/**
+ * Where a mutation came from. Each extension page sets its own default with `setDefaultOrigin`;
+ * 'undo' and 'redo' mark the changes made by undoing and redoing commands (see commandhistory.js).
+ */
+const ORIGINS = ['popup', 'background', 'import', 'sync', 'undo', 'redo', 'unknown'];
+
+/**
+ * Fields whose changes are not worth logging: timestamps that change on every write, the
+ * manual sort key, which is re-spaced for many tasks at once, and reminder bookkeeping.
+ */
+const IGNORED_FIELDS = ['updatedAt', 'sortOrder', 'reminderFiredAt'];
+
+/**
+ * Fields of private notes (see vault.js) whose values are never logged: the log is not encrypted.
+ */
+const PRIVATE_FIELDS = ['title', 'content', 'encrypted'];
+
+/**
+ * Blanks out the values of changes to `PRIVATE_FIELDS`.
+ * @param {object} change - A change: `{ field, oldValue, newValue }`.
+ * @returns {object} The change, redacted if needed.
+ */
+function redactChange(change) {
+    return PRIVATE_FIELDS.includes(change.field) ? { ...change, oldValue: null, newValue: null } : change;
+}
+
+/**
+ * Shortens a value for the log, so that large values don't eat up the storage budget.
+ * @param {*} value - The value.
+ * @returns {*} The value, or a shortened string.
+ */
+function toLoggedValue(value) {
+    if (value === undefined) {
+        return null;
+    }
+    if (typeof value === 'string') {
+        return value.length > MAX_LOGGED_VALUE_LENGTH ? `${value.slice(0, MAX_LOGGED_VALUE_LENGTH)}\u2026` : value;
+    }
+    if (value !== null && typeof value === 'object') {
+        const json = JSON.stringify(value);
+        return json.length > MAX_LOGGED_VALUE_LENGTH ? `${json.slice(0, MAX_LOGGED_VALUE_LENGTH)}\u2026` : value;
+    }
+    return value;
+}
+
+/**
+ * Flattens a subtask tree into a map of subtask ID to node (without its children).
+ * @param {Array<object>} subtasks - The subtask tree.
+ * @param {Map<string, object>} [nodes=new Map()] - The map to fill.
+ * @returns {Map<string, object>} The subtasks by ID.
+ */
+function flattenSubtasks(subtasks, nodes = new Map()) {
+    (subtasks || []).forEach(subtask => {
+        const { subtasks: children, ...node } = subtask;
+        nodes.set(subtask.id, node);
+        flattenSubtasks(children, nodes);
+    });
+    return nodes;
+}
+
+/**
+ * Lists the field changes between two versions of a record.
+ * @param {object} before - The record before the change.
+ * @param {object} after - The record after the change.
+ * @param {string} [prefix=''] - Prepended to field names, e.g. 'subtask.' for subtask fields.
+ * @returns {Array<object>} The changes: `{ field, oldValue, newValue }`.
+ */
+function diffFields(before, after, prefix = '') {
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+    const changes = [];
+    fields.forEach(field => {
+        if (field === 'id' || field === 'subtasks' || field === 'deletedAt' || IGNORED_FIELDS.includes(field)) return;
+        const oldValue = before[field] === undefined ? null : before[field];
+        const newValue = after[field] === undefined ? null : after[field];
+        if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+            changes.push({ field: prefix + field, oldValue: toLoggedValue(oldValue), newValue: toLoggedValue(newValue) });
+        }
+    });
+    return changes;
+}
+
+/**
+ * Lists the changes to a task's subtask tree: added and removed subtasks, and field changes of the others.
+ * @param {Array<object>} beforeSubtasks - The subtask tree before the change.
+ * @param {Array<object>} afterSubtasks - The subtask tree after the change.
+ * @returns {Array<object>} The changes: `{ field, oldValue, newValue, subtaskId }`.
+ */
+function diffSubtasks(beforeSubtasks, afterSubtasks) {
+    const before = flattenSubtasks(beforeSubtasks);
+    const after = flattenSubtasks(afterSubtasks);
+    const changes = [];
+    new Set([...before.keys(), ...after.keys()]).forEach(subtaskId => {
+        const oldNode = before.get(subtaskId);
+        const newNode = after.get(subtaskId);
+        if (!oldNode || !newNode) {
+            changes.push({ field: 'subtask', oldValue: oldNode ? oldNode.title : null, newValue: newNode ? newNode.title : null, subtaskId });
+            return;
+        }
+        diffFields(oldNode, newNode, 'subtask.').forEach(change => changes.push({ ...change, subtaskId }));
+    });
+    return changes;
+}
+
+/**
+ * Turns two snapshots of a collection into activity entries, one per changed record.
+ * @param {string} entityType - 'task' or 'note'.
+ * @param {Array<object>} before - The collection before the mutation.
+ * @param {Array<object>} after - The collection after the mutation.
+ * @param {string} origin - Where the mutation came from (one of `ORIGINS`).
+ * @param {number} [timestamp=Date.now()] - When the mutation happened.
+ * @returns {Array<object>} The entries: `{ id, entityType, entityId, title, action, changes, origin, timestamp }`,
+ *          where `action` is 'create', 'update', 'delete' (moved to the trash), 'restore' or 'purge'.
+ *          Entries about private notes have no title and no values for `PRIVATE_FIELDS`.
+ */
+function diffActivity(entityType, before, after, origin, timestamp = Date.now()) {
+    const beforeById = new Map(before.map(item => [item.id, item]));
+    const afterById = new Map(after.map(item => [item.id, item]));
+    const entries = [];
+
+    new Set([...beforeById.keys(), ...afterById.keys()]).forEach(entityId => {
+        const oldItem = beforeById.get(entityId);
+        const newItem = afterById.get(entityId);
+        const isPrivate = Boolean((oldItem && oldItem.isPrivate) || (newItem && newItem.isPrivate));
+        let action;
+        let changes = [];
+        if (!oldItem) {
+            action = 'create';
+        } else if (!newItem) {
+            action = 'purge';
+        } else if (!oldItem.deletedAt && newItem.deletedAt) {
+            action = 'delete';
+        } else if (oldItem.deletedAt && !newItem.deletedAt) {
+            action = 'restore';
+        } else {
+            changes = diffFields(oldItem, newItem);
+            if (entityType === 'task') {
+                changes.push(...diffSubtasks(oldItem.subtasks, newItem.subtasks));
+            }
+            if (changes.length === 0) return; // Only ignored fields changed
+            if (isPrivate) {
+                changes = changes.map(redactChange);
+            }
+            action = 'update';
+        }
+        entries.push({
+            id: crypto.randomUUID(),
+            entityType,
+            entityId,
+            title: isPrivate ? '' : toLoggedValue((newItem || oldItem).title || ''),
+            action,
+            changes,
+            origin,
+            timestamp
+        });
+    });
+    return entries;
+}
+
+/**
+ * An append-only log of the mutations made through TaskManager and NoteManager, kept in
+ * chrome.storage.local within `ACTIVITY_LOG_BUDGET_BYTES`. Each entry records which task or
+ * note changed, how (created, updated, moved to or restored from the trash, purged), the old
+ * and new value of every changed field, when, and where the change came from.
+ */
+class ActivityLog {
+    constructor() {
+        this.defaultOrigin = 'unknown';
+        this.originOverride = null;
+    }
+
+    /**
+     * Sets the origin recorded for mutations made in this extension context (e.g. 'popup' in the popup).
+     * @param {string} origin - One of `ORIGINS`.
+     * @returns {void}
+     * @throws {Error} If the origin is unknown.
+     */
+    setDefaultOrigin(origin) {
+        if (!ORIGINS.includes(origin)) {
+            throw new Error(`Unknown activity origin "${origin}". Expected one of: ${ORIGINS.join(', ')}.`);
+        }
+        this.defaultOrigin = origin;
+    }
+
+    /**
+     * Runs an operation whose mutations are recorded with the given origin, e.g. 'import'.
+     * @param {string} origin - One of `ORIGINS`.
+     * @param {function(): Promise<*>} operation - The operation to run.
+     * @returns {Promise<*>} A promise that resolves with the operation's result.
+     * @throws {Error} If the origin is unknown.
+     */
+    async withOrigin(origin, operation) {
+        if (!ORIGINS.includes(origin)) {
+            throw new Error(`Unknown activity origin "${origin}". Expected one of: ${ORIGINS.join(', ')}.`);
+        }
+        const previous = this.originOverride;
+        this.originOverride = origin;
+        try {
+            return await operation();
+        } finally {
+            this.originOverride = previous;
+        }
+    }
+
+    /**
+     * Records the differences between two snapshots of the tasks or notes.
+     * Logging never fails the mutation it describes: errors are only reported to the console.
+     * @param {string} entityType - 'task' or 'note'.
+     * @param {Array<object>} before - The collection before the mutation.
+     * @param {Array<object>} after - The collection after the mutation.
+     * @returns {Promise<Array<object>>} A promise that resolves with the recorded entries.
+     */
+    async recordChanges(entityType, before, after) {
+        const entries = diffActivity(entityType, before, after, this.originOverride || this.defaultOrigin);
+        if (entries.length === 0) {
+            return entries;
+        }
+        const key = storage.STORAGE_KEYS.ACTIVITY_LOG;
+        try {
+            // Both the popup and the service worker append to the log
+            await storage.transaction(key, values => {
+                values[key] = this._trimToBudget([...(values[key] || []), ...entries]);
+            });
+        } catch (error) {
+            console.error('Error recording activity:', error);
+        }
+        return entries;
+    }
+
+    /**
+     * Removes the titles and the values of `PRIVATE_FIELDS` from the entries already logged about
+     * the given items, e.g. when notes are made private.
+     * @param {string} entityType - 'task' or 'note'.
+     * @param {Array<string>} entityIds - The IDs of the items.
+     * @returns {Promise<void>}
+     */
+    async redactEntries(entityType, entityIds) {
+        const key = storage.STORAGE_KEYS.ACTIVITY_LOG;
+        await storage.transaction(key, values => {
+            values[key] = (values[key] || []).map(entry => (entry.entityType === entityType && entityIds.includes(entry.entityId)
+                ? { ...entry, title: '', changes: entry.changes.map(redactChange) }
+                : entry));
+        });
+    }
+
+    /**
+     * Drops the oldest entries until the log fits in `ACTIVITY_LOG_BUDGET_BYTES`.
+     * @private
+     * @param {Array<object>} log - The log, oldest entry first.
+     * @returns {Array<object>} The trimmed log.
+     */
+    _trimToBudget(log) {
+        let size = JSON.stringify(log).length;
+        let dropCount = 0;
+        while (size > ACTIVITY_LOG_BUDGET_BYTES && dropCount < log.length - 1) {
+            size -= JSON.stringify(log[dropCount]).length + 1; // +1 for the separating comma
+            dropCount++;
+        }
+        return dropCount > 0 ? log.slice(dropCount) : log;
+    }
+
+    /**
+     * Retrieves logged activity, newest first.
+     * @param {object} [filter={}] - Which entries to return.
+     * @param {string} [filter.entityType] - Only entries about tasks ('task') or notes ('note').
+     * @param {string} [filter.entityId] - Only entries about this task or note.
+     * @param {number} [filter.limit] - At most this many entries.
+     * @returns {Promise<Array<object>>} A promise that resolves with the entries (see `diffActivity`).
+     */
+    async getEntries({ entityType, entityId, limit } = {}) {
+        const log = await storage.getItem(storage.STORAGE_KEYS.ACTIVITY_LOG, []);
+        const entries = log
+            .filter(entry => (!entityType || entry.entityType === entityType) && (!entityId || entry.entityId === entityId))
+            .reverse();
+        return limit ? entries.slice(0, limit) : entries;
+    }
+
+    /**
+     * Clears the log.
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        await storage.setItem(storage.STORAGE_KEYS.ACTIVITY_LOG, []);
+    }
+}
+
+const activityLog = new ActivityLog();
+
+export { ACTIVITY_LOG_BUDGET_BYTES, ORIGINS, toLoggedValue, diffActivity };
+export default activityLog;
@@ -1,32 +1,95 @@
+import taskManager from './task.js';
+import * as storage from './storage.js';
+import timeTracker from './timetracker.js';
+import { purgeExpiredItems } from './trash.js';
+import activityLog from './activitylog.js';
+import {
+    REMINDER_ALARM_PREFIX,
+    getReminderAlarmName,
+    getTaskIdFromAlarmName,
+    getDueMoment,
+    planReminders,
+    areNotificationsEnabled,
+    markReminderShown,
+    snoozeReminder
+} from './reminders.js';
+import { getBadgeMode, computeBadge, getNextMidnight } from './badge.js';
+import { SCHEMA_VERSION, runMigrations, normalizeTask, normalizeNote } from './migrations.js';
+import syncEngine, { SYNC_MANIFEST_KEY, SYNC_DELAY_MINUTES, SYNC_RETRY_MINUTES } from './sync.js';
+import vault from './vault.js';
+
+const POMODORO_ALARM_NAME = 'pomodoroPhase';
+const TRASH_PURGE_ALARM_NAME = 'purgeTrash';
+const TRASH_PURGE_INTERVAL_MINUTES = 24 * 60;
+const BADGE_ALARM_NAME = 'updateBadge';
+const DEFER_ALARM_NAME = 'wakeDeferredTasks';
+const SYNC_ALARM_NAME = 'syncData';
+const VAULT_LOCK_ALARM_NAME = 'lockVault';
+
+// Buttons of reminder notifications, by index
+const REMINDER_BUTTONS = [{ title: 'Complete' }, { title: 'Snooze 1h' }];
+
+// The task fields the reminder alarms, the badge and the deferral alarm depend on (see watchStorage)
+const REMINDER_TASK_FIELDS = ['dueDate', 'reminderMinutes', 'reminderSnoozedUntil', 'reminderFiredAt', 'isComplete', 'deletedAt'];
+const BADGE_TASK_FIELDS = ['dueDate', 'isComplete', 'deferUntil', 'deletedAt'];
+const DEFER_TASK_FIELDS = ['deferUntil', 'isComplete', 'deletedAt'];
+
+// Reminder and deferral syncs are chained so that overlapping task changes can't notify twice
+let reminderSync = Promise.resolve();
+let deferSync = Promise.resolve();
+
+/**
+ * Tells whether a change of the tasks (see storage.subscribe) adds or removes tasks or changes one of `fields`.
+ * @param {object} change - The change.
+ * @param {Array<string>} fields - The task fields of interest.
+ * @returns {boolean} True if the change matters for those fields.
+ */
+function touchesFields(change, fields) {
+    return change.added.length > 0 || change.removed.length > 0
+        || change.updated.some(update => update.fields.some(field => fields.includes(field)));
+}
+
 const BackgroundService = {
     /**
      * Handles the extension installation or update events.
-     * Sets default settings and initial data on first install.
+     * Sets default settings and initial data on first install, and migrates stored data to
+     * the current schema (see migrations.js) on update.
      * @param {object} details - Details about the reason for the event.
      */
     handleInstalled: async function(details) {
         if (details.reason === 'install') {
             console.log('Extension installed. Performing initial setup...');
             try {
-                // Set default settings and initial empty data structures for tasks, notes, and settings
-                await chrome.storage.local.set({
-                    tasks: [],
-                    notes: [],
-                    settings: {
+                // Set default settings and initial empty data structures, already at the current schema version
+                await storage.setItems({
+                    [storage.STORAGE_KEYS.TASKS]: [],
+                    [storage.STORAGE_KEYS.NOTES]: [],
+                    [storage.STORAGE_KEYS.SETTINGS]: {
                         theme: 'light',
                         defaultView: 'tasks',
                         notificationsEnabled: true
                     },
-                    youtubeVideos: [] // Placeholder for saved YouTube video info/references
+                    [storage.STORAGE_KEYS.YOUTUBE_VIDEOS]: [],
+                    [storage.STORAGE_KEYS.SCHEMA_VERSION]: SCHEMA_VERSION
                 });
                 console.log('Default settings and initial data set successfully.');
             } catch (e) {
                 console.error('Failed to set initial data on install:', e);
             }
+            BackgroundService.scheduleTrashPurge();
+            await BackgroundService.updateBadge();
         } else if (details.reason === 'update') {
-            // Handle migrations or update-specific logic if needed
             console.log('Extension updated.');
-            // Example: Migrate old data formats if necessary
+            try {
+                // Migrate data saved by older versions before anything else reads it
+                await runMigrations();
+            } catch (e) {
+                console.error('Failed to migrate stored data:', e);
+            }
+            BackgroundService.scheduleTrashPurge();
+            await BackgroundService.syncReminderAlarms();
+            await BackgroundService.syncDeferAlarm();
+            await BackgroundService.updateBadge();
         } else if (details.reason === 'chrome_update') {
             // Handle Chrome update specific logic
             console.log('Chrome updated.');
@@ -41,7 +104,28 @@ const BackgroundService = {
         // Perform any background tasks that need to run on browser launch
         // e.g., check for overdue tasks, sync with external services (if applicable)
         console.log('Background script started up.');
-        // Future: Could implement a check for overdue tasks here and send a notification
+        try {
+            // Create occurrences of recurring tasks that came due while the browser was closed
+            await taskManager.materializeRecurringTasks();
+        } catch (e) {
+            console.error('Failed to materialize recurring tasks on startup:', e);
+        }
+        try {
+            // Alarms are not guaranteed to survive a browser restart, so re-sync the running timer's alarm
+            await BackgroundService.syncTimerAlarm();
+        } catch (e) {
+            console.error('Failed to restore the timer alarm on startup:', e);
+        }
+        // Catch up on the purge in case the daily alarm didn't fire while the browser was closed
+        await BackgroundService.purgeTrash();
+        BackgroundService.scheduleTrashPurge();
+        // Re-create the reminder alarms and show the reminders that came due while the browser was closed
+        await BackgroundService.syncReminderAlarms();
+        // Bring back the tasks whose snooze ran out while the browser was closed
+        await BackgroundService.syncDeferAlarm();
+        await BackgroundService.updateBadge();
+        // Pick up what was changed on other devices while the browser was closed
+        await BackgroundService.runSync();
     },
 
     /**
@@ -62,8 +146,14 @@ const BackgroundService = {
         switch (message.type) {
             case 'GET_STORED_DATA':
                 try {
-                    // Allows fetching any stored key(s)
-                    const result = await chrome.storage.local.get(message.key);
+                    // Allows fetching any stored key(s); tasks and notes come back as arrays, as before the record layout
+                    const result = {};
+                    await Promise.all([].concat(message.key).map(async key => {
+                        const value = await storage.getItem(key);
+                        if (value !== null) {
+                            result[key] = value;
+                        }
+                    }));
                     response = { status: 'success', data: result };
                 } catch (e) {
                     response = { status: 'error', message: `Failed to get data for ${message.key}: ${e.message}` };
@@ -71,11 +161,11 @@ const BackgroundService = {
                 break;
             case 'SET_TASKS':
                 try {
-                    // Validates that tasks data is an array before setting
+                    // Validates that tasks data is an array before setting; legacy task shapes are converted (see migrations.js)
                     if (!Array.isArray(message.data)) {
                         throw new Error('Invalid data format for SET_TASKS. Expected an array.');
                     }
-                    await chrome.storage.local.set({ tasks: message.data });
+                    await storage.saveAllTasks(message.data.map(task => normalizeTask(task)));
                     response = { status: 'success', message: 'Tasks saved successfully' };
                 } catch (e) {
                     response = { status: 'error', message: `Failed to set tasks: ${e.message}` };
@@ -83,11 +173,11 @@ const BackgroundService = {
                 break;
             case 'SET_NOTES':
                 try {
-                    // Validates that notes data is an array before setting
+                    // Validates that notes data is an array before setting; legacy note shapes are converted (see migrations.js)
                     if (!Array.isArray(message.data)) {
                         throw new Error('Invalid data format for SET_NOTES. Expected an array.');
                     }
-                    await chrome.storage.local.set({ notes: message.data });
+                    await storage.saveAllNotes(message.data.map(note => normalizeNote(note)));
                     response = { status: 'success', message: 'Notes saved successfully' };
                 } catch (e) {
                     response = { status: 'error', message: `Failed to set notes: ${e.message}` };
@@ -99,7 +189,7 @@ const BackgroundService = {
                     if (typeof message.data !== 'object' || message.data === null) {
                         throw new Error('Invalid data format for SET_SETTINGS. Expected an object.');
                     }
-                    await chrome.storage.local.set({ settings: message.data });
+                    await storage.saveSettings(message.data);
                     response = { status: 'success', message: 'Settings saved successfully' };
                 } catch (e) {
                     response = { status: 'error', message: `Failed to set settings: ${e.message}` };
@@ -139,6 +229,39 @@ const BackgroundService = {
                     response = { status: 'error', message: `Failed to fetch YouTube info: ${e.message}` };
                 }
                 break;
+            case 'START_TIMER':
+                try {
+                    const timer = await timeTracker.startTimer(message.taskId, { mode: message.mode });
+                    await BackgroundService.syncTimerAlarm();
+                    response = { status: 'success', data: timer };
+                } catch (e) {
+                    response = { status: 'error', message: `Failed to start timer: ${e.message}` };
+                }
+                break;
+            case 'STOP_TIMER':
+                try {
+                    const entry = await timeTracker.stopTimer();
+                    await BackgroundService.syncTimerAlarm();
+                    response = { status: 'success', data: entry };
+                } catch (e) {
+                    response = { status: 'error', message: `Failed to stop timer: ${e.message}` };
+                }
+                break;
+            case 'GET_ACTIVE_TIMER':
+                try {
+                    response = { status: 'success', data: await timeTracker.getActiveTimer() };
+                } catch (e) {
+                    response = { status: 'error', message: `Failed to get active timer: ${e.message}` };
+                }
+                break;
+            case 'SYNC_NOW':
+                try {
+                    // Sent by the options page when sync is turned on or "Sync Now" is clicked
+                    response = { status: 'success', data: await BackgroundService.runSync() };
+                } catch (e) {
+                    response = { status: 'error', message: `Failed to sync: ${e.message}` };
+                }
+                break;
             case 'GET_ACTIVE_TAB_URL':
                 // This functionality requires the 'activeTab' permission in the manifest.
                 // 'activeTab' is a special permission that grants temporary host permissions
@@ -165,6 +288,331 @@ const BackgroundService = {
         return true; // Indicate that sendResponse will be called asynchronously
     },
 
+    /**
+     * Handles chrome.alarms events.
+     * When a Pomodoro phase ends, the timer moves on to the next phase and the user is notified.
+     * The daily trash purge alarm permanently deletes items past the trash retention period,
+     * the midnight badge alarm recounts overdue tasks, the deferral alarm brings back snoozed tasks,
+     * the sync alarm syncs local changes, the vault alarm locks private notes once the auto-lock
+     * timeout has passed, and task reminder alarms show the reminders that are due.
+     * @param {object} alarm - The alarm that fired.
+     */
+    handleAlarm: async function(alarm) {
+        if (alarm.name === TRASH_PURGE_ALARM_NAME) {
+            await BackgroundService.purgeTrash();
+            return;
+        }
+        if (alarm.name === DEFER_ALARM_NAME) {
+            await BackgroundService.syncDeferAlarm();
+            return;
+        }
+        if (alarm.name === BADGE_ALARM_NAME) {
+            await BackgroundService.updateBadge();
+            return;
+        }
+        if (alarm.name === SYNC_ALARM_NAME) {
+            await BackgroundService.runSync();
+            return;
+        }
+        if (alarm.name === VAULT_LOCK_ALARM_NAME) {
+            await vault.lockIfExpired();
+            await BackgroundService.scheduleVaultLock(); // The vault was used since the alarm was set
+            return;
+        }
+        if (getTaskIdFromAlarmName(alarm.name)) {
+            await BackgroundService.syncReminderAlarms();
+            return;
+        }
+        if (alarm.name !== POMODORO_ALARM_NAME) {
+            return;
+        }
+        try {
+            const timer = await timeTracker.advancePomodoroPhase();
+            if (timer) {
+                const task = await taskManager.getTaskById(timer.taskId);
+                const taskTitle = task ? task.title : '';
+                const message = timer.phase === 'work'
+                    ? `Break is over. Back to work on "${taskTitle}".`
+                    : `Work session ${timer.cycle} on "${taskTitle}" done. Time for a ${timer.phase === 'longBreak' ? 'long ' : ''}break!`;
+                await BackgroundService.showNotification('pomodoro', 'Pomodoro', message);
+            }
+            await BackgroundService.syncTimerAlarm();
+        } catch (e) {
+            console.error('Failed to advance the Pomodoro timer:', e);
+        }
+    },
+
+    /**
+     * Schedules (or clears) the alarm that ends the running Pomodoro phase.
+     * Phases that ended while the service worker was not running are caught up first.
+     */
+    syncTimerAlarm: async function() {
+        await chrome.alarms.clear(POMODORO_ALARM_NAME);
+        let timer = await timeTracker.getActiveTimer();
+        // Catch up on phases that ended while no alarm could fire (e.g. the browser was closed)
+        while (timer && timer.mode === 'pomodoro' && timer.phaseEndsAt <= Date.now()) {
+            timer = await timeTracker.advancePomodoroPhase();
+        }
+        if (timer && timer.mode === 'pomodoro') {
+            chrome.alarms.create(POMODORO_ALARM_NAME, { when: timer.phaseEndsAt });
+        }
+    },
+
+    /**
+     * Brings the reminder alarms in line with the tasks: shows the reminders and overdue alerts that
+     * are due, schedules an alarm for every upcoming one and clears the alarms of tasks that were
+     * completed or rescheduled. With notifications disabled in the settings, all reminder alarms are cleared.
+     * @returns {Promise<void>}
+     */
+    syncReminderAlarms: function() {
+        reminderSync = reminderSync.then(async () => {
+            try {
+                const alarms = (await chrome.alarms.getAll()).filter(alarm => alarm.name.startsWith(REMINDER_ALARM_PREFIX));
+                const wanted = new Map();
+                if (await areNotificationsEnabled()) {
+                    const { due, upcoming } = planReminders(await taskManager.getAllTasks());
+                    for (const task of due) {
+                        await BackgroundService.showTaskReminder(task);
+                    }
+                    upcoming.forEach(({ task, time }) => wanted.set(getReminderAlarmName(task.id), time));
+                }
+
+                await Promise.all(alarms
+                    .filter(alarm => wanted.get(alarm.name) !== alarm.scheduledTime)
+                    .map(alarm => chrome.alarms.clear(alarm.name)));
+                const scheduled = new Set(alarms.filter(alarm => wanted.get(alarm.name) === alarm.scheduledTime).map(alarm => alarm.name));
+                wanted.forEach((when, name) => {
+                    if (!scheduled.has(name)) {
+                        chrome.alarms.create(name, { when });
+                    }
+                });
+            } catch (e) {
+                console.error('Failed to sync reminder alarms:', e);
+            }
+        });
+        return reminderSync;
+    },
+
+    /**
+     * Shows the reminder or overdue notification of a task, with "Complete" and "Snooze 1h" buttons,
+     * and records that it was shown.
+     * @param {object} task - The task to remind of.
+     */
+    showTaskReminder: async function(task) {
+        const due = getDueMoment(task);
+        const dueText = typeof task.dueDate === 'number'
+            ? due.toLocaleString(undefined, { weekday: 'short', hour: 'numeric', minute: '2-digit' })
+            : due.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+        const message = due.getTime() <= Date.now() ? `Overdue since ${dueText}` : `Due ${dueText}`;
+        await BackgroundService.showNotification(getReminderAlarmName(task.id), task.title, message, REMINDER_BUTTONS);
+        await markReminderShown(task);
+    },
+
+    /**
+     * Handles clicks on the buttons of reminder notifications: completes or snoozes the task
+     * without opening the popup.
+     * @param {string} notificationId - The ID of the clicked notification.
+     * @param {number} buttonIndex - The index of the clicked button in `REMINDER_BUTTONS`.
+     */
+    handleNotificationButton: async function(notificationId, buttonIndex) {
+        const taskId = getTaskIdFromAlarmName(notificationId);
+        if (!taskId) {
+            return;
+        }
+        chrome.notifications.clear(notificationId);
+        try {
+            if (buttonIndex === 0) {
+                await taskManager.markTaskStatus(taskId, true);
+            } else {
+                await snoozeReminder(taskId);
+            }
+        } catch (e) {
+            if (e.name === 'TaskBlockedError') {
+                const blockers = e.blockers.map(blocker => `"${blocker.title}"`).join(', ');
+                await BackgroundService.showNotification(notificationId, 'Task is blocked', `Complete ${blockers} first.`);
+            } else {
+                console.error(`Failed to handle reminder button for task ${taskId}:`, e);
+            }
+        }
+    },
+
+    /**
+     * Subscribes to the storage changes the service worker keeps up with, from any extension page
+     * (see storage.subscribe): task changes re-sync the reminder and deferral alarms and the badge
+     * when they touch the fields those depend on, settings changes when the notification or badge
+     * setting changed. Changes to the tasks, notes and settings schedule a sync to other devices,
+     * and a new manifest in chrome.storage.sync, written by another device, is synced right away.
+     * Unlocking or using the vault of private notes (re)schedules its auto-lock.
+     */
+    watchStorage: function() {
+        const { TASKS, NOTES, SETTINGS, VAULT_KEY } = storage.STORAGE_KEYS;
+        storage.subscribe(TASKS, change => {
+            if (touchesFields(change, REMINDER_TASK_FIELDS)) {
+                BackgroundService.syncReminderAlarms();
+            }
+            if (touchesFields(change, BADGE_TASK_FIELDS)) {
+                BackgroundService.updateBadge();
+            }
+            if (touchesFields(change, DEFER_TASK_FIELDS)) {
+                BackgroundService.syncDeferAlarm();
+            }
+        });
+        storage.subscribe(SETTINGS, change => {
+            if (change.fields.includes('notificationsEnabled')) {
+                BackgroundService.syncReminderAlarms();
+            }
+            if (change.fields.includes('badgeMode')) {
+                BackgroundService.updateBadge();
+            }
+        });
+        storage.subscribe([TASKS, NOTES, SETTINGS], () => BackgroundService.scheduleSync());
+        storage.subscribe(SYNC_MANIFEST_KEY, () => BackgroundService.runSync(), { area: 'sync' });
+        storage.subscribe(VAULT_KEY, () => BackgroundService.scheduleVaultLock(), { area: 'session' });
+    },
+
+    /**
+     * Syncs with other devices (see sync.js), if sync is on, and schedules a retry if it failed.
+     * Running out of sync quota is not retried: it takes a change to the data to fix.
+     * @returns {Promise<object>} A promise that resolves with the sync state.
+     */
+    runSync: async function() {
+        const state = await syncEngine.sync();
+        if (state.enabled && state.status === 'error') {
+            chrome.alarms.create(SYNC_ALARM_NAME, { delayInMinutes: SYNC_RETRY_MINUTES });
+        }
+        return state;
+    },
+
+    /**
+     * Schedules the alarm that locks the vault of private notes when its auto-lock timeout passes,
+     * or clears it if the vault is locked. The key lives in session storage (see vault.js) and
+     * alarms wake the service worker, so the vault locks on time even if the worker was stopped.
+     */
+    scheduleVaultLock: async function() {
+        try {
+            const status = await vault.getStatus();
+            if (status.isUnlocked) {
+                chrome.alarms.create(VAULT_LOCK_ALARM_NAME, { when: status.expiresAt });
+            } else {
+                await chrome.alarms.clear(VAULT_LOCK_ALARM_NAME);
+            }
+        } catch (e) {
+            console.error('Failed to schedule the vault lock:', e);
+        }
+    },
+
+    /**
+     * Schedules a sync of local changes, if sync is on. The alarm isn't pushed back while it is
+     * pending, so a burst of edits is synced in one write at most `SYNC_DELAY_MINUTES` later.
+     */
+    scheduleSync: async function() {
+        try {
+            const state = await syncEngine.getState();
+            if (state.enabled && !(await chrome.alarms.get(SYNC_ALARM_NAME))) {
+                chrome.alarms.create(SYNC_ALARM_NAME, { delayInMinutes: SYNC_DELAY_MINUTES });
+            }
+        } catch (e) {
+            console.error('Failed to schedule a sync:', e);
+        }
+    },
+
+    /**
+     * Brings back the deferred tasks whose time has come, with a notification, and schedules
+     * the alarm for the next one.
+     * @returns {Promise<void>}
+     */
+    syncDeferAlarm: function() {
+        deferSync = deferSync.then(async () => {
+            try {
+                const woken = await taskManager.wakeDeferredTasks();
+                if (woken.length === 1) {
+                    await BackgroundService.showNotification('deferredTasks', 'Back from snooze', woken[0].title);
+                } else if (woken.length > 1) {
+                    await BackgroundService.showNotification('deferredTasks', 'Back from snooze',
+                        `${woken.length} snoozed tasks are back: ${woken.map(task => task.title).join(', ')}`);
+                }
+
+                const nextEnd = await taskManager.getNextDeferralEnd();
+                if (nextEnd === null) {
+                    await chrome.alarms.clear(DEFER_ALARM_NAME);
+                } else {
+                    chrome.alarms.create(DEFER_ALARM_NAME, { when: nextEnd });
+                }
+            } catch (e) {
+                console.error('Failed to bring back deferred tasks:', e);
+            }
+        });
+        return deferSync;
+    },
+
+    /**
+     * Updates the toolbar badge with the count chosen in the settings (`badgeMode`) and colors it
+     * by urgency, then schedules the next update for midnight, when tasks due today become overdue.
+     * The task index has every field the badge needs, so the task records aren't read.
+     */
+    updateBadge: async function() {
+        try {
+            const [mode, index] = await Promise.all([getBadgeMode(), storage.getIndex(storage.STORAGE_KEYS.TASKS)]);
+            const badge = computeBadge(index.filter(task => !task.deletedAt), mode);
+            await chrome.action.setBadgeText({ text: badge.text });
+            await chrome.action.setBadgeBackgroundColor({ color: badge.color });
+        } catch (e) {
+            console.error('Failed to update the badge:', e);
+        }
+        chrome.alarms.create(BADGE_ALARM_NAME, { when: getNextMidnight() });
+    },
+
+    /**
+     * Schedules the daily trash purge alarm. Re-creating an existing alarm just resets its schedule.
+     */
+    scheduleTrashPurge: function() {
+        chrome.alarms.create(TRASH_PURGE_ALARM_NAME, {
+            delayInMinutes: TRASH_PURGE_INTERVAL_MINUTES,
+            periodInMinutes: TRASH_PURGE_INTERVAL_MINUTES
+        });
+    },
+
+    /**
+     * Permanently deletes the items that have been in the trash for longer than the retention period.
+     */
+    purgeTrash: async function() {
+        try {
+            const purgedCount = await purgeExpiredItems();
+            if (purgedCount > 0) {
+                console.log(`Purged ${purgedCount} item(s) from the trash.`);
+            }
+        } catch (e) {
+            console.error('Failed to purge the trash:', e);
+        }
+    },
+
+    /**
+     * Shows a desktop notification, unless notifications are disabled in the settings.
+     * @param {string} id - The notification ID; a notification with the same ID is replaced.
+     * @param {string} title - The notification title.
+     * @param {string} message - The notification body.
+     * @param {Array<object>} [buttons] - Optional action buttons (`{ title }`).
+     */
+    showNotification: async function(id, title, message, buttons) {
+        try {
+            if (!(await areNotificationsEnabled())) {
+                return; // The user turned desktop notifications off in the options
+            }
+            const options = {
+                type: 'basic',
+                iconUrl: 'icons/icon128.png',
+                title: title,
+                message: message
+            };
+            if (buttons) {
+                options.buttons = buttons;
+            }
+            await chrome.notifications.create(id, options);
+        } catch (e) {
+            console.error(`Failed to show notification (${id}):`, e);
+        }
+    },
+
     /**
      * Sends a message to the extension's popup.
      * @param {string} type - The type of the message.
@@ -187,10 +635,20 @@ const BackgroundService = {
      * Initializes the background script by registering all necessary event listeners.
      */
     init: function() {
+        activityLog.setDefaultOrigin('background'); // e.g. recurring occurrences created on startup
+
         // Register event listeners for extension lifecycle and messaging
         chrome.runtime.onInstalled.addListener(this.handleInstalled);
         chrome.runtime.onStartup.addListener(this.handleStartup);
-        chrome.runtime.onMessage.addListener(this.handleMessage);
+        // handleMessage is async and would return a Promise, which Chrome does not treat as a request
+        // to keep the channel open; return true explicitly so sendResponse can be called later.
+        chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+            this.handleMessage(message, sender, sendResponse);
+            return true;
+        });
+        chrome.alarms.onAlarm.addListener(this.handleAlarm);
+        chrome.notifications.onButtonClicked.addListener(this.handleNotificationButton);
+        this.watchStorage();
         console.log('Background script initialized. Event listeners registered.');
     }
 };
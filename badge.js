@@ -0,0 +1,98 @@
+import * as storage from './storage.js';
+import { parseDueDate, formatDate } from './recurrence.js';
+import { isOverdue } from './calendar.js';
+import { isDeferred } from './task.js';
+
+/**
+ * What the toolbar badge can count:
+ * - 'overdue': open tasks due before today;
+ * - 'today': open tasks due today or earlier;
+ * - 'open': all open tasks;
+ * - 'off': nothing, the badge is hidden.
+ * Deferred (snoozed) tasks are not counted until they come back.
+ */
+const BADGE_MODES = ['overdue', 'today', 'open', 'off'];
+const DEFAULT_BADGE_MODE = 'overdue';
+
+/**
+ * Badge colors: red while something is overdue, amber while something is due today, grey otherwise.
+ */
+const BADGE_COLORS = {
+    overdue: '#dc3545',
+    today: '#f0ad4e',
+    none: '#6c757d'
+};
+
+/**
+ * The badge has room for about four characters; larger counts are shown as this.
+ */
+const MAX_BADGE_COUNT = 99;
+
+/**
+ * Validates a badge mode.
+ * @param {string} mode The mode, e.g. from a settings form.
+ * @returns {string|null} The mode, or null if it is not one of `BADGE_MODES`.
+ */
+function normalizeBadgeMode(mode) {
+    return BADGE_MODES.includes(mode) ? mode : null;
+}
+
+/**
+ * Retrieves the configured badge mode from the settings.
+ * @returns {Promise<string>} A promise that resolves with the mode, `DEFAULT_BADGE_MODE` if unset.
+ */
+async function getBadgeMode() {
+    const settings = await storage.getSettings();
+    return normalizeBadgeMode(settings.badgeMode) || DEFAULT_BADGE_MODE;
+}
+
+/**
+ * Computes the badge for a list of tasks.
+ * @param {Array<object>} tasks The tasks or their index entries (see `storage.getIndex`), trashed tasks already left out.
+ * @param {string} mode One of `BADGE_MODES`.
+ * @param {number} [now=Date.now()] The current time.
+ * @returns {{text: string, color: string}} The badge text (empty to hide the badge) and background color.
+ */
+function computeBadge(tasks, mode, now = Date.now()) {
+    const today = formatDate(new Date(now));
+    const openTasks = tasks.filter(task => !task.isComplete && !isDeferred(task, now));
+    const overdue = openTasks.filter(task => isOverdue(task, now));
+    const dueToday = openTasks.filter(task => {
+        const due = parseDueDate(task.dueDate);
+        return due && formatDate(due) === today;
+    });
+
+    const counts = {
+        overdue: overdue.length,
+        today: overdue.length + dueToday.length,
+        open: openTasks.length,
+        off: 0
+    };
+    const count = counts[mode] || 0;
+    const color = overdue.length > 0 ? BADGE_COLORS.overdue
+        : dueToday.length > 0 ? BADGE_COLORS.today
+        : BADGE_COLORS.none;
+    return {
+        text: count === 0 ? '' : count > MAX_BADGE_COUNT ? `${MAX_BADGE_COUNT}+` : String(count),
+        color
+    };
+}
+
+/**
+ * Returns the next local midnight, when tasks due today become overdue.
+ * @param {number} [now=Date.now()] The current time.
+ * @returns {number} The timestamp of the next midnight.
+ */
+function getNextMidnight(now = Date.now()) {
+    const date = new Date(now);
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1).getTime();
+}
+
+export {
+    BADGE_MODES,
+    DEFAULT_BADGE_MODE,
+    normalizeBadgeMode,
+    getBadgeMode,
+    computeBadge,
+    getNextMidnight
+};
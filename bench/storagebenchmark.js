@@ -0,0 +1,120 @@
+/**
+ * Measures what a single task change costs to write with 5,000 stored tasks, in the array layout
+ * storage.js used before schema version 4 (the whole task array rewritten) and in the record layout
+ * (one record per task plus the index, see `RECORD_COLLECTIONS` in storage.js).
+ *
+ * Runs outside the browser against an in-memory chrome.storage.local (see tests/memorystoragearea.js)
+ * that serializes values as JSON, like the real one, and counts the bytes handed to `set` and the
+ * bytes the matching chrome.storage.onChanged event would carry (old and new value of every key)
+ * to each open page. From the repository root:
+ *
+ *     npm run bench
+ *
+ * Not part of the extension.
+ * The times are the JavaScript side only; what Chrome spends on a write (IPC, the database,
+ * delivering the change events) grows with the bytes, which the record layout cuts. Transactions
+ * over the whole collection still read and compare every record, so their JavaScript time is
+ * higher than the array layout's; updateRecords and setRecords, which TaskManager uses for changes
+ * to single tasks, read only the index and the records they change.
+ */
+import * as storage from '../storage.js';
+import { createMemoryStorageArea } from '../tests/memorystoragearea.js';
+
+const TASK_COUNT = 5000;
+const WRITES_PER_SCENARIO = 50;
+
+/**
+ * Builds a task shaped like the ones TaskManager stores, with a description, tags and subtasks.
+ * @param {number} n The task number.
+ * @returns {object} The task.
+ */
+function createTask(n) {
+    const createdAt = Date.UTC(2026, 0, 1) + n * 60 * 1000;
+    return {
+        id: `task-${String(n).padStart(5, '0')}`,
+        title: `Draft campaign brief #${n}`,
+        description: 'Outline the audience, channels, budget and success metrics; link the previous quarter\'s results. '.repeat(2),
+        dueDate: n % 3 === 0 ? '2026-11-02' : null,
+        priority: ['none', 'low', 'medium', 'high'][n % 4],
+        isComplete: n % 5 === 0,
+        status: null,
+        projectId: n % 2 === 0 ? 'project-launch' : null,
+        tags: n % 4 === 0 ? ['campaign', 'q4'] : ['campaign'],
+        recurrence: null,
+        reminderMinutes: null,
+        sortOrder: (n + 1) * 1000,
+        blockedBy: [],
+        subtasks: [1, 2].map(i => ({ id: `task-${n}-sub-${i}`, title: `Step ${i}`, description: '', dueDate: null, priority: 'none', isComplete: false })),
+        createdAt,
+        updatedAt: createdAt
+    };
+}
+
+/**
+ * Runs `change` `WRITES_PER_SCENARIO` times and reports the average time and bytes written per change.
+ * @param {string} name The scenario name.
+ * @param {object} area The storage area.
+ * @param {function(number): Promise<void>} change Makes change number `i`.
+ * @returns {Promise<object>} The scenario's row of the result table.
+ */
+async function measure(name, area, change) {
+    area.stats.sets = 0;
+    area.stats.bytes = 0;
+    area.stats.eventBytes = 0;
+    const start = performance.now();
+    for (let i = 0; i < WRITES_PER_SCENARIO; i++) {
+        await change(i);
+    }
+    const elapsed = performance.now() - start;
+    return {
+        scenario: name,
+        'ms per change': Number((elapsed / WRITES_PER_SCENARIO).toFixed(2)),
+        'KB written per change': Number((area.stats.bytes / WRITES_PER_SCENARIO / 1024).toFixed(1)),
+        'KB in change events': Number((area.stats.eventBytes / WRITES_PER_SCENARIO / 1024).toFixed(1)),
+        'set calls': area.stats.sets
+    };
+}
+
+async function main() {
+    const area = createMemoryStorageArea();
+    globalThis.chrome = { storage: { local: area } };
+    const key = storage.STORAGE_KEYS.TASKS;
+    const tasks = Array.from({ length: TASK_COUNT }, (_, n) => createTask(n));
+    const pickId = i => tasks[(i * 97) % TASK_COUNT].id;
+    const rows = [];
+
+    // Array layout: every change reads and rewrites the whole array, as saveAllTasks did
+    await area.set({ [key]: tasks });
+    rows.push(await measure('array layout: toggle isComplete', area, async i => {
+        const stored = (await area.get(key))[key];
+        const task = stored.find(t => t.id === pickId(i));
+        task.isComplete = !task.isComplete;
+        await area.set({ [key]: stored });
+    }));
+
+    // Record layout, written through storage.transaction like the managers do
+    await area.clear();
+    await storage.setRawItems(storage.toRecordItems(key, tasks));
+    rows.push(await measure('record layout: toggle isComplete (transaction)', area, i => storage.transaction(key, values => {
+        const task = values[key].find(t => t.id === pickId(i));
+        task.isComplete = !task.isComplete;
+    })));
+    rows.push(await measure('record layout: toggle isComplete (updateRecords)', area, i => storage.updateRecords(key, [pickId(i)], ([task]) => {
+        task.isComplete = !task.isComplete;
+    })));
+    rows.push(await measure('record layout: edit description (updateRecords)', area, i => storage.updateRecords(key, [pickId(i)], ([task]) => {
+        task.description = `Edited ${i}`;
+    })));
+    rows.push(await measure('record layout: getRecords + setRecords (rename)', area, async i => {
+        const [task] = await storage.getRecords(key, [pickId(i)]);
+        await storage.setRecords(key, [{ ...task, title: `Renamed ${i}` }]);
+    }));
+
+    console.log(`Write cost of one task change with ${TASK_COUNT} tasks (average of ${WRITES_PER_SCENARIO} changes):`);
+    console.table(rows);
+}
+
+main().catch(error => {
+    console.error('Benchmark failed:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,189 @@
+import * as storage from './storage.js';
+import { parseDueDate, formatDate } from './recurrence.js';
+
+/**
+ * The day weeks start on until the user picks another one: 0 = Sunday ... 6 = Saturday.
+ */
+const DEFAULT_FIRST_DAY_OF_WEEK = 0;
+
+/**
+ * Layouts of the calendar view.
+ */
+const CALENDAR_LAYOUTS = ['month', 'week', 'agenda'];
+
+/**
+ * Number of days the agenda layout covers.
+ */
+const AGENDA_DAYS = 14;
+
+/**
+ * Validates a first day of the week.
+ * @param {number|string} value The weekday number, e.g. from a settings form.
+ * @returns {number|null} The weekday as an integer from 0 (Sunday) to 6 (Saturday), or null if invalid.
+ */
+function normalizeFirstDayOfWeek(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    const day = Number(value);
+    return Number.isInteger(day) && day >= 0 && day <= 6 ? day : null;
+}
+
+/**
+ * Retrieves the configured first day of the week from the settings.
+ * @returns {Promise<number>} A promise that resolves with the weekday, `DEFAULT_FIRST_DAY_OF_WEEK` if unset.
+ */
+async function getFirstDayOfWeek() {
+    const settings = await storage.getSettings();
+    const day = normalizeFirstDayOfWeek(settings.firstDayOfWeek);
+    return day === null ? DEFAULT_FIRST_DAY_OF_WEEK : day;
+}
+
+/**
+ * Returns a date shifted by a number of days, at local midnight.
+ * @param {Date} date The date.
+ * @param {number} days The number of days to add; may be negative.
+ * @returns {Date} The new date.
+ */
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/**
+ * Returns the local midnight of the first day of the week that contains `date`.
+ * @param {Date} date The date.
+ * @param {number} firstDayOfWeek The weekday weeks start on (0 = Sunday ... 6 = Saturday).
+ * @returns {Date} The start of the week.
+ */
+function getWeekStart(date, firstDayOfWeek) {
+    return addDays(date, -((date.getDay() - firstDayOfWeek + 7) % 7));
+}
+
+/**
+ * Returns the seven days of the week that contains `date`.
+ * @param {Date} date The date.
+ * @param {number} firstDayOfWeek The weekday weeks start on.
+ * @returns {Array<Date>} The days, in order.
+ */
+function getWeekDays(date, firstDayOfWeek) {
+    const start = getWeekStart(date, firstDayOfWeek);
+    return Array.from({ length: 7 }, (_, i) => addDays(start, i));
+}
+
+/**
+ * Returns the weeks shown for a month: every week that contains one of its days,
+ * including the leading and trailing days of the neighbouring months.
+ * @param {number} year The full year.
+ * @param {number} month The 0-indexed month.
+ * @param {number} firstDayOfWeek The weekday weeks start on.
+ * @returns {Array<Array<Date>>} The weeks, each holding seven days.
+ */
+function getMonthGrid(year, month, firstDayOfWeek) {
+    const weeks = [];
+    let weekStart = getWeekStart(new Date(year, month, 1), firstDayOfWeek);
+    const nextMonth = new Date(year, month + 1, 1);
+    while (weekStart < nextMonth) {
+        weeks.push(Array.from({ length: 7 }, (_, i) => addDays(weekStart, i)));
+        weekStart = addDays(weekStart, 7);
+    }
+    return weeks;
+}
+
+/**
+ * Returns the days shown by a calendar layout around an anchor date.
+ * @param {string} layout One of `CALENDAR_LAYOUTS`.
+ * @param {Date} anchor The date the calendar is showing.
+ * @param {number} firstDayOfWeek The weekday weeks start on.
+ * @returns {{start: Date, end: Date}} The first and last day shown (both inclusive).
+ */
+function getCalendarRange(layout, anchor, firstDayOfWeek) {
+    if (layout === 'month') {
+        const weeks = getMonthGrid(anchor.getFullYear(), anchor.getMonth(), firstDayOfWeek);
+        return { start: weeks[0][0], end: weeks[weeks.length - 1][6] };
+    }
+    if (layout === 'week') {
+        const days = getWeekDays(anchor, firstDayOfWeek);
+        return { start: days[0], end: days[6] };
+    }
+    const start = addDays(anchor, 0);
+    return { start, end: addDays(start, AGENDA_DAYS - 1) };
+}
+
+/**
+ * Moves an anchor date one period forwards or backwards in a calendar layout.
+ * @param {string} layout One of `CALENDAR_LAYOUTS`.
+ * @param {Date} anchor The current anchor date.
+ * @param {number} delta The number of periods to move, e.g. -1 for the previous month.
+ * @returns {Date} The new anchor date.
+ */
+function shiftCalendarAnchor(layout, anchor, delta) {
+    if (layout === 'month') {
+        return new Date(anchor.getFullYear(), anchor.getMonth() + delta, 1);
+    }
+    return addDays(anchor, delta * (layout === 'week' ? 7 : AGENDA_DAYS));
+}
+
+/**
+ * Groups tasks by the day they are due. Tasks without a (valid) due date are left out.
+ * @param {Array<object>} tasks The tasks.
+ * @returns {Map<string, Array<object>>} The tasks per 'YYYY-MM-DD' day, in their original order.
+ */
+function groupTasksByDueDay(tasks) {
+    const groups = new Map();
+    tasks.forEach(task => {
+        const due = parseDueDate(task.dueDate);
+        if (!due) return;
+        const key = formatDate(due);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(task);
+    });
+    return groups;
+}
+
+/**
+ * Tells whether a task is overdue: open and due before today.
+ * @param {object} task The task.
+ * @param {number} [now=Date.now()] The current time.
+ * @returns {boolean} True if the task is overdue.
+ */
+function isOverdue(task, now = Date.now()) {
+    if (task.isComplete) {
+        return false;
+    }
+    const due = parseDueDate(task.dueDate);
+    const today = new Date(now);
+    return Boolean(due) && due < new Date(today.getFullYear(), today.getMonth(), today.getDate());
+}
+
+/**
+ * Computes a task's due date after dropping it on another day. Date-only due dates stay
+ * 'YYYY-MM-DD' strings; timestamp due dates keep their time of day.
+ * @param {string|number} dueDate The task's current due date.
+ * @param {Date} day The day the task moves to.
+ * @returns {string|number} The new due date.
+ */
+function moveDueDateToDay(dueDate, day) {
+    const due = parseDueDate(dueDate);
+    if (typeof dueDate !== 'number' || !due) {
+        return formatDate(day);
+    }
+    return new Date(day.getFullYear(), day.getMonth(), day.getDate(),
+        due.getHours(), due.getMinutes(), due.getSeconds(), due.getMilliseconds()).getTime();
+}
+
+export {
+    DEFAULT_FIRST_DAY_OF_WEEK,
+    CALENDAR_LAYOUTS,
+    AGENDA_DAYS,
+    normalizeFirstDayOfWeek,
+    getFirstDayOfWeek,
+    addDays,
+    getWeekStart,
+    getWeekDays,
+    getMonthGrid,
+    getCalendarRange,
+    shiftCalendarAnchor,
+    groupTasksByDueDay,
+    isOverdue,
+    moveDueDateToDay
+};
@@ -0,0 +1,294 @@
+import * as storage from './storage.js';
+import activityLog from './activitylog.js';
+
+/**
+ * Collections whose mutations can be recorded, with the storage keys holding them.
+ */
+const HISTORY_COLLECTIONS = {
+    tasks: storage.STORAGE_KEYS.TASKS,
+    notes: storage.STORAGE_KEYS.NOTES,
+    videos: storage.STORAGE_KEYS.YOUTUBE_VIDEOS,
+    projects: storage.STORAGE_KEYS.PROJECTS,
+    templates: storage.STORAGE_KEYS.TEMPLATES
+};
+
+/**
+ * Collections whose changes are recorded in the activity log, with the entity type they are logged as.
+ */
+const LOGGED_COLLECTIONS = {
+    tasks: 'task',
+    notes: 'note'
+};
+
+const MAX_HISTORY_LENGTH = 50;
+
+/**
+ * Sets the fields an update changed to their value on one side of the change.
+ * @param {object} item - The current item.
+ * @param {object} change - The change, with both `before` and `after`.
+ * @param {string} side - 'before' or 'after'.
+ * @returns {object} The updated copy of the item.
+ */
+function applyFields(item, change, side) {
+    const target = change[side];
+    const updated = { ...item };
+    new Set([...Object.keys(change.before), ...Object.keys(change.after)]).forEach(field => {
+        if (JSON.stringify(change.before[field]) === JSON.stringify(change.after[field])) return;
+        if (target[field] === undefined) {
+            delete updated[field];
+        } else {
+            updated[field] = target[field];
+        }
+    });
+    return updated;
+}
+
+/**
+ * Applies one side of a list of changes to a collection. Updated items only get the fields the
+ * change touched, so later changes to their other fields (e.g. a reminder snoozed in the meantime)
+ * are kept; updated items that no longer exist are not brought back.
+ * @param {Array<object>} items - The current collection; modified in place.
+ * @param {Array<object>} changes - Changes captured by `storage.captureChanges`: `{ id, before, after, beforeIndex, afterIndex }`.
+ * @param {string} side - 'before' to undo the changes, 'after' to redo them.
+ * @returns {Array<object>} The modified collection.
+ */
+function applyChanges(items, changes, side) {
+    const indexKey = side === 'before' ? 'beforeIndex' : 'afterIndex';
+    // Insert in ascending position order so restored items land where they were.
+    const sorted = [...changes].sort((a, b) => a[indexKey] - b[indexKey]);
+
+    sorted.forEach(change => {
+        const currentIndex = items.findIndex(item => item.id === change.id);
+        const target = change[side];
+        if (target === null) {
+            if (currentIndex !== -1) {
+                items.splice(currentIndex, 1);
+            }
+        } else if (currentIndex !== -1) {
+            items[currentIndex] = change.before && change.after ? applyFields(items[currentIndex], change, side) : target;
+        } else if (!change.before || !change.after) {
+            items.splice(Math.min(change[indexKey], items.length), 0, target);
+        }
+    });
+    return items;
+}
+
+/**
+ * Records mutations of tasks, notes, saved videos, projects and templates so they can be undone and redone.
+ * Each recorded command stores the before/after state of every item it touched, as captured by the
+ * mutation's own writes, so undoing applies the inverse of the mutation (re-creating deleted items,
+ * removing created ones and restoring the changed fields of updated ones) without reverting what
+ * other contexts changed meanwhile. The bounded undo/redo stacks are kept in chrome.storage.session,
+ * so they survive the popup closing but not the browser session.
+ */
+class CommandHistory {
+    constructor() {
+        /**
+         * The last queued recording, undo or redo; each waits for the one before so that a capture
+         * only sees the writes of its own mutation.
+         * @private
+         * @type {Promise<void>}
+         */
+        this._queue = Promise.resolve();
+    }
+
+    /**
+     * Runs `run` after the queued recordings, undos and redos of this context.
+     * @private
+     * @param {function(): Promise<*>} run - The work to queue.
+     * @returns {Promise<*>} A promise that resolves with the result of `run`.
+     */
+    _enqueue(run) {
+        const result = this._queue.then(run);
+        this._queue = result.then(() => {}, () => {});
+        return result;
+    }
+
+    /**
+     * Loads the undo/redo stacks.
+     * @private
+     * @returns {Promise<{undoStack: Array<object>, redoStack: Array<object>}>}
+     */
+    async _load() {
+        return storage.getSessionItem(storage.STORAGE_KEYS.COMMAND_HISTORY, { undoStack: [], redoStack: [] });
+    }
+
+    /**
+     * Saves the undo/redo stacks, dropping the oldest commands beyond `MAX_HISTORY_LENGTH`.
+     * @private
+     * @param {{undoStack: Array<object>, redoStack: Array<object>}} history - The stacks to save.
+     * @returns {Promise<void>}
+     */
+    async _save(history) {
+        await storage.setSessionItem(storage.STORAGE_KEYS.COMMAND_HISTORY, {
+            undoStack: history.undoStack.slice(-MAX_HISTORY_LENGTH),
+            redoStack: history.redoStack.slice(-MAX_HISTORY_LENGTH)
+        });
+    }
+
+    /**
+     * Runs a mutation and records it as one undoable command.
+     * Only the items the mutation's writes change are recorded (see `storage.captureChanges`);
+     * nothing is recorded if the mutation changed nothing (or threw). Recording a new command
+     * clears the redo stack.
+     * @param {string} label - A short, user-facing description (e.g. 'Delete task').
+     * @param {string|Array<string>} collections - The collection(s) the mutation touches ('tasks', 'notes', 'videos', 'projects', 'templates').
+     * @param {function(): Promise<*>} operation - The mutation to run, e.g. `() => taskManager.deleteTask(id)`.
+     * @returns {Promise<*>} A promise that resolves with the operation's result.
+     */
+    async record(label, collections, operation) {
+        const names = [].concat(collections);
+        names.forEach(name => {
+            if (!HISTORY_COLLECTIONS[name]) {
+                throw new Error(`Unknown history collection "${name}".`);
+            }
+        });
+
+        return this._enqueue(async () => {
+            const { result, changes: captured } = await storage.captureChanges(names.map(name => HISTORY_COLLECTIONS[name]), operation);
+            const changes = {};
+            names.forEach(name => {
+                if (captured[HISTORY_COLLECTIONS[name]].length > 0) {
+                    changes[name] = captured[HISTORY_COLLECTIONS[name]];
+                }
+            });
+
+            if (Object.keys(changes).length > 0) {
+                const history = await this._load();
+                history.undoStack.push({ label, changes, recordedAt: Date.now() });
+                history.redoStack = [];
+                await this._save(history);
+            }
+            return result;
+        });
+    }
+
+    /**
+     * Applies one side of a command's changes to storage. Changes to tasks and notes are recorded
+     * in the activity log like the managers' own, with the origin 'undo' or 'redo'.
+     * @private
+     * @param {object} command - The recorded command.
+     * @param {string} side - 'before' to undo, 'after' to redo.
+     * @returns {Promise<void>}
+     */
+    async _applyCommand(command, side) {
+        const names = Object.keys(command.changes);
+        let logged = {};
+        // All collections in one transaction, so a command is never half undone
+        await storage.transaction(names.map(name => HISTORY_COLLECTIONS[name]), async values => {
+            logged = {};
+            for (const name of names) {
+                const key = HISTORY_COLLECTIONS[name];
+                const changes = command.changes[name];
+                const ids = new Set(changes.map(change => change.id));
+                const items = values[key] || [];
+                const before = structuredClone(items.filter(item => ids.has(item.id)));
+                values[key] = applyChanges(items, changes, side);
+                if (LOGGED_COLLECTIONS[name]) {
+                    logged[name] = { before, after: values[key].filter(item => ids.has(item.id)) };
+                }
+            }
+            if (logged.notes) {
+                // Give the activity log the old content of the notes whose content is written back
+                const contentIds = logged.notes.after.filter(note => 'content' in note).map(note => note.id);
+                if (contentIds.length > 0) {
+                    const contents = await storage.getNoteContents(contentIds);
+                    logged.notes.before = logged.notes.before.map(note => (note.id in contents ? { ...note, content: contents[note.id] } : note));
+                }
+            }
+        });
+        await activityLog.withOrigin(side === 'before' ? 'undo' : 'redo', async () => {
+            for (const [name, { before, after }] of Object.entries(logged)) {
+                await activityLog.recordChanges(LOGGED_COLLECTIONS[name], before, after);
+            }
+        });
+    }
+
+    /**
+     * Undoes the most recent command.
+     * @returns {Promise<object|null>} A promise that resolves with the undone command, or null if there was nothing to undo.
+     */
+    async undo() {
+        return this._enqueue(async () => {
+            const history = await this._load();
+            const command = history.undoStack.pop();
+            if (!command) {
+                return null;
+            }
+            await this._applyCommand(command, 'before');
+            history.redoStack.push(command);
+            await this._save(history);
+            console.log('Undone:', command.label);
+            return command;
+        });
+    }
+
+    /**
+     * Redoes the most recently undone command.
+     * @returns {Promise<object|null>} A promise that resolves with the redone command, or null if there was nothing to redo.
+     */
+    async redo() {
+        return this._enqueue(async () => {
+            const history = await this._load();
+            const command = history.redoStack.pop();
+            if (!command) {
+                return null;
+            }
+            await this._applyCommand(command, 'after');
+            history.undoStack.push(command);
+            await this._save(history);
+            console.log('Redone:', command.label);
+            return command;
+        });
+    }
+
+    /**
+     * Reports what can currently be undone or redone.
+     * @returns {Promise<{canUndo: boolean, canRedo: boolean, undoLabel: (string|null), redoLabel: (string|null)}>}
+     */
+    async getState() {
+        const { undoStack, redoStack } = await this._load();
+        const lastUndo = undoStack[undoStack.length - 1];
+        const lastRedo = redoStack[redoStack.length - 1];
+        return {
+            canUndo: Boolean(lastUndo),
+            canRedo: Boolean(lastRedo),
+            undoLabel: lastUndo ? lastUndo.label : null,
+            redoLabel: lastRedo ? lastRedo.label : null
+        };
+    }
+
+    /**
+     * Drops the recorded commands that changed any of the given items, so that neither their
+     * earlier versions stay in the history nor undoing writes them back; e.g. when notes are made
+     * private, whose plaintext must not outlive the change. Must not be called from within a
+     * recorded operation, which it would wait for.
+     * @param {string} collection - The collection of the items ('tasks', 'notes', 'videos', 'projects', 'templates').
+     * @param {Array<string>} ids - The IDs of the items.
+     * @returns {Promise<void>}
+     */
+    async forget(collection, ids) {
+        return this._enqueue(async () => {
+            const history = await this._load();
+            const isKept = command => !(command.changes[collection] || []).some(change => ids.includes(change.id));
+            const undoStack = history.undoStack.filter(isKept);
+            const redoStack = history.redoStack.filter(isKept);
+            if (undoStack.length < history.undoStack.length || redoStack.length < history.redoStack.length) {
+                await this._save({ undoStack, redoStack });
+            }
+        });
+    }
+
+    /**
+     * Clears both stacks.
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        await this._save({ undoStack: [], redoStack: [] });
+    }
+}
+
+const commandHistory = new CommandHistory();
+
+export { MAX_HISTORY_LENGTH, applyChanges };
+export default commandHistory;
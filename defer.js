@@ -0,0 +1,75 @@
+import { getWeekStart, addDays } from './calendar.js';
+import { parseQuickAdd } from './quickaddparser.js';
+import { parseDueDate } from './recurrence.js';
+
+/**
+ * Snooze presets offered for deferring a task; 'custom' asks for a date and time.
+ */
+const DEFER_PRESETS = ['laterToday', 'tomorrowMorning', 'nextWeek', 'custom'];
+
+/**
+ * "Later today" defers a task by this many hours, rounded up to the full hour.
+ */
+const LATER_TODAY_HOURS = 3;
+
+/**
+ * Presets (and custom dates without a time) that bring a task back in the morning use this hour.
+ */
+const MORNING_HOUR = 9;
+
+/**
+ * Computes when a snooze preset brings a task back.
+ * @param {string} preset One of `DEFER_PRESETS` except 'custom'.
+ * @param {object} [options={}] Options.
+ * @param {number} [options.now=Date.now()] The current time.
+ * @param {number} [options.firstDayOfWeek=0] The weekday weeks start on; 'nextWeek' is the start of next week.
+ * @returns {number} The timestamp to defer the task until.
+ * @throws {Error} If the preset is unknown.
+ */
+function getDeferPresetTime(preset, { now = Date.now(), firstDayOfWeek = 0 } = {}) {
+    const date = new Date(now);
+    switch (preset) {
+        case 'laterToday': {
+            const later = new Date(now + LATER_TODAY_HOURS * 60 * 60 * 1000);
+            if (later.getMinutes() > 0 || later.getSeconds() > 0 || later.getMilliseconds() > 0) {
+                later.setHours(later.getHours() + 1, 0, 0, 0);
+            }
+            return later.getTime();
+        }
+        case 'tomorrowMorning': {
+            const tomorrow = addDays(date, 1);
+            tomorrow.setHours(MORNING_HOUR);
+            return tomorrow.getTime();
+        }
+        case 'nextWeek': {
+            const nextWeek = addDays(getWeekStart(date, firstDayOfWeek), 7);
+            nextWeek.setHours(MORNING_HOUR);
+            return nextWeek.getTime();
+        }
+        default:
+            throw new Error(`Unknown snooze preset "${preset}". Expected one of: ${DEFER_PRESETS.filter(p => p !== 'custom').join(', ')}.`);
+    }
+}
+
+/**
+ * Reads a custom snooze time typed by the user, with the same date and time expressions as
+ * quick add ("friday 3pm", "in 2 weeks", "2026-11-02"). Dates without a time mean `MORNING_HOUR`.
+ * @param {string} input The typed text.
+ * @param {object} [options={}] Options.
+ * @param {number} [options.now=Date.now()] The current time.
+ * @param {string} [options.locale='en'] The language of the keywords.
+ * @returns {number|null} The timestamp to defer the task until, or null if the text has no date or it has passed.
+ */
+function parseDeferInput(input, { now = Date.now(), locale = 'en' } = {}) {
+    const { dueDate } = parseQuickAdd(input, { now: new Date(now), locale });
+    const date = parseDueDate(dueDate);
+    if (!date) {
+        return null;
+    }
+    if (typeof dueDate !== 'number') {
+        date.setHours(MORNING_HOUR);
+    }
+    return date.getTime() > now ? date.getTime() : null;
+}
+
+export { DEFER_PRESETS, getDeferPresetTime, parseDeferInput };
@@ -0,0 +1,715 @@
+import taskManager, { InvalidInputError } from './task.js';
+import activityLog from './activitylog.js';
+import { parseDueDate, formatDate, normalizeRecurrence, getNextOccurrence } from './recurrence.js';
+
+/**
+ * Identifies this extension as the producer of exported calendars.
+ */
+const ICAL_PRODID = '-//Marketing Productivity Extension//Tasks//EN';
+
+/**
+ * Component types tasks can be exported as: VTODO keeps completion status and is understood by
+ * task-aware clients such as Outlook; VEVENT shows up in calendars that ignore to-dos, such as Google Calendar.
+ */
+const ICAL_COMPONENT_TYPES = ['VTODO', 'VEVENT'];
+
+/**
+ * Suffix of the UIDs generated for tasks that were not imported from an iCalendar file.
+ */
+const ICAL_UID_DOMAIN = 'marketing-productivity-extension';
+
+/**
+ * RFC 5545 recommends folding content lines longer than this many octets.
+ */
+const MAX_LINE_OCTETS = 75;
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * Task priorities and the iCalendar PRIORITY values they are exported as (1 = highest, 9 = lowest).
+ */
+const PRIORITY_VALUES = { high: 1, medium: 5, low: 9 };
+
+/**
+ * Fields of a task that an iCalendar item sets, compared to decide whether an import changes a task.
+ */
+const IMPORTED_FIELDS = ['title', 'description', 'dueDate', 'priority', 'tags', 'isComplete', 'recurrence', 'reminderMinutes'];
+
+/**
+ * Escapes a TEXT value (RFC 5545, section 3.3.11).
+ * @param {string} text The text.
+ * @returns {string} The escaped text.
+ */
+function escapeText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Reverses `escapeText`.
+ * @param {string} value The escaped text.
+ * @returns {string} The text.
+ */
+function unescapeText(value) {
+    return value.replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Splits a value on unescaped commas, e.g. the categories of a CATEGORIES property.
+ * @param {string} value The escaped value.
+ * @returns {Array<string>} The unescaped parts.
+ */
+function splitTextList(value) {
+    return value.split(/(?<!\\),/).map(unescapeText);
+}
+
+/**
+ * Folds a content line into lines of at most `MAX_LINE_OCTETS` UTF-8 octets, without splitting characters.
+ * @param {string} line The content line.
+ * @returns {string} The folded line, continuation lines starting with a space.
+ */
+function foldLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1; // Continuations start with a space
+        if (octets + size > limit) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+/**
+ * Formats a Date as an iCalendar DATE value ('YYYYMMDD').
+ * @param {Date} date The date (local).
+ * @returns {string} The DATE value.
+ */
+function formatICalDate(date) {
+    return formatDate(date).replace(/-/g, '');
+}
+
+/**
+ * Formats a timestamp as a UTC iCalendar DATE-TIME value ('YYYYMMDDTHHMMSSZ').
+ * @param {number} timestamp The timestamp.
+ * @returns {string} The DATE-TIME value.
+ */
+function formatICalDateTime(timestamp) {
+    return new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Builds the content line of a date property for a task due date.
+ * Date-only due dates become DATE values; timestamps become UTC DATE-TIME values.
+ * @param {string} name The property name, e.g. 'DUE'.
+ * @param {string|number} dueDate The task's due date.
+ * @returns {string} The content line.
+ */
+function formatDateProperty(name, dueDate) {
+    if (typeof dueDate === 'number') {
+        return `${name}:${formatICalDateTime(dueDate)}`;
+    }
+    return `${name};VALUE=DATE:${formatICalDate(parseDueDate(dueDate))}`;
+}
+
+/**
+ * Computes the offset of a time zone from UTC at a given instant.
+ * @param {number} timestamp The instant.
+ * @param {string} timeZone An IANA time zone name, e.g. 'Europe/Berlin'.
+ * @returns {number} The offset in milliseconds (positive east of UTC).
+ * @throws {RangeError} If the time zone is unknown.
+ */
+function getTimeZoneOffset(timestamp, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric',
+        hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(new Date(timestamp)).forEach(part => { parts[part.type] = Number(part.value); });
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallClock - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Parses a DATE or DATE-TIME property value into a task due date.
+ * DATE values become 'YYYY-MM-DD' strings. DATE-TIME values become timestamps: UTC values ('Z')
+ * exactly, values with a known TZID in that zone, and floating values (or unknown TZIDs, such as
+ * Windows zone names) in the browser's time zone.
+ * @param {string} value The property value.
+ * @param {object} params The property parameters (VALUE, TZID).
+ * @param {Array<string>} warnings Receives a warning if the time zone is unknown.
+ * @returns {string|number|null} The due date, or null if the value cannot be parsed.
+ */
+function parseDateValue(value, params, warnings) {
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!match) {
+        return null;
+    }
+    const [, year, month, day, hours, minutes, seconds, utc] = match;
+    if (hours === undefined || params.VALUE === 'DATE') {
+        return `${year}-${month}-${day}`;
+    }
+    const fields = [Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds)];
+    if (utc) {
+        return Date.UTC(...fields);
+    }
+    if (params.TZID) {
+        try {
+            const wallClock = Date.UTC(...fields);
+            let timestamp = wallClock - getTimeZoneOffset(wallClock, params.TZID);
+            timestamp = wallClock - getTimeZoneOffset(timestamp, params.TZID); // Corrects the guess around DST changes
+            return timestamp;
+        } catch (error) {
+            warnings.push(`Unknown time zone "${params.TZID}"; the time was read in the local time zone.`);
+        }
+    }
+    return new Date(...fields).getTime();
+}
+
+/**
+ * Formats a number of minutes before a date as a negative iCalendar DURATION, e.g. '-PT15M' or '-P1D'.
+ * @param {number} minutes The number of minutes.
+ * @returns {string} The DURATION value.
+ */
+function formatTriggerDuration(minutes) {
+    if (minutes === 0) {
+        return 'PT0M';
+    }
+    if (minutes % (7 * 24 * 60) === 0) {
+        return `-P${minutes / (7 * 24 * 60)}W`;
+    }
+    const days = Math.floor(minutes / (24 * 60));
+    const hours = Math.floor((minutes % (24 * 60)) / 60);
+    const rest = minutes % 60;
+    const time = (hours ? `${hours}H` : '') + (rest ? `${rest}M` : '');
+    return `-P${days ? `${days}D` : ''}${time ? `T${time}` : ''}`;
+}
+
+/**
+ * Parses an iCalendar DURATION value.
+ * @param {string} value The DURATION value, e.g. '-PT1H30M'.
+ * @returns {number|null} The duration in minutes (negative before the related date), or null if invalid.
+ */
+function parseDuration(value) {
+    const match = value.match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!match || value.endsWith('P') || value.endsWith('T')) {
+        return null;
+    }
+    const [, sign, weeks, days, hours, minutes, seconds] = match.map(part => part || 0);
+    const total = Number(weeks) * 7 * 24 * 60 + Number(days) * 24 * 60 + Number(hours) * 60 + Number(minutes) + Math.round(Number(seconds) / 60);
+    return sign === '-' ? -total : total;
+}
+
+/**
+ * Counts down a recurrence rule's occurrences to find the date of its last one.
+ * @param {object} rule A normalized recurrence rule with a `count`.
+ * @param {Date} start The date of the task's current occurrence.
+ * @param {number} occurrenceIndex The index of that occurrence within the series.
+ * @returns {Date} The date of the last occurrence.
+ */
+function getLastOccurrence(rule, start, occurrenceIndex) {
+    let date = start;
+    for (let index = occurrenceIndex; ; index++) {
+        const next = getNextOccurrence(rule, date, index);
+        if (!next) {
+            return date;
+        }
+        date = next;
+    }
+}
+
+/**
+ * Converts a task's recurrence rule to an RRULE value, counting from the task's own occurrence.
+ * RFC 5545 allows only one of COUNT and UNTIL, so a rule with both keeps whichever ends the series first.
+ * @param {object} task A recurring task.
+ * @returns {string} The RRULE value.
+ */
+function formatRRule(task) {
+    const rule = task.recurrence;
+    const parts = [`FREQ=${rule.frequency.toUpperCase()}`];
+    if (rule.interval > 1) {
+        parts.push(`INTERVAL=${rule.interval}`);
+    }
+    if (rule.byWeekday.length > 0) {
+        parts.push(`BYDAY=${rule.byWeekday.map(day => WEEKDAY_CODES[day]).join(',')}`);
+    }
+    if (rule.frequency === 'monthly' && rule.byMonthDay !== null) {
+        // A yearly rule keeps its anchor day in DTSTART; YEARLY;BYMONTHDAY would repeat every month
+        parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+    }
+
+    let count = rule.count === null ? null : rule.count - (task.occurrenceIndex || 0);
+    let until = rule.until;
+    if (count !== null && until !== null) {
+        const lastByCount = getLastOccurrence(rule, parseDueDate(task.dueDate), task.occurrenceIndex || 0);
+        if (formatDate(lastByCount) <= until) {
+            until = null;
+        } else {
+            count = null;
+        }
+    }
+    if (count !== null) {
+        parts.push(`COUNT=${Math.max(count, 1)}`);
+    }
+    if (until !== null) {
+        // UNTIL must have the same value type as the start: a DATE, or a UTC DATE-TIME covering the whole day
+        const untilDate = parseDueDate(until);
+        parts.push(typeof task.dueDate === 'number'
+            ? `UNTIL=${formatICalDateTime(new Date(untilDate.getFullYear(), untilDate.getMonth(), untilDate.getDate(), 23, 59, 59).getTime())}`
+            : `UNTIL=${formatICalDate(untilDate)}`);
+    }
+    return parts.join(';');
+}
+
+/**
+ * Parses an RRULE value into a recurrence rule. Parts the simplified rule model cannot express
+ * (such as BYSETPOS or ordinal weekdays) are dropped with a warning.
+ * @param {string} value The RRULE value.
+ * @param {Array<string>} warnings Receives warnings about dropped parts.
+ * @returns {object|null} The recurrence rule (see `recurrence.js`), or null if the frequency is not supported.
+ */
+function parseRRule(value, warnings) {
+    const parts = {};
+    value.split(';').forEach(part => {
+        const [name, partValue = ''] = part.split('=');
+        parts[name.toUpperCase()] = partValue;
+    });
+
+    const frequency = (parts.FREQ || '').toLowerCase();
+    const rule = { frequency, interval: parts.INTERVAL ? Number(parts.INTERVAL) : 1 };
+    const dropped = [];
+    if (parts.BYDAY) {
+        const days = parts.BYDAY.split(',').map(code => WEEKDAY_CODES.indexOf(code.toUpperCase()));
+        if (frequency === 'weekly' && days.every(day => day !== -1)) {
+            rule.byWeekday = days;
+        } else {
+            dropped.push('BYDAY');
+        }
+    }
+    if (parts.BYMONTHDAY) {
+        const day = Number(parts.BYMONTHDAY);
+        if (frequency === 'monthly' && Number.isInteger(day) && day >= 1) {
+            rule.byMonthDay = day;
+        } else {
+            dropped.push('BYMONTHDAY');
+        }
+    }
+    if (parts.COUNT) {
+        rule.count = Number(parts.COUNT);
+    }
+    if (parts.UNTIL) {
+        const until = parseDateValue(parts.UNTIL, {}, warnings);
+        rule.until = until === null ? undefined : formatDate(parseDueDate(until));
+    }
+    Object.keys(parts)
+        .filter(name => !['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'COUNT', 'UNTIL', 'WKST'].includes(name))
+        .forEach(name => dropped.push(name));
+
+    const normalized = normalizeRecurrence(rule);
+    if (!normalized) {
+        warnings.push(`Unsupported recurrence "${value}"; the task was imported without it.`);
+        return null;
+    }
+    if (dropped.length > 0) {
+        warnings.push(`The recurrence parts ${dropped.join(', ')} are not supported and were left out.`);
+    }
+    return normalized;
+}
+
+/**
+ * Builds the UID a task is exported with. Imported tasks keep the UID of their iCalendar item,
+ * which moves on to the next occurrence of a recurring task; earlier occurrences get one based on their ID.
+ * @param {object} task The task.
+ * @returns {string} The UID.
+ */
+function getTaskUid(task) {
+    if (task.icalUid && !task.nextOccurrenceId) {
+        return task.icalUid;
+    }
+    return `${task.id}@${ICAL_UID_DOMAIN}`;
+}
+
+/**
+ * Serializes tasks as an iCalendar file. Tasks without a due date are left out.
+ * Recurring tasks carry an RRULE only on the current occurrence of their series, and reminders
+ * become a display VALARM relative to the due date.
+ * @param {Array<object>} tasks The tasks.
+ * @param {object} [options={}] Export options.
+ * @param {string} [options.componentType='VTODO'] One of `ICAL_COMPONENT_TYPES`.
+ * @returns {string} The iCalendar file contents, with CRLF line endings.
+ * @throws {InvalidInputError} If the component type is unknown.
+ */
+function serializeTasks(tasks, { componentType = 'VTODO' } = {}) {
+    if (!ICAL_COMPONENT_TYPES.includes(componentType)) {
+        throw new InvalidInputError(`Unknown iCalendar component "${componentType}". Expected one of: ${ICAL_COMPONENT_TYPES.join(', ')}.`);
+    }
+    const isTodo = componentType === 'VTODO';
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${ICAL_PRODID}`, 'CALSCALE:GREGORIAN'];
+
+    tasks.filter(task => parseDueDate(task.dueDate)).forEach(task => {
+        const isCurrentOccurrence = task.recurrence && !task.nextOccurrenceId;
+        lines.push(`BEGIN:${componentType}`);
+        lines.push(`UID:${getTaskUid(task)}`);
+        lines.push(`DTSTAMP:${formatICalDateTime(task.updatedAt || task.createdAt)}`);
+        lines.push(`SUMMARY:${escapeText(task.title)}`);
+        if (task.description) {
+            lines.push(`DESCRIPTION:${escapeText(task.description)}`);
+        }
+        if (isTodo) {
+            if (isCurrentOccurrence) {
+                lines.push(formatDateProperty('DTSTART', task.dueDate)); // A to-do's RRULE repeats its DTSTART
+            }
+            lines.push(formatDateProperty('DUE', task.dueDate));
+            lines.push(`STATUS:${task.isComplete ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+        } else {
+            lines.push(formatDateProperty('DTSTART', task.dueDate));
+        }
+        if (PRIORITY_VALUES[task.priority]) {
+            lines.push(`PRIORITY:${PRIORITY_VALUES[task.priority]}`);
+        }
+        if (task.tags && task.tags.length > 0) {
+            lines.push(`CATEGORIES:${task.tags.map(escapeText).join(',')}`);
+        }
+        if (isCurrentOccurrence) {
+            lines.push(`RRULE:${formatRRule(task)}`);
+        }
+        if (Number.isInteger(task.reminderMinutes)) {
+            lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `DESCRIPTION:${escapeText(task.title)}`);
+            lines.push(`TRIGGER${isTodo ? ';RELATED=END' : ''}:${formatTriggerDuration(task.reminderMinutes)}`);
+            lines.push('END:VALARM');
+        }
+        lines.push(`END:${componentType}`);
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Parses a content line into its name, parameters and value.
+ * @param {string} line The unfolded content line.
+ * @returns {{name: string, params: object, value: string}|null} The property, or null if the line is malformed.
+ */
+function parseContentLine(line) {
+    // The value starts at the first colon that is not inside a quoted parameter value
+    let inQuotes = false;
+    let colonIndex = -1;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') {
+            inQuotes = !inQuotes;
+        } else if (line[i] === ':' && !inQuotes) {
+            colonIndex = i;
+            break;
+        }
+    }
+    if (colonIndex === -1) {
+        return null;
+    }
+
+    const [name, ...paramParts] = line.slice(0, colonIndex).match(/(?:[^;"]|"[^"]*")+/g) || [''];
+    const params = {};
+    paramParts.forEach(part => {
+        const equalsIndex = part.indexOf('=');
+        if (equalsIndex !== -1) {
+            params[part.slice(0, equalsIndex).toUpperCase()] = part.slice(equalsIndex + 1).replace(/^"|"$/g, '');
+        }
+    });
+    return { name: name.toUpperCase(), params, value: line.slice(colonIndex + 1) };
+}
+
+/**
+ * Parses iCalendar text into a tree of components.
+ * @param {string} text The iCalendar file contents.
+ * @returns {Array<object>} The top-level components: `{ name, properties, components }`,
+ *          where `properties` is a list of `{ name, params, value }`.
+ * @throws {InvalidInputError} If the text is not an iCalendar file.
+ */
+function parseComponents(text) {
+    const lines = String(text).replace(/\r\n|\r/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+    const root = { name: null, properties: [], components: [] };
+    const stack = [root];
+
+    lines.forEach(line => {
+        if (line.trim() === '') return;
+        const property = parseContentLine(line);
+        if (!property) return; // Skip malformed lines rather than rejecting the whole file
+        const current = stack[stack.length - 1];
+        if (property.name === 'BEGIN') {
+            const component = { name: property.value.toUpperCase(), properties: [], components: [] };
+            current.components.push(component);
+            stack.push(component);
+        } else if (property.name === 'END') {
+            if (stack.length > 1 && current.name === property.value.toUpperCase()) {
+                stack.pop();
+            }
+        } else {
+            current.properties.push(property);
+        }
+    });
+
+    if (!root.components.some(component => component.name === 'VCALENDAR')) {
+        throw new InvalidInputError('The file is not an iCalendar (.ics) file.');
+    }
+    return root.components;
+}
+
+/**
+ * Reads the reminder of an iCalendar item from its first VALARM.
+ * @param {object} component The VTODO or VEVENT component.
+ * @param {string|number|null} dueDate The item's due date, for absolute triggers.
+ * @param {Array<string>} warnings Receives warnings about alarms that cannot be imported.
+ * @returns {number|null} The minutes before the due date, or null for no reminder.
+ */
+function parseReminder(component, dueDate, warnings) {
+    const alarms = component.components.filter(child => child.name === 'VALARM');
+    if (alarms.length === 0) {
+        return null;
+    }
+    if (alarms.length > 1) {
+        warnings.push('Only the first of several reminders was imported.');
+    }
+    const trigger = alarms[0].properties.find(property => property.name === 'TRIGGER');
+    if (!trigger || !dueDate) {
+        return null;
+    }
+
+    let minutesBefore = null;
+    if (trigger.params.VALUE === 'DATE-TIME') {
+        const at = parseDateValue(trigger.value, trigger.params, warnings);
+        const due = parseDueDate(dueDate);
+        if (typeof at === 'number') {
+            minutesBefore = Math.round((due.getTime() - at) / 60000);
+        }
+    } else {
+        const duration = parseDuration(trigger.value);
+        minutesBefore = duration === null ? null : 0 - duration; // Avoids -0 for alarms at the due time
+    }
+    if (minutesBefore === null || minutesBefore < 0) {
+        warnings.push('A reminder after the due date or in an unsupported format was left out.');
+        return null;
+    }
+    return minutesBefore;
+}
+
+/**
+ * Converts a VTODO or VEVENT component into task data.
+ * @param {object} component The component.
+ * @returns {{uid: string|null, taskData: object|null, warnings: Array<string>}} The UID, the task data
+ *          (null if the item should not be imported) and any warnings.
+ */
+function componentToTaskData(component) {
+    const warnings = [];
+    const get = name => component.properties.find(property => property.name === name);
+    const uidProperty = get('UID');
+    const uid = uidProperty ? uidProperty.value.trim() : null;
+    const summary = get('SUMMARY');
+    // Text values are kept as they are, spaces included, so that a task exported and imported again is unchanged
+    const title = summary ? unescapeText(summary.value) : '';
+
+    if (get('RECURRENCE-ID')) {
+        return { uid, title, taskData: null, warnings: ['Changes to single occurrences of a recurring item are not imported.'] };
+    }
+    const status = get('STATUS');
+    if (status && status.value.toUpperCase() === 'CANCELLED') {
+        return { uid, title, taskData: null, warnings: ['Cancelled items are not imported.'] };
+    }
+
+    const dateProperty = (component.name === 'VTODO' && get('DUE')) || get('DTSTART');
+    const dueDate = dateProperty ? parseDateValue(dateProperty.value, dateProperty.params, warnings) : null;
+    const description = get('DESCRIPTION');
+    const priority = get('PRIORITY');
+    const priorityValue = priority ? Number(priority.value) : 0;
+    const tags = component.properties
+        .filter(property => property.name === 'CATEGORIES')
+        .flatMap(property => splitTextList(property.value));
+    const rrule = get('RRULE');
+
+    const taskData = {
+        title: title.trim() ? title : '(untitled)',
+        description: description ? unescapeText(description.value) : '',
+        dueDate,
+        priority: priorityValue >= 1 && priorityValue <= 4 ? 'high'
+            : priorityValue === 5 ? 'medium'
+            : priorityValue >= 6 && priorityValue <= 9 ? 'low'
+            : 'none',
+        tags,
+        recurrence: rrule && dueDate !== null ? parseRRule(rrule.value, warnings) : null,
+        reminderMinutes: parseReminder(component, dueDate, warnings)
+    };
+    if (component.name === 'VTODO') {
+        taskData.isComplete = Boolean(status) && status.value.toUpperCase() === 'COMPLETED';
+    }
+    if (!title.trim()) {
+        warnings.push('The item has no summary.');
+    }
+    return { uid, title: taskData.title, taskData, warnings };
+}
+
+/**
+ * Parses an iCalendar file into task data, one item per VTODO or VEVENT.
+ * Items without a UID get one derived from their contents, so re-importing the same file
+ * still finds them.
+ * @param {string} text The iCalendar file contents.
+ * @returns {Array<{uid: string, title: string, taskData: object|null, warnings: Array<string>}>} The items.
+ * @throws {InvalidInputError} If the text is not an iCalendar file.
+ */
+function parseICalendar(text) {
+    return parseComponents(text)
+        .filter(component => component.name === 'VCALENDAR')
+        .flatMap(calendar => calendar.components)
+        .filter(component => component.name === 'VTODO' || component.name === 'VEVENT')
+        .map(component => {
+            const item = componentToTaskData(component);
+            if (!item.uid) {
+                item.uid = `${item.title}|${item.taskData ? item.taskData.dueDate : ''}`;
+            }
+            return item;
+        });
+}
+
+/**
+ * Tells whether an imported recurrence rule describes the same series as a task's own rule.
+ * Rules are compared as exported, since an export counts COUNT from the task's occurrence and
+ * drops the RRULE of occurrences the series has already moved past.
+ * @param {object} task The existing task.
+ * @param {object|null} recurrence The imported recurrence rule.
+ * @returns {boolean} True if importing the rule would not change the series.
+ */
+function isSameRecurrence(task, recurrence) {
+    if (task.recurrence && task.nextOccurrenceId) {
+        return recurrence === null;
+    }
+    if (!task.recurrence || !recurrence) {
+        return !task.recurrence && !recurrence;
+    }
+    return formatRRule(task) === formatRRule({ ...task, recurrence, occurrenceIndex: 0 });
+}
+
+/**
+ * Lists the fields an imported item would change on an existing task.
+ * @param {object} task The existing task.
+ * @param {object} taskData The imported task data.
+ * @returns {object} The changed fields with their imported values.
+ */
+function getImportChanges(task, taskData) {
+    const changes = {};
+    IMPORTED_FIELDS.forEach(field => {
+        if (taskData[field] === undefined) return; // e.g. completion, which events don't have
+        if (field === 'recurrence') {
+            if (!isSameRecurrence(task, taskData.recurrence)) {
+                changes.recurrence = taskData.recurrence;
+            }
+            return;
+        }
+        const current = task[field] === undefined ? null : task[field];
+        if (JSON.stringify(current) !== JSON.stringify(taskData[field])) {
+            changes[field] = taskData[field];
+        }
+    });
+    return changes;
+}
+
+/**
+ * Exports tasks with a due date as an iCalendar file.
+ * @param {object} [options={}] Export options.
+ * @param {string} [options.componentType='VTODO'] One of `ICAL_COMPONENT_TYPES`.
+ * @param {string|null} [options.projectId=null] Only export the tasks of this project.
+ * @returns {Promise<string>} A promise that resolves with the iCalendar file contents.
+ * @throws {InvalidInputError} If the component type is unknown.
+ */
+async function exportTasksToICalendar({ componentType = 'VTODO', projectId = null } = {}) {
+    const tasks = await taskManager.queryTasks({ sort: 'dueDate', ...(projectId ? { projectId } : {}) });
+    return serializeTasks(tasks, { componentType });
+}
+
+/**
+ * Works out what importing an iCalendar file would do, without changing anything.
+ * Items are matched to existing tasks by UID: a known UID updates its task (or leaves it
+ * unchanged), an unknown UID creates a task, and items that cannot be imported are skipped.
+ * When a file lists the same UID twice, the later item wins.
+ * @param {string} text The iCalendar file contents.
+ * @returns {Promise<Array<object>>} A promise that resolves with the preview: one
+ *          `{ uid, title, action, taskId, taskData, changes, warnings }` per item, where `action`
+ *          is 'create', 'update', 'unchanged' or 'skip'.
+ * @throws {InvalidInputError} If the text is not an iCalendar file.
+ */
+async function previewICalendarImport(text) {
+    const items = new Map();
+    parseICalendar(text).forEach(item => items.set(item.uid, item));
+
+    const tasks = await taskManager.getAllTasks();
+    const tasksByUid = new Map(tasks.map(task => [getTaskUid(task), task]));
+
+    return [...items.values()].map(item => {
+        const task = tasksByUid.get(item.uid);
+        if (!item.taskData) {
+            return { ...item, action: 'skip', taskId: null, changes: {} };
+        }
+        if (!task) {
+            return { ...item, action: 'create', taskId: null, changes: {} };
+        }
+        const changes = getImportChanges(task, item.taskData);
+        return { ...item, action: Object.keys(changes).length > 0 ? 'update' : 'unchanged', taskId: task.id, changes };
+    });
+}
+
+/**
+ * Applies a preview made by `previewICalendarImport`: creates the new tasks and updates the changed ones.
+ * The mutations are recorded in the activity log as coming from an import.
+ * @param {Array<object>} preview The preview.
+ * @param {object} [options={}] Import options.
+ * @param {string|null} [options.projectId=null] The project new tasks are added to.
+ * @returns {Promise<{created: number, updated: number}>} A promise that resolves with the number of created and updated tasks.
+ */
+async function importICalendar(preview, { projectId = null } = {}) {
+    return activityLog.withOrigin('import', async () => {
+        let created = 0;
+        let updated = 0;
+        for (const item of preview) {
+            if (item.action === 'create') {
+                const { isComplete, ...taskData } = item.taskData;
+                const task = await taskManager.createTask({ ...taskData, icalUid: item.uid, projectId });
+                if (isComplete) {
+                    await taskManager.markTaskStatus(task.id, true, { force: true });
+                }
+                created++;
+            } else if (item.action === 'update') {
+                const { isComplete, ...changes } = item.changes;
+                if (changes.recurrence !== undefined) {
+                    changes.occurrenceIndex = 0; // The imported rule counts from this occurrence
+                }
+                if (Object.keys(changes).length > 0) {
+                    await taskManager.updateTask(item.taskId, changes);
+                }
+                if (isComplete !== undefined) {
+                    await taskManager.markTaskStatus(item.taskId, isComplete, { force: true });
+                }
+                updated++;
+            }
+        }
+        console.log(`iCalendar import: ${created} created, ${updated} updated.`);
+        return { created, updated };
+    });
+}
+
+export {
+    ICAL_COMPONENT_TYPES,
+    getTaskUid,
+    serializeTasks,
+    parseICalendar,
+    exportTasksToICalendar,
+    previewICalendarImport,
+    importICalendar
+};
@@ -0,0 +1,312 @@
+import * as storage from './storage.js';
+import { PRIORITIES } from './task.js';
+
+/**
+ * Keys seeded by the install handler of early versions, with the storage.js keys that replaced them.
+ */
+const LEGACY_KEYS = {
+    tasks: storage.STORAGE_KEYS.TASKS,
+    notes: storage.STORAGE_KEYS.NOTES,
+    youtubeVideos: storage.STORAGE_KEYS.YOUTUBE_VIDEOS,
+    settings: storage.STORAGE_KEYS.SETTINGS
+};
+
+/**
+ * Fields of a task that older data may lack, with the values `TaskManager.createTask` gives new tasks.
+ */
+const TASK_DEFAULTS = {
+    description: '',
+    dueDate: null,
+    priority: 'none',
+    isComplete: false,
+    status: null,
+    projectId: null,
+    recurrence: null,
+    reminderMinutes: null,
+    icalUid: null,
+    seriesId: null,
+    occurrenceIndex: 0,
+    nextOccurrenceId: null
+};
+
+/**
+ * Fields of a subtask that older data may lack, with the values new subtasks get.
+ */
+const SUBTASK_DEFAULTS = {
+    description: '',
+    dueDate: null,
+    priority: 'none',
+    isComplete: false
+};
+
+/**
+ * Tells whether a value is a plain object (not null and not an array).
+ * @param {*} value The value.
+ * @returns {boolean} True if the value is a plain object.
+ */
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Builds the context migrations use for values they have to make up, so that a run can be
+ * reproduced from fixtures by passing fixed values.
+ * @param {object} [options={}] Options.
+ * @param {number} [options.now=Date.now()] The timestamp given to records without one.
+ * @param {Function} [options.generateId] Returns a new unique ID for records without one.
+ * @returns {{now: number, generateId: Function}} The context.
+ */
+function createMigrationContext({ now = Date.now(), generateId = () => crypto.randomUUID() } = {}) {
+    return { now, generateId };
+}
+
+/**
+ * Picks the creation time of a record: `createdAt`, else the `timestamp` older versions wrote, else `now`.
+ * @param {object} record The stored record.
+ * @param {object} context The migration context.
+ * @returns {number} The creation timestamp.
+ */
+function getCreatedAt(record, context) {
+    if (Number.isFinite(record.createdAt)) return record.createdAt;
+    if (Number.isFinite(record.timestamp)) return record.timestamp;
+    return context.now;
+}
+
+/**
+ * Converts a stored task or subtask to the task.js model. Tasks written by the first popup
+ * (`{id, content, completed, timestamp}`) get `title`, `isComplete` and `createdAt` instead;
+ * missing fields get their defaults. Unknown fields are kept.
+ * @param {object} node The stored task or subtask.
+ * @param {object} [context=createMigrationContext()] The migration context.
+ * @param {boolean} [isSubtask=false] Whether the node is a subtask.
+ * @returns {object} The normalized task or subtask.
+ */
+function normalizeTask(node, context = createMigrationContext(), isSubtask = false) {
+    const { content, completed, timestamp, ...fields } = node;
+    const createdAt = getCreatedAt(node, context);
+    const normalized = {
+        ...(isSubtask ? SUBTASK_DEFAULTS : TASK_DEFAULTS),
+        ...fields,
+        id: fields.id || context.generateId(),
+        title: String(fields.title || content || '').trim(),
+        priority: PRIORITIES.includes(fields.priority) ? fields.priority : 'none',
+        tags: Array.isArray(fields.tags) ? fields.tags : [],
+        isComplete: typeof fields.isComplete === 'boolean' ? fields.isComplete : Boolean(completed),
+        createdAt,
+        updatedAt: Number.isFinite(fields.updatedAt) ? fields.updatedAt : createdAt,
+        subtasks: (Array.isArray(fields.subtasks) ? fields.subtasks : [])
+            .filter(isPlainObject)
+            .map(subtask => normalizeTask(subtask, context, true))
+    };
+    if (!isSubtask) {
+        normalized.blockedBy = Array.isArray(fields.blockedBy) ? fields.blockedBy : [];
+    }
+    return normalized;
+}
+
+/**
+ * Converts a stored note to the note.js model: `{id, title, content, projectId, createdAt, updatedAt}`.
+ * Unknown fields are kept.
+ * @param {object} note The stored note.
+ * @param {object} [context=createMigrationContext()] The migration context.
+ * @returns {object} The normalized note.
+ */
+function normalizeNote(note, context = createMigrationContext()) {
+    const { timestamp, ...fields } = note;
+    const createdAt = getCreatedAt(note, context);
+    return {
+        title: '',
+        content: '',
+        projectId: null,
+        ...fields,
+        id: fields.id || context.generateId(),
+        createdAt,
+        updatedAt: Number.isFinite(fields.updatedAt) ? fields.updatedAt : createdAt
+    };
+}
+
+/**
+ * Converts a stored YouTube video to the model the popup writes: `{id, videoId, projectId, createdAt}`.
+ * Unknown fields are kept.
+ * @param {object} video The stored video.
+ * @param {object} [context=createMigrationContext()] The migration context.
+ * @returns {object} The normalized video.
+ */
+function normalizeVideo(video, context = createMigrationContext()) {
+    const { timestamp, ...fields } = video;
+    return {
+        projectId: null,
+        ...fields,
+        id: fields.id || context.generateId(),
+        createdAt: getCreatedAt(video, context)
+    };
+}
+
+/**
+ * Merges the records of a legacy key into the records of its replacement. Records whose ID
+ * is already present are dropped; the replacement key's copy is the newer one.
+ * @param {*} current The value of the replacement key.
+ * @param {*} legacy The value of the legacy key.
+ * @returns {Array<object>} The merged records.
+ */
+function mergeRecords(current, legacy) {
+    const records = Array.isArray(current) ? current : [];
+    const ids = new Set(records.filter(isPlainObject).map(record => record.id).filter(Boolean));
+    return [...records, ...(Array.isArray(legacy) ? legacy : []).filter(record => !(isPlainObject(record) && ids.has(record.id)))];
+}
+
+/**
+ * Migration 1: moves the data of the keys in `LEGACY_KEYS` to the storage.js keys and removes them.
+ * Settings are merged, with the values under the storage.js key taking precedence.
+ * @param {object} items All stored items.
+ * @returns {object} The migrated items.
+ */
+function moveLegacyKeys(items) {
+    const migrated = { ...items };
+    Object.entries(LEGACY_KEYS).forEach(([legacyKey, key]) => {
+        if (!(legacyKey in migrated)) return;
+        const legacy = migrated[legacyKey];
+        delete migrated[legacyKey];
+        if (key === storage.STORAGE_KEYS.SETTINGS) {
+            migrated[key] = { ...(isPlainObject(legacy) ? legacy : {}), ...(isPlainObject(migrated[key]) ? migrated[key] : {}) };
+        } else {
+            migrated[key] = mergeRecords(migrated[key], legacy);
+        }
+    });
+    return migrated;
+}
+
+/**
+ * Migration 2: converts every stored task, including tasks in the trash, with `normalizeTask`.
+ * Entries that aren't objects are dropped.
+ * @param {object} items All stored items.
+ * @param {object} context The migration context.
+ * @returns {object} The migrated items.
+ */
+function normalizeTasks(items, context) {
+    const tasks = items[storage.STORAGE_KEYS.TASKS];
+    if (tasks === undefined) return items;
+    return {
+        ...items,
+        [storage.STORAGE_KEYS.TASKS]: (Array.isArray(tasks) ? tasks : []).filter(isPlainObject).map(task => normalizeTask(task, context))
+    };
+}
+
+/**
+ * Migration 3: converts every stored note and video with `normalizeNote` and `normalizeVideo`.
+ * Entries that aren't objects, and videos without a YouTube video ID (which can't be shown), are dropped.
+ * @param {object} items All stored items.
+ * @param {object} context The migration context.
+ * @returns {object} The migrated items.
+ */
+function normalizeNotesAndVideos(items, context) {
+    const migrated = { ...items };
+    const notes = items[storage.STORAGE_KEYS.NOTES];
+    if (notes !== undefined) {
+        migrated[storage.STORAGE_KEYS.NOTES] = (Array.isArray(notes) ? notes : []).filter(isPlainObject).map(note => normalizeNote(note, context));
+    }
+    const videos = items[storage.STORAGE_KEYS.YOUTUBE_VIDEOS];
+    if (videos !== undefined) {
+        migrated[storage.STORAGE_KEYS.YOUTUBE_VIDEOS] = (Array.isArray(videos) ? videos : [])
+            .filter(video => isPlainObject(video) && typeof video.videoId === 'string' && video.videoId)
+            .map(video => normalizeVideo(video, context));
+    }
+    return migrated;
+}
+
+/**
+ * Migration 4: stores tasks and notes one record per item, with an index under the collection's
+ * key and note content in keys of its own (see `storage.toRecordItems`), instead of one array each.
+ * @param {object} items All stored items.
+ * @returns {object} The migrated items.
+ */
+function splitIntoRecords(items) {
+    let migrated = { ...items };
+    [storage.STORAGE_KEYS.TASKS, storage.STORAGE_KEYS.NOTES].forEach(key => {
+        if (!Array.isArray(items[key])) return;
+        migrated = { ...migrated, ...storage.toRecordItems(key, items[key]) };
+    });
+    return migrated;
+}
+
+/**
+ * The migrations, in the order they run. Each one takes all stored items (and the migration
+ * context) and returns the migrated items without modifying its input; keys missing from the
+ * result are removed from storage. Never change a released migration: add a new one instead.
+ */
+const MIGRATIONS = [
+    { version: 1, description: 'Move data from the unprefixed keys seeded by early versions', migrate: moveLegacyKeys },
+    { version: 2, description: 'Convert tasks to the task.js model', migrate: normalizeTasks },
+    { version: 3, description: 'Convert notes and videos to the note.js and popup models', migrate: normalizeNotesAndVideos },
+    { version: 4, description: 'Store tasks and notes one record per item', migrate: splitIntoRecords }
+];
+
+/**
+ * The schema version of the data this version of the extension reads and writes.
+ */
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Runs the migrations newer than `fromVersion` over a snapshot of the stored items.
+ * @param {object} items All stored items, as returned by `storage.getAllItems`.
+ * @param {number} fromVersion The schema version of the items; 0 for data that predates versioning.
+ * @param {object} [context=createMigrationContext()] The migration context.
+ * @returns {{items: object, applied: Array<number>}} The migrated items and the versions of the migrations that ran.
+ */
+function applyMigrations(items, fromVersion, context = createMigrationContext()) {
+    return MIGRATIONS
+        .filter(migration => migration.version > fromVersion)
+        .reduce((result, migration) => ({
+            items: migration.migrate(result.items, context),
+            applied: [...result.applied, migration.version]
+        }), { items, applied: [] });
+}
+
+/**
+ * Brings the stored data up to `SCHEMA_VERSION`. Migrations work on the items as stored (see
+ * `storage.setRawItems`). The changed keys and the new version are written in a single storage
+ * call, so a run that fails before then leaves the data as it was and is retried on the next
+ * update; keys the migrations dropped are removed afterwards.
+ * Data from a newer version of the extension is left alone.
+ * @param {object} [context=createMigrationContext()] The migration context.
+ * @returns {Promise<{fromVersion: number, toVersion: number, applied: Array<number>}>} A promise that
+ *          resolves with the version the data had, the version it has now and the migrations that ran.
+ */
+async function runMigrations(context = createMigrationContext()) {
+    const items = await storage.getAllItems();
+    const storedVersion = items[storage.STORAGE_KEYS.SCHEMA_VERSION];
+    const fromVersion = Number.isInteger(storedVersion) ? storedVersion : 0;
+    if (fromVersion >= SCHEMA_VERSION) {
+        if (fromVersion > SCHEMA_VERSION) {
+            console.warn(`Stored data has schema version ${fromVersion}, newer than this extension's ${SCHEMA_VERSION}; not migrating.`);
+        }
+        return { fromVersion, toVersion: fromVersion, applied: [] };
+    }
+
+    const { items: migrated, applied } = applyMigrations(items, fromVersion, context);
+    const changes = { [storage.STORAGE_KEYS.SCHEMA_VERSION]: SCHEMA_VERSION };
+    Object.keys(migrated).forEach(key => {
+        if (JSON.stringify(migrated[key]) !== JSON.stringify(items[key])) {
+            changes[key] = migrated[key];
+        }
+    });
+    await storage.setRawItems(changes);
+    const removedKeys = Object.keys(items).filter(key => !(key in migrated));
+    if (removedKeys.length > 0) {
+        await storage.removeRawItems(removedKeys);
+    }
+    console.log(`Migrated stored data from schema version ${fromVersion} to ${SCHEMA_VERSION} (migrations ${applied.join(', ')}).`);
+    return { fromVersion, toVersion: SCHEMA_VERSION, applied };
+}
+
+export {
+    SCHEMA_VERSION,
+    LEGACY_KEYS,
+    MIGRATIONS,
+    createMigrationContext,
+    normalizeTask,
+    normalizeNote,
+    normalizeVideo,
+    applyMigrations,
+    runMigrations
+};
@@ -1,16 +1,60 @@
-import StorageManager from './storage.js';
+import * as StorageManager from './storage.js';
+import activityLog from './activitylog.js';
+import commandHistory from './commandhistory.js';
+import vault from './vault.js';
 
 async function init() {
     // The original init ensured the 'notes' key exists and is an array.
     // StorageManager.getAllNotes() is designed to return [] if no notes are found,
     // which simplifies checks. However, to explicitly match the original behavior
     // of setting the *key* if it's completely missing, we can check its raw state.
-    // Assuming 'notes' is the internal key name for notes data in StorageManager.
-    const existingNotesData = await StorageManager.getItem('notes');
-    if (existingNotesData === undefined || existingNotesData === null) {
-        // If the 'notes' key itself doesn't exist or is explicitly null, initialize it as an empty array.
-        await StorageManager.saveAllNotes([]);
+    const key = StorageManager.STORAGE_KEYS.NOTES;
+    await StorageManager.transaction(key, values => {
+        if (values[key] === undefined || values[key] === null) {
+            // If the 'notes' key itself doesn't exist or is explicitly null, initialize it as an empty array.
+            values[key] = [];
+        }
+    });
+}
+
+// Runs a read-modify-write of all stored notes (the trash included) as a storage transaction, so that
+// concurrent changes from another extension page are not lost. `fn` receives a copy of the notes and a
+// `save` callback; nothing is written unless it calls `save`. The notes come without their content
+// (see StorageManager.transaction); notes saved without it keep their stored content. `fn` may run
+// more than once, so it must not have other side effects. Saved changes are recorded in the
+// activity log.
+async function transactNotes(fn) {
+    const key = StorageManager.STORAGE_KEYS.NOTES;
+    let previousNotes = [];
+    let savedNotes = null;
+    const result = await StorageManager.transaction(key, async values => {
+        previousNotes = values[key] || [];
+        savedNotes = null;
+        const outcome = await fn(structuredClone(previousNotes), notes => {
+            savedNotes = notes;
+        });
+        if (savedNotes) {
+            values[key] = savedNotes;
+            // Give the activity log the old content of the notes whose content is saved
+            const ids = savedNotes.filter(note => 'content' in note).map(note => note.id);
+            if (ids.length > 0) {
+                const contents = await StorageManager.getNoteContents(ids);
+                previousNotes = previousNotes.map(note => (note.id in contents ? { ...note, content: contents[note.id] } : note));
+            }
+        }
+        return outcome;
+    });
+    if (savedNotes) {
+        await activityLog.recordChanges('note', previousNotes, savedNotes);
     }
+    return result;
+}
+
+// Turns note fields into those of a private note: the title and content are encrypted with the
+// vault's key (see vault.js) and stored blank. Throws VaultLockedError if the vault is locked.
+async function sealNote(fields) {
+    const { title = '', content = '', isPrivate, encrypted, ...rest } = fields;
+    return { ...rest, title: '', content: '', isPrivate: true, encrypted: await vault.encrypt({ title, content }) };
 }
 
 async function createNote(noteData) {
@@ -18,20 +62,20 @@ async function createNote(noteData) {
         throw new Error('Note data is required to create a note.');
     }
 
-    // Use StorageManager to get all notes
-    const notes = await StorageManager.getAllNotes(); // This should return an empty array if no notes exist
-
-    const newNote = {
-        ...noteData,
-        id: crypto.randomUUID(), // Consistent ID generation
-        createdAt: Date.now(),
-        updatedAt: Date.now()
-    };
+    // Encrypt before the transaction, which may run more than once
+    const fields = noteData.isPrivate ? await sealNote(noteData) : noteData;
+    return transactNotes((notes, save) => {
+        const newNote = {
+            ...fields,
+            id: crypto.randomUUID(), // Consistent ID generation
+            createdAt: Date.now(),
+            updatedAt: Date.now()
+        };
 
-    notes.push(newNote);
-    // Use StorageManager to save the updated list of notes
-    await StorageManager.saveAllNotes(notes);
-    return newNote;
+        notes.push(newNote);
+        save(notes);
+        return newNote;
+    });
 }
 
 async function getNoteById(id) {
@@ -39,15 +83,41 @@ async function getNoteById(id) {
         throw new Error('Note ID is required.');
     }
 
-    // Use StorageManager to get all notes
-    const notes = await StorageManager.getAllNotes();
-    const note = notes.find(n => n.id === id);
-    return note || null;
+    // Reads just this note, with its content (for private notes, the encrypted title and content; see openPrivateNotes)
+    const [note] = await StorageManager.getRecords(StorageManager.STORAGE_KEYS.NOTES, [id]);
+    return note && !note.deletedAt ? note : null; // Notes in the trash are not returned
 }
 
 async function getAllNotes() {
     // Delegate to StorageManager's getAllNotes to resolve global conflict and consolidate storage logic.
-    return await StorageManager.getAllNotes();
+    // Notes in the trash (see deleteNote) are left out. The notes come without their content, which
+    // can be large; load it with getNoteContents for the notes actually shown.
+    const notes = await StorageManager.getAllNotes();
+    return notes.filter(note => !note.deletedAt);
+}
+
+// Returns the content of the given notes as an object keyed by note ID.
+async function getNoteContents(ids) {
+    if (!Array.isArray(ids)) {
+        throw new Error('An array of note IDs is required.');
+    }
+    return ids.length > 0 ? StorageManager.getNoteContents(ids) : {};
+}
+
+// Returns the decrypted title and content of the given private notes, as an object keyed by note ID
+// ({title, content}); other notes are left out. Throws VaultLockedError if the vault is locked.
+async function openPrivateNotes(ids) {
+    if (!Array.isArray(ids)) {
+        throw new Error('An array of note IDs is required.');
+    }
+    const records = ids.length > 0 ? await StorageManager.getRecords(StorageManager.STORAGE_KEYS.NOTES, ids) : [];
+    const opened = {};
+    for (const record of records) {
+        if (record.isPrivate && record.encrypted) {
+            opened[record.id] = await vault.decrypt(record.encrypted);
+        }
+    }
+    return opened;
 }
 
 async function updateNote(id, newData) {
@@ -55,52 +125,124 @@ async function updateNote(id, newData) {
         throw new Error('Note ID and new data are required for update.');
     }
 
-    // Use StorageManager to get all notes
-    let notes = await StorageManager.getAllNotes();
-    let updatedNote = null;
-    let noteFound = false;
-
-    notes = notes.map(note => {
-        if (note.id === id) {
-            noteFound = true;
-            updatedNote = {
-                ...note,
-                ...newData,
-                id: note.id, // Ensure ID is preserved
-                updatedAt: Date.now()
-            };
-            return updatedNote;
+    const { isPrivate, encrypted, ...changes } = newData; // Privacy is changed with setNotePrivate
+    return transactNotes(async (storedNotes, save) => {
+        const note = storedNotes.find(n => n.id === id && !n.deletedAt);
+        if (!note) {
+            return null; // Return null if note was not found for update
         }
-        return note;
+
+        let fields = changes;
+        if (note.isPrivate && ('title' in changes || 'content' in changes)) {
+            // Re-encrypt the title and content of a private note with the changes applied
+            const [record] = await StorageManager.getRecords(StorageManager.STORAGE_KEYS.NOTES, [id]);
+            fields = await sealNote({ ...(await vault.decrypt(record.encrypted)), ...changes });
+        }
+        const updatedNote = {
+            ...note,
+            ...fields,
+            id: note.id, // Ensure ID is preserved
+            updatedAt: Date.now()
+        };
+        delete updatedNote.deletedAt; // The trash is managed via deleteNote/restoreNote
+
+        save(storedNotes.map(n => (n === note ? updatedNote : n)));
+        return updatedNote;
     });
+}
 
-    if (!noteFound) {
-        return null; // Return null if note was not found for update
+// Makes a note private (its title and content encrypted, see vault.js) or public again. Making a
+// note private also redacts what the activity log recorded about it. The change is not undoable,
+// and either way the undo history forgets the commands that touched the note, which hold its
+// plaintext or its encrypted payload. Throws VaultLockedError if the vault is locked.
+async function setNotePrivate(id, isPrivate) {
+    if (!id) {
+        throw new Error('Note ID is required.');
     }
 
-    // Use StorageManager to save the updated list of notes
-    await StorageManager.saveAllNotes(notes);
-    return updatedNote;
+    const result = await transactNotes(async (notes, save) => {
+        const index = notes.findIndex(n => n.id === id && !n.deletedAt);
+        if (index === -1 || Boolean(notes[index].isPrivate) === Boolean(isPrivate)) {
+            return null; // Note not found, or already private (public)
+        }
+
+        const [record] = await StorageManager.getRecords(StorageManager.STORAGE_KEYS.NOTES, [id]);
+        let note;
+        if (isPrivate) {
+            note = { ...notes[index], ...(await sealNote({ title: record.title, content: record.content || '' })) };
+        } else {
+            note = { ...notes[index], ...(await vault.decrypt(record.encrypted)), encrypted: null };
+            delete note.isPrivate;
+        }
+        note.updatedAt = Date.now();
+        notes[index] = note;
+        save(notes);
+        return note;
+    });
+    if (result) {
+        await commandHistory.forget('notes', [id]);
+    }
+    if (result && isPrivate) {
+        await activityLog.redactEntries('note', [id]);
+    }
+    return result;
 }
 
+// Moves a note to the trash by setting its deletedAt timestamp; restoreNote brings it back.
 async function deleteNote(id) {
     if (!id) {
         throw new Error('Note ID is required for deletion.');
     }
 
-    // Use StorageManager to get all notes
-    let notes = await StorageManager.getAllNotes();
-    const initialLength = notes.length;
+    return transactNotes((notes, save) => {
+        const note = notes.find(n => n.id === id && !n.deletedAt);
+
+        if (!note) {
+            return false; // Note not found, no deletion occurred
+        }
+
+        note.deletedAt = Date.now();
+        save(notes);
+        return true; // Note moved to the trash successfully
+    });
+}
+
+async function getTrashedNotes() {
+    const notes = await StorageManager.getAllNotes();
+    return notes.filter(note => note.deletedAt).sort((a, b) => b.deletedAt - a.deletedAt);
+}
+
+async function restoreNote(id) {
+    if (!id) {
+        throw new Error('Note ID is required for restoring.');
+    }
+
+    return transactNotes((notes, save) => {
+        const note = notes.find(n => n.id === id && n.deletedAt);
+        if (!note) {
+            return null; // Note is not in the trash
+        }
 
-    const filteredNotes = notes.filter(note => note.id !== id);
+        delete note.deletedAt;
+        save(notes);
+        return note;
+    });
+}
 
-    if (filteredNotes.length === initialLength) {
-        return false; // Note not found, no deletion occurred
+// Permanently deletes the given notes from the trash; notes that are not in the trash are left alone.
+async function purgeNotes(ids) {
+    if (!Array.isArray(ids)) {
+        throw new Error('An array of note IDs is required for permanent deletion.');
     }
 
-    // Use StorageManager to save the filtered list of notes
-    await StorageManager.saveAllNotes(filteredNotes);
-    return true; // Note deleted successfully
+    return transactNotes((notes, save) => {
+        const remaining = notes.filter(note => !(note.deletedAt && ids.includes(note.id)));
+        const purgedCount = notes.length - remaining.length;
+        if (purgedCount > 0) {
+            save(remaining);
+        }
+        return purgedCount;
+    });
 }
 
 const NoteManager = {
@@ -108,8 +250,14 @@ const NoteManager = {
     createNote,
     getNoteById,
     getAllNotes,
+    getNoteContents,
+    openPrivateNotes,
     updateNote,
-    deleteNote
+    setNotePrivate,
+    deleteNote,
+    getTrashedNotes,
+    restoreNote,
+    purgeNotes
 };
 
 export default NoteManager;
\ No newline at end of file
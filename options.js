@@ -1,13 +1,44 @@
 import * as StorageManager from './storage.js';
+import { getWorkflowColumns, normalizeWorkflowColumns } from './workflow.js';
+import { DEFAULT_TRASH_RETENTION_DAYS, MAX_TRASH_RETENTION_DAYS, normalizeTrashRetentionDays } from './trash.js';
+import { DEFAULT_FIRST_DAY_OF_WEEK, normalizeFirstDayOfWeek } from './calendar.js';
+import { DEFAULT_BADGE_MODE, normalizeBadgeMode } from './badge.js';
+import syncEngine from './sync.js';
+import vault, { DEFAULT_AUTO_LOCK_MINUTES, MAX_AUTO_LOCK_MINUTES, normalizeAutoLockMinutes } from './vault.js';
 
 let themeSelect;
 let saveButton;
 let saveMessage;
 let themePreview;
 let bodyElement;
+let workflowColumnsBody;
+let addWorkflowColumnButton;
+let trashRetentionInput;
+let firstDayOfWeekSelect;
+let notificationsCheckbox;
+let badgeModeSelect;
+let syncEnabledCheckbox;
+let syncStatusText;
+let syncNowButton;
+let syncConflictsBody;
+let syncConflictsEmpty;
+let clearSyncConflictsButton;
+let vaultAutoLockInput;
+let vaultPassphraseForm;
+let vaultCurrentPassphraseGroup;
+let vaultCurrentPassphraseInput;
+let vaultNewPassphraseInput;
+let vaultConfirmPassphraseInput;
+let vaultPassphraseButton;
+let vaultMessage;
 
 const defaultSettings = {
-    theme: 'light' // Default theme
+    theme: 'light', // Default theme
+    trashRetentionDays: DEFAULT_TRASH_RETENTION_DAYS,
+    firstDayOfWeek: DEFAULT_FIRST_DAY_OF_WEEK,
+    notificationsEnabled: true, // Task reminders and timer notifications
+    badgeMode: DEFAULT_BADGE_MODE,
+    vaultAutoLockMinutes: DEFAULT_AUTO_LOCK_MINUTES
 };
 
 /**
@@ -21,8 +52,30 @@ async function init() {
     saveMessage = document.getElementById('saveMessage');
     themePreview = document.getElementById('themePreview');
     bodyElement = document.body;
+    workflowColumnsBody = document.getElementById('workflowColumns');
+    addWorkflowColumnButton = document.getElementById('addWorkflowColumnButton');
+    trashRetentionInput = document.getElementById('trashRetentionDays');
+    firstDayOfWeekSelect = document.getElementById('firstDayOfWeek');
+    notificationsCheckbox = document.getElementById('enableNotifications');
+    badgeModeSelect = document.getElementById('badgeMode');
+    syncEnabledCheckbox = document.getElementById('syncEnabled');
+    syncStatusText = document.getElementById('syncStatus');
+    syncNowButton = document.getElementById('syncNowButton');
+    syncConflictsBody = document.getElementById('syncConflicts');
+    syncConflictsEmpty = document.getElementById('syncConflictsEmpty');
+    clearSyncConflictsButton = document.getElementById('clearSyncConflictsButton');
+    vaultAutoLockInput = document.getElementById('vaultAutoLockMinutes');
+    vaultPassphraseForm = document.getElementById('vaultPassphraseForm');
+    vaultCurrentPassphraseGroup = document.getElementById('vaultCurrentPassphraseGroup');
+    vaultCurrentPassphraseInput = document.getElementById('vaultCurrentPassphrase');
+    vaultNewPassphraseInput = document.getElementById('vaultNewPassphrase');
+    vaultConfirmPassphraseInput = document.getElementById('vaultConfirmPassphrase');
+    vaultPassphraseButton = document.getElementById('vaultPassphraseButton');
+    vaultMessage = document.getElementById('vaultMessage');
 
     await loadSettingsAndRender();
+    await loadSyncAndRender();
+    await renderVaultForm();
     bindEventListeners();
 }
 
@@ -30,18 +83,47 @@ async function init() {
  * Loads the extension settings from Chrome's synchronized storage.
  * If no settings are found, it uses the `defaultSettings`.
  * After loading, it populates the UI elements with the retrieved settings.
+ *
+ * @param {Array<string>|null} [fields=null] - Only populate the elements of these settings, e.g. the
+ *        ones changed elsewhere, so that unsaved edits of the others are kept. Null populates all.
  */
-async function loadSettingsAndRender() {
+async function loadSettingsAndRender(fields = null) {
+    const shows = field => fields === null || fields.includes(field);
     try {
         // Use StorageManager.getSettings which returns a Promise
-        const items = await StorageManager.getSettings(defaultSettings);
+        const items = { ...defaultSettings, ...(await StorageManager.getSettings()) };
 
-        if (themeSelect) {
+        if (themeSelect && shows('theme')) {
             themeSelect.value = items.theme;
             updateThemePreview(items.theme);
-        } else {
+        } else if (!themeSelect) {
             console.warn('Theme select element not found. UI might not be correctly initialized.');
         }
+
+        if (firstDayOfWeekSelect && shows('firstDayOfWeek')) {
+            const firstDayOfWeek = normalizeFirstDayOfWeek(items.firstDayOfWeek);
+            firstDayOfWeekSelect.value = String(firstDayOfWeek === null ? DEFAULT_FIRST_DAY_OF_WEEK : firstDayOfWeek);
+        }
+
+        if (badgeModeSelect && shows('badgeMode')) {
+            badgeModeSelect.value = normalizeBadgeMode(items.badgeMode) || DEFAULT_BADGE_MODE;
+        }
+
+        if (notificationsCheckbox && shows('notificationsEnabled')) {
+            notificationsCheckbox.checked = items.notificationsEnabled !== false;
+        }
+
+        if (trashRetentionInput && shows('trashRetentionDays')) {
+            trashRetentionInput.value = String(normalizeTrashRetentionDays(items.trashRetentionDays) || DEFAULT_TRASH_RETENTION_DAYS);
+        }
+
+        if (vaultAutoLockInput && shows('vaultAutoLockMinutes')) {
+            vaultAutoLockInput.value = String(normalizeAutoLockMinutes(items.vaultAutoLockMinutes) || DEFAULT_AUTO_LOCK_MINUTES);
+        }
+
+        if (shows('workflowColumns')) {
+            renderWorkflowColumns(await getWorkflowColumns());
+        }
     } catch (error) {
         console.error('Error loading settings:', error);
         // Optionally provide user feedback for loading error
@@ -58,13 +140,57 @@ async function saveSettings() {
         return;
     }
 
-    const settings = {
-        theme: themeSelect.value
+    const workflowColumns = normalizeWorkflowColumns(readWorkflowColumns());
+    if (!workflowColumns) {
+        if (saveMessage) {
+            saveMessage.textContent = 'Every workflow column needs a unique name, WIP limits must be positive whole numbers, and at least one column must be marked done.';
+            saveMessage.style.color = 'red';
+        }
+        return;
+    }
+
+    const trashRetentionDays = trashRetentionInput
+        ? normalizeTrashRetentionDays(trashRetentionInput.value)
+        : DEFAULT_TRASH_RETENTION_DAYS;
+    if (!trashRetentionDays) {
+        if (saveMessage) {
+            saveMessage.textContent = `Deleted items must be kept for a whole number of days from 1 to ${MAX_TRASH_RETENTION_DAYS}.`;
+            saveMessage.style.color = 'red';
+        }
+        return;
+    }
+
+    const vaultAutoLockMinutes = vaultAutoLockInput
+        ? normalizeAutoLockMinutes(vaultAutoLockInput.value)
+        : DEFAULT_AUTO_LOCK_MINUTES;
+    if (!vaultAutoLockMinutes) {
+        if (saveMessage) {
+            saveMessage.textContent = `Private notes must lock after a whole number of minutes from 1 to ${MAX_AUTO_LOCK_MINUTES}.`;
+            saveMessage.style.color = 'red';
+        }
+        return;
+    }
+
+    const changes = {
+        theme: themeSelect.value,
+        workflowColumns,
+        trashRetentionDays,
+        vaultAutoLockMinutes
     };
+    if (firstDayOfWeekSelect) {
+        changes.firstDayOfWeek = normalizeFirstDayOfWeek(firstDayOfWeekSelect.value);
+    }
+    if (badgeModeSelect) {
+        changes.badgeMode = normalizeBadgeMode(badgeModeSelect.value) || DEFAULT_BADGE_MODE;
+    }
+    if (notificationsCheckbox) {
+        changes.notificationsEnabled = notificationsCheckbox.checked;
+    }
 
     try {
-        // Use StorageManager.saveSettings which returns a Promise
-        await StorageManager.saveSettings(settings);
+        // Merge into the stored settings so keys owned by other features are kept
+        const settings = await StorageManager.updateSettings(changes);
+        renderWorkflowColumns(workflowColumns);
 
         if (saveMessage) {
             saveMessage.textContent = 'Settings saved!';
@@ -75,10 +201,7 @@ async function saveSettings() {
         }
         // Ensure the UI immediately reflects the saved theme
         updateThemePreview(settings.theme);
-
-        // Send a message to background script or active tabs to apply theme changes immediately.
-        chrome.runtime.sendMessage({ action: "settingsUpdated", settings: settings });
-
+        // The popup and the background script follow the change through their storage subscriptions
     } catch (error) {
         console.error('Error saving settings:', error);
         if (saveMessage) {
@@ -88,6 +211,275 @@ async function saveSettings() {
     }
 }
 
+/**
+ * Loads the sync state and the conflict log and renders the Sync section.
+ * Called on load and whenever either changes, e.g. when the background script finishes a sync.
+ */
+async function loadSyncAndRender() {
+    try {
+        const [state, conflicts] = await Promise.all([syncEngine.getState(), syncEngine.getConflicts()]);
+        renderSyncState(state);
+        renderSyncConflicts(conflicts);
+    } catch (error) {
+        console.error('Error loading the sync state:', error);
+    }
+}
+
+/**
+ * Shows whether sync is on and how the last sync went.
+ *
+ * @param {object} state - The sync state (see `DEFAULT_SYNC_STATE` in sync.js).
+ */
+function renderSyncState(state) {
+    if (syncEnabledCheckbox) {
+        syncEnabledCheckbox.checked = state.enabled;
+    }
+    if (syncNowButton) {
+        syncNowButton.disabled = !state.enabled || state.status === 'syncing';
+    }
+    if (!syncStatusText) {
+        return;
+    }
+    const usage = `${Math.ceil(state.usageBytes / 1024)} of ${Math.floor(state.quotaBytes / 1024)} KB of Chrome sync storage in use.`;
+    const statusTexts = {
+        off: 'Sync is off on this computer.',
+        pending: 'Waiting to sync...',
+        syncing: 'Syncing...',
+        synced: state.lastSyncAt ? `Last synced ${new Date(state.lastSyncAt).toLocaleString()}. ${usage}` : usage,
+        error: `Sync failed: ${state.lastError} Retrying in a few minutes.`,
+        quotaExceeded: `Sync is paused: ${state.lastError}`
+    };
+    syncStatusText.textContent = statusTexts[state.status] || '';
+    syncStatusText.classList.toggle('error', state.status === 'error' || state.status === 'quotaExceeded');
+}
+
+/**
+ * Formats a value from the conflict log for display.
+ *
+ * @param {*} value - The value, as recorded by the conflict log.
+ * @returns {string} The text to show.
+ */
+function formatConflictValue(value) {
+    if (value === null || value === undefined || value === '') {
+        return '(empty)';
+    }
+    return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Renders the sync conflict log, newest first.
+ *
+ * @param {Array<object>} conflicts - The conflicts (see `createConflict` in sync.js).
+ */
+function renderSyncConflicts(conflicts) {
+    if (!syncConflictsBody) {
+        return;
+    }
+    syncConflictsBody.innerHTML = '';
+    conflicts.forEach(conflict => {
+        const localKept = conflict.kept === 'local';
+        const item = conflict.collection === 'settings'
+            ? 'Settings'
+            : `${conflict.collection === 'notes' ? 'Note' : 'Task'} "${conflict.title || 'Untitled'}"`;
+        // A null field means the item was deleted on one computer and changed on the other; the change is kept
+        const cells = conflict.field === null
+            ? [item, '(whole item)', 'Changes', 'Deleted']
+            : [
+                item,
+                conflict.field,
+                `${formatConflictValue(localKept ? conflict.localValue : conflict.remoteValue)} (${localKept ? 'this computer' : 'another computer'})`,
+                formatConflictValue(localKept ? conflict.remoteValue : conflict.localValue)
+            ];
+
+        const row = document.createElement('tr');
+        [new Date(conflict.at).toLocaleString(), ...cells].forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        syncConflictsBody.appendChild(row);
+    });
+    if (syncConflictsEmpty) {
+        syncConflictsEmpty.hidden = conflicts.length > 0;
+    }
+}
+
+/**
+ * Asks the background script to sync now; the Sync section updates through the storage change
+ * listener when it's done.
+ */
+async function requestSync() {
+    try {
+        await chrome.runtime.sendMessage({ type: 'SYNC_NOW' });
+    } catch (error) {
+        console.error('Error requesting a sync:', error);
+    }
+}
+
+/**
+ * Turns sync on or off for this computer right away (without "Save Settings"), then syncs.
+ *
+ * @param {boolean} enabled - Whether to sync.
+ */
+async function setSyncEnabled(enabled) {
+    try {
+        renderSyncState(await syncEngine.setEnabled(enabled));
+        if (enabled) {
+            await requestSync();
+        }
+    } catch (error) {
+        console.error('Error changing the sync setting:', error);
+    }
+}
+
+/**
+ * Shows the passphrase form of private notes as "set" (no passphrase yet) or "change" (with the
+ * current passphrase).
+ */
+async function renderVaultForm() {
+    if (!vaultPassphraseForm) {
+        return;
+    }
+    try {
+        const { isSetUp } = await vault.getStatus();
+        vaultCurrentPassphraseGroup.hidden = !isSetUp;
+        vaultPassphraseButton.textContent = isSetUp ? 'Change Passphrase' : 'Set Passphrase';
+    } catch (error) {
+        console.error('Error reading the vault status:', error);
+    }
+}
+
+/**
+ * Shows the outcome of setting or changing the passphrase.
+ *
+ * @param {string} text - The message.
+ * @param {boolean} [isError=false] - Whether it is an error.
+ */
+function showVaultMessage(text, isError = false) {
+    if (vaultMessage) {
+        vaultMessage.textContent = text;
+        vaultMessage.classList.toggle('error', isError);
+    }
+}
+
+/**
+ * Sets the passphrase of private notes, or changes it, which re-encrypts every private note.
+ * Applied right away, without "Save Settings".
+ *
+ * @param {Event} event - The form submission event.
+ */
+async function handleVaultPassphraseSubmit(event) {
+    event.preventDefault();
+    const currentPassphrase = vaultCurrentPassphraseInput.value;
+    const newPassphrase = vaultNewPassphraseInput.value;
+    if (newPassphrase !== vaultConfirmPassphraseInput.value) {
+        showVaultMessage('The new passphrases don\'t match.', true);
+        return;
+    }
+
+    vaultPassphraseButton.disabled = true; // Deriving the keys takes a moment
+    try {
+        const { isSetUp } = await vault.getStatus();
+        if (isSetUp) {
+            const count = await vault.changePassphrase(currentPassphrase, newPassphrase);
+            showVaultMessage(`Passphrase changed. ${count} private note${count === 1 ? ' was' : 's were'} re-encrypted.`);
+        } else {
+            await vault.setUp(newPassphrase);
+            showVaultMessage('Passphrase set. Private notes are unlocked.');
+        }
+        vaultPassphraseForm.reset();
+        await renderVaultForm();
+    } catch (error) {
+        console.error('Error setting the passphrase:', error);
+        showVaultMessage(error.name === 'InvalidPassphraseError' ? 'The current passphrase is wrong.' : error.message, true);
+    } finally {
+        vaultPassphraseButton.disabled = false;
+    }
+}
+
+/**
+ * Appends an editable row for a workflow column to the workflow table.
+ * The column's ID is kept on the row so that renaming a column doesn't orphan its tasks.
+ *
+ * @param {object} [column] - The column to edit; omit to add an empty row.
+ */
+function appendWorkflowColumnRow(column = { id: '', name: '', isDone: false, wipLimit: null }) {
+    const row = document.createElement('tr');
+    row.dataset.columnId = column.id;
+
+    const nameCell = document.createElement('td');
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.className = 'workflow-name';
+    nameInput.value = column.name;
+    nameInput.placeholder = 'e.g., Review';
+    nameCell.appendChild(nameInput);
+
+    const doneCell = document.createElement('td');
+    const doneInput = document.createElement('input');
+    doneInput.type = 'checkbox';
+    doneInput.className = 'workflow-done';
+    doneInput.checked = column.isDone;
+    doneCell.appendChild(doneInput);
+
+    const limitCell = document.createElement('td');
+    const limitInput = document.createElement('input');
+    limitInput.type = 'number';
+    limitInput.min = '1';
+    limitInput.className = 'workflow-wip-limit';
+    limitInput.value = column.wipLimit === null ? '' : String(column.wipLimit);
+    limitInput.placeholder = 'No limit';
+    limitCell.appendChild(limitInput);
+
+    const actionsCell = document.createElement('td');
+    [['move-up', '\u2191', 'Move up'], ['move-down', '\u2193', 'Move down'], ['remove', '\u00D7', 'Remove']].forEach(([action, text, title]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = text;
+        button.title = title;
+        button.dataset.action = action;
+        actionsCell.appendChild(button);
+    });
+
+    nameInput.setAttribute('aria-label', 'Column name');
+    doneInput.setAttribute('aria-label', 'Done column');
+    limitInput.setAttribute('aria-label', 'WIP limit');
+
+    row.append(nameCell, doneCell, limitCell, actionsCell);
+    workflowColumnsBody.appendChild(row);
+}
+
+/**
+ * Renders the workflow columns editor.
+ *
+ * @param {Array<object>} columns - The workflow columns, in board order.
+ */
+function renderWorkflowColumns(columns) {
+    if (!workflowColumnsBody) {
+        console.warn('Workflow columns table not found. Workflow settings cannot be edited.');
+        return;
+    }
+    workflowColumnsBody.innerHTML = '';
+    columns.forEach(column => appendWorkflowColumnRow(column));
+}
+
+/**
+ * Reads the workflow columns from the editor, in board order.
+ *
+ * @returns {Array<object>} The columns as entered; validated by `normalizeWorkflowColumns` on save.
+ */
+function readWorkflowColumns() {
+    if (!workflowColumnsBody) {
+        return [];
+    }
+    return Array.from(workflowColumnsBody.querySelectorAll('tr')).map(row => ({
+        id: row.dataset.columnId,
+        name: row.querySelector('.workflow-name').value,
+        isDone: row.querySelector('.workflow-done').checked,
+        wipLimit: row.querySelector('.workflow-wip-limit').value
+    }));
+}
+
 /**
  * Binds event listeners to UI elements, such as the save button and theme selector.
  */
@@ -99,6 +491,48 @@ function bindEventListeners() {
         console.warn('Save button element not found. Save functionality might not work.');
     }
 
+    if (addWorkflowColumnButton && workflowColumnsBody) {
+        addWorkflowColumnButton.addEventListener('click', () => appendWorkflowColumnRow());
+
+        // Event delegation for the move/remove buttons of each workflow column row
+        workflowColumnsBody.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+            const row = button.closest('tr');
+            switch (button.dataset.action) {
+                case 'move-up':
+                    if (row.previousElementSibling) row.parentNode.insertBefore(row, row.previousElementSibling);
+                    break;
+                case 'move-down':
+                    if (row.nextElementSibling) row.parentNode.insertBefore(row.nextElementSibling, row);
+                    break;
+                case 'remove':
+                    row.remove();
+                    break;
+            }
+        });
+    }
+
+    if (syncEnabledCheckbox) {
+        syncEnabledCheckbox.addEventListener('change', (event) => setSyncEnabled(event.target.checked));
+    }
+    if (syncNowButton) {
+        syncNowButton.addEventListener('click', requestSync);
+    }
+    if (clearSyncConflictsButton) {
+        clearSyncConflictsButton.addEventListener('click', () => syncEngine.clearConflicts());
+    }
+    if (vaultPassphraseForm) {
+        vaultPassphraseForm.addEventListener('submit', handleVaultPassphraseSubmit);
+    }
+    const { SETTINGS, SYNC_STATE, SYNC_CONFLICTS, VAULT } = StorageManager.STORAGE_KEYS;
+    // Settings changed in the popup, by a sync or in another options page show up right away
+    StorageManager.subscribe(SETTINGS, change => loadSettingsAndRender(change.fields));
+    // The background script syncs; follow its progress and the conflicts it logs
+    StorageManager.subscribe([SYNC_STATE, SYNC_CONFLICTS], () => loadSyncAndRender());
+    // The passphrase may be set in another options page
+    StorageManager.subscribe(VAULT, () => renderVaultForm());
+
     // Event listener for theme selection change
     if (themeSelect) {
         themeSelect.addEventListener('change', (event) => {
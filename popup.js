@@ -1,7 +1,23 @@
 import * as StorageManager from './storage.js';
+import NoteManager from './note.js';
+import vault from './vault.js';
+import commandHistory from './commandhistory.js';
+import activityLog from './activitylog.js';
+import UserNotificationSystem from './usernotificationsystem.js';
+import projectManager from './project.js';
+import templateManager from './template.js';
+import taskManager, { InvalidInputError, PRIORITIES, getOpenBlockers, getCompletionPercentage, isDeferred } from './task.js';
 import * as YoutubeManager from './youtube.js';
 import * as RichTextEditorManager from './richtexteditor.js';
+import timeTracker, { formatDuration } from './timetracker.js';
+import { formatDate, parseDueDate } from './recurrence.js';
+import { parseQuickAdd } from './quickaddparser.js';
+import { getWorkflowColumns, resolveTaskStatus, countTasksByStatus } from './workflow.js';
+import { getFirstDayOfWeek, addDays, getWeekDays, getMonthGrid, getCalendarRange, shiftCalendarAnchor, groupTasksByDueDay, isOverdue, moveDueDateToDay } from './calendar.js';
+import { exportTasksToICalendar, previewICalendarImport, importICalendar } from './icalendar.js';
+import { DEFER_PRESETS, getDeferPresetTime, parseDeferInput } from './defer.js';
 import { isValidText, isValidUrl } from './inputvalidator.js';
+import { isTrashed, trashVideo, getTrashedItems, restoreItem, deleteItemForever, emptyTrash, getTrashRetentionDays } from './trash.js';
 
 const PopupManager = (() => {
     const STORAGE_KEYS = StorageManager.STORAGE_KEYS;
@@ -10,6 +26,68 @@ const PopupManager = (() => {
     const uiElements = {};
     let noteEditorInstance = null; // Instance for the rich text editor
 
+    // Current task list filters, passed straight to taskManager.queryTasks
+    const taskQuery = {
+        status: 'all',
+        priority: null,
+        tags: [],
+        sort: '-createdAt',
+        includeDeferred: false // Snoozed tasks only show up under the "Snoozed" filter
+    };
+
+    // IDs of tasks and subtasks whose subtask trees are collapsed in the list
+    const collapsedNodeIds = new Set();
+
+    // Time tracking state, loaded alongside the tasks. The timer itself is owned by the background service worker.
+    let activeTimer = null;
+    let timeSummary = { byTask: {}, byDay: {}, total: 0 };
+    let timerTickInterval = null;
+
+    // Multi-select state for bulk actions. `renderedTaskIds` keeps the on-screen order for shift-click ranges.
+    let selectionMode = false;
+    const selectedTaskIds = new Set();
+    let lastSelectedTaskId = null;
+    let renderedTaskIds = [];
+
+    // ID of the task being dragged in manual sort mode
+    let draggedTaskId = null;
+
+    // 'list', 'board' or 'calendar'; the board shows one column per workflow status
+    let taskView = 'list';
+    let workflowColumns = [];
+    let draggedCardId = null;
+
+    // Calendar view state: the layout ('month', 'week' or 'agenda'), the date it shows and the week start setting
+    let calendarLayout = 'month';
+    let calendarAnchor = new Date();
+    let firstDayOfWeek = 0;
+    let draggedCalendarTaskId = null;
+
+    // What importing the picked .ics file would do, shown for confirmation; null when no import is pending
+    let pendingIcalPreview = null;
+
+    // The project all three tabs are scoped to; null shows everything. Persisted in the settings.
+    let currentProjectId = null;
+
+    // Loads the content of rendered notes as they scroll into view (see renderNotes)
+    let noteContentObserver = null;
+
+    // Whether the vault of private notes is set up and unlocked (see vault.js and refreshVault)
+    let vaultStatus = { isSetUp: false, isUnlocked: false, expiresAt: null };
+
+    // How many entries the recent activity feed shows
+    const RECENT_ACTIVITY_LIMIT = 50;
+
+    // How long storage changes are collected before the parts of the popup they touch re-render (see scheduleRefresh)
+    const LIVE_REFRESH_DELAY_MS = 50;
+
+    // The parts of the popup waiting to re-render after storage changes, and the timer that re-renders them
+    const pendingRefreshes = new Set();
+    let liveRefreshTimer = null;
+
+    // The history collection holding each kind of trashed item (see trash.js)
+    const TRASH_COLLECTIONS = { task: 'tasks', note: 'notes', video: 'videos' };
+
     /**
      * Applies internationalization strings to UI elements.
      */
@@ -44,20 +122,71 @@ const PopupManager = (() => {
      */
     async function init() {
         // Cache all necessary UI elements
+        uiElements.projectSelect = document.getElementById('project-select');
+        uiElements.projectColorInput = document.getElementById('project-color-input');
+        uiElements.projectActions = document.getElementById('project-actions');
+        uiElements.projectSummary = document.getElementById('project-summary');
+
         uiElements.navTasks = document.getElementById('nav-tasks');
         uiElements.navNotes = document.getElementById('nav-notes');
         uiElements.navYoutube = document.getElementById('nav-youtube');
+        uiElements.navTrash = document.getElementById('nav-trash');
+        uiElements.navActivity = document.getElementById('nav-activity');
 
         uiElements.tasksSection = document.getElementById('tasks-section');
         uiElements.notesSection = document.getElementById('notes-section');
         uiElements.youtubeSection = document.getElementById('youtube-section');
+        uiElements.trashSection = document.getElementById('trash-section');
+        uiElements.activitySection = document.getElementById('activity-section');
 
         uiElements.taskForm = document.getElementById('task-form');
         uiElements.taskInput = document.getElementById('task-input');
+        uiElements.quickAddPreview = document.getElementById('quick-add-preview');
         uiElements.taskList = document.getElementById('task-list');
+        uiElements.taskBoard = document.getElementById('task-board');
+        uiElements.taskViewSwitch = document.getElementById('task-view-switch');
+        uiElements.taskCalendar = document.getElementById('task-calendar');
+        uiElements.calendarLayoutSwitch = document.getElementById('calendar-layout-switch');
+        uiElements.calendarTitle = document.getElementById('calendar-title');
+        uiElements.calendarGrid = document.getElementById('calendar-grid');
+        uiElements.calendarUndated = document.getElementById('calendar-undated');
+        uiElements.taskFilterBar = document.getElementById('task-filter-bar');
+        uiElements.taskStatusChips = document.getElementById('task-status-chips');
+        uiElements.taskPriorityChips = document.getElementById('task-priority-chips');
+        uiElements.taskTagChips = document.getElementById('task-tag-chips');
+        uiElements.taskSortSelect = document.getElementById('task-sort-select');
+        uiElements.toggleSelectButton = document.getElementById('toggle-select-btn');
+        uiElements.bulkActionBar = document.getElementById('bulk-action-bar');
+        uiElements.bulkSelectionCount = document.getElementById('bulk-selection-count');
+        uiElements.bulkRescheduleInput = document.getElementById('bulk-reschedule-input');
+        uiElements.timerBar = document.getElementById('active-timer-bar');
+        uiElements.activeTimerLabel = document.getElementById('active-timer-label');
+        uiElements.stopTimerButton = document.getElementById('stop-timer-btn');
+        uiElements.timerModeSelect = document.getElementById('timer-mode-select');
+        uiElements.timeSummaryList = document.getElementById('time-summary-list');
+        uiElements.templateAnchorInput = document.getElementById('template-anchor-input');
+        uiElements.templateList = document.getElementById('template-list');
+        uiElements.exportTemplatesButton = document.getElementById('export-templates-btn');
+        uiElements.importTemplatesButton = document.getElementById('import-templates-btn');
+        uiElements.importTemplatesInput = document.getElementById('import-templates-input');
+        uiElements.icalComponentSelect = document.getElementById('ical-component-select');
+        uiElements.exportIcalButton = document.getElementById('export-ical-btn');
+        uiElements.importIcalButton = document.getElementById('import-ical-btn');
+        uiElements.importIcalInput = document.getElementById('import-ical-input');
+        uiElements.icalPreview = document.getElementById('ical-preview');
+        uiElements.icalPreviewSummary = document.getElementById('ical-preview-summary');
+        uiElements.icalPreviewList = document.getElementById('ical-preview-list');
+        uiElements.confirmIcalImportButton = document.getElementById('confirm-ical-import-btn');
+        uiElements.cancelIcalImportButton = document.getElementById('cancel-ical-import-btn');
 
+        uiElements.vaultForm = document.getElementById('vault-form');
+        uiElements.vaultStatus = document.getElementById('vault-status');
+        uiElements.vaultPassphraseInput = document.getElementById('vault-passphrase-input');
+        uiElements.vaultUnlockButton = document.getElementById('vault-unlock-btn');
+        uiElements.vaultLockButton = document.getElementById('vault-lock-btn');
         uiElements.noteForm = document.getElementById('note-form');
         uiElements.noteTitleInput = document.getElementById('note-title-input');
+        uiElements.notePrivateInput = document.getElementById('note-private-input');
         uiElements.noteEditorContainer = document.getElementById('note-editor-container'); // Changed from noteContentInput to a container for RTE
         uiElements.noteList = document.getElementById('note-list');
 
@@ -65,6 +194,12 @@ const PopupManager = (() => {
         uiElements.youtubeUrlInput = document.getElementById('youtube-url-input');
         uiElements.youtubeVideosContainer = document.getElementById('youtube-videos-container');
 
+        uiElements.trashRetentionHint = document.getElementById('trash-retention-hint');
+        uiElements.emptyTrashButton = document.getElementById('empty-trash-btn');
+        uiElements.trashList = document.getElementById('trash-list');
+
+        uiElements.activityFeed = document.getElementById('activity-feed');
+
         // Initialize rich text editor
         if (uiElements.noteEditorContainer) {
             noteEditorInstance = RichTextEditorManager.create(uiElements.noteEditorContainer);
@@ -72,7 +207,10 @@ const PopupManager = (() => {
             console.error("Note editor container not found. Rich text editor not initialized.");
         }
 
+        UserNotificationSystem.init();
+        activityLog.setDefaultOrigin('popup');
         bindEventListeners();
+        watchStorage();
         applyI18n(); // Apply i18n translations
         await refreshData();
         navigateTo('tasks'); // Default view on load
@@ -81,7 +219,7 @@ const PopupManager = (() => {
     /**
      * Navigates to a specific section of the popup UI.
      * Hides all sections and displays the target section, updating navigation button styles.
-     * @param {string} section - The ID of the section to navigate to ('tasks', 'notes', 'youtube').
+     * @param {string} section - The ID of the section to navigate to ('tasks', 'notes', 'youtube', 'trash', 'activity').
      */
     function navigateTo(section) {
         // Hide all section elements
@@ -103,254 +241,1824 @@ const PopupManager = (() => {
                 uiElements.youtubeSection.classList.add('active');
                 uiElements.navYoutube.classList.add('active');
                 break;
+            case 'trash':
+                uiElements.trashSection.classList.add('active');
+                uiElements.navTrash.classList.add('active');
+                break;
+            case 'activity':
+                uiElements.activitySection.classList.add('active');
+                uiElements.navActivity.classList.add('active');
+                break;
         }
     }
 
     /**
      * Renders the list of tasks to the UI.
+     * Tasks are expected to be filtered and sorted already (see `refreshTasks`).
+     * Tasks with open blockers are greyed out and list the tasks blocking them.
      * @param {Array<Object>} tasks - An array of task objects to display.
+     * @param {Array<Object>} [allTasks=tasks] - All stored tasks, used to resolve blockers hidden by the filters.
      */
-    function renderTasks(tasks) {
+    function renderTasks(tasks, allTasks = tasks) {
         uiElements.taskList.innerHTML = ''; // Clear current tasks
 
+        // Drop selected tasks that were deleted or filtered out
+        renderedTaskIds = tasks.map(task => task.id);
+        [...selectedTaskIds].forEach(id => {
+            if (!renderedTaskIds.includes(id)) selectedTaskIds.delete(id);
+        });
+        renderBulkActionBar();
+
         if (tasks.length === 0) {
             uiElements.taskList.innerHTML = '<li class="no-items">' + chrome.i18n.getMessage('noTasksYet') + '</li>';
             return;
         }
 
-        // Sort tasks by timestamp (newest first)
-        tasks.sort((a, b) => b.timestamp - a.timestamp);
-
         tasks.forEach(task => {
             const li = document.createElement('li');
             li.dataset.id = task.id;
-            li.className = task.completed ? 'completed' : '';
+            const blockers = task.isComplete ? [] : getOpenBlockers(task, allTasks);
+            li.classList.toggle('completed', task.isComplete);
+            li.classList.toggle('blocked', blockers.length > 0);
+
+            if (taskQuery.sort === 'manual') {
+                li.draggable = true;
+                li.tabIndex = 0; // Focusable for Alt+Up/Down reordering
+                li.classList.add('reorderable');
+            }
+
+            if (selectionMode) {
+                const selectBox = document.createElement('input');
+                selectBox.type = 'checkbox';
+                selectBox.className = 'task-select';
+                selectBox.checked = selectedTaskIds.has(task.id);
+                selectBox.dataset.action = 'select-task';
+                selectBox.setAttribute('aria-label', task.title);
+                li.classList.toggle('selected', selectBox.checked);
+                li.appendChild(selectBox);
+            }
 
             const checkbox = document.createElement('input');
             checkbox.type = 'checkbox';
-            checkbox.checked = task.completed;
+            checkbox.checked = task.isComplete;
             checkbox.dataset.action = 'toggle-complete';
             li.appendChild(checkbox);
 
+            if (task.priority && task.priority !== 'none') {
+                const priorityBadge = document.createElement('span');
+                priorityBadge.className = `task-priority priority-${task.priority}`;
+                priorityBadge.textContent = chrome.i18n.getMessage(`priority_${task.priority}`) || task.priority;
+                li.appendChild(priorityBadge);
+            }
+
             const span = document.createElement('span');
-            span.textContent = task.content; // Use textContent to prevent XSS
+            span.textContent = task.title; // Use textContent to prevent XSS
             li.appendChild(span);
 
+            (task.tags || []).forEach(tag => {
+                const tagSpan = document.createElement('span');
+                tagSpan.className = 'task-tag';
+                tagSpan.textContent = `#${tag}`;
+                li.appendChild(tagSpan);
+            });
+
+            if (blockers.length > 0) {
+                const blockedBySpan = document.createElement('span');
+                blockedBySpan.className = 'task-blockers';
+                blockedBySpan.textContent = `${chrome.i18n.getMessage('blockedByLabel') || 'Blocked by:'} ${blockers.map(blocker => blocker.title).join(', ')}`;
+                li.appendChild(blockedBySpan);
+            }
+
+            if (isDeferred(task)) {
+                const deferredSpan = document.createElement('span');
+                deferredSpan.className = 'task-deferred';
+                deferredSpan.textContent = describeDeferral(task.deferUntil);
+                li.appendChild(deferredSpan);
+            }
+
+            const trackedTime = timeSummary.byTask[task.id];
+            if (trackedTime) {
+                const timeSpan = document.createElement('span');
+                timeSpan.className = 'task-tracked-time';
+                timeSpan.textContent = formatDuration(trackedTime);
+                li.appendChild(timeSpan);
+            }
+
+            const isTiming = activeTimer && activeTimer.taskId === task.id;
+            const timerButton = document.createElement('button');
+            timerButton.textContent = isTiming ? '\u25A0' : '\u25B6'; // Stop square / play triangle
+            timerButton.title = chrome.i18n.getMessage(isTiming ? 'stopTimerButton' : 'startTimerButton');
+            timerButton.dataset.action = isTiming ? 'stop-timer' : 'start-timer';
+            timerButton.className = isTiming ? 'timer-button running' : 'timer-button';
+            li.appendChild(timerButton);
+
+            const addSubtaskButton = document.createElement('button');
+            addSubtaskButton.textContent = '+';
+            addSubtaskButton.title = chrome.i18n.getMessage('addSubtaskButton');
+            addSubtaskButton.dataset.action = 'add-subtask';
+            li.appendChild(addSubtaskButton);
+
+            const templateButton = document.createElement('button');
+            templateButton.textContent = '\u29C9'; // Two joined squares
+            templateButton.title = chrome.i18n.getMessage('saveAsTemplateButton') || 'Save as template';
+            templateButton.dataset.action = 'save-template';
+            li.appendChild(templateButton);
+
+            const reminderButton = document.createElement('button');
+            reminderButton.textContent = '\u23F0'; // Alarm clock
+            reminderButton.dataset.action = 'set-reminder';
+            if (Number.isInteger(task.reminderMinutes)) {
+                reminderButton.classList.add('reminder-set');
+                reminderButton.title = describeReminder(task.reminderMinutes);
+            } else {
+                reminderButton.title = chrome.i18n.getMessage('setReminderButton') || 'Set reminder';
+            }
+            li.appendChild(reminderButton);
+
+            const deferButton = document.createElement('button');
+            deferButton.textContent = '\u23F3'; // Hourglass
+            deferButton.title = chrome.i18n.getMessage('deferButton') || 'Snooze';
+            deferButton.dataset.action = 'toggle-defer-menu';
+            deferButton.setAttribute('aria-haspopup', 'true');
+            li.appendChild(deferButton);
+
+            li.appendChild(createActivityButton());
+
             const deleteButton = document.createElement('button');
             deleteButton.textContent = chrome.i18n.getMessage('deleteButton');
             deleteButton.dataset.action = 'delete-task';
             li.appendChild(deleteButton);
 
+            if (task.subtasks && task.subtasks.length > 0) {
+                li.insertBefore(createSubtaskToggle(task), checkbox);
+                li.insertBefore(createProgressLabel(task), addSubtaskButton);
+                if (!collapsedNodeIds.has(task.id)) {
+                    li.appendChild(renderSubtaskTree(task.subtasks));
+                }
+            }
+
             uiElements.taskList.appendChild(li);
         });
     }
 
     /**
-     * Renders the list of notes to the UI.
-     * @param {Array<Object>} notes - An array of note objects to display.
+     * Updates the bulk action bar and the select-mode toggle to reflect the current selection.
      */
-    function renderNotes(notes) {
-        uiElements.noteList.innerHTML = ''; // Clear current notes
+    function renderBulkActionBar() {
+        uiElements.toggleSelectButton.setAttribute('aria-pressed', String(selectionMode));
+        uiElements.bulkActionBar.hidden = !selectionMode;
+        uiElements.bulkSelectionCount.textContent = chrome.i18n.getMessage('bulkSelectionCount', [String(selectedTaskIds.size)])
+            || `${selectedTaskIds.size} selected`;
+        uiElements.bulkActionBar.querySelectorAll('button:not([data-bulk-action="select-all"])').forEach(button => {
+            button.disabled = selectedTaskIds.size === 0;
+        });
+    }
 
-        if (notes.length === 0) {
-            uiElements.noteList.innerHTML = '<div class="no-items">' + chrome.i18n.getMessage('noNotesYet') + '</div>';
-            return;
+    /**
+     * Selects or deselects a task. With `extendRange`, every task rendered between the previously
+     * clicked task and this one gets the same state, like shift-click in a file manager.
+     * @param {string} taskId - The ID of the clicked task.
+     * @param {boolean} selected - Whether the task should be selected.
+     * @param {boolean} extendRange - Whether to apply the state to the whole range since the last click.
+     */
+    function setTaskSelected(taskId, selected, extendRange) {
+        let ids = [taskId];
+        const anchorIndex = renderedTaskIds.indexOf(lastSelectedTaskId);
+        if (extendRange && anchorIndex !== -1) {
+            const index = renderedTaskIds.indexOf(taskId);
+            ids = renderedTaskIds.slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1);
         }
+        ids.forEach(id => {
+            if (selected) {
+                selectedTaskIds.add(id);
+            } else {
+                selectedTaskIds.delete(id);
+            }
+        });
+        lastSelectedTaskId = taskId;
 
-        // Sort notes by timestamp (newest first)
-        notes.sort((a, b) => b.timestamp - a.timestamp);
+        uiElements.taskList.querySelectorAll('li[data-id]').forEach(li => {
+            const isSelected = selectedTaskIds.has(li.dataset.id);
+            li.classList.toggle('selected', isSelected);
+            const selectBox = li.querySelector(':scope > .task-select');
+            if (selectBox) selectBox.checked = isSelected;
+        });
+        renderBulkActionBar();
+    }
 
-        notes.forEach(note => {
-            const div = document.createElement('div');
-            div.dataset.id = note.id;
-            div.className = 'note-item';
+    /**
+     * Turns multi-select mode on or off. Leaving it clears the selection.
+     * @param {boolean} enabled - Whether selection mode should be active.
+     */
+    async function setSelectionMode(enabled) {
+        selectionMode = enabled;
+        selectedTaskIds.clear();
+        lastSelectedTaskId = null;
+        await refreshTasks();
+    }
 
-            const h3 = document.createElement('h3');
-            h3.textContent = note.title; // Use textContent to prevent XSS
-            div.appendChild(h3);
+    /**
+     * Runs a bulk action from the action bar against the selected tasks.
+     * Every action is a single storage write and a single undoable command.
+     * @param {string} action - The `data-bulk-action` of the clicked button.
+     */
+    async function handleBulkAction(action) {
+        if (action === 'select-all') {
+            renderedTaskIds.forEach(id => selectedTaskIds.add(id));
+            await refreshTasks();
+            return;
+        }
 
-            const p = document.createElement('p');
-            // Assuming note.content is HTML from the rich text editor
-            p.innerHTML = note.content;
-            div.appendChild(p);
+        const ids = [...selectedTaskIds];
+        if (ids.length === 0) return;
 
-            const deleteButton = document.createElement('button');
-            deleteButton.textContent = chrome.i18n.getMessage('deleteButton');
-            deleteButton.dataset.action = 'delete-note';
-            div.appendChild(deleteButton);
+        switch (action) {
+            case 'complete':
+            case 'reopen': {
+                const isComplete = action === 'complete';
+                const label = isComplete
+                    ? historyLabel('historyBulkComplete', 'Complete selected tasks')
+                    : historyLabel('historyBulkReopen', 'Reopen selected tasks');
+                try {
+                    await commandHistory.record(label, 'tasks', () => taskManager.bulkSetStatus(ids, isComplete));
+                } catch (error) {
+                    if (error.name !== 'TaskBlockedError') {
+                        throw error;
+                    }
+                    const blockerTitles = error.blockers.map(blocker => blocker.title).join(', ');
+                    const confirmText = chrome.i18n.getMessage('confirmCompleteBlockedTasks', [blockerTitles])
+                        || `Some selected tasks are blocked by: ${blockerTitles}. Complete them anyway?`;
+                    if (!confirm(confirmText)) return;
+                    await commandHistory.record(label, 'tasks', () => taskManager.bulkSetStatus(ids, isComplete, { force: true }));
+                }
+                break;
+            }
+            case 'add-tag': {
+                const tag = prompt(chrome.i18n.getMessage('bulkTagPrompt') || 'Tag to add to the selected tasks:');
+                if (!isValidText(tag, 1)) return;
+                await commandHistory.record(historyLabel('historyBulkAddTag', 'Tag selected tasks'), 'tasks', () =>
+                    taskManager.bulkAddTag(ids, tag)
+                );
+                break;
+            }
+            case 'postpone':
+                await commandHistory.record(historyLabel('historyBulkReschedule', 'Reschedule selected tasks'), 'tasks', () =>
+                    taskManager.bulkReschedule(ids, { shiftDays: 1 })
+                );
+                break;
+            case 'reschedule': {
+                const dueDate = uiElements.bulkRescheduleInput.value; // 'YYYY-MM-DD'
+                if (!dueDate) {
+                    alert(chrome.i18n.getMessage('bulkRescheduleDateRequired') || 'Please choose a due date first.');
+                    return;
+                }
+                await commandHistory.record(historyLabel('historyBulkReschedule', 'Reschedule selected tasks'), 'tasks', () =>
+                    taskManager.bulkReschedule(ids, { dueDate })
+                );
+                break;
+            }
+            case 'delete': {
+                const deletedCount = await commandHistory.record(historyLabel('historyBulkDelete', 'Delete selected tasks'), 'tasks', () =>
+                    taskManager.bulkDelete(ids)
+                );
+                selectedTaskIds.clear();
+                showUndoToast(chrome.i18n.getMessage('tasksDeletedSuccess', [String(deletedCount)]) || `${deletedCount} tasks moved to trash.`);
+                break;
+            }
+            default:
+                return;
+        }
+        await refreshTasks();
+    }
 
-            uiElements.noteList.appendChild(div);
+    /**
+     * Moves a task before or after another task in manual order and re-renders the list.
+     * @param {string} taskId - The ID of the task to move.
+     * @param {object} position - `{ before: id }` or `{ after: id }`, as for `taskManager.moveTask`.
+     */
+    async function moveTask(taskId, position) {
+        await commandHistory.record(historyLabel('historyMoveTask', 'Move task'), 'tasks', () =>
+            taskManager.moveTask(taskId, position)
+        );
+        await refreshTasks();
+    }
+
+    /**
+     * Clears the drop position indicators left on the task list by a drag.
+     */
+    function clearDropIndicators() {
+        uiElements.taskList.querySelectorAll('.drop-before, .drop-after').forEach(li => {
+            li.classList.remove('drop-before', 'drop-after');
         });
     }
 
     /**
-     * Renders the list of embedded YouTube videos to the UI.
-     * @param {Array<Object>} videos - An array of video objects to display.
+     * Determines whether a drop on a task item goes before or after it, based on which half of it the pointer is over.
+     * @param {HTMLElement} listItem - The task item under the pointer.
+     * @param {DragEvent} event - The drag event.
+     * @returns {string} 'before' or 'after'.
      */
-    function renderYoutubeVideos(videos) {
-        uiElements.youtubeVideosContainer.innerHTML = ''; // Clear current videos
+    function getDropPosition(listItem, event) {
+        const rect = listItem.getBoundingClientRect();
+        return event.clientY < rect.top + rect.height / 2 ? 'before' : 'after';
+    }
 
-        if (videos.length === 0) {
-            uiElements.youtubeVideosContainer.innerHTML = '<div class="no-items">' + chrome.i18n.getMessage('noVideosEmbeddedYet') + '</div>';
-            return;
-        }
+    /**
+     * Creates the expand/collapse button for a node with subtasks.
+     * @param {Object} node - The task or subtask owning the subtree.
+     * @returns {HTMLButtonElement} The toggle button.
+     */
+    function createSubtaskToggle(node) {
+        const collapsed = collapsedNodeIds.has(node.id);
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'subtask-toggle';
+        toggle.textContent = collapsed ? '\u25B8' : '\u25BE'; // Right / down pointing triangles
+        toggle.setAttribute('aria-expanded', String(!collapsed));
+        toggle.dataset.action = 'toggle-collapse';
+        toggle.dataset.nodeId = node.id;
+        return toggle;
+    }
 
-        // Sort videos by timestamp (newest first)
-        videos.sort((a, b) => b.timestamp - a.timestamp);
+    /**
+     * Creates the rolled-up completion percentage label for a node with subtasks.
+     * @param {Object} node - The task or subtask owning the subtree.
+     * @returns {HTMLSpanElement} The progress label.
+     */
+    function createProgressLabel(node) {
+        const progress = document.createElement('span');
+        progress.className = 'subtask-progress';
+        progress.textContent = `${getCompletionPercentage(node)}%`;
+        return progress;
+    }
 
-        videos.forEach(video => {
-            const videoId = video.videoId;
-            if (!videoId) return;
+    /**
+     * Recursively renders a subtask tree as nested lists.
+     * Subtask items carry `data-subtask-id`; the owning task is found via the closest `li[data-id]`.
+     * @param {Array<Object>} subtasks - The subtask nodes to render.
+     * @returns {HTMLUListElement} The rendered subtree.
+     */
+    function renderSubtaskTree(subtasks) {
+        const ul = document.createElement('ul');
+        ul.className = 'subtask-tree';
 
-            const div = document.createElement('div');
-            div.dataset.id = video.id;
-            div.className = 'youtube-item';
+        subtasks.forEach(subtask => {
+            const li = document.createElement('li');
+            li.dataset.subtaskId = subtask.id;
+            li.classList.toggle('completed', subtask.isComplete);
+            const children = subtask.subtasks || [];
+
+            if (children.length > 0) {
+                li.appendChild(createSubtaskToggle(subtask));
+            }
 
-            // Use YoutubeManager to render the embed
-            const iframeHTML = YoutubeManager.renderVideoEmbed(videoId);
-            div.innerHTML = iframeHTML; // This injects the iframe
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = subtask.isComplete;
+            checkbox.dataset.action = 'toggle-subtask';
+            li.appendChild(checkbox);
 
-            const deleteButton = document.createElement('button');
-            deleteButton.textContent = chrome.i18n.getMessage('deleteButton');
-            deleteButton.dataset.action = 'delete-youtube';
-            div.appendChild(deleteButton); // Append the button after the iframe HTML
+            const span = document.createElement('span');
+            span.textContent = subtask.title; // Use textContent to prevent XSS
+            li.appendChild(span);
 
-            uiElements.youtubeVideosContainer.appendChild(div);
+            if (children.length > 0) {
+                li.appendChild(createProgressLabel(subtask));
+            }
+
+            const actions = [
+                ['add-subtask', '+', 'addSubtaskButton'],
+                ['promote-subtask', '\u2191', 'promoteSubtaskButton'],
+                ['delete-subtask', '\u00D7', 'deleteButton']
+            ];
+            actions.forEach(([action, text, titleKey]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'subtask-action';
+                button.textContent = text;
+                button.title = chrome.i18n.getMessage(titleKey);
+                button.dataset.action = action;
+                li.appendChild(button);
+            });
+
+            if (children.length > 0 && !collapsedNodeIds.has(subtask.id)) {
+                li.appendChild(renderSubtaskTree(children));
+            }
+            ul.appendChild(li);
         });
+        return ul;
     }
 
     /**
-     * Handles the submission of the task form.
-     * Prevents default form submission, creates a new task, saves it to storage, and re-renders tasks.
-     * @param {Event} event - The form submission event.
+     * Creates a toggleable filter chip button.
+     * @param {string} label - The visible chip text.
+     * @param {boolean} active - Whether the chip is currently selected.
+     * @param {object} data - Data attributes identifying the filter the chip controls.
+     * @returns {HTMLButtonElement} The chip element.
      */
-    async function handleTaskFormSubmit(event) {
-        event.preventDefault();
-        const taskContent = uiElements.taskInput.value.trim();
+    function createFilterChip(label, active, data) {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = active ? 'filter-chip active' : 'filter-chip';
+        chip.textContent = label;
+        chip.setAttribute('aria-pressed', String(active));
+        Object.assign(chip.dataset, data);
+        return chip;
+    }
 
-        if (!isValidText(taskContent, 1)) { // Use input validator
-            alert(chrome.i18n.getMessage('taskContentRequired'));
-            return;
-        }
+    /**
+     * Renders the status, priority and tag filter chips for the task list.
+     * Tag chips are derived from the tags used across all tasks.
+     * @param {Array<Object>} allTasks - All stored tasks, used to collect the available tags.
+     */
+    function renderTaskFilters(allTasks) {
+        uiElements.taskStatusChips.innerHTML = '';
+        ['all', 'open', 'done', 'snoozed'].forEach(status => {
+            const label = chrome.i18n.getMessage(`taskFilter_${status}`) || status;
+            uiElements.taskStatusChips.appendChild(
+                createFilterChip(label, taskQuery.status === status, { filter: 'status', value: status })
+            );
+        });
 
-        try {
-            const tasks = await StorageManager.getItem(STORAGE_KEYS.TASKS);
-            const newTask = {
-                id: generateUniqueId(),
-                content: taskContent,
-                completed: false,
-                timestamp: Date.now()
-            };
-            tasks.push(newTask);
-            await StorageManager.setItem(STORAGE_KEYS.TASKS, tasks);
-            uiElements.taskInput.value = ''; // Clear input field
-            renderTasks(tasks); // Re-render the task list
-        } catch (error) {
-            console.error("Error handling task form submission:", error);
-            alert(chrome.i18n.getMessage('addTaskFailed'));
+        uiElements.taskPriorityChips.innerHTML = '';
+        PRIORITIES.filter(priority => priority !== 'none').forEach(priority => {
+            const label = chrome.i18n.getMessage(`priority_${priority}`) || priority;
+            uiElements.taskPriorityChips.appendChild(
+                createFilterChip(label, taskQuery.priority === priority, { filter: 'priority', value: priority })
+            );
+        });
+
+        const allTags = [...new Set(allTasks.flatMap(task => task.tags || []))].sort();
+        uiElements.taskTagChips.innerHTML = '';
+        allTags.forEach(tag => {
+            uiElements.taskTagChips.appendChild(
+                createFilterChip(`#${tag}`, taskQuery.tags.includes(tag), { filter: 'tag', value: tag })
+            );
+        });
+
+        uiElements.taskSortSelect.value = taskQuery.sort;
+    }
+
+    /**
+     * Shows the task list (with its selection controls), the board or the calendar, and updates the view switch.
+     */
+    function renderTaskView() {
+        const isList = taskView === 'list';
+        uiElements.taskList.hidden = !isList;
+        uiElements.taskBoard.hidden = taskView !== 'board';
+        uiElements.taskCalendar.hidden = taskView !== 'calendar';
+        uiElements.toggleSelectButton.hidden = !isList;
+        if (!isList) {
+            uiElements.bulkActionBar.hidden = true;
         }
+        uiElements.taskViewSwitch.querySelectorAll('button[data-view]').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.view === taskView));
+        });
     }
 
     /**
-     * Handles the submission of the note form.
-     * Prevents default form submission, creates a new note, saves it to storage, and re-renders notes.
-     * @param {Event} event - The form submission event.
+     * Renders the kanban board: one column per workflow status, holding the filtered tasks as cards.
+     * Column counts cover all tasks (not just the filtered ones) so WIP limits reflect the real load.
+     * @param {Array<Object>} tasks - The filtered, sorted tasks to show as cards.
+     * @param {Array<Object>} allTasks - All stored tasks, used for column counts and blockers.
      */
-    async function handleNoteFormSubmit(event) {
-        event.preventDefault();
-        const noteTitle = uiElements.noteTitleInput.value.trim();
-        // Get content from the rich text editor
-        const noteContent = noteEditorInstance ? RichTextEditorManager.getHtmlContent(noteEditorInstance) : '';
+    function renderBoard(tasks, allTasks) {
+        uiElements.taskBoard.innerHTML = '';
+        const counts = countTasksByStatus(allTasks, workflowColumns);
 
-        if (!isValidText(noteTitle, 1)) {
-            alert(chrome.i18n.getMessage('noteTitleRequired'));
-            return;
+        workflowColumns.forEach(column => {
+            const section = document.createElement('section');
+            section.className = 'board-column';
+            section.dataset.status = column.id;
+            section.classList.toggle('over-limit', column.wipLimit !== null && counts[column.id] > column.wipLimit);
+
+            const header = document.createElement('div');
+            header.className = 'board-column-header';
+            const name = document.createElement('span');
+            name.textContent = column.name;
+            const count = document.createElement('span');
+            count.className = 'board-column-count';
+            count.textContent = column.wipLimit !== null ? `${counts[column.id]}/${column.wipLimit}` : String(counts[column.id]);
+            header.appendChild(name);
+            header.appendChild(count);
+            section.appendChild(header);
+
+            const cards = document.createElement('ul');
+            cards.className = 'board-cards';
+            cards.setAttribute('aria-label', column.name);
+            tasks
+                .filter(task => resolveTaskStatus(task, workflowColumns) === column.id)
+                .forEach(task => {
+                    const card = document.createElement('li');
+                    card.className = 'board-card';
+                    card.dataset.id = task.id;
+                    card.draggable = true;
+                    card.tabIndex = 0; // Focusable for Alt+Left/Right moves
+                    card.classList.toggle('completed', task.isComplete);
+                    card.classList.toggle('blocked', !task.isComplete && getOpenBlockers(task, allTasks).length > 0);
+
+                    if (task.priority && task.priority !== 'none') {
+                        const priorityBadge = document.createElement('span');
+                        priorityBadge.className = `task-priority priority-${task.priority}`;
+                        priorityBadge.textContent = chrome.i18n.getMessage(`priority_${task.priority}`) || task.priority;
+                        card.appendChild(priorityBadge);
+                    }
+                    const title = document.createElement('span');
+                    title.textContent = task.title; // Use textContent to prevent XSS
+                    card.appendChild(title);
+                    (task.tags || []).forEach(tag => {
+                        const tagSpan = document.createElement('span');
+                        tagSpan.className = 'task-tag';
+                        tagSpan.textContent = `#${tag}`;
+                        card.appendChild(tagSpan);
+                    });
+                    cards.appendChild(card);
+                });
+            section.appendChild(cards);
+            uiElements.taskBoard.appendChild(section);
+        });
+    }
+
+    /**
+     * Creates a draggable calendar entry for a task. Overdue tasks are highlighted.
+     * @param {Object} task - The task.
+     * @returns {HTMLLIElement} The entry.
+     */
+    function createCalendarTask(task) {
+        const li = document.createElement('li');
+        li.className = 'calendar-task';
+        li.dataset.id = task.id;
+        li.draggable = true;
+        li.tabIndex = 0; // Focusable for Alt+Arrow rescheduling
+        li.classList.toggle('completed', task.isComplete);
+        li.classList.toggle('overdue', isOverdue(task));
+        if (task.priority && task.priority !== 'none') {
+            li.classList.add(`priority-${task.priority}`);
         }
-        if (!isValidText(noteContent, 1)) { // Check for actual content from RTE
-            alert(chrome.i18n.getMessage('noteContentRequired'));
-            return;
+        li.textContent = task.title; // Use textContent to prevent XSS
+        li.title = task.title;
+        return li;
+    }
+
+    /**
+     * Creates a calendar day that lists the tasks due on it and accepts dropped tasks.
+     * @param {Date} day - The day.
+     * @param {Array<Object>} tasks - The tasks due that day.
+     * @param {string} label - The day's heading.
+     * @returns {HTMLDivElement} The day.
+     */
+    function createCalendarDay(day, tasks, label) {
+        const cell = document.createElement('div');
+        cell.className = 'calendar-day';
+        cell.dataset.date = formatDate(day);
+        cell.classList.toggle('today', cell.dataset.date === formatDate(new Date()));
+
+        const heading = document.createElement('div');
+        heading.className = 'calendar-day-label';
+        heading.textContent = label;
+        cell.appendChild(heading);
+
+        const list = document.createElement('ul');
+        list.className = 'calendar-tasks';
+        tasks.forEach(task => list.appendChild(createCalendarTask(task)));
+        cell.appendChild(list);
+        return cell;
+    }
+
+    /**
+     * Renders the calendar view: the filtered tasks placed on their due dates in the month,
+     * week or agenda layout. Undated tasks are only counted.
+     * @param {Array<Object>} tasks - The filtered, sorted tasks.
+     */
+    function renderCalendar(tasks) {
+        uiElements.calendarGrid.innerHTML = '';
+        uiElements.calendarGrid.className = `calendar-${calendarLayout}`;
+        uiElements.calendarLayoutSwitch.querySelectorAll('button[data-calendar-layout]').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.calendarLayout === calendarLayout));
+        });
+
+        const tasksByDay = groupTasksByDueDay(tasks);
+        const tasksOn = day => tasksByDay.get(formatDate(day)) || [];
+        const range = getCalendarRange(calendarLayout, calendarAnchor, firstDayOfWeek);
+        const shortDate = date => date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+        if (calendarLayout === 'month') {
+            uiElements.calendarTitle.textContent = calendarAnchor.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+            getWeekDays(calendarAnchor, firstDayOfWeek).forEach(day => {
+                const weekday = document.createElement('div');
+                weekday.className = 'calendar-weekday';
+                weekday.textContent = day.toLocaleDateString(undefined, { weekday: 'short' });
+                uiElements.calendarGrid.appendChild(weekday);
+            });
+            getMonthGrid(calendarAnchor.getFullYear(), calendarAnchor.getMonth(), firstDayOfWeek).flat().forEach(day => {
+                const cell = createCalendarDay(day, tasksOn(day), String(day.getDate()));
+                cell.classList.toggle('outside-month', day.getMonth() !== calendarAnchor.getMonth());
+                uiElements.calendarGrid.appendChild(cell);
+            });
+        } else if (calendarLayout === 'week') {
+            uiElements.calendarTitle.textContent = `${shortDate(range.start)} \u2013 ${shortDate(range.end)}`;
+            getWeekDays(calendarAnchor, firstDayOfWeek).forEach(day => {
+                const label = day.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric' });
+                uiElements.calendarGrid.appendChild(createCalendarDay(day, tasksOn(day), label));
+            });
+        } else {
+            uiElements.calendarTitle.textContent = `${shortDate(range.start)} \u2013 ${shortDate(range.end)}`;
+            const today = new Date();
+            if (range.start <= today && today <= addDays(range.end, 1)) {
+                const overdue = tasks.filter(task => isOverdue(task));
+                if (overdue.length > 0) {
+                    const group = createCalendarDay(today, overdue, chrome.i18n.getMessage('calendarOverdue') || 'Overdue');
+                    group.classList.add('overdue-group');
+                    delete group.dataset.date; // Not a drop target
+                    uiElements.calendarGrid.appendChild(group);
+                }
+            }
+            for (let day = range.start; day <= range.end; day = addDays(day, 1)) {
+                if (tasksOn(day).length === 0) continue;
+                const label = day.toLocaleDateString(undefined, { weekday: 'long', month: 'short', day: 'numeric' });
+                uiElements.calendarGrid.appendChild(createCalendarDay(day, tasksOn(day), label));
+            }
+            if (uiElements.calendarGrid.children.length === 0) {
+                uiElements.calendarGrid.innerHTML = '<div class="no-items">' + (chrome.i18n.getMessage('calendarAgendaEmpty') || 'No tasks due in this period.') + '</div>';
+            }
         }
 
+        const undatedCount = tasks.filter(task => !parseDueDate(task.dueDate)).length;
+        uiElements.calendarUndated.textContent = undatedCount === 0 ? ''
+            : chrome.i18n.getMessage('calendarUndatedCount', [String(undatedCount)]) || `${undatedCount} tasks without a due date are not shown.`;
+    }
+
+    /**
+     * Moves a task to another day, keeping the time of day of timestamp due dates.
+     * @param {string} taskId - The ID of the task to reschedule.
+     * @param {Date} day - The new due day.
+     */
+    async function rescheduleTaskToDay(taskId, day) {
+        const task = await taskManager.getTaskById(taskId);
+        if (!task) return;
+        await commandHistory.record(historyLabel('historyRescheduleTask', 'Reschedule task'), 'tasks', () =>
+            taskManager.updateTask(taskId, { dueDate: moveDueDateToDay(task.dueDate, day) })
+        );
+        await refreshTasks();
+    }
+
+    /**
+     * Moves a task to a workflow column, asking for confirmation if that would complete a blocked task,
+     * and warns when the move pushes the column past its WIP limit.
+     * @param {string} taskId - The ID of the task to move.
+     * @param {string} status - The ID of the target column.
+     */
+    async function moveTaskToColumn(taskId, status) {
+        const label = historyLabel('historyMoveTaskToColumn', 'Move task to column');
         try {
-            const notes = await StorageManager.getItem(STORAGE_KEYS.NOTES);
-            const newNote = {
-                id: generateUniqueId(),
-                title: noteTitle,
-                content: noteContent, // Store as HTML
-                timestamp: Date.now()
-            };
-            notes.push(newNote);
-            await StorageManager.setItem(STORAGE_KEYS.NOTES, notes);
-            uiElements.noteTitleInput.value = ''; // Clear title input
-            if (noteEditorInstance) {
-                RichTextEditorManager.setHtmlContent(noteEditorInstance, ''); // Clear rich text editor
-            }
-            renderNotes(notes); // Re-render the note list
+            await commandHistory.record(label, 'tasks', () => taskManager.setTaskStatus(taskId, status));
         } catch (error) {
-            console.error("Error handling note form submission:", error);
-            alert(chrome.i18n.getMessage('addNoteFailed'));
+            if (error.name !== 'TaskBlockedError') {
+                throw error;
+            }
+            const blockerTitles = error.blockers.map(blocker => blocker.title).join(', ');
+            const confirmText = chrome.i18n.getMessage('confirmCompleteBlockedTask', [blockerTitles])
+                || `This task is blocked by: ${blockerTitles}. Complete it anyway?`;
+            if (!confirm(confirmText)) return;
+            await commandHistory.record(label, 'tasks', () => taskManager.setTaskStatus(taskId, status, { force: true }));
+        }
+        await refreshTasks();
+
+        const column = workflowColumns.find(c => c.id === status);
+        if (column && column.wipLimit !== null) {
+            const count = countTasksByStatus(await taskManager.getAllTasks(), workflowColumns)[status];
+            if (count > column.wipLimit) {
+                UserNotificationSystem.showError(
+                    chrome.i18n.getMessage('wipLimitExceeded', [column.name, String(count), String(column.wipLimit)])
+                        || `${column.name} now holds ${count} tasks (WIP limit ${column.wipLimit}).`
+                );
+            }
         }
     }
 
     /**
-     * Handles the submission of the YouTube embed form.
-     * Extracts video ID from the URL, checks for duplicates, saves to storage, and re-renders videos.
-     * @param {Event} event - The form submission event.
+     * Re-queries tasks with the current filters and re-renders the filter bar and task list.
      */
-    async function handleYoutubeEmbed(event) {
-        event.preventDefault();
-        const youtubeUrl = uiElements.youtubeUrlInput.value.trim();
-
-        if (!isValidUrl(youtubeUrl)) { // Use input validator
-            alert(chrome.i18n.getMessage('invalidYoutubeUrl'));
-            return;
+    async function refreshTasks() {
+        if (currentProjectId) {
+            taskQuery.projectId = currentProjectId;
+        } else {
+            delete taskQuery.projectId;
+        }
+        const [allTasks, tasks, timer, summary, columns, weekStart] = await Promise.all([
+            taskManager.getAllTasks(),
+            taskManager.queryTasks(taskQuery),
+            timeTracker.getActiveTimer(),
+            timeTracker.getSummary(),
+            getWorkflowColumns(),
+            getFirstDayOfWeek()
+        ]);
+        activeTimer = timer;
+        timeSummary = summary;
+        workflowColumns = columns;
+        firstDayOfWeek = weekStart;
+        renderTaskFilters(allTasks);
+        renderTaskView();
+        if (taskView === 'board') {
+            renderBoard(tasks, allTasks.filter(isInCurrentProject));
+        } else if (taskView === 'calendar') {
+            renderCalendar(tasks);
+        } else {
+            renderTasks(tasks, allTasks);
         }
+        renderTimerBar(allTasks);
+        renderTimeSummary();
+    }
 
-        // Use YoutubeManager to extract video ID
-        const videoId = YoutubeManager.extractVideoId(youtubeUrl);
+    /**
+     * Shows the running timer (task, Pomodoro phase and elapsed/remaining time) above the task list,
+     * ticking every second while the popup is open.
+     * @param {Array<Object>} allTasks - All stored tasks, used to look up the timed task's title.
+     */
+    function renderTimerBar(allTasks) {
+        clearInterval(timerTickInterval);
+        timerTickInterval = null;
 
-        if (!videoId) {
-            alert(chrome.i18n.getMessage('invalidYoutubeUrlSpecific'));
+        if (!activeTimer) {
+            uiElements.timerBar.hidden = true;
             return;
         }
 
-        try {
-            const videos = await StorageManager.getItem(STORAGE_KEYS.YOUTUBE_VIDEOS);
-            // Prevent adding duplicate videos (check by videoId)
-            if (videos.some(video => video.videoId === videoId)) {
-                alert(chrome.i18n.getMessage('videoAlreadyEmbedded'));
-                uiElements.youtubeUrlInput.value = '';
-                return;
+        const task = allTasks.find(t => t.id === activeTimer.taskId);
+        const title = task ? task.title : '';
+        const updateLabel = () => {
+            let text;
+            if (activeTimer.mode === 'pomodoro') {
+                const remaining = Math.max(0, activeTimer.phaseEndsAt - Date.now());
+                const phaseLabel = chrome.i18n.getMessage(`pomodoroPhase_${activeTimer.phase}`) || activeTimer.phase;
+                text = `${phaseLabel} \u00B7 ${title} \u00B7 ${formatDuration(remaining)}`;
+            } else {
+                text = `${title} \u00B7 ${formatDuration(Date.now() - activeTimer.phaseStartedAt)}`;
             }
+            uiElements.activeTimerLabel.textContent = text;
+        };
 
-            const newVideo = {
-                id: generateUniqueId(),
-                videoId: videoId,
-                timestamp: Date.now()
-            };
-            videos.push(newVideo);
-            await StorageManager.setItem(STORAGE_KEYS.YOUTUBE_VIDEOS, videos);
-            uiElements.youtubeUrlInput.value = ''; // Clear input field
-            renderYoutubeVideos(videos); // Re-render the video list
-        } catch (error) {
-            console.error("Error handling YouTube embed:", error);
-            alert(chrome.i18n.getMessage('embedVideoFailed'));
-        }
+        updateLabel();
+        uiElements.timerBar.hidden = false;
+        timerTickInterval = setInterval(updateLabel, 1000);
     }
 
     /**
-     * Binds all necessary event listeners to UI elements.
-     * Includes navigation, form submissions, and dynamic item actions (via event delegation).
+     * Renders the tracked time per day for the last seven days.
+     */
+    function renderTimeSummary() {
+        uiElements.timeSummaryList.innerHTML = '';
+        const today = new Date();
+        for (let offset = 0; offset < 7; offset++) {
+            const day = new Date(today.getFullYear(), today.getMonth(), today.getDate() - offset);
+            const key = formatDate(day);
+            const li = document.createElement('li');
+            const label = document.createElement('span');
+            label.textContent = day.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+            const value = document.createElement('span');
+            value.textContent = formatDuration(timeSummary.byDay[key] || 0);
+            li.appendChild(label);
+            li.appendChild(value);
+            uiElements.timeSummaryList.appendChild(li);
+        }
+    }
+
+    /**
+     * Reloads the saved templates and renders them in the templates panel.
+     */
+    async function refreshTemplates() {
+        renderTemplates(await templateManager.getAllTemplates());
+    }
+
+    /**
+     * Renders the saved templates with their "Use" and "Delete" actions.
+     * @param {Array<Object>} templates - The templates, sorted by name.
+     */
+    function renderTemplates(templates) {
+        uiElements.templateList.innerHTML = '';
+        if (templates.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'template-empty';
+            empty.textContent = chrome.i18n.getMessage('noTemplatesMessage') || 'Save a task as a template to reuse it.';
+            uiElements.templateList.appendChild(empty);
+            return;
+        }
+
+        templates.forEach(template => {
+            const li = document.createElement('li');
+            li.dataset.templateId = template.id;
+
+            const name = document.createElement('span');
+            name.className = 'template-name';
+            name.textContent = template.name;
+            const variables = templateManager.getTemplateVariables(template);
+            if (variables.length > 0) {
+                name.title = variables.map(variable => `{{${variable}}}`).join(' ');
+            }
+            li.appendChild(name);
+
+            const useButton = document.createElement('button');
+            useButton.type = 'button';
+            useButton.textContent = chrome.i18n.getMessage('useTemplateButton') || 'Use';
+            useButton.dataset.templateAction = 'use';
+            li.appendChild(useButton);
+
+            const deleteButton = document.createElement('button');
+            deleteButton.type = 'button';
+            deleteButton.textContent = chrome.i18n.getMessage('deleteButton');
+            deleteButton.dataset.templateAction = 'delete';
+            li.appendChild(deleteButton);
+
+            uiElements.templateList.appendChild(li);
+        });
+    }
+
+    /**
+     * Creates a task from a template, prompting for each placeholder variable.
+     * The anchor date for relative due dates comes from the templates panel.
+     * @param {string} templateId - The ID of the template to instantiate.
+     */
+    async function useTemplate(templateId) {
+        const template = await templateManager.getTemplateById(templateId);
+        if (!template) return;
+
+        const anchorDate = uiElements.templateAnchorInput.value || null;
+        if (!anchorDate && templateManager.needsAnchorDate(template)) {
+            UserNotificationSystem.showError(chrome.i18n.getMessage('templateAnchorRequired') || 'Pick an anchor date first; this template has relative due dates.');
+            uiElements.templateAnchorInput.focus();
+            return;
+        }
+
+        const variables = {};
+        for (const variable of templateManager.getTemplateVariables(template)) {
+            const value = prompt(chrome.i18n.getMessage('templateVariablePrompt', [variable]) || `Value for {{${variable}}}:`);
+            if (!isValidText(value, 1)) return; // Cancelled
+            variables[variable] = value.trim();
+        }
+
+        await commandHistory.record(historyLabel('historyUseTemplate', 'Create task from template'), 'tasks', () =>
+            templateManager.instantiateTemplate(templateId, { anchorDate, variables, projectId: currentProjectId })
+        );
+        await refreshData(); // Project progress changes too
+    }
+
+    /**
+     * Downloads all templates as a JSON file.
+     */
+    async function exportTemplates() {
+        const json = await templateManager.exportTemplates();
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `templates-${formatDate(new Date())}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Imports templates from the JSON file picked in the import file input.
+     * @param {File} file - The picked file.
+     */
+    async function importTemplates(file) {
+        const json = await file.text();
+        const imported = await commandHistory.record(historyLabel('historyImportTemplates', 'Import templates'), 'templates', () =>
+            templateManager.importTemplates(json)
+        );
+        await refreshTemplates();
+        const message = chrome.i18n.getMessage('templatesImportedSuccess', [String(imported.length)]) || `Imported ${imported.length} templates.`;
+        UserNotificationSystem.showSuccess(message, 3000);
+    }
+
+    /**
+     * Downloads the dated tasks of the current project as an iCalendar file.
+     */
+    async function exportICalendar() {
+        const ics = await exportTasksToICalendar({
+            componentType: uiElements.icalComponentSelect.value,
+            projectId: currentProjectId
+        });
+        const url = URL.createObjectURL(new Blob([ics], { type: 'text/calendar' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `tasks-${formatDate(new Date())}.ics`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Renders what importing the picked .ics file would do: a summary, then each item with its
+     * action ('create', 'update', 'unchanged' or 'skip') and any warnings. Hidden when no import is pending.
+     */
+    function renderIcalPreview() {
+        uiElements.icalPreview.hidden = !pendingIcalPreview;
+        uiElements.icalPreviewList.innerHTML = '';
+        if (!pendingIcalPreview) return;
+
+        const counts = { create: 0, update: 0, unchanged: 0, skip: 0 };
+        pendingIcalPreview.forEach(item => counts[item.action]++);
+        uiElements.icalPreviewSummary.textContent = chrome.i18n.getMessage('icalPreviewSummary',
+            [String(counts.create), String(counts.update), String(counts.unchanged), String(counts.skip)])
+            || `${counts.create} new, ${counts.update} changed, ${counts.unchanged} unchanged, ${counts.skip} skipped.`;
+        uiElements.confirmIcalImportButton.disabled = counts.create + counts.update === 0;
+
+        const actionLabels = {
+            create: chrome.i18n.getMessage('icalActionCreate') || 'New',
+            update: chrome.i18n.getMessage('icalActionUpdate') || 'Changed',
+            unchanged: chrome.i18n.getMessage('icalActionUnchanged') || 'Unchanged',
+            skip: chrome.i18n.getMessage('icalActionSkip') || 'Skipped'
+        };
+        pendingIcalPreview.forEach(item => {
+            const li = document.createElement('li');
+            li.className = `ical-item ical-${item.action}`;
+
+            const action = document.createElement('span');
+            action.className = 'ical-action';
+            action.textContent = actionLabels[item.action];
+            li.appendChild(action);
+
+            const title = document.createElement('span');
+            title.className = 'ical-title';
+            title.textContent = item.title; // Use textContent to prevent XSS
+            if (item.action === 'update') {
+                title.title = Object.keys(item.changes).join(', ');
+            }
+            li.appendChild(title);
+
+            item.warnings.forEach(warning => {
+                const note = document.createElement('div');
+                note.className = 'ical-warning';
+                note.textContent = warning;
+                li.appendChild(note);
+            });
+            uiElements.icalPreviewList.appendChild(li);
+        });
+    }
+
+    /**
+     * Reads the .ics file picked in the import file input and previews the import.
+     * @param {File} file - The picked file.
+     */
+    async function previewIcalFile(file) {
+        pendingIcalPreview = await previewICalendarImport(await file.text());
+        renderIcalPreview();
+    }
+
+    /**
+     * Imports the previewed .ics file into the current project as one undoable command.
+     */
+    async function confirmIcalImport() {
+        const preview = pendingIcalPreview;
+        pendingIcalPreview = null;
+        renderIcalPreview();
+        const { created, updated } = await commandHistory.record(historyLabel('historyImportCalendar', 'Import calendar'), 'tasks', () =>
+            importICalendar(preview, { projectId: currentProjectId })
+        );
+        await refreshTasks();
+        const message = chrome.i18n.getMessage('icalImportedSuccess', [String(created), String(updated)])
+            || `Imported ${created} new and ${updated} changed tasks.`;
+        UserNotificationSystem.showSuccess(message, 3000);
+    }
+
+    /**
+     * Sends a request to the background service worker and unwraps its response.
+     * @param {object} message - The message to send; must include a `type`.
+     * @returns {Promise<*>} A promise that resolves with the response data.
+     * @throws {Error} If the background reports an error.
+     */
+    async function sendBackgroundMessage(message) {
+        const response = await chrome.runtime.sendMessage(message);
+        if (!response || response.status !== 'success') {
+            throw new Error(response ? response.message : `No response to ${message.type}`);
+        }
+        return response.data;
+    }
+
+    /**
+     * Fills in the content of the given rendered notes, read in one storage call. Private notes
+     * are decrypted, title included; they are only observed while the vault is unlocked.
+     * @param {Array<HTMLElement>} noteItems - The `.note-item` elements.
+     */
+    async function loadNoteContents(noteItems) {
+        const privateItems = noteItems.filter(item => item.classList.contains('private'));
+        const publicItems = noteItems.filter(item => !item.classList.contains('private'));
+        try {
+            const contents = await NoteManager.getNoteContents(publicItems.map(item => item.dataset.id));
+            publicItems.forEach(item => {
+                const p = item.querySelector('.note-content');
+                // Assuming note.content is HTML from the rich text editor
+                p.innerHTML = contents[item.dataset.id] || '';
+            });
+        } catch (error) {
+            console.error('Error loading note contents:', error);
+        }
+        try {
+            const opened = await NoteManager.openPrivateNotes(privateItems.map(item => item.dataset.id));
+            privateItems.forEach(item => {
+                const note = opened[item.dataset.id];
+                if (!note) return;
+                item.querySelector('h3').textContent = note.title;
+                const p = item.querySelector('.note-content');
+                p.classList.remove('redacted');
+                p.innerHTML = note.content;
+            });
+        } catch (error) {
+            if (error.name === 'VaultLockedError') {
+                await refreshVault(); // Locked in the meantime; the notes stay redacted
+            } else {
+                console.error('Error decrypting private notes:', error);
+            }
+        }
+    }
+
+    /**
+     * Reads the vault status and updates the vault bar above the notes: the passphrase field and
+     * "Unlock" while locked, "Lock" while unlocked, and a hint to set a passphrase in the options
+     * while there is none. The "Private" checkbox of the note form needs the vault unlocked.
+     */
+    async function refreshVault() {
+        try {
+            vaultStatus = await vault.getStatus();
+        } catch (error) {
+            console.error('Error reading the vault status:', error);
+        }
+        const { isSetUp, isUnlocked } = vaultStatus;
+        let statusKey = 'vaultStatusNotSetUp';
+        let statusFallback = 'Set a passphrase in the options to keep notes private.';
+        if (isUnlocked) {
+            statusKey = 'vaultStatusUnlocked';
+            statusFallback = 'Private notes are unlocked.';
+        } else if (isSetUp) {
+            statusKey = 'vaultStatusLocked';
+            statusFallback = 'Private notes are locked.';
+        }
+        uiElements.vaultStatus.textContent = chrome.i18n.getMessage(statusKey) || statusFallback;
+        uiElements.vaultPassphraseInput.hidden = !isSetUp || isUnlocked;
+        uiElements.vaultUnlockButton.hidden = !isSetUp || isUnlocked;
+        uiElements.vaultLockButton.hidden = !isUnlocked;
+        uiElements.notePrivateInput.disabled = !isUnlocked;
+        if (!isUnlocked) {
+            uiElements.notePrivateInput.checked = false;
+        }
+    }
+
+    /**
+     * Handles the submission of the vault bar: unlocks private notes with the entered passphrase.
+     * @param {Event} event - The form submission event.
+     */
+    async function handleVaultUnlock(event) {
+        event.preventDefault();
+        const passphrase = uiElements.vaultPassphraseInput.value;
+        uiElements.vaultPassphraseInput.value = ''; // Don't keep the passphrase in the page
+        try {
+            await vault.unlock(passphrase);
+            await refreshVault();
+            renderNotes(await getProjectNotes());
+        } catch (error) {
+            if (error.name === 'InvalidPassphraseError') {
+                UserNotificationSystem.showError(chrome.i18n.getMessage('vaultWrongPassphrase') || 'The passphrase is wrong.');
+            } else {
+                console.error('Error unlocking private notes:', error);
+                UserNotificationSystem.showError(error.message);
+            }
+        }
+    }
+
+    /**
+     * Renders the list of notes to the UI. Notes come without their content (see NoteManager.getAllNotes),
+     * which is loaded once a note scrolls into view. Private notes are shown redacted, and are
+     * decrypted as they scroll into view only while the vault is unlocked.
+     * @param {Array<Object>} notes - An array of note objects to display.
+     */
+    function renderNotes(notes) {
+        if (noteContentObserver) {
+            noteContentObserver.disconnect();
+        }
+        noteContentObserver = new IntersectionObserver((entries, observer) => {
+            const visibleItems = entries.filter(entry => entry.isIntersecting).map(entry => entry.target);
+            if (visibleItems.length === 0) return;
+            visibleItems.forEach(item => observer.unobserve(item));
+            loadNoteContents(visibleItems);
+        });
+        uiElements.noteList.innerHTML = ''; // Clear current notes
+
+        if (notes.length === 0) {
+            uiElements.noteList.innerHTML = '<div class="no-items">' + chrome.i18n.getMessage('noNotesYet') + '</div>';
+            return;
+        }
+
+        // Sort notes by creation date (newest first)
+        notes.sort((a, b) => b.createdAt - a.createdAt);
+
+        notes.forEach(note => {
+            const div = document.createElement('div');
+            div.dataset.id = note.id;
+            div.className = 'note-item';
+
+            const h3 = document.createElement('h3');
+            h3.textContent = note.isPrivate ? chrome.i18n.getMessage('privateNoteTitle') || 'Private note' : note.title; // Use textContent to prevent XSS
+            div.appendChild(h3);
+
+            const p = document.createElement('p');
+            p.className = 'note-content';
+            if (note.isPrivate) {
+                div.classList.add('private');
+                p.classList.add('redacted');
+                p.textContent = chrome.i18n.getMessage('privateNoteLocked') || 'Locked. Unlock private notes to read this note.';
+            }
+            div.appendChild(p);
+
+            div.appendChild(createActivityButton());
+
+            if (vaultStatus.isUnlocked) {
+                const privacyButton = document.createElement('button');
+                privacyButton.textContent = note.isPrivate
+                    ? chrome.i18n.getMessage('makeNotePublicButton') || 'Make public'
+                    : chrome.i18n.getMessage('makeNotePrivateButton') || 'Make private';
+                privacyButton.dataset.action = 'toggle-private';
+                div.appendChild(privacyButton);
+            }
+
+            const deleteButton = document.createElement('button');
+            deleteButton.textContent = chrome.i18n.getMessage('deleteButton');
+            deleteButton.dataset.action = 'delete-note';
+            div.appendChild(deleteButton);
+
+            uiElements.noteList.appendChild(div);
+            if (!note.isPrivate || vaultStatus.isUnlocked) {
+                noteContentObserver.observe(div);
+            }
+        });
+    }
+
+    /**
+     * Renders the list of embedded YouTube videos to the UI.
+     * @param {Array<Object>} videos - An array of video objects to display.
+     */
+    function renderYoutubeVideos(videos) {
+        uiElements.youtubeVideosContainer.innerHTML = ''; // Clear current videos
+
+        if (videos.length === 0) {
+            uiElements.youtubeVideosContainer.innerHTML = '<div class="no-items">' + chrome.i18n.getMessage('noVideosEmbeddedYet') + '</div>';
+            return;
+        }
+
+        // Sort videos by creation time (newest first)
+        videos.sort((a, b) => b.createdAt - a.createdAt);
+
+        videos.forEach(video => {
+            const videoId = video.videoId;
+            if (!videoId) return;
+
+            const div = document.createElement('div');
+            div.dataset.id = video.id;
+            div.className = 'youtube-item';
+
+            // Use YoutubeManager to render the embed into its own container
+            const embedContainer = document.createElement('div');
+            embedContainer.className = 'youtube-embed';
+            YoutubeManager.renderVideoEmbed(embedContainer, `https://www.youtube.com/watch?v=${videoId}`);
+            div.appendChild(embedContainer);
+
+            const deleteButton = document.createElement('button');
+            deleteButton.textContent = chrome.i18n.getMessage('deleteButton');
+            deleteButton.dataset.action = 'delete-youtube';
+            div.appendChild(deleteButton); // Append the button after the embed
+
+            uiElements.youtubeVideosContainer.appendChild(div);
+        });
+    }
+
+    /**
+     * Reloads the trash and renders it, most recently deleted first.
+     */
+    async function refreshTrash() {
+        const [items, retentionDays] = await Promise.all([getTrashedItems(), getTrashRetentionDays()]);
+        renderTrash(items, retentionDays);
+    }
+
+    /**
+     * Renders the trashed tasks, notes and videos with their "Restore" and "Delete forever" actions.
+     * @param {Array<{type: string, item: Object}>} items - The trashed items.
+     * @param {number} retentionDays - How many days items stay in the trash.
+     */
+    function renderTrash(items, retentionDays) {
+        uiElements.trashRetentionHint.textContent = chrome.i18n.getMessage('trashRetentionHint', [String(retentionDays)])
+            || `Items are permanently deleted after ${retentionDays} days in the trash.`;
+        uiElements.emptyTrashButton.disabled = items.length === 0;
+        uiElements.trashList.innerHTML = '';
+
+        if (items.length === 0) {
+            uiElements.trashList.innerHTML = '<li class="no-items">' + (chrome.i18n.getMessage('trashEmpty') || 'The trash is empty.') + '</li>';
+            return;
+        }
+
+        const typeLabels = {
+            task: chrome.i18n.getMessage('trashTypeTask') || 'Task',
+            note: chrome.i18n.getMessage('trashTypeNote') || 'Note',
+            video: chrome.i18n.getMessage('trashTypeVideo') || 'Video'
+        };
+
+        items.forEach(({ type, item }) => {
+            const li = document.createElement('li');
+            li.className = 'trash-item';
+            li.dataset.type = type;
+            li.dataset.id = item.id;
+
+            const typeLabel = document.createElement('span');
+            typeLabel.className = 'trash-type';
+            typeLabel.textContent = typeLabels[type];
+            li.appendChild(typeLabel);
+
+            const title = document.createElement('span');
+            title.className = 'trash-title';
+            if (type === 'video') {
+                title.textContent = `youtu.be/${item.videoId}`;
+            } else {
+                title.textContent = item.isPrivate ? chrome.i18n.getMessage('privateNoteTitle') || 'Private note' : item.title;
+            }
+            li.appendChild(title);
+
+            const deletedAt = document.createElement('span');
+            deletedAt.className = 'trash-deleted-at';
+            deletedAt.textContent = new Date(item.deletedAt).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+            li.appendChild(deletedAt);
+
+            const restoreButton = document.createElement('button');
+            restoreButton.type = 'button';
+            restoreButton.textContent = chrome.i18n.getMessage('restoreButton') || 'Restore';
+            restoreButton.dataset.action = 'restore';
+            li.appendChild(restoreButton);
+
+            const purgeButton = document.createElement('button');
+            purgeButton.type = 'button';
+            purgeButton.textContent = chrome.i18n.getMessage('deleteForeverButton') || 'Delete forever';
+            purgeButton.dataset.action = 'delete-forever';
+            li.appendChild(purgeButton);
+
+            uiElements.trashList.appendChild(li);
+        });
+    }
+
+    /**
+     * Creates the button that shows or hides an item's activity timeline.
+     * @returns {HTMLButtonElement} The button.
+     */
+    function createActivityButton() {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = '\u2139'; // Information source
+        button.title = chrome.i18n.getMessage('activityButton') || 'Activity';
+        button.dataset.action = 'show-activity';
+        return button;
+    }
+
+    /**
+     * Formats a logged field value for display.
+     * @param {*} value - The logged value.
+     * @returns {string} The formatted value.
+     */
+    function formatActivityValue(value) {
+        if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+            return '\u2014'; // Em dash
+        }
+        if (typeof value === 'boolean') {
+            return chrome.i18n.getMessage(value ? 'activityValueYes' : 'activityValueNo') || (value ? 'yes' : 'no');
+        }
+        if (Array.isArray(value)) {
+            return value.join(', ');
+        }
+        if (typeof value === 'object') {
+            return JSON.stringify(value);
+        }
+        return String(value);
+    }
+
+    /**
+     * Describes one field change of an activity entry.
+     * @param {Object} change - The change: `{ field, oldValue, newValue }`.
+     * @returns {string} The description, e.g. 'Due date: 2026-10-01 \u2192 2026-10-05'.
+     */
+    function describeActivityChange(change) {
+        if (change.field === 'subtask') {
+            return change.oldValue === null
+                ? `${chrome.i18n.getMessage('activitySubtaskAdded') || 'Subtask added:'} ${change.newValue}`
+                : `${chrome.i18n.getMessage('activitySubtaskRemoved') || 'Subtask removed:'} ${change.oldValue}`;
+        }
+        const label = chrome.i18n.getMessage(`activityField_${change.field.replace('.', '_')}`) || change.field;
+        return `${label}: ${formatActivityValue(change.oldValue)} \u2192 ${formatActivityValue(change.newValue)}`;
+    }
+
+    /**
+     * Renders activity entries as a timeline, newest first.
+     * @param {Array<Object>} entries - The entries (see `activityLog.getEntries`).
+     * @param {boolean} [showTitles=false] - Whether to name the task or note of each entry, for the global feed.
+     * @returns {HTMLOListElement} The timeline.
+     */
+    function createActivityTimeline(entries, showTitles = false) {
+        const list = document.createElement('ol');
+        list.className = 'activity-timeline';
+
+        if (entries.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'no-items';
+            empty.textContent = chrome.i18n.getMessage('noActivityYet') || 'No activity recorded yet.';
+            list.appendChild(empty);
+            return list;
+        }
+
+        entries.forEach(entry => {
+            const li = document.createElement('li');
+
+            const heading = document.createElement('div');
+            heading.className = 'activity-heading';
+            const action = chrome.i18n.getMessage(`activityAction_${entry.action}`) || entry.action;
+            const origin = chrome.i18n.getMessage(`activityOrigin_${entry.origin}`) || entry.origin;
+            const when = new Date(entry.timestamp).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+            const parts = [when, action];
+            if (showTitles) {
+                const kind = chrome.i18n.getMessage(entry.entityType === 'note' ? 'trashTypeNote' : 'trashTypeTask') || entry.entityType;
+                parts.push(`${kind} \u201C${entry.title}\u201D`);
+            }
+            heading.textContent = parts.join(' \u00B7 ');
+
+            const originLabel = document.createElement('span');
+            originLabel.className = 'activity-origin';
+            originLabel.textContent = origin;
+            heading.appendChild(originLabel);
+            li.appendChild(heading);
+
+            if (entry.changes.length > 0) {
+                const changes = document.createElement('ul');
+                changes.className = 'activity-changes';
+                entry.changes.forEach(change => {
+                    const item = document.createElement('li');
+                    item.textContent = describeActivityChange(change);
+                    changes.appendChild(item);
+                });
+                li.appendChild(changes);
+            }
+            list.appendChild(li);
+        });
+        return list;
+    }
+
+    /**
+     * Shows or hides the activity timeline of a task or note below its list item.
+     * @param {HTMLElement} container - The task's or note's list element.
+     * @param {string} entityType - 'task' or 'note'.
+     * @param {string} entityId - The ID of the task or note.
+     */
+    async function toggleActivityTimeline(container, entityType, entityId) {
+        const existing = container.querySelector(':scope > .activity-timeline');
+        if (existing) {
+            existing.remove();
+            return;
+        }
+        container.appendChild(createActivityTimeline(await activityLog.getEntries({ entityType, entityId })));
+    }
+
+    /**
+     * Renders the most recent activity across all tasks and notes.
+     */
+    async function refreshActivityFeed() {
+        const entries = await activityLog.getEntries({ limit: RECENT_ACTIVITY_LIMIT });
+        uiElements.activityFeed.innerHTML = '';
+        uiElements.activityFeed.appendChild(createActivityTimeline(entries, true));
+    }
+
+    /**
+     * Describes a task reminder for the reminder button's tooltip.
+     * @param {number} minutes - How many minutes before the due time the reminder goes off.
+     * @returns {string} The description.
+     */
+    function describeReminder(minutes) {
+        if (minutes === 0) {
+            return chrome.i18n.getMessage('reminderAtDueTime') || 'Reminder at the due time';
+        }
+        return chrome.i18n.getMessage('reminderBeforeDue', [String(minutes)]) || `Reminder ${minutes} minutes before the due time`;
+    }
+
+    /**
+     * Describes when a snoozed task comes back.
+     * @param {number} deferUntil - The timestamp the task is deferred until.
+     * @returns {string} The description.
+     */
+    function describeDeferral(deferUntil) {
+        const when = new Date(deferUntil).toLocaleString(undefined, { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+        return chrome.i18n.getMessage('deferredUntilLabel', [when]) || `Snoozed until ${when}`;
+    }
+
+    /**
+     * Shows or hides the snooze menu of a task: one button per preset, plus "Unsnooze" if the task is snoozed.
+     * @param {HTMLElement} listItem - The task's list item.
+     * @param {Object} task - The task.
+     */
+    function toggleDeferMenu(listItem, task) {
+        const existing = listItem.querySelector(':scope > .defer-menu');
+        if (existing) {
+            existing.remove();
+            return;
+        }
+        const menu = document.createElement('div');
+        menu.className = 'defer-menu';
+        menu.setAttribute('role', 'group');
+        menu.setAttribute('aria-label', chrome.i18n.getMessage('deferButton') || 'Snooze');
+        const labels = {
+            laterToday: chrome.i18n.getMessage('deferLaterToday') || 'Later today',
+            tomorrowMorning: chrome.i18n.getMessage('deferTomorrowMorning') || 'Tomorrow morning',
+            nextWeek: chrome.i18n.getMessage('deferNextWeek') || 'Next week',
+            custom: chrome.i18n.getMessage('deferCustom') || 'Pick a date\u2026'
+        };
+        DEFER_PRESETS.forEach(preset => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = labels[preset];
+            button.dataset.action = 'defer-preset';
+            button.dataset.preset = preset;
+            if (preset !== 'custom') {
+                button.title = describeDeferral(getDeferPresetTime(preset, { firstDayOfWeek }));
+            }
+            menu.appendChild(button);
+        });
+        if (isDeferred(task)) {
+            const undeferButton = document.createElement('button');
+            undeferButton.type = 'button';
+            undeferButton.textContent = chrome.i18n.getMessage('undeferButton') || 'Unsnooze';
+            undeferButton.dataset.action = 'undefer';
+            menu.appendChild(undeferButton);
+        }
+        listItem.appendChild(menu);
+    }
+
+    /**
+     * Parses the task input with the quick-add parser, using the browser UI language for keywords.
+     * @returns {object} The parsed task fields (see `parseQuickAdd`).
+     */
+    function parseTaskInput() {
+        return parseQuickAdd(uiElements.taskInput.value, { locale: chrome.i18n.getUILanguage() });
+    }
+
+    /**
+     * Describes a recognized quick-add token for the preview chip row.
+     * @param {object} token - A token returned by `parseQuickAdd`.
+     * @returns {string} The chip label.
+     */
+    function describeQuickAddToken(token) {
+        switch (token.type) {
+            case 'date':
+                return parseDueDate(token.value).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+            case 'tag':
+                return `#${token.value}`;
+            case 'priority':
+                return chrome.i18n.getMessage(`priority_${token.value}`) || token.value;
+            case 'recurrence': {
+                const { frequency, interval, byWeekday } = token.value;
+                const frequencyLabel = chrome.i18n.getMessage(`recurrence_${frequency}`) || frequency;
+                const every = interval > 1 ? `\u00D7${interval} ` : '';
+                return byWeekday ? `${every}${frequencyLabel} (${token.text})` : `${every}${frequencyLabel}`;
+            }
+            default:
+                return token.text;
+        }
+    }
+
+    /**
+     * Renders a chip for every expression the quick-add parser recognized in the task input,
+     * so users can see what will become the due date, tags, priority and recurrence.
+     */
+    function renderQuickAddPreview() {
+        uiElements.quickAddPreview.innerHTML = '';
+        parseTaskInput().tokens.forEach(token => {
+            const chip = document.createElement('span');
+            chip.className = `quick-add-chip quick-add-${token.type}`;
+            chip.textContent = describeQuickAddToken(token);
+            chip.title = token.text;
+            uiElements.quickAddPreview.appendChild(chip);
+        });
+    }
+
+    /**
+     * Handles the submission of the task form.
+     * Prevents default form submission, parses the quick-add input into a new task, saves it, and re-renders tasks.
+     * @param {Event} event - The form submission event.
+     */
+    async function handleTaskFormSubmit(event) {
+        event.preventDefault();
+        const parsed = parseTaskInput();
+
+        if (!isValidText(parsed.title, 1)) { // Use input validator
+            alert(chrome.i18n.getMessage('taskContentRequired'));
+            return;
+        }
+
+        try {
+            await commandHistory.record(historyLabel('historyAddTask', 'Add task'), 'tasks', () =>
+                taskManager.createTask({
+                    title: parsed.title,
+                    dueDate: parsed.dueDate,
+                    tags: parsed.tags,
+                    priority: parsed.priority,
+                    recurrence: parsed.recurrence,
+                    projectId: currentProjectId
+                })
+            );
+            uiElements.taskInput.value = ''; // Clear input field
+            renderQuickAddPreview();
+            await refreshTasks(); // Re-render the task list
+        } catch (error) {
+            console.error("Error handling task form submission:", error);
+            alert(chrome.i18n.getMessage('addTaskFailed'));
+        }
+    }
+
+    /**
+     * Marks a task complete or incomplete. If the task is still blocked, the user is asked
+     * whether to complete it anyway before forcing the status change.
+     * @param {string} taskId - The ID of the task to update.
+     * @param {boolean} isComplete - The requested completion status.
+     */
+    async function toggleTaskComplete(taskId, isComplete) {
+        const label = isComplete ? historyLabel('historyCompleteTask', 'Complete task') : historyLabel('historyReopenTask', 'Reopen task');
+        try {
+            await commandHistory.record(label, 'tasks', () => taskManager.markTaskStatus(taskId, isComplete));
+        } catch (error) {
+            if (error.name !== 'TaskBlockedError') {
+                throw error;
+            }
+            const blockerTitles = error.blockers.map(blocker => blocker.title).join(', ');
+            const confirmText = chrome.i18n.getMessage('confirmCompleteBlockedTask', [blockerTitles])
+                || `This task is blocked by: ${blockerTitles}. Complete it anyway?`;
+            if (confirm(confirmText)) {
+                await commandHistory.record(label, 'tasks', () => taskManager.markTaskStatus(taskId, isComplete, { force: true }));
+            }
+        }
+    }
+
+    /**
+     * Handles the submission of the note form.
+     * Prevents default form submission, creates a new note, saves it to storage, and re-renders notes.
+     * @param {Event} event - The form submission event.
+     */
+    async function handleNoteFormSubmit(event) {
+        event.preventDefault();
+        const noteTitle = uiElements.noteTitleInput.value.trim();
+        // Get content from the rich text editor
+        const noteContent = noteEditorInstance ? RichTextEditorManager.getHtmlContent(noteEditorInstance) : '';
+
+        if (!isValidText(noteTitle, 1)) {
+            alert(chrome.i18n.getMessage('noteTitleRequired'));
+            return;
+        }
+        if (!isValidText(noteContent, 1)) { // Check for actual content from RTE
+            alert(chrome.i18n.getMessage('noteContentRequired'));
+            return;
+        }
+
+        try {
+            await commandHistory.record(historyLabel('historyAddNote', 'Add note'), 'notes', () =>
+                NoteManager.createNote({
+                    title: noteTitle,
+                    content: noteContent, // Store as HTML
+                    projectId: currentProjectId,
+                    isPrivate: uiElements.notePrivateInput.checked // Encrypted with the vault's key
+                })
+            );
+            uiElements.noteTitleInput.value = ''; // Clear title input
+            if (noteEditorInstance) {
+                RichTextEditorManager.setHtmlContent(noteEditorInstance, ''); // Clear rich text editor
+            }
+            renderNotes(await getProjectNotes()); // Re-render the note list
+        } catch (error) {
+            console.error("Error handling note form submission:", error);
+            if (error.name === 'VaultLockedError') {
+                await refreshVault();
+                alert(chrome.i18n.getMessage('vaultLockedMessage') || error.message);
+            } else {
+                alert(chrome.i18n.getMessage('addNoteFailed'));
+            }
+        }
+    }
+
+    /**
+     * Handles the submission of the YouTube embed form.
+     * Extracts video ID from the URL, checks for duplicates, saves to storage, and re-renders videos.
+     * @param {Event} event - The form submission event.
+     */
+    async function handleYoutubeEmbed(event) {
+        event.preventDefault();
+        const youtubeUrl = uiElements.youtubeUrlInput.value.trim();
+
+        if (!isValidUrl(youtubeUrl)) { // Use input validator
+            alert(chrome.i18n.getMessage('invalidYoutubeUrl'));
+            return;
+        }
+
+        // Use YoutubeManager to extract video ID
+        const videoId = YoutubeManager.extractVideoId(youtubeUrl);
+
+        if (!videoId) {
+            alert(chrome.i18n.getMessage('invalidYoutubeUrlSpecific'));
+            return;
+        }
+
+        try {
+            const key = STORAGE_KEYS.YOUTUBE_VIDEOS;
+            const added = await commandHistory.record(historyLabel('historyAddVideo', 'Add video'), 'videos', () =>
+                StorageManager.transaction(key, values => {
+                    const videos = values[key] || [];
+                    // Prevent adding duplicate videos (check by videoId); a copy in the trash doesn't count
+                    if (videos.some(video => video.videoId === videoId && !isTrashed(video))) {
+                        return false;
+                    }
+                    values[key] = [...videos, {
+                        id: generateUniqueId(),
+                        videoId: videoId,
+                        projectId: currentProjectId,
+                        createdAt: Date.now()
+                    }];
+                    return true;
+                })
+            );
+            if (!added) {
+                alert(chrome.i18n.getMessage('videoAlreadyEmbedded'));
+                uiElements.youtubeUrlInput.value = '';
+                return;
+            }
+            uiElements.youtubeUrlInput.value = ''; // Clear input field
+            renderYoutubeVideos(await getProjectVideos()); // Re-render the video list
+        } catch (error) {
+            console.error("Error handling YouTube embed:", error);
+            alert(chrome.i18n.getMessage('embedVideoFailed'));
+        }
+    }
+
+    /**
+     * Binds all necessary event listeners to UI elements.
+     * Includes navigation, form submissions, and dynamic item actions (via event delegation).
      */
     function bindEventListeners() {
+        // Project switcher: scopes the tasks, notes and videos tabs
+        uiElements.projectSelect.addEventListener('change', async (event) => {
+            try {
+                await selectProject(event.target.value || null);
+            } catch (error) {
+                console.error("Error switching project:", error);
+                alert(chrome.i18n.getMessage('loadDataFailed'));
+            }
+        });
+
+        uiElements.projectActions.addEventListener('click', async (event) => {
+            const button = event.target.closest('button[data-project-action]');
+            if (!button) return;
+            try {
+                await handleProjectAction(button.dataset.projectAction);
+            } catch (error) {
+                console.error("Error updating project:", error);
+                alert(chrome.i18n.getMessage('projectActionFailed') || 'Failed to update the project. Please try again.');
+            }
+        });
+
+        uiElements.projectColorInput.addEventListener('change', async (event) => {
+            try {
+                await commandHistory.record(historyLabel('historyRecolorProject', 'Change project color'), 'projects', () =>
+                    projectManager.updateProject(currentProjectId, { color: event.target.value })
+                );
+                await refreshProjects();
+            } catch (error) {
+                console.error("Error changing project color:", error);
+                alert(chrome.i18n.getMessage('projectActionFailed') || 'Failed to update the project. Please try again.');
+            }
+        });
+
+        // Clicking a project in the all-projects summary switches to it
+        uiElements.projectSummary.addEventListener('click', async (event) => {
+            const row = event.target.closest('.project-summary-row[data-project-id]');
+            if (!row || currentProjectId) return;
+            try {
+                await selectProject(row.dataset.projectId);
+            } catch (error) {
+                console.error("Error switching project:", error);
+                alert(chrome.i18n.getMessage('loadDataFailed'));
+            }
+        });
+
+        // Templates panel
+        uiElements.templateList.addEventListener('click', async (event) => {
+            const button = event.target.closest('button[data-template-action]');
+            if (!button) return;
+            const templateId = button.closest('li[data-template-id]').dataset.templateId;
+            try {
+                if (button.dataset.templateAction === 'use') {
+                    await useTemplate(templateId);
+                } else if (button.dataset.templateAction === 'delete') {
+                    await commandHistory.record(historyLabel('historyDeleteTemplate', 'Delete template'), 'templates', () =>
+                        templateManager.deleteTemplate(templateId)
+                    );
+                    showUndoToast(chrome.i18n.getMessage('templateDeletedSuccess') || 'Template deleted.');
+                    await refreshTemplates();
+                }
+            } catch (error) {
+                console.error("Error using template:", error);
+                UserNotificationSystem.showError(error instanceof InvalidInputError
+                    ? error.message
+                    : chrome.i18n.getMessage('templateActionFailed') || 'Failed to update templates. Please try again.');
+            }
+        });
+
+        uiElements.exportTemplatesButton.addEventListener('click', async () => {
+            try {
+                await exportTemplates();
+            } catch (error) {
+                console.error("Error exporting templates:", error);
+                UserNotificationSystem.showError(chrome.i18n.getMessage('templateActionFailed') || 'Failed to update templates. Please try again.');
+            }
+        });
+
+        uiElements.importTemplatesButton.addEventListener('click', () => uiElements.importTemplatesInput.click());
+        uiElements.importTemplatesInput.addEventListener('change', async (event) => {
+            const file = event.target.files[0];
+            event.target.value = ''; // Allow picking the same file again
+            if (!file) return;
+            try {
+                await importTemplates(file);
+            } catch (error) {
+                console.error("Error importing templates:", error);
+                UserNotificationSystem.showError(error instanceof InvalidInputError
+                    ? error.message
+                    : chrome.i18n.getMessage('templateActionFailed') || 'Failed to update templates. Please try again.');
+            }
+        });
+
+        uiElements.exportIcalButton.addEventListener('click', async () => {
+            try {
+                await exportICalendar();
+            } catch (error) {
+                console.error("Error exporting calendar:", error);
+                UserNotificationSystem.showError(chrome.i18n.getMessage('icalActionFailed') || 'Failed to export or import the calendar file. Please try again.');
+            }
+        });
+
+        uiElements.importIcalButton.addEventListener('click', () => uiElements.importIcalInput.click());
+        uiElements.importIcalInput.addEventListener('change', async (event) => {
+            const file = event.target.files[0];
+            event.target.value = ''; // Allow picking the same file again
+            if (!file) return;
+            try {
+                await previewIcalFile(file);
+            } catch (error) {
+                console.error("Error reading calendar file:", error);
+                UserNotificationSystem.showError(error instanceof InvalidInputError
+                    ? error.message
+                    : chrome.i18n.getMessage('icalActionFailed') || 'Failed to export or import the calendar file. Please try again.');
+            }
+        });
+
+        uiElements.confirmIcalImportButton.addEventListener('click', async () => {
+            try {
+                await confirmIcalImport();
+            } catch (error) {
+                console.error("Error importing calendar:", error);
+                UserNotificationSystem.showError(error instanceof InvalidInputError
+                    ? error.message
+                    : chrome.i18n.getMessage('icalActionFailed') || 'Failed to export or import the calendar file. Please try again.');
+                await refreshTasks();
+            }
+        });
+
+        uiElements.cancelIcalImportButton.addEventListener('click', () => {
+            pendingIcalPreview = null;
+            renderIcalPreview();
+        });
+
         // Navigation button click listeners
         uiElements.navTasks.addEventListener('click', () => navigateTo('tasks'));
         uiElements.navNotes.addEventListener('click', () => navigateTo('notes'));
         uiElements.navYoutube.addEventListener('click', () => navigateTo('youtube'));
+        uiElements.navActivity.addEventListener('click', async () => {
+            navigateTo('activity');
+            try {
+                await refreshActivityFeed();
+            } catch (error) {
+                console.error("Error loading recent activity:", error);
+                alert(chrome.i18n.getMessage('loadDataFailed'));
+            }
+        });
+        uiElements.navTrash.addEventListener('click', async () => {
+            navigateTo('trash');
+            try {
+                await refreshTrash(); // Items may have been deleted from the other tabs since the last refresh
+            } catch (error) {
+                console.error("Error loading the trash:", error);
+                alert(chrome.i18n.getMessage('loadDataFailed'));
+            }
+        });
 
         // Form submission listeners
         uiElements.taskForm.addEventListener('submit', handleTaskFormSubmit);
+        uiElements.taskInput.addEventListener('input', renderQuickAddPreview);
         uiElements.noteForm.addEventListener('submit', handleNoteFormSubmit);
+        uiElements.vaultForm.addEventListener('submit', handleVaultUnlock);
+        uiElements.vaultLockButton.addEventListener('click', () => vault.lock()); // The notes re-render on the session change (see watchStorage)
         uiElements.youtubeEmbedForm.addEventListener('submit', handleYoutubeEmbed);
 
         // Event delegation for dynamic task actions (toggle complete, delete)
@@ -360,42 +2068,437 @@ const PopupManager = (() => {
             if (!listItem) return; // Not a list item or its descendant
 
             const taskId = listItem.dataset.id;
-            let tasks = [];
+            const subtaskItem = target.closest('li[data-subtask-id]');
+            const subtaskId = subtaskItem ? subtaskItem.dataset.subtaskId : null;
             try {
-                tasks = await StorageManager.getItem(STORAGE_KEYS.TASKS);
-                if (target.dataset.action === 'toggle-complete') {
-                    tasks = tasks.map(task =>
-                        task.id === taskId ? { ...task, completed: target.checked } : task
-                    );
-                } else if (target.dataset.action === 'delete-task') {
-                    tasks = tasks.filter(task => task.id !== taskId);
-                } else {
-                    return; // Clicked on something else within the list item
+                switch (target.dataset.action) {
+                    case 'select-task':
+                        setTaskSelected(taskId, target.checked, event.shiftKey);
+                        return; // Selection is view state only; nothing to re-render
+                    case 'toggle-complete':
+                        await toggleTaskComplete(taskId, target.checked);
+                        break;
+                    case 'delete-task':
+                        await commandHistory.record(historyLabel('historyDeleteTask', 'Delete task'), 'tasks', () => taskManager.deleteTask(taskId));
+                        showUndoToast(chrome.i18n.getMessage('taskDeletedSuccess'));
+                        break;
+                    case 'start-timer':
+                        await sendBackgroundMessage({ type: 'START_TIMER', taskId, mode: uiElements.timerModeSelect.value });
+                        break;
+                    case 'stop-timer':
+                        await sendBackgroundMessage({ type: 'STOP_TIMER' });
+                        break;
+                    case 'toggle-collapse': {
+                        const nodeId = target.dataset.nodeId;
+                        if (collapsedNodeIds.has(nodeId)) {
+                            collapsedNodeIds.delete(nodeId);
+                        } else {
+                            collapsedNodeIds.add(nodeId);
+                        }
+                        break;
+                    }
+                    case 'add-subtask': {
+                        const title = prompt(chrome.i18n.getMessage('subtaskTitlePrompt') || 'Subtask title:');
+                        if (!isValidText(title, 1)) return;
+                        await commandHistory.record(historyLabel('historyAddSubtask', 'Add subtask'), 'tasks', () =>
+                            taskManager.addSubtask(taskId, { title: title.trim() }, subtaskId)
+                        );
+                        if (subtaskId) collapsedNodeIds.delete(subtaskId); // Reveal the new child
+                        collapsedNodeIds.delete(taskId);
+                        break;
+                    }
+                    case 'show-activity':
+                        await toggleActivityTimeline(listItem, 'task', taskId);
+                        return; // The timeline is view state only
+                    case 'set-reminder': {
+                        const task = await taskManager.getTaskById(taskId);
+                        if (!task || !task.dueDate) {
+                            UserNotificationSystem.showInfo(chrome.i18n.getMessage('reminderNeedsDueDate') || 'Give the task a due date to set a reminder.', 3000);
+                            return;
+                        }
+                        const current = Number.isInteger(task.reminderMinutes) ? String(task.reminderMinutes) : '';
+                        const input = prompt(chrome.i18n.getMessage('reminderPrompt')
+                            || 'Remind how many minutes before the due time? Enter 0 for at the due time, or leave empty for no reminder.', current);
+                        if (input === null) return;
+                        const reminderMinutes = input.trim() === '' ? null : Number(input.trim());
+                        if (reminderMinutes !== null && (!Number.isInteger(reminderMinutes) || reminderMinutes < 0)) {
+                            UserNotificationSystem.showError(chrome.i18n.getMessage('reminderInvalid') || 'Enter a whole number of minutes.');
+                            return;
+                        }
+                        await commandHistory.record(historyLabel('historySetReminder', 'Set reminder'), 'tasks', () =>
+                            taskManager.updateTask(taskId, { reminderMinutes })
+                        );
+                        break;
+                    }
+                    case 'toggle-defer-menu': {
+                        const task = await taskManager.getTaskById(taskId);
+                        if (task) toggleDeferMenu(listItem, task);
+                        return; // The menu is view state only
+                    }
+                    case 'defer-preset': {
+                        let deferUntil;
+                        if (target.dataset.preset === 'custom') {
+                            const input = prompt(chrome.i18n.getMessage('deferPrompt') || 'Snooze until when? e.g. "friday 3pm", "in 2 weeks" or "2026-12-01"');
+                            if (input === null) return;
+                            deferUntil = parseDeferInput(input, { locale: chrome.i18n.getUILanguage() });
+                            if (deferUntil === null) {
+                                UserNotificationSystem.showError(chrome.i18n.getMessage('deferInvalid') || 'Enter a date and time in the future.');
+                                return;
+                            }
+                        } else {
+                            deferUntil = getDeferPresetTime(target.dataset.preset, { firstDayOfWeek });
+                        }
+                        await commandHistory.record(historyLabel('historyDeferTask', 'Snooze task'), 'tasks', () =>
+                            taskManager.deferTask(taskId, deferUntil)
+                        );
+                        UserNotificationSystem.showInfo(describeDeferral(deferUntil), 3000);
+                        break;
+                    }
+                    case 'undefer':
+                        await commandHistory.record(historyLabel('historyUndeferTask', 'Unsnooze task'), 'tasks', () =>
+                            taskManager.deferTask(taskId, null)
+                        );
+                        break;
+                    case 'save-template': {
+                        const task = await taskManager.getTaskById(taskId);
+                        const name = prompt(chrome.i18n.getMessage('templateNamePrompt') || 'Template name:', task ? task.title : '');
+                        if (!isValidText(name, 1)) return;
+                        await commandHistory.record(historyLabel('historySaveTemplate', 'Save template'), 'templates', () =>
+                            templateManager.saveTaskAsTemplate(taskId, { name: name.trim() })
+                        );
+                        await refreshTemplates();
+                        UserNotificationSystem.showSuccess(chrome.i18n.getMessage('templateSavedSuccess') || 'Template saved.', 3000);
+                        return; // The task itself is unchanged
+                    }
+                    case 'toggle-subtask':
+                        await commandHistory.record(historyLabel('historyToggleSubtask', 'Change subtask status'), 'tasks', () =>
+                            taskManager.markSubtaskStatus(taskId, subtaskId, target.checked)
+                        );
+                        break;
+                    case 'promote-subtask':
+                        await commandHistory.record(historyLabel('historyPromoteSubtask', 'Promote subtask'), 'tasks', () =>
+                            taskManager.promoteSubtaskToTask(taskId, subtaskId)
+                        );
+                        break;
+                    case 'delete-subtask':
+                        await commandHistory.record(historyLabel('historyDeleteSubtask', 'Delete subtask'), 'tasks', () =>
+                            taskManager.deleteSubtask(taskId, subtaskId)
+                        );
+                        showUndoToast(chrome.i18n.getMessage('subtaskDeletedSuccess'));
+                        break;
+                    default:
+                        return; // Clicked on something else within the list item
                 }
-                await StorageManager.setItem(STORAGE_KEYS.TASKS, tasks);
-                renderTasks(tasks); // Re-render after action
+                await refreshTasks(); // Re-render after action
             } catch (error) {
                 console.error("Error updating tasks:", error);
                 alert(chrome.i18n.getMessage('updateTaskFailed'));
             }
         });
 
-        // Event delegation for dynamic note actions (delete)
+        // Drag-and-drop reordering; items are only draggable in manual sort mode
+        uiElements.taskList.addEventListener('dragstart', (event) => {
+            const listItem = event.target.closest('li[data-id]');
+            if (!listItem || !listItem.draggable) return;
+            draggedTaskId = listItem.dataset.id;
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', draggedTaskId);
+            listItem.classList.add('dragging');
+        });
+
+        uiElements.taskList.addEventListener('dragover', (event) => {
+            const listItem = event.target.closest('li[data-id]');
+            if (!draggedTaskId || !listItem || listItem.dataset.id === draggedTaskId) return;
+            event.preventDefault(); // Allow the drop
+            const position = getDropPosition(listItem, event);
+            clearDropIndicators();
+            listItem.classList.add(`drop-${position}`);
+        });
+
+        uiElements.taskList.addEventListener('dragend', () => {
+            draggedTaskId = null;
+            clearDropIndicators();
+            uiElements.taskList.querySelectorAll('.dragging').forEach(li => li.classList.remove('dragging'));
+        });
+
+        uiElements.taskList.addEventListener('drop', async (event) => {
+            const listItem = event.target.closest('li[data-id]');
+            const taskId = draggedTaskId;
+            if (!taskId || !listItem || listItem.dataset.id === taskId) return;
+            event.preventDefault();
+            const position = getDropPosition(listItem, event);
+            clearDropIndicators();
+            try {
+                await moveTask(taskId, { [position]: listItem.dataset.id });
+            } catch (error) {
+                console.error("Error reordering tasks:", error);
+                alert(chrome.i18n.getMessage('updateTaskFailed'));
+            }
+        });
+
+        // Alt+Up/Down moves the focused task past its visible neighbour
+        uiElements.taskList.addEventListener('keydown', async (event) => {
+            if (!event.altKey || (event.key !== 'ArrowUp' && event.key !== 'ArrowDown')) return;
+            const listItem = event.target;
+            if (!listItem.matches('li.reorderable[data-id]')) return;
+
+            const taskId = listItem.dataset.id;
+            const index = renderedTaskIds.indexOf(taskId);
+            const isUp = event.key === 'ArrowUp';
+            const neighbourId = renderedTaskIds[isUp ? index - 1 : index + 1];
+            event.preventDefault();
+            if (!neighbourId) return;
+
+            try {
+                await moveTask(taskId, isUp ? { before: neighbourId } : { after: neighbourId });
+                const movedItem = uiElements.taskList.querySelector(`li[data-id="${taskId}"]`);
+                if (movedItem) movedItem.focus();
+            } catch (error) {
+                console.error("Error reordering tasks:", error);
+                alert(chrome.i18n.getMessage('updateTaskFailed'));
+            }
+        });
+
+        uiElements.taskViewSwitch.addEventListener('click', async (event) => {
+            const button = event.target.closest('button[data-view]');
+            if (!button || button.dataset.view === taskView) return;
+            taskView = button.dataset.view;
+            try {
+                await setSelectionMode(false); // Selection only applies to the list view; also re-renders
+            } catch (error) {
+                console.error("Error switching task view:", error);
+                alert(chrome.i18n.getMessage('loadDataFailed'));
+            }
+        });
+
+        // Drag-and-drop of board cards between workflow columns
+        uiElements.taskBoard.addEventListener('dragstart', (event) => {
+            const card = event.target.closest('.board-card');
+            if (!card) return;
+            draggedCardId = card.dataset.id;
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', draggedCardId);
+            card.classList.add('dragging');
+        });
+
+        uiElements.taskBoard.addEventListener('dragover', (event) => {
+            const column = event.target.closest('.board-column');
+            if (!draggedCardId || !column) return;
+            event.preventDefault(); // Allow the drop
+            uiElements.taskBoard.querySelectorAll('.drop-target').forEach(c => c.classList.remove('drop-target'));
+            column.classList.add('drop-target');
+        });
+
+        uiElements.taskBoard.addEventListener('dragend', () => {
+            draggedCardId = null;
+            uiElements.taskBoard.querySelectorAll('.drop-target, .dragging').forEach(el => el.classList.remove('drop-target', 'dragging'));
+        });
+
+        uiElements.taskBoard.addEventListener('drop', async (event) => {
+            const column = event.target.closest('.board-column');
+            const taskId = draggedCardId;
+            if (!taskId || !column) return;
+            event.preventDefault();
+            column.classList.remove('drop-target');
+            try {
+                await moveTaskToColumn(taskId, column.dataset.status);
+            } catch (error) {
+                console.error("Error moving task to column:", error);
+                alert(chrome.i18n.getMessage('updateTaskFailed'));
+            }
+        });
+
+        // Alt+Left/Right moves the focused card to the neighbouring column
+        uiElements.taskBoard.addEventListener('keydown', async (event) => {
+            if (!event.altKey || (event.key !== 'ArrowLeft' && event.key !== 'ArrowRight')) return;
+            const card = event.target.closest('.board-card');
+            if (!card) return;
+
+            const status = card.closest('.board-column').dataset.status;
+            const index = workflowColumns.findIndex(column => column.id === status);
+            const target = workflowColumns[event.key === 'ArrowLeft' ? index - 1 : index + 1];
+            event.preventDefault();
+            if (!target) return;
+
+            try {
+                await moveTaskToColumn(card.dataset.id, target.id);
+                const movedCard = uiElements.taskBoard.querySelector(`.board-card[data-id="${card.dataset.id}"]`);
+                if (movedCard) movedCard.focus();
+            } catch (error) {
+                console.error("Error moving task to column:", error);
+                alert(chrome.i18n.getMessage('updateTaskFailed'));
+            }
+        });
+
+        // Calendar layout switch and previous/today/next navigation
+        uiElements.taskCalendar.addEventListener('click', async (event) => {
+            const layoutButton = event.target.closest('button[data-calendar-layout]');
+            const navButton = event.target.closest('button[data-calendar-nav]');
+            if (layoutButton) {
+                calendarLayout = layoutButton.dataset.calendarLayout;
+                if (calendarLayout === 'agenda') calendarAnchor = new Date(); // The agenda starts today
+            } else if (navButton) {
+                const delta = Number(navButton.dataset.calendarNav);
+                calendarAnchor = delta === 0 ? new Date() : shiftCalendarAnchor(calendarLayout, calendarAnchor, delta);
+            } else {
+                return;
+            }
+            try {
+                await refreshTasks();
+            } catch (error) {
+                console.error("Error rendering the calendar:", error);
+                alert(chrome.i18n.getMessage('loadDataFailed'));
+            }
+        });
+
+        // Drag-and-drop of calendar tasks onto another day reschedules them
+        uiElements.calendarGrid.addEventListener('dragstart', (event) => {
+            const entry = event.target.closest('.calendar-task');
+            if (!entry) return;
+            draggedCalendarTaskId = entry.dataset.id;
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', draggedCalendarTaskId);
+            entry.classList.add('dragging');
+        });
+
+        uiElements.calendarGrid.addEventListener('dragover', (event) => {
+            const day = event.target.closest('.calendar-day[data-date]');
+            if (!draggedCalendarTaskId || !day) return;
+            event.preventDefault(); // Allow the drop
+            uiElements.calendarGrid.querySelectorAll('.drop-target').forEach(d => d.classList.remove('drop-target'));
+            day.classList.add('drop-target');
+        });
+
+        uiElements.calendarGrid.addEventListener('dragend', () => {
+            draggedCalendarTaskId = null;
+            uiElements.calendarGrid.querySelectorAll('.drop-target, .dragging').forEach(el => el.classList.remove('drop-target', 'dragging'));
+        });
+
+        uiElements.calendarGrid.addEventListener('drop', async (event) => {
+            const day = event.target.closest('.calendar-day[data-date]');
+            const taskId = draggedCalendarTaskId;
+            if (!taskId || !day) return;
+            event.preventDefault();
+            day.classList.remove('drop-target');
+            try {
+                await rescheduleTaskToDay(taskId, parseDueDate(day.dataset.date));
+            } catch (error) {
+                console.error("Error rescheduling task:", error);
+                alert(chrome.i18n.getMessage('updateTaskFailed'));
+            }
+        });
+
+        // Alt+Left/Right moves the focused task a day, Alt+Up/Down a week
+        uiElements.calendarGrid.addEventListener('keydown', async (event) => {
+            const deltas = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 };
+            if (!event.altKey || !(event.key in deltas)) return;
+            const entry = event.target.closest('.calendar-task');
+            if (!entry) return;
+            event.preventDefault();
+
+            try {
+                const task = await taskManager.getTaskById(entry.dataset.id);
+                const due = task ? parseDueDate(task.dueDate) : null;
+                if (!due) return;
+                await rescheduleTaskToDay(task.id, addDays(due, deltas[event.key]));
+                const movedEntry = uiElements.calendarGrid.querySelector(`.calendar-task[data-id="${task.id}"]`);
+                if (movedEntry) movedEntry.focus();
+            } catch (error) {
+                console.error("Error rescheduling task:", error);
+                alert(chrome.i18n.getMessage('updateTaskFailed'));
+            }
+        });
+
+        uiElements.toggleSelectButton.addEventListener('click', async () => {
+            try {
+                await setSelectionMode(!selectionMode);
+            } catch (error) {
+                console.error("Error toggling task selection mode:", error);
+                alert(chrome.i18n.getMessage('loadDataFailed'));
+            }
+        });
+
+        // Event delegation for the bulk action bar
+        uiElements.bulkActionBar.addEventListener('click', async (event) => {
+            const button = event.target.closest('button[data-bulk-action]');
+            if (!button) return;
+            try {
+                await handleBulkAction(button.dataset.bulkAction);
+            } catch (error) {
+                console.error("Error running bulk task action:", error);
+                alert(chrome.i18n.getMessage('bulkActionFailed'));
+            }
+        });
+
+        uiElements.stopTimerButton.addEventListener('click', async () => {
+            try {
+                await sendBackgroundMessage({ type: 'STOP_TIMER' });
+                await refreshTasks();
+            } catch (error) {
+                console.error("Error stopping timer:", error);
+                alert(chrome.i18n.getMessage('updateTaskFailed'));
+            }
+        });
+
+        // Event delegation for the task filter chips
+        uiElements.taskFilterBar.addEventListener('click', async (event) => {
+            const chip = event.target.closest('.filter-chip');
+            if (!chip) return;
+
+            const { filter, value } = chip.dataset;
+            if (filter === 'status') {
+                taskQuery.status = value;
+            } else if (filter === 'priority') {
+                taskQuery.priority = taskQuery.priority === value ? null : value; // Clicking the active chip clears it
+            } else if (filter === 'tag') {
+                taskQuery.tags = taskQuery.tags.includes(value)
+                    ? taskQuery.tags.filter(tag => tag !== value)
+                    : [...taskQuery.tags, value];
+            }
+
+            try {
+                await refreshTasks();
+            } catch (error) {
+                console.error("Error filtering tasks:", error);
+                alert(chrome.i18n.getMessage('loadDataFailed'));
+            }
+        });
+
+        uiElements.taskSortSelect.addEventListener('change', async (event) => {
+            taskQuery.sort = event.target.value;
+            try {
+                await refreshTasks();
+            } catch (error) {
+                console.error("Error sorting tasks:", error);
+                alert(chrome.i18n.getMessage('loadDataFailed'));
+            }
+        });
+
+        // Event delegation for dynamic note actions (activity, privacy, delete)
         uiElements.noteList.addEventListener('click', async (event) => {
             const target = event.target;
             const noteItem = target.closest('.note-item[data-id]');
             if (!noteItem) return;
 
             const noteId = noteItem.dataset.id;
-            let notes = [];
             try {
-                notes = await StorageManager.getItem(STORAGE_KEYS.NOTES);
-                if (target.dataset.action === 'delete-note') {
-                    notes = notes.filter(note => note.id !== noteId);
-                    await StorageManager.setItem(STORAGE_KEYS.NOTES, notes);
-                    renderNotes(notes); // Re-render after action
+                if (target.dataset.action === 'show-activity') {
+                    await toggleActivityTimeline(noteItem, 'note', noteId);
+                } else if (target.dataset.action === 'toggle-private') {
+                    // Not undoable: the history would keep the note's plaintext (see setNotePrivate)
+                    await NoteManager.setNotePrivate(noteId, !noteItem.classList.contains('private'));
+                    renderNotes(await getProjectNotes());
+                } else if (target.dataset.action === 'delete-note') {
+                    await commandHistory.record(historyLabel('historyDeleteNote', 'Delete note'), 'notes', () => NoteManager.deleteNote(noteId));
+                    renderNotes(await getProjectNotes()); // Re-render after action
+                    showUndoToast(chrome.i18n.getMessage('noteDeletedSuccess'));
                 }
             } catch (error) {
+                if (error.name === 'VaultLockedError') {
+                    await refreshVault();
+                    alert(chrome.i18n.getMessage('vaultLockedMessage') || error.message);
+                    return;
+                }
                 console.error("Error deleting note:", error);
                 alert(chrome.i18n.getMessage('deleteNoteFailed'));
             }
@@ -408,19 +2511,382 @@ const PopupManager = (() => {
             if (!youtubeItem) return;
 
             const videoId = youtubeItem.dataset.id; // This is the unique ID assigned to the item, not the youtube video ID
-            let videos = [];
             try {
-                videos = await StorageManager.getItem(STORAGE_KEYS.YOUTUBE_VIDEOS);
                 if (target.dataset.action === 'delete-youtube') {
-                    videos = videos.filter(video => video.id !== videoId);
-                    await StorageManager.setItem(STORAGE_KEYS.YOUTUBE_VIDEOS, videos);
-                    renderYoutubeVideos(videos); // Re-render after action
+                    await commandHistory.record(historyLabel('historyDeleteVideo', 'Delete video'), 'videos', () => trashVideo(videoId));
+                    renderYoutubeVideos(await getProjectVideos()); // Re-render after action
+                    showUndoToast(chrome.i18n.getMessage('videoDeletedSuccess'));
                 }
             } catch (error) {
                 console.error("Error deleting YouTube video:", error);
                 alert(chrome.i18n.getMessage('deleteVideoFailed'));
             }
         });
+
+        // Event delegation for trash actions (restore, delete forever)
+        uiElements.trashList.addEventListener('click', async (event) => {
+            const button = event.target.closest('button[data-action]');
+            const trashItem = event.target.closest('.trash-item');
+            if (!button || !trashItem) return;
+
+            const { type, id } = trashItem.dataset;
+            try {
+                if (button.dataset.action === 'restore') {
+                    await commandHistory.record(historyLabel('historyRestoreItem', 'Restore from trash'), TRASH_COLLECTIONS[type], () =>
+                        restoreItem(type, id)
+                    );
+                } else if (button.dataset.action === 'delete-forever') {
+                    await commandHistory.record(historyLabel('historyDeleteForever', 'Delete forever'), TRASH_COLLECTIONS[type], () =>
+                        deleteItemForever(type, id)
+                    );
+                    showUndoToast(chrome.i18n.getMessage('itemDeletedForeverSuccess') || 'Permanently deleted.');
+                }
+                await refreshData(); // A restored item reappears in its own tab
+            } catch (error) {
+                console.error("Error updating the trash:", error);
+                alert(chrome.i18n.getMessage('trashActionFailed') || 'Failed to update the trash. Please try again.');
+            }
+        });
+
+        uiElements.emptyTrashButton.addEventListener('click', async () => {
+            const confirmMessage = chrome.i18n.getMessage('confirmEmptyTrash') || 'Permanently delete everything in the trash?';
+            if (!confirm(confirmMessage)) return;
+            try {
+                await commandHistory.record(historyLabel('historyEmptyTrash', 'Empty trash'), Object.values(TRASH_COLLECTIONS), () => emptyTrash());
+                showUndoToast(chrome.i18n.getMessage('trashEmptiedSuccess') || 'Trash emptied.');
+                await refreshTrash();
+            } catch (error) {
+                console.error("Error emptying the trash:", error);
+                alert(chrome.i18n.getMessage('trashActionFailed') || 'Failed to update the trash. Please try again.');
+            }
+        });
+
+        // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS) undo and redo, except while typing,
+        // where the browser's own text undo should keep working.
+        document.addEventListener('keydown', (event) => {
+            if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== 'z') return;
+            const active = document.activeElement;
+            if (active && (active.tagName === 'INPUT' || active.tagName === 'TEXTAREA' || active.isContentEditable)) return;
+
+            event.preventDefault();
+            if (event.shiftKey) {
+                redoLastCommand();
+            } else {
+                undoLastCommand();
+            }
+        });
+    }
+
+    /**
+     * Tells whether a task, note or video belongs to the current project scope.
+     * @param {Object} item - The item to check.
+     * @returns {boolean} True if no project is selected or the item belongs to the selected one.
+     */
+    function isInCurrentProject(item) {
+        return !currentProjectId || item.projectId === currentProjectId;
+    }
+
+    /**
+     * Loads the notes in the current project scope.
+     * @returns {Promise<Array<Object>>} The notes.
+     */
+    async function getProjectNotes() {
+        return (await NoteManager.getAllNotes()).filter(isInCurrentProject);
+    }
+
+    /**
+     * Loads the saved videos in the current project scope.
+     * @returns {Promise<Array<Object>>} The videos.
+     */
+    async function getProjectVideos() {
+        return (await StorageManager.getAllYoutubeVideos()).filter(video => !isTrashed(video) && isInCurrentProject(video));
+    }
+
+    /**
+     * Loads the projects and the persisted project selection, then renders the switcher and progress summary.
+     * A selection pointing at a deleted or archived project falls back to all projects.
+     */
+    async function refreshProjects() {
+        const [projects, summaries, settings] = await Promise.all([
+            projectManager.getAllProjects(),
+            projectManager.getProjectSummaries(),
+            StorageManager.getSettings()
+        ]);
+        currentProjectId = projects.some(project => project.id === settings.activeProjectId) ? settings.activeProjectId : null;
+        renderProjectSwitcher(projects);
+        renderProjectSummary(projects, summaries);
+    }
+
+    /**
+     * Renders the project switcher and shows the actions that need a selected project.
+     * @param {Array<Object>} projects - The active projects.
+     */
+    function renderProjectSwitcher(projects) {
+        uiElements.projectSelect.innerHTML = '';
+        const allOption = document.createElement('option');
+        allOption.value = '';
+        allOption.textContent = chrome.i18n.getMessage('allProjectsOption') || 'All projects';
+        uiElements.projectSelect.appendChild(allOption);
+        projects.forEach(project => {
+            const option = document.createElement('option');
+            option.value = project.id;
+            option.textContent = project.name;
+            uiElements.projectSelect.appendChild(option);
+        });
+        uiElements.projectSelect.value = currentProjectId || '';
+
+        const project = projects.find(p => p.id === currentProjectId);
+        uiElements.projectSelect.style.borderLeftColor = project ? project.color : '';
+        uiElements.projectColorInput.hidden = !project;
+        uiElements.projectColorInput.value = project ? project.color : '#000000';
+        uiElements.projectActions.querySelectorAll('[data-requires-project]').forEach(button => {
+            button.hidden = !project;
+        });
+    }
+
+    /**
+     * Creates a progress bar element.
+     * @param {number} percent - The completion percentage.
+     * @param {string} color - The fill color.
+     * @returns {HTMLDivElement} The progress bar.
+     */
+    function createProgressBar(percent, color) {
+        const bar = document.createElement('div');
+        bar.className = 'project-progress';
+        bar.setAttribute('role', 'progressbar');
+        bar.setAttribute('aria-valuenow', String(percent));
+        bar.setAttribute('aria-valuemin', '0');
+        bar.setAttribute('aria-valuemax', '100');
+        const fill = document.createElement('div');
+        fill.className = 'project-progress-fill';
+        fill.style.width = `${percent}%`;
+        fill.style.backgroundColor = color;
+        bar.appendChild(fill);
+        return bar;
+    }
+
+    /**
+     * Renders the progress summary: details for the selected project, or one row per project
+     * (clickable to switch to it) when all projects are shown.
+     * @param {Array<Object>} projects - The active projects.
+     * @param {Object<string, Object>} summaries - Progress summaries by project ID (see `projectManager.getProjectSummaries`).
+     */
+    function renderProjectSummary(projects, summaries) {
+        uiElements.projectSummary.innerHTML = '';
+        const shown = currentProjectId ? projects.filter(project => project.id === currentProjectId) : projects;
+
+        shown.forEach(project => {
+            const summary = summaries[project.id];
+            const row = document.createElement('div');
+            row.className = 'project-summary-row';
+            row.dataset.projectId = project.id;
+
+            const name = document.createElement('span');
+            name.className = 'project-summary-name';
+            name.textContent = project.name;
+            name.style.borderLeftColor = project.color;
+            row.appendChild(name);
+
+            const counts = document.createElement('span');
+            counts.className = 'project-summary-counts';
+            const parts = [
+                `${summary.completedCount}/${summary.taskCount} ${chrome.i18n.getMessage('projectTasksDone') || 'tasks done'}`
+            ];
+            if (summary.overdueCount > 0) {
+                parts.push(`${summary.overdueCount} ${chrome.i18n.getMessage('projectTasksOverdue') || 'overdue'}`);
+            }
+            if (currentProjectId) {
+                parts.push(`${summary.noteCount} ${chrome.i18n.getMessage('projectNotesCount') || 'notes'}`);
+                parts.push(`${summary.videoCount} ${chrome.i18n.getMessage('projectVideosCount') || 'videos'}`);
+                if (project.startDate || project.endDate) {
+                    const formatDay = date => (date ? parseDueDate(date).toLocaleDateString(undefined, { month: 'short', day: 'numeric' }) : '\u2026');
+                    parts.push(`${formatDay(project.startDate)} \u2013 ${formatDay(project.endDate)}`);
+                }
+            }
+            counts.textContent = parts.join(' \u00B7 ');
+            row.appendChild(counts);
+
+            row.appendChild(createProgressBar(summary.percentComplete, project.color));
+            uiElements.projectSummary.appendChild(row);
+        });
+    }
+
+    /**
+     * Switches the project scope of all tabs and remembers it for the next time the popup opens.
+     * @param {string|null} projectId - The project to show, or null for all projects.
+     */
+    async function selectProject(projectId) {
+        await StorageManager.updateSettings({ activeProjectId: projectId });
+        await refreshData();
+    }
+
+    /**
+     * Runs a project action from the switcher bar.
+     * @param {string} action - The `data-project-action` of the clicked button.
+     */
+    async function handleProjectAction(action) {
+        switch (action) {
+            case 'new': {
+                const name = prompt(chrome.i18n.getMessage('projectNamePrompt') || 'Project name:');
+                if (!isValidText(name, 1)) return;
+                const project = await commandHistory.record(historyLabel('historyCreateProject', 'Create project'), 'projects', () =>
+                    projectManager.createProject({ name: name.trim() })
+                );
+                await selectProject(project.id);
+                break;
+            }
+            case 'rename': {
+                const project = await projectManager.getProjectById(currentProjectId);
+                const name = prompt(chrome.i18n.getMessage('projectNamePrompt') || 'Project name:', project ? project.name : '');
+                if (!isValidText(name, 1)) return;
+                await commandHistory.record(historyLabel('historyRenameProject', 'Rename project'), 'projects', () =>
+                    projectManager.renameProject(currentProjectId, name.trim())
+                );
+                await refreshProjects();
+                break;
+            }
+            case 'archive':
+                await commandHistory.record(historyLabel('historyArchiveProject', 'Archive project'), 'projects', () =>
+                    projectManager.archiveProject(currentProjectId)
+                );
+                showUndoToast(chrome.i18n.getMessage('projectArchivedSuccess') || 'Project archived.');
+                await selectProject(null);
+                break;
+            case 'delete': {
+                const confirmMessage = chrome.i18n.getMessage('confirmDeleteProject')
+                    || 'Delete this project? Its tasks, notes and videos are kept without a project.';
+                if (!confirm(confirmMessage)) return;
+                await commandHistory.record(historyLabel('historyDeleteProject', 'Delete project'), ['projects', 'tasks', 'notes', 'videos'], () =>
+                    projectManager.deleteProject(currentProjectId)
+                );
+                showUndoToast(chrome.i18n.getMessage('projectDeletedSuccess') || 'Project deleted.');
+                await selectProject(null);
+                break;
+            }
+        }
+    }
+
+    /**
+     * Returns a translated label for a recorded command, falling back to English.
+     * @param {string} key - The i18n message key.
+     * @param {string} fallback - The label to use if the key has no translation.
+     * @returns {string} The label.
+     */
+    function historyLabel(key, fallback) {
+        return chrome.i18n.getMessage(key) || fallback;
+    }
+
+    /**
+     * Shows a toast confirming a destructive operation, with an "Undo" button that reverts it.
+     * @param {string} message - The confirmation message.
+     */
+    function showUndoToast(message) {
+        UserNotificationSystem.showAction(message, chrome.i18n.getMessage('undoButton') || 'Undo', undoLastCommand);
+    }
+
+    /**
+     * Undoes the most recent recorded command and re-renders all lists.
+     */
+    async function undoLastCommand() {
+        try {
+            const command = await commandHistory.undo();
+            if (command) {
+                await refreshData();
+                UserNotificationSystem.showInfo(`${chrome.i18n.getMessage('undoneMessage') || 'Undone:'} ${command.label}`, 3000);
+            }
+        } catch (error) {
+            console.error("Error undoing last change:", error);
+            UserNotificationSystem.showError(chrome.i18n.getMessage('undoFailed') || 'Could not undo the last change.');
+        }
+    }
+
+    /**
+     * Redoes the most recently undone command and re-renders all lists.
+     */
+    async function redoLastCommand() {
+        try {
+            const command = await commandHistory.redo();
+            if (command) {
+                await refreshData();
+                UserNotificationSystem.showInfo(`${chrome.i18n.getMessage('redoneMessage') || 'Redone:'} ${command.label}`, 3000);
+            }
+        } catch (error) {
+            console.error("Error redoing last change:", error);
+            UserNotificationSystem.showError(chrome.i18n.getMessage('redoFailed') || 'Could not redo the last change.');
+        }
+    }
+
+    /**
+     * Keeps the popup in step with changes made elsewhere (the options page, the service worker's
+     * reminders, deferrals and syncs, or another popup) by re-rendering the parts that show the
+     * changed keys (see StorageManager.subscribe). The popup's own changes re-render them once more.
+     */
+    function watchStorage() {
+        const refreshOn = (keys, ...parts) => StorageManager.subscribe(keys, () => scheduleRefresh(...parts));
+        refreshOn(STORAGE_KEYS.SETTINGS, 'projects', 'tasks', 'notes', 'videos', 'trash'); // The project scope, workflow, week start and retention
+        refreshOn(STORAGE_KEYS.PROJECTS, 'projects', 'tasks', 'notes', 'videos');
+        refreshOn(STORAGE_KEYS.TASKS, 'projects', 'tasks', 'trash'); // The project summaries count tasks, notes and videos
+        refreshOn(STORAGE_KEYS.NOTES, 'projects', 'notes', 'trash');
+        refreshOn(STORAGE_KEYS.YOUTUBE_VIDEOS, 'projects', 'videos', 'trash');
+        refreshOn([STORAGE_KEYS.ACTIVE_TIMER, STORAGE_KEYS.TIME_ENTRIES], 'tasks');
+        refreshOn(STORAGE_KEYS.TEMPLATES, 'templates');
+        refreshOn(STORAGE_KEYS.ACTIVITY_LOG, 'activity');
+        // The vault locks from the service worker (auto-lock) or another page; redact the notes again
+        StorageManager.subscribe(STORAGE_KEYS.VAULT_KEY, async () => {
+            const wasUnlocked = vaultStatus.isUnlocked;
+            await refreshVault();
+            if (vaultStatus.isUnlocked !== wasUnlocked) {
+                scheduleRefresh('notes');
+            }
+        }, { area: 'session' });
+    }
+
+    /**
+     * Re-renders parts of the popup shortly, together with the parts that further storage changes
+     * ask for meanwhile, so that a burst of changes renders once.
+     * @param {...string} parts - The parts: 'projects', 'tasks', 'notes', 'videos', 'templates', 'trash' or 'activity'.
+     */
+    function scheduleRefresh(...parts) {
+        parts.forEach(part => pendingRefreshes.add(part));
+        if (liveRefreshTimer === null) {
+            liveRefreshTimer = setTimeout(runScheduledRefreshes, LIVE_REFRESH_DELAY_MS);
+        }
+    }
+
+    /**
+     * Re-renders the parts scheduled with scheduleRefresh. Waits while a task is being dragged,
+     * since re-rendering would replace the dragged element. The activity feed only re-renders
+     * while it is shown; opening it loads it anyway.
+     */
+    async function runScheduledRefreshes() {
+        if (draggedTaskId || draggedCardId || draggedCalendarTaskId) {
+            liveRefreshTimer = setTimeout(runScheduledRefreshes, LIVE_REFRESH_DELAY_MS);
+            return;
+        }
+        liveRefreshTimer = null;
+        const parts = new Set(pendingRefreshes);
+        pendingRefreshes.clear();
+        try {
+            if (parts.has('projects')) {
+                await refreshProjects(); // Sets the project scope used by everything below
+            }
+            const [notes, youtubeVideos] = await Promise.all([
+                parts.has('notes') ? getProjectNotes() : null,
+                parts.has('videos') ? getProjectVideos() : null,
+                parts.has('tasks') ? refreshTasks() : null,
+                parts.has('templates') ? refreshTemplates() : null,
+                parts.has('trash') ? refreshTrash() : null,
+                parts.has('activity') && uiElements.activitySection.classList.contains('active') ? refreshActivityFeed() : null
+            ]);
+            if (notes) {
+                renderNotes(notes);
+            }
+            if (youtubeVideos) {
+                renderYoutubeVideos(youtubeVideos);
+            }
+        } catch (error) {
+            console.error("Error refreshing after a storage change:", error);
+        }
     }
 
     /**
@@ -429,12 +2895,15 @@ const PopupManager = (() => {
      */
     async function refreshData() {
         try {
-            const [tasks, notes, youtubeVideos] = await Promise.all([
-                StorageManager.getItem(STORAGE_KEYS.TASKS),
-                StorageManager.getItem(STORAGE_KEYS.NOTES),
-                StorageManager.getItem(STORAGE_KEYS.YOUTUBE_VIDEOS)
+            await refreshProjects(); // Sets the project scope used by everything below
+            await refreshVault(); // Decides whether private notes are rendered redacted
+            const [notes, youtubeVideos] = await Promise.all([
+                getProjectNotes(),
+                getProjectVideos(),
+                refreshTasks(),
+                refreshTemplates(),
+                refreshTrash()
             ]);
-            renderTasks(tasks);
             renderNotes(notes);
             renderYoutubeVideos(youtubeVideos);
         } catch (error) {
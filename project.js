@@ -0,0 +1,358 @@
+import * as storage from './storage.js';
+import { StorageError, InvalidInputError } from './task.js';
+import { parseDueDate } from './recurrence.js';
+import { isTrashed } from './trash.js';
+
+/**
+ * Colors offered for new projects; a project without an explicit color gets the next one in turn.
+ */
+const PROJECT_COLORS = ['#007bff', '#28a745', '#fd7e14', '#6f42c1', '#e83e8c', '#20c997', '#dc3545', '#6c757d'];
+
+const HEX_COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+/**
+ * Manages projects (campaigns) that group tasks, notes and saved YouTube videos.
+ * Items belong to a project through their `projectId` field; items with a null `projectId`
+ * are not part of any project. Projects are persisted in chrome.storage.local.
+ */
+class ProjectManager {
+    /**
+     * Retrieves all projects from storage.
+     * @private
+     * @returns {Promise<Array<object>>} A promise that resolves with the projects.
+     * @throws {StorageError} If there's an error retrieving projects from storage.
+     */
+    async _getProjects() {
+        try {
+            return await storage.getAllProjects();
+        } catch (error) {
+            console.error('Error retrieving projects from storage:', error);
+            throw new StorageError('Failed to retrieve projects due to storage error.', error);
+        }
+    }
+
+    /**
+     * Runs a read-modify-write of the projects as a storage transaction (see `storage.transaction`).
+     * `fn` receives a copy of the projects and a `save` callback taking the projects to write;
+     * nothing is written unless it calls `save`. `fn` may run more than once, so it must not
+     * have other side effects.
+     * @private
+     * @param {function(Array<object>, function(Array<object>): void): *} fn - The read-modify-write.
+     * @returns {Promise<*>} A promise that resolves with the value returned by `fn`.
+     * @throws {StorageError} If there's an error reading or saving projects.
+     */
+    async _transactProjects(fn) {
+        const key = storage.STORAGE_KEYS.PROJECTS;
+        let callbackError = null;
+        try {
+            return await storage.transaction(key, async values => {
+                const projects = structuredClone(values[key] || []);
+                try {
+                    return await fn(projects, saved => {
+                        values[key] = saved;
+                    });
+                } catch (error) {
+                    callbackError = error;
+                    throw error;
+                }
+            });
+        } catch (error) {
+            if (error === callbackError) {
+                throw error;
+            }
+            console.error('Error saving projects to storage:', error);
+            throw new StorageError('Failed to save projects due to storage error.', error);
+        }
+    }
+
+    /**
+     * Validates a project name.
+     * @private
+     * @param {string} name - The name to validate.
+     * @returns {string} The trimmed name.
+     * @throws {InvalidInputError} If the name is empty.
+     */
+    _normalizeName(name) {
+        if (typeof name !== 'string' || name.trim() === '') {
+            throw new InvalidInputError('A project name is required.');
+        }
+        return name.trim();
+    }
+
+    /**
+     * Validates a project color.
+     * @private
+     * @param {string} color - The color, as a '#rrggbb' hex string.
+     * @returns {string} The lowercased color.
+     * @throws {InvalidInputError} If the color is not a '#rrggbb' hex string.
+     */
+    _normalizeColor(color) {
+        if (typeof color !== 'string' || !HEX_COLOR_PATTERN.test(color)) {
+            throw new InvalidInputError(`Invalid project color "${color}". Expected a hex color such as #007bff.`);
+        }
+        return color.toLowerCase();
+    }
+
+    /**
+     * Validates a project's start and end dates.
+     * @private
+     * @param {string|number|null} startDate - The start date ('YYYY-MM-DD' or timestamp), or null.
+     * @param {string|number|null} endDate - The end date ('YYYY-MM-DD' or timestamp), or null.
+     * @returns {void}
+     * @throws {InvalidInputError} If a date is invalid or the end date is before the start date.
+     */
+    _validateDates(startDate, endDate) {
+        const start = startDate ? parseDueDate(startDate) : null;
+        const end = endDate ? parseDueDate(endDate) : null;
+        if ((startDate && !start) || (endDate && !end)) {
+            throw new InvalidInputError('Invalid project start or end date.');
+        }
+        if (start && end && end < start) {
+            throw new InvalidInputError('A project cannot end before it starts.');
+        }
+    }
+
+    /**
+     * Creates a new project.
+     * @param {object} projectData - The project properties: `name` (required), `color` (optional
+     *                               '#rrggbb'), `startDate` and `endDate` (optional, 'YYYY-MM-DD' or timestamp).
+     * @returns {Promise<object>} A promise that resolves with the new project.
+     * @throws {InvalidInputError} If `projectData` is invalid.
+     * @throws {StorageError} If there's an error saving projects to storage.
+     */
+    async createProject(projectData) {
+        if (!projectData || typeof projectData !== 'object') {
+            throw new InvalidInputError('Invalid project data. A "name" is required to create a project.');
+        }
+        const name = this._normalizeName(projectData.name);
+        const startDate = projectData.startDate || null;
+        const endDate = projectData.endDate || null;
+        this._validateDates(startDate, endDate);
+
+        const color = projectData.color ? this._normalizeColor(projectData.color) : null;
+
+        return this._transactProjects((projects, save) => {
+            const now = Date.now();
+            const newProject = {
+                id: crypto.randomUUID(),
+                name,
+                color: color || PROJECT_COLORS[projects.length % PROJECT_COLORS.length],
+                startDate,
+                endDate,
+                isArchived: false,
+                createdAt: now,
+                updatedAt: now
+            };
+
+            projects.push(newProject);
+            save(projects);
+            console.log('Project created:', newProject.id, newProject.name);
+            return newProject;
+        });
+    }
+
+    /**
+     * Retrieves a single project by its unique ID.
+     * @param {string} id - The unique ID of the project.
+     * @returns {Promise<object|null>} A promise that resolves with the project, or null if not found.
+     * @throws {InvalidInputError} If `id` is not provided.
+     * @throws {StorageError} If there's an error retrieving projects from storage.
+     */
+    async getProjectById(id) {
+        if (!id) {
+            throw new InvalidInputError('Project ID must be provided to retrieve a project.');
+        }
+        const projects = await this._getProjects();
+        return projects.find(project => project.id === id) || null;
+    }
+
+    /**
+     * Retrieves projects, in creation order.
+     * @param {object} [options={}] - Retrieval options.
+     * @param {boolean} [options.includeArchived=false] - Whether to include archived projects.
+     * @returns {Promise<Array<object>>} A promise that resolves with the projects.
+     * @throws {StorageError} If there's an error retrieving projects from storage.
+     */
+    async getAllProjects({ includeArchived = false } = {}) {
+        const projects = await this._getProjects();
+        return includeArchived ? projects : projects.filter(project => !project.isArchived);
+    }
+
+    /**
+     * Updates a project's name, color or dates.
+     * @param {string} id - The unique ID of the project to update.
+     * @param {object} newData - The properties to update: `name`, `color`, `startDate` and/or `endDate`.
+     * @returns {Promise<object|null>} A promise that resolves with the updated project, or null if not found.
+     * @throws {InvalidInputError} If `id` or `newData` are invalid.
+     * @throws {StorageError} If there's an error saving projects to storage.
+     */
+    async updateProject(id, newData) {
+        if (!id || typeof newData !== 'object' || newData === null) {
+            throw new InvalidInputError('Project ID and valid new data object are required to update a project.');
+        }
+
+        return this._transactProjects((projects, save) => {
+            const project = projects.find(p => p.id === id);
+            if (!project) {
+                console.warn(`Project with ID ${id} not found for update.`);
+                return null;
+            }
+
+            const changes = {};
+            if (newData.name !== undefined) changes.name = this._normalizeName(newData.name);
+            if (newData.color !== undefined) changes.color = this._normalizeColor(newData.color);
+            if (newData.startDate !== undefined) changes.startDate = newData.startDate || null;
+            if (newData.endDate !== undefined) changes.endDate = newData.endDate || null;
+            this._validateDates(
+                changes.startDate !== undefined ? changes.startDate : project.startDate,
+                changes.endDate !== undefined ? changes.endDate : project.endDate
+            );
+
+            Object.assign(project, changes, { updatedAt: Date.now() });
+            save(projects);
+            console.log('Project updated:', project.id, project.name);
+            return project;
+        });
+    }
+
+    /**
+     * Renames a project.
+     * @param {string} id - The unique ID of the project.
+     * @param {string} name - The new name.
+     * @returns {Promise<object|null>} A promise that resolves with the updated project, or null if not found.
+     * @throws {InvalidInputError} If `id` or `name` are invalid.
+     * @throws {StorageError} If there's an error saving projects to storage.
+     */
+    async renameProject(id, name) {
+        return this.updateProject(id, { name });
+    }
+
+    /**
+     * Archives or restores a project. Archived projects keep their items but are hidden
+     * from `getAllProjects` unless `includeArchived` is set.
+     * @param {string} id - The unique ID of the project.
+     * @param {boolean} [isArchived=true] - True to archive the project, false to restore it.
+     * @returns {Promise<object|null>} A promise that resolves with the updated project, or null if not found.
+     * @throws {InvalidInputError} If `id` is not provided.
+     * @throws {StorageError} If there's an error saving projects to storage.
+     */
+    async archiveProject(id, isArchived = true) {
+        if (!id) {
+            throw new InvalidInputError('Project ID must be provided to archive a project.');
+        }
+
+        return this._transactProjects((projects, save) => {
+            const project = projects.find(p => p.id === id);
+            if (!project) {
+                console.warn(`Project with ID ${id} not found for archiving.`);
+                return null;
+            }
+
+            project.isArchived = Boolean(isArchived);
+            project.updatedAt = Date.now();
+            save(projects);
+            console.log(isArchived ? 'Project archived:' : 'Project restored:', id);
+            return project;
+        });
+    }
+
+    /**
+     * Deletes a project. Its tasks, notes and videos are kept but no longer belong to a project.
+     * @param {string} id - The unique ID of the project to delete.
+     * @returns {Promise<boolean>} A promise that resolves with true if the project was deleted, false if not found.
+     * @throws {InvalidInputError} If `id` is not provided.
+     * @throws {StorageError} If there's an error reading or saving storage.
+     */
+    async deleteProject(id) {
+        if (!id) {
+            throw new InvalidInputError('Project ID must be provided to delete a project.');
+        }
+
+        const { PROJECTS, TASKS, NOTES, YOUTUBE_VIDEOS } = storage.STORAGE_KEYS;
+        let deleted;
+        try {
+            // A single transaction, so that no item is left pointing at the deleted project
+            deleted = await storage.transaction([PROJECTS, TASKS, NOTES, YOUTUBE_VIDEOS], values => {
+                const projects = values[PROJECTS] || [];
+                const remaining = projects.filter(project => project.id !== id);
+                if (remaining.length === projects.length) {
+                    return false;
+                }
+                [TASKS, NOTES, YOUTUBE_VIDEOS].forEach(key => {
+                    const items = values[key] || [];
+                    if (items.some(item => item.projectId === id)) {
+                        values[key] = items.map(item => (item.projectId === id ? { ...item, projectId: null } : item));
+                    }
+                });
+                values[PROJECTS] = remaining;
+                return true;
+            });
+        } catch (error) {
+            console.error('Error deleting project and detaching its items:', error);
+            throw new StorageError('Failed to delete the project due to storage error.', error);
+        }
+
+        if (!deleted) {
+            console.warn(`Project with ID ${id} not found for deletion.`);
+            return false;
+        }
+        console.log('Project deleted:', id);
+        return true;
+    }
+
+    /**
+     * Summarizes the progress of every project (archived ones included). Items in the trash are not counted.
+     * @param {number} [now=Date.now()] - The current time, used to count overdue tasks.
+     * @returns {Promise<Object<string, object>>} A promise that resolves with a summary per project ID:
+     *          `{ taskCount, completedCount, overdueCount, percentComplete, noteCount, videoCount }`.
+     * @throws {StorageError} If there's an error retrieving storage.
+     */
+    async getProjectSummaries(now = Date.now()) {
+        let projects, tasks, notes, videos;
+        try {
+            [projects, tasks, notes, videos] = await Promise.all([
+                this._getProjects(),
+                storage.getIndex(storage.STORAGE_KEYS.TASKS), // The index entries have every field counted here
+                storage.getIndex(storage.STORAGE_KEYS.NOTES),
+                storage.getAllYoutubeVideos()
+            ]);
+        } catch (error) {
+            console.error('Error retrieving project data from storage:', error);
+            throw new StorageError('Failed to retrieve project data due to storage error.', error);
+        }
+
+        const startOfToday = new Date(now);
+        startOfToday.setHours(0, 0, 0, 0);
+
+        const summaries = {};
+        projects.forEach(project => {
+            summaries[project.id] = { taskCount: 0, completedCount: 0, overdueCount: 0, percentComplete: 0, noteCount: 0, videoCount: 0 };
+        });
+        tasks.forEach(task => {
+            const summary = summaries[task.projectId];
+            if (!summary || isTrashed(task)) return;
+            summary.taskCount++;
+            if (task.isComplete) {
+                summary.completedCount++;
+            } else {
+                const due = parseDueDate(task.dueDate);
+                if (due && due < startOfToday) summary.overdueCount++;
+            }
+        });
+        notes.forEach(note => {
+            if (summaries[note.projectId] && !isTrashed(note)) summaries[note.projectId].noteCount++;
+        });
+        videos.forEach(video => {
+            if (summaries[video.projectId] && !isTrashed(video)) summaries[video.projectId].videoCount++;
+        });
+        Object.values(summaries).forEach(summary => {
+            summary.percentComplete = summary.taskCount === 0 ? 0 : Math.round((summary.completedCount / summary.taskCount) * 100);
+        });
+        return summaries;
+    }
+}
+
+const projectManager = new ProjectManager();
+
+export { PROJECT_COLORS };
+export default projectManager;
@@ -0,0 +1,582 @@
+import { formatDate } from './recurrence.js';
+
+/**
+ * Keyword tables for the quick-add parser, keyed by language code.
+ * All words are lowercase; `dateOrder` controls how numeric dates such as "3/4" are read.
+ * Weekday lists are indexed like Date#getDay() (0 = Sunday) and include the plurals used
+ * after the locale's word for "every" ("tous les lundis"). `oClock` words may follow an hour ("15 Uhr").
+ */
+const QUICK_ADD_LOCALES = {
+    en: {
+        today: ['today', 'tonight'],
+        tomorrow: ['tomorrow', 'tmr', 'tmrw'],
+        dayAfterTomorrow: [],
+        next: ['next'],
+        in: ['in'],
+        every: ['every'],
+        at: ['at', '@'],
+        oClock: [],
+        on: ['on'],
+        one: ['a', 'an'],
+        noon: ['noon'],
+        units: {
+            day: ['day', 'days'],
+            week: ['week', 'weeks', 'wk', 'wks'],
+            month: ['month', 'months'],
+            year: ['year', 'years', 'yr', 'yrs']
+        },
+        weekdays: [
+            ['sunday', 'sun'],
+            ['monday', 'mon'],
+            ['tuesday', 'tue', 'tues'],
+            ['wednesday', 'wed'],
+            ['thursday', 'thu', 'thur', 'thurs'],
+            ['friday', 'fri'],
+            ['saturday', 'sat']
+        ],
+        workdays: ['weekday', 'weekdays', 'workday', 'workdays'],
+        frequencies: {
+            daily: ['daily'],
+            weekly: ['weekly'],
+            monthly: ['monthly'],
+            yearly: ['yearly', 'annually']
+        },
+        dateOrder: 'MDY'
+    },
+    de: {
+        today: ['heute'],
+        tomorrow: ['morgen'],
+        dayAfterTomorrow: ['übermorgen'],
+        next: ['nächste', 'nächsten', 'nächster', 'kommenden', 'kommender'],
+        in: ['in'],
+        every: ['jeden', 'jede', 'jedes', 'alle'],
+        at: ['um'],
+        oClock: ['uhr'],
+        on: ['am'],
+        one: ['einen', 'eine', 'einem', 'einer'],
+        noon: ['mittag'],
+        units: {
+            day: ['tag', 'tage', 'tagen'],
+            week: ['woche', 'wochen'],
+            month: ['monat', 'monate', 'monaten'],
+            year: ['jahr', 'jahre', 'jahren']
+        },
+        weekdays: [
+            ['sonntag'],
+            ['montag'],
+            ['dienstag'],
+            ['mittwoch'],
+            ['donnerstag'],
+            ['freitag'],
+            ['samstag', 'sonnabend']
+        ],
+        workdays: ['werktag', 'werktags', 'wochentag'],
+        frequencies: {
+            daily: ['täglich'],
+            weekly: ['wöchentlich'],
+            monthly: ['monatlich'],
+            yearly: ['jährlich']
+        },
+        dateOrder: 'DMY'
+    },
+    fr: {
+        today: ["aujourd'hui", 'ce soir'],
+        tomorrow: ['demain'],
+        dayAfterTomorrow: ['après-demain'],
+        next: ['prochain', 'prochaine'],
+        in: ['dans'],
+        every: ['chaque', 'tous les', 'toutes les'],
+        at: ['à'],
+        oClock: [],
+        on: ['le'],
+        one: ['un', 'une'],
+        noon: ['midi'],
+        units: {
+            day: ['jour', 'jours'],
+            week: ['semaine', 'semaines'],
+            month: ['mois'],
+            year: ['an', 'ans', 'année', 'années']
+        },
+        weekdays: [
+            ['dimanche', 'dimanches'],
+            ['lundi', 'lundis'],
+            ['mardi', 'mardis'],
+            ['mercredi', 'mercredis'],
+            ['jeudi', 'jeudis'],
+            ['vendredi', 'vendredis'],
+            ['samedi', 'samedis']
+        ],
+        workdays: ['jour ouvré', 'jours ouvrés'],
+        frequencies: {
+            daily: ['quotidien', 'quotidiennement'],
+            weekly: ['hebdomadaire'],
+            monthly: ['mensuel', 'mensuelle'],
+            yearly: ['annuel', 'annuelle']
+        },
+        dateOrder: 'DMY'
+    },
+    es: {
+        today: ['hoy'],
+        tomorrow: ['mañana'],
+        dayAfterTomorrow: ['pasado mañana'],
+        next: ['próximo', 'próxima', 'siguiente'],
+        in: ['en', 'dentro de'],
+        every: ['cada', 'todos los', 'todas las'],
+        at: ['a las', 'a la'],
+        oClock: [],
+        on: ['el'],
+        one: ['un', 'una'],
+        noon: ['mediodía'],
+        units: {
+            day: ['día', 'días'],
+            week: ['semana', 'semanas'],
+            month: ['mes', 'meses'],
+            year: ['año', 'años']
+        },
+        weekdays: [
+            ['domingo', 'domingos'],
+            ['lunes'],
+            ['martes'],
+            ['miércoles'],
+            ['jueves'],
+            ['viernes'],
+            ['sábado', 'sábados']
+        ],
+        workdays: ['día laborable', 'días laborables'],
+        frequencies: {
+            daily: ['diario', 'diariamente'],
+            weekly: ['semanal', 'semanalmente'],
+            monthly: ['mensual', 'mensualmente'],
+            yearly: ['anual', 'anualmente']
+        },
+        dateOrder: 'DMY'
+    }
+};
+
+const PRIORITY_ALIASES = {
+    high: 'high', h: 'high', 1: 'high',
+    medium: 'medium', med: 'medium', m: 'medium', 2: 'medium',
+    low: 'low', l: 'low', 3: 'low'
+};
+
+const UNIT_TO_FREQUENCY = { day: 'daily', week: 'weekly', month: 'monthly', year: 'yearly' };
+
+/**
+ * Resolves a BCP 47 language tag (e.g. 'de-AT') to one of the supported parser locales.
+ * @param {string} [locale] The requested locale.
+ * @returns {string} A key of `QUICK_ADD_LOCALES`, falling back to 'en'.
+ */
+function resolveLocale(locale) {
+    if (typeof locale !== 'string') {
+        return 'en';
+    }
+    const language = locale.toLowerCase().split(/[-_]/)[0];
+    return QUICK_ADD_LOCALES[language] ? language : 'en';
+}
+
+/**
+ * Checks whether the words starting at `index` spell one of the given (possibly multi-word) phrases.
+ * @param {Array<string>} words The lowercased input words.
+ * @param {number} index The position to match at.
+ * @param {Array<string>} phrases The candidate phrases.
+ * @returns {number} The number of words matched, or 0 if none of the phrases match.
+ */
+function matchPhrase(words, index, phrases) {
+    for (const phrase of phrases) {
+        const parts = phrase.split(' ');
+        if (parts.every((part, offset) => words[index + offset] === part)) {
+            return parts.length;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Returns the weekday (0-6) named by the word, or -1.
+ */
+function findWeekday(table, word) {
+    return table.weekdays.findIndex(names => names.includes(word));
+}
+
+/**
+ * Returns the unit ('day', 'week', 'month', 'year') named by the word, or null.
+ */
+function findUnit(table, word) {
+    return Object.keys(table.units).find(unit => table.units[unit].includes(word)) || null;
+}
+
+/**
+ * Returns local midnight of the day `days` after `date`.
+ */
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/**
+ * Returns the next date falling on `weekday`, on or after `from` (or strictly after it when `strict`).
+ */
+function nextWeekday(from, weekday, strict) {
+    let offset = (weekday - from.getDay() + 7) % 7;
+    if (offset === 0 && strict) {
+        offset = 7;
+    }
+    return addDays(from, offset);
+}
+
+/**
+ * Adds a number of days, weeks, months or years to a date, clamping to the end of shorter months.
+ */
+function addUnits(date, amount, unit) {
+    switch (unit) {
+        case 'day':
+            return addDays(date, amount);
+        case 'week':
+            return addDays(date, amount * 7);
+        case 'month':
+        case 'year': {
+            const months = unit === 'month' ? amount : amount * 12;
+            const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+            const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+            target.setDate(Math.min(date.getDate(), lastDay));
+            return target;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Parses a count word: a positive integer or the locale's word for "a"/"one".
+ * @returns {number|null} The count, or null if the word is not a count.
+ */
+function parseCount(table, word) {
+    if (/^\d+$/.test(word || '')) {
+        const count = parseInt(word, 10);
+        return count > 0 ? count : null;
+    }
+    return table.one.includes(word) ? 1 : null;
+}
+
+/**
+ * Parses a time of day such as "3pm", "3:30pm", "15:00", "15h30" or the locale's word for noon.
+ * @param {string} text The text to parse (a single word).
+ * @param {string} [locale='en'] The parser locale.
+ * @returns {{hours: number, minutes: number}|null} The time of day, or null if the text is not a time.
+ */
+function parseTimeExpression(text, locale = 'en') {
+    const table = QUICK_ADD_LOCALES[resolveLocale(locale)];
+    const word = String(text || '').toLowerCase();
+    if (table.noon.includes(word)) {
+        return { hours: 12, minutes: 0 };
+    }
+
+    let match = word.match(/^(\d{1,2})(?::(\d{2}))?(am|pm|a|p)$/);
+    if (match) {
+        let hours = parseInt(match[1], 10);
+        const minutes = match[2] ? parseInt(match[2], 10) : 0;
+        if (hours < 1 || hours > 12 || minutes > 59) {
+            return null;
+        }
+        const isPm = match[3].startsWith('p');
+        hours = (hours % 12) + (isPm ? 12 : 0);
+        return { hours, minutes };
+    }
+
+    match = word.match(/^(\d{1,2})(?::|h)(\d{2})?$/);
+    if (match && (match[2] !== undefined || word.includes('h'))) {
+        const hours = parseInt(match[1], 10);
+        const minutes = match[2] ? parseInt(match[2], 10) : 0;
+        if (hours > 23 || minutes > 59) {
+            return null;
+        }
+        return { hours, minutes };
+    }
+    return null;
+}
+
+/**
+ * Parses a time of day starting at `index`: a time word (see `parseTimeExpression`) or an hour
+ * followed by the locale's "o'clock" word ("15 Uhr"), which may also follow a time ("15:30 Uhr").
+ * @returns {{time: {hours: number, minutes: number}, length: number}|null} The time and number of words consumed, or null.
+ */
+function parseTimeWords(table, words, index, locale) {
+    const time = parseTimeExpression(words[index], locale);
+    if (time) {
+        return { time, length: 1 + matchPhrase(words, index + 1, table.oClock) };
+    }
+    const oClockLength = matchPhrase(words, index + 1, table.oClock);
+    if (oClockLength && /^\d{1,2}$/.test(words[index]) && parseInt(words[index], 10) <= 23) {
+        return { time: { hours: parseInt(words[index], 10), minutes: 0 }, length: 1 + oClockLength };
+    }
+    return null;
+}
+
+/**
+ * Parses a numeric date: ISO 'YYYY-MM-DD', or a short date in the locale's order
+ * ('10/23' in English, '23.10.' in German). Dates without a year that have already passed
+ * this year are moved to next year.
+ * @returns {Date|null} The date at local midnight, or null if the word is not a valid date.
+ */
+function parseNumericDate(table, word, now) {
+    let year;
+    let month;
+    let day;
+
+    let match = word.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (match) {
+        [year, month, day] = [parseInt(match[1], 10), parseInt(match[2], 10), parseInt(match[3], 10)];
+    } else {
+        match = word.match(/^(\d{1,2})([./])(\d{1,2})(?:\2(\d{2,4}))?(\.?)$/);
+        // "1.5" reads more like a number than a date; dotted dates need a year or a trailing dot ("1.5.")
+        if (!match || (match[2] === '.' && !match[4] && !match[5])) {
+            return null;
+        }
+        const first = parseInt(match[1], 10);
+        const second = parseInt(match[3], 10);
+        [month, day] = table.dateOrder === 'MDY' ? [first, second] : [second, first];
+        if (match[4]) {
+            year = parseInt(match[4], 10);
+            if (year < 100) {
+                year += 2000;
+            }
+        }
+    }
+
+    const explicitYear = year !== undefined;
+    year = explicitYear ? year : now.getFullYear();
+    let date = new Date(year, month - 1, day);
+    if (date.getMonth() !== month - 1 || date.getDate() !== day) {
+        return null; // Rejects impossible dates such as 2/30
+    }
+    if (!explicitYear && date < addDays(now, 0)) {
+        date = new Date(year + 1, month - 1, day);
+    }
+    return date;
+}
+
+/**
+ * Parses a date expression starting at `index`: "today", "tomorrow", weekday names
+ * ("fri", "next monday", "lundi prochain"), "in 3 days"/"in a week" and numeric dates.
+ * A bare weekday means the next such day on or after today; with "next" it is strictly after today.
+ * @param {Array<string>} words The lowercased input words.
+ * @param {number} index The position to parse at.
+ * @param {object} [options={}] Parser options.
+ * @param {Date} [options.now=new Date()] The reference date.
+ * @param {string} [options.locale='en'] The parser locale.
+ * @returns {{date: Date, length: number}|null} The parsed date and number of words consumed, or null.
+ */
+function parseDateExpression(words, index, { now = new Date(), locale = 'en' } = {}) {
+    const table = QUICK_ADD_LOCALES[resolveLocale(locale)];
+    const today = addDays(now, 0);
+    const word = words[index];
+    let length;
+
+    if ((length = matchPhrase(words, index, table.dayAfterTomorrow))) {
+        return { date: addDays(today, 2), length };
+    }
+    if ((length = matchPhrase(words, index, table.today))) {
+        return { date: today, length };
+    }
+    if ((length = matchPhrase(words, index, table.tomorrow))) {
+        return { date: addDays(today, 1), length };
+    }
+
+    // "next monday"
+    const nextLength = matchPhrase(words, index, table.next);
+    if (nextLength) {
+        const weekday = findWeekday(table, words[index + nextLength]);
+        if (weekday !== -1) {
+            return { date: nextWeekday(today, weekday, true), length: nextLength + 1 };
+        }
+        const unit = findUnit(table, words[index + nextLength]);
+        if (unit) {
+            return { date: addUnits(today, 1, unit), length: nextLength + 1 }; // "next week"
+        }
+    }
+
+    // "monday" or "lundi prochain"
+    const weekday = findWeekday(table, word);
+    if (weekday !== -1) {
+        const trailingNext = matchPhrase(words, index + 1, table.next);
+        return { date: nextWeekday(today, weekday, trailingNext > 0), length: 1 + trailingNext };
+    }
+
+    // "in 3 days", "in a week"
+    const inLength = matchPhrase(words, index, table.in);
+    if (inLength) {
+        const count = parseCount(table, words[index + inLength]);
+        const unit = findUnit(table, words[index + inLength + 1]);
+        if (count !== null && unit) {
+            return { date: addUnits(today, count, unit), length: inLength + 2 };
+        }
+    }
+
+    const numericDate = word ? parseNumericDate(table, word, today) : null;
+    if (numericDate) {
+        return { date: numericDate, length: 1 };
+    }
+    return null;
+}
+
+/**
+ * Parses a recurrence expression starting at `index`: "daily"/"weekly"/..., "every week",
+ * "every 2 weeks", "every 2 weeks on monday", "every monday" or "every weekday".
+ * @returns {{recurrence: object, length: number}|null} The recurrence rule and number of words consumed, or null.
+ */
+function parseRecurrenceExpression(table, words, index) {
+    const word = words[index];
+    const frequency = Object.keys(table.frequencies).find(key => table.frequencies[key].includes(word));
+    if (frequency) {
+        return { recurrence: { frequency, interval: 1 }, length: 1 };
+    }
+
+    const everyLength = matchPhrase(words, index, table.every);
+    if (!everyLength) {
+        return null;
+    }
+    let position = index + everyLength;
+
+    const workdaysLength = matchPhrase(words, position, table.workdays);
+    if (workdaysLength) {
+        return { recurrence: { frequency: 'weekly', interval: 1, byWeekday: [1, 2, 3, 4, 5] }, length: everyLength + workdaysLength };
+    }
+
+    const weekday = findWeekday(table, words[position]);
+    if (weekday !== -1) {
+        return { recurrence: { frequency: 'weekly', interval: 1, byWeekday: [weekday] }, length: everyLength + 1 };
+    }
+
+    let interval = 1;
+    if (/^\d+$/.test(words[position] || '')) {
+        interval = parseInt(words[position], 10);
+        position++;
+    }
+    const unit = findUnit(table, words[position]);
+    if (!unit || interval <= 0) {
+        return null;
+    }
+    position++;
+    const recurrence = { frequency: UNIT_TO_FREQUENCY[unit], interval };
+    if (unit === 'week') {
+        const onLength = matchPhrase(words, position, table.on);
+        const onWeekday = findWeekday(table, words[position + onLength]);
+        if (onWeekday !== -1) {
+            recurrence.byWeekday = [onWeekday];
+            position += onLength + 1;
+        }
+    }
+    return { recurrence, length: position - index };
+}
+
+/**
+ * Parses a quick-add line such as "Draft Q3 newsletter fri 3pm #email !high every week" into task fields.
+ * Recognized expressions are removed from the title:
+ * - `#tag` adds a tag (tags start with a letter);
+ * - `!high`, `!medium`/`!med`, `!low` (or `!1`-`!3`) set the priority;
+ * - dates ("tomorrow", "next monday", "in 3 days", "on 10/23") and times ("3pm", "at 15:30", "um 15 Uhr") set the due date;
+ * - "every week", "every 2 weeks on mon", "every friday", "daily" set the recurrence.
+ * The due date is a 'YYYY-MM-DD' string, or a timestamp when a time of day was given.
+ * A time without a date means its next occurrence: today, or tomorrow if it has passed.
+ * A weekly recurrence without an explicit date starts on the first of its weekdays from today on.
+ * @param {string} input The raw input text.
+ * @param {object} [options={}] Parser options.
+ * @param {Date} [options.now=new Date()] The reference date for relative expressions.
+ * @param {string} [options.locale='en'] The language used for keywords (e.g. 'en', 'de-DE').
+ * @returns {{title: string, dueDate: (string|number|null), tags: Array<string>, priority: (string|null),
+ *            recurrence: (object|null), tokens: Array<{type: string, text: string, value: *}>}}
+ *          The parsed task fields plus the recognized tokens, in input order, for previews.
+ */
+function parseQuickAdd(input, { now = new Date(), locale = 'en' } = {}) {
+    const language = resolveLocale(locale);
+    const table = QUICK_ADD_LOCALES[language];
+    const rawWords = String(input || '').trim().split(/\s+/).filter(Boolean);
+    // Trailing commas are ignored when matching keywords ("fri, 3pm")
+    const words = rawWords.map(word => word.toLowerCase().replace(/,$/, ''));
+
+    const result = { title: '', dueDate: null, tags: [], priority: null, recurrence: null, tokens: [] };
+    const titleWords = [];
+    let date = null;
+    let time = null;
+
+    const addToken = (type, start, length, value) => {
+        result.tokens.push({ type, text: rawWords.slice(start, start + length).join(' '), value });
+    };
+
+    let index = 0;
+    while (index < words.length) {
+        const word = words[index];
+
+        // Tags start with a letter, so "#123" (an issue or order number) stays in the title
+        const tagMatch = rawWords[index].replace(/,$/, '').match(/^#(\p{L}[\p{L}\p{N}_-]*)$/u);
+        if (tagMatch) {
+            const tag = tagMatch[1].toLowerCase();
+            if (!result.tags.includes(tag)) {
+                result.tags.push(tag);
+            }
+            addToken('tag', index, 1, tag);
+            index++;
+            continue;
+        }
+
+        const priorityMatch = word.match(/^!(\w+)$/);
+        if (priorityMatch && PRIORITY_ALIASES[priorityMatch[1]]) {
+            result.priority = PRIORITY_ALIASES[priorityMatch[1]];
+            addToken('priority', index, 1, result.priority);
+            index++;
+            continue;
+        }
+
+        const recurrenceMatch = !result.recurrence && parseRecurrenceExpression(table, words, index);
+        if (recurrenceMatch) {
+            result.recurrence = recurrenceMatch.recurrence;
+            addToken('recurrence', index, recurrenceMatch.length, recurrenceMatch.recurrence);
+            index += recurrenceMatch.length;
+            continue;
+        }
+
+        // "on 2026-10-23" / "am 23.10."; the preposition is only consumed together with a valid date
+        const onLength = matchPhrase(words, index, table.on);
+        const dateMatch = !date && parseDateExpression(words, index + onLength, { now, locale: language });
+        if (dateMatch) {
+            date = dateMatch.date;
+            addToken('date', index, onLength + dateMatch.length, formatDate(date));
+            index += onLength + dateMatch.length;
+            continue;
+        }
+
+        if (!time) {
+            // "at 3pm" / "um 15:00"; the keyword is only consumed together with a valid time
+            const atLength = matchPhrase(words, index, table.at);
+            const timeMatch = parseTimeWords(table, words, index + atLength, language);
+            if (timeMatch) {
+                time = timeMatch.time;
+                addToken('time', index, atLength + timeMatch.length, `${String(time.hours).padStart(2, '0')}:${String(time.minutes).padStart(2, '0')}`);
+                index += atLength + timeMatch.length;
+                continue;
+            }
+        }
+
+        titleWords.push(rawWords[index]);
+        index++;
+    }
+
+    if (!date && result.recurrence && result.recurrence.byWeekday) {
+        const starts = result.recurrence.byWeekday.map(weekday => nextWeekday(addDays(now, 0), weekday, false));
+        date = new Date(Math.min(...starts));
+    }
+    if (time && !date) {
+        const today = addDays(now, 0);
+        const passed = new Date(today.getFullYear(), today.getMonth(), today.getDate(), time.hours, time.minutes) <= now;
+        date = passed ? addDays(today, 1) : today;
+    }
+    if (date) {
+        result.dueDate = time
+            ? new Date(date.getFullYear(), date.getMonth(), date.getDate(), time.hours, time.minutes).getTime()
+            : formatDate(date);
+    }
+
+    result.title = titleWords.join(' ');
+    return result;
+}
+
+export { QUICK_ADD_LOCALES, resolveLocale, parseQuickAdd, parseDateExpression, parseTimeExpression };
@@ -0,0 +1,222 @@
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses a task due date into a local Date object.
+ * Accepts either a 'YYYY-MM-DD' string (interpreted as local midnight) or a timestamp.
+ * @param {string|number} dueDate The due date as stored on a task.
+ * @returns {Date|null} The parsed date, or null if it cannot be parsed.
+ */
+function parseDueDate(dueDate) {
+    if (typeof dueDate === 'number') {
+        const date = new Date(dueDate);
+        return isNaN(date.getTime()) ? null : date;
+    }
+    if (typeof dueDate !== 'string' || dueDate.trim() === '') {
+        return null;
+    }
+
+    const match = dueDate.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (match) {
+        // new Date('YYYY-MM-DD') would be parsed as UTC; build a local date instead.
+        return new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+    }
+
+    const date = new Date(dueDate);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Formats a Date as a local 'YYYY-MM-DD' string.
+ * @param {Date} date The date to format.
+ * @returns {string} The formatted date string.
+ */
+function formatDate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Converts a Date back into the same representation as the original due date,
+ * so that 'YYYY-MM-DD' tasks stay strings and timestamp tasks keep their time of day.
+ * @param {Date} date The date to convert.
+ * @param {string|number} original The original due date value.
+ * @returns {string|number} The converted due date.
+ */
+function toDueDateValue(date, original) {
+    return typeof original === 'number' ? date.getTime() : formatDate(date);
+}
+
+/**
+ * Returns the number of days in the given month.
+ * @param {number} year The full year.
+ * @param {number} month The 0-indexed month.
+ * @returns {number} The number of days in the month.
+ */
+function daysInMonth(year, month) {
+    return new Date(year, month + 1, 0).getDate();
+}
+
+/**
+ * Returns a copy of `date` moved to `year`/`month`, clamping the day to the end of the month
+ * (e.g. a monthly task anchored on the 31st falls on the 30th in April).
+ */
+function withYearMonth(date, year, month, dayOfMonth) {
+    const day = Math.min(dayOfMonth, daysInMonth(year, month));
+    return new Date(year, month, day, date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds());
+}
+
+/**
+ * Returns the local midnight of the Sunday starting the week that contains `date`.
+ */
+function startOfWeek(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() - date.getDay());
+}
+
+/**
+ * Validates and normalizes a recurrence rule.
+ * The rule follows a simplified RRULE model:
+ * `{ frequency, interval, byWeekday, byMonthDay, until, count }`.
+ * - `frequency`: one of 'daily', 'weekly', 'monthly', 'yearly'.
+ * - `interval`: repeat every N periods (defaults to 1).
+ * - `byWeekday`: weekly only; array of weekday numbers (0 = Sunday ... 6 = Saturday).
+ * - `byMonthDay`: monthly and yearly only; day of the month the series is anchored on, so that
+ *   occurrences clamped to a shorter month (e.g. Feb 28 for a Feb 29 series) return to it later.
+ * - `until`: optional 'YYYY-MM-DD' end date (inclusive).
+ * - `count`: optional total number of occurrences in the series.
+ * @param {object} rule The recurrence rule to validate.
+ * @returns {object|null} A normalized copy of the rule, or null if the rule is invalid.
+ */
+function normalizeRecurrence(rule) {
+    if (!rule || typeof rule !== 'object' || !FREQUENCIES.includes(rule.frequency)) {
+        return null;
+    }
+
+    const interval = rule.interval === undefined ? 1 : rule.interval;
+    if (!Number.isInteger(interval) || interval < 1) {
+        return null;
+    }
+
+    let byWeekday = [];
+    if (rule.byWeekday !== undefined && rule.byWeekday !== null) {
+        if (!Array.isArray(rule.byWeekday) || rule.byWeekday.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+            return null;
+        }
+        byWeekday = [...new Set(rule.byWeekday)].sort((a, b) => a - b);
+    }
+
+    let byMonthDay = null;
+    if (rule.byMonthDay !== undefined && rule.byMonthDay !== null) {
+        if (!Number.isInteger(rule.byMonthDay) || rule.byMonthDay < 1 || rule.byMonthDay > 31) {
+            return null;
+        }
+        byMonthDay = rule.byMonthDay;
+    }
+
+    let until = null;
+    if (rule.until !== undefined && rule.until !== null) {
+        const untilDate = parseDueDate(rule.until);
+        if (!untilDate) {
+            return null;
+        }
+        until = formatDate(untilDate);
+    }
+
+    let count = null;
+    if (rule.count !== undefined && rule.count !== null) {
+        if (!Number.isInteger(rule.count) || rule.count < 1) {
+            return null;
+        }
+        count = rule.count;
+    }
+
+    return {
+        frequency: rule.frequency,
+        interval,
+        byWeekday: rule.frequency === 'weekly' ? byWeekday : [],
+        byMonthDay: rule.frequency === 'monthly' || rule.frequency === 'yearly' ? byMonthDay : null,
+        until,
+        count
+    };
+}
+
+/**
+ * Computes the occurrence that follows `fromDate` for the given rule.
+ * @param {object} rule A normalized recurrence rule (see `normalizeRecurrence`).
+ * @param {Date} fromDate The date of the current occurrence.
+ * @param {number} [occurrenceIndex=0] The 0-based index of the current occurrence within the series.
+ * @returns {Date|null} The date of the next occurrence, or null if the series has ended.
+ */
+function getNextOccurrence(rule, fromDate, occurrenceIndex = 0) {
+    if (!rule || !(fromDate instanceof Date) || isNaN(fromDate.getTime())) {
+        return null;
+    }
+    if (rule.count !== null && occurrenceIndex + 1 >= rule.count) {
+        return null; // The series has produced all of its occurrences
+    }
+
+    let next = null;
+    switch (rule.frequency) {
+        case 'daily':
+            next = new Date(fromDate);
+            next.setDate(next.getDate() + rule.interval);
+            break;
+        case 'weekly':
+            if (rule.byWeekday.length === 0) {
+                next = new Date(fromDate);
+                next.setDate(next.getDate() + 7 * rule.interval);
+                break;
+            }
+            // Walk forward day by day, only accepting listed weekdays in weeks that are
+            // a multiple of `interval` away from the current occurrence's week.
+            for (let offset = 1; offset <= 7 * rule.interval + 7; offset++) {
+                const candidate = new Date(fromDate);
+                candidate.setDate(candidate.getDate() + offset);
+                const weekOffset = Math.round((startOfWeek(candidate) - startOfWeek(fromDate)) / (7 * DAY_IN_MS));
+                if (weekOffset % rule.interval === 0 && rule.byWeekday.includes(candidate.getDay())) {
+                    next = candidate;
+                    break;
+                }
+            }
+            break;
+        case 'monthly': {
+            const totalMonths = fromDate.getMonth() + rule.interval;
+            const year = fromDate.getFullYear() + Math.floor(totalMonths / 12);
+            next = withYearMonth(fromDate, year, totalMonths % 12, rule.byMonthDay || fromDate.getDate());
+            break;
+        }
+        case 'yearly':
+            next = withYearMonth(fromDate, fromDate.getFullYear() + rule.interval, fromDate.getMonth(), rule.byMonthDay || fromDate.getDate());
+            break;
+        default:
+            return null;
+    }
+
+    if (next && rule.until) {
+        const untilDate = parseDueDate(rule.until);
+        untilDate.setHours(23, 59, 59, 999); // `until` is inclusive of the whole day
+        if (next > untilDate) {
+            return null;
+        }
+    }
+    return next;
+}
+
+/**
+ * Computes the due date of the occurrence that follows the given recurring task.
+ * The returned value uses the same representation as the task's own `dueDate`.
+ * @param {object} task A task with `recurrence`, `dueDate` and `occurrenceIndex` fields.
+ * @returns {string|number|null} The next due date, or null if the series has ended.
+ */
+function getNextDueDate(task) {
+    if (!task || !task.recurrence) {
+        return null;
+    }
+    const current = parseDueDate(task.dueDate);
+    const next = getNextOccurrence(task.recurrence, current, task.occurrenceIndex || 0);
+    return next ? toDueDateValue(next, task.dueDate) : null;
+}
+
+export { FREQUENCIES, parseDueDate, formatDate, toDueDateValue, normalizeRecurrence, getNextOccurrence, getNextDueDate };
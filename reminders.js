@@ -0,0 +1,146 @@
+import * as storage from './storage.js';
+import taskManager from './task.js';
+import { parseDueDate } from './recurrence.js';
+
+/**
+ * Prefix of the chrome.alarms (and chrome.notifications) names used for task reminders;
+ * the task ID follows the prefix.
+ */
+const REMINDER_ALARM_PREFIX = 'taskReminder:';
+
+/**
+ * Tasks due on a date without a time of day are reminded relative to this hour of that day.
+ */
+const DATE_ONLY_DUE_HOUR = 9;
+
+/**
+ * How far the "Snooze 1h" notification button pushes a reminder back.
+ */
+const REMINDER_SNOOZE_MINUTES = 60;
+
+/**
+ * Reminders that came due while the browser was closed are still shown if they are at most
+ * this old; older ones are dropped rather than flooding the user on startup.
+ */
+const REMINDER_CATCH_UP_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Builds the alarm (and notification) name of a task's reminder.
+ * @param {string} taskId The task ID.
+ * @returns {string} The alarm name.
+ */
+function getReminderAlarmName(taskId) {
+    return REMINDER_ALARM_PREFIX + taskId;
+}
+
+/**
+ * Extracts the task ID from a reminder alarm or notification name.
+ * @param {string} name The alarm or notification name.
+ * @returns {string|null} The task ID, or null if the name is not a reminder's.
+ */
+function getTaskIdFromAlarmName(name) {
+    return typeof name === 'string' && name.startsWith(REMINDER_ALARM_PREFIX)
+        ? name.slice(REMINDER_ALARM_PREFIX.length)
+        : null;
+}
+
+/**
+ * Returns the moment a task is due: its timestamp, or `DATE_ONLY_DUE_HOUR` on its due day.
+ * @param {object} task The task.
+ * @returns {Date|null} The due moment, or null if the task has no due date.
+ */
+function getDueMoment(task) {
+    const due = parseDueDate(task.dueDate);
+    if (due && typeof task.dueDate !== 'number') {
+        due.setHours(DATE_ONLY_DUE_HOUR);
+    }
+    return due;
+}
+
+/**
+ * Computes when a task's next alert goes off. An incomplete task with a due date is alerted
+ * `reminderMinutes` before it is due, if it has a reminder, and once more when it becomes overdue;
+ * a snooze pushes both back. Alerts at or before `reminderFiredAt` have been shown already.
+ * @param {object} task The task.
+ * @returns {number|null} The timestamp of the next alert, or of the last one if all have been shown;
+ *     null if the task is complete or has no due date.
+ */
+function getReminderTime(task) {
+    const due = getDueMoment(task);
+    if (task.isComplete || !due) {
+        return null;
+    }
+    const times = [due.getTime()];
+    if (Number.isInteger(task.reminderMinutes)) {
+        times.unshift(due.getTime() - task.reminderMinutes * 60 * 1000);
+    }
+    const alerts = times.map(time => Math.max(time, task.reminderSnoozedUntil || 0));
+    const next = alerts.find(time => !(task.reminderFiredAt >= time));
+    return next !== undefined ? next : alerts[alerts.length - 1];
+}
+
+/**
+ * Splits the tasks with a due date into those whose reminder or overdue alert should be shown now
+ * and those whose next alert lies ahead. Alerts already shown (`reminderFiredAt`) and alerts older
+ * than `REMINDER_CATCH_UP_MS` are left out.
+ * @param {Array<object>} tasks The tasks.
+ * @param {number} [now=Date.now()] The current time.
+ * @returns {{due: Array<object>, upcoming: Array<{task: object, time: number}>}} The due tasks and the upcoming alerts.
+ */
+function planReminders(tasks, now = Date.now()) {
+    const due = [];
+    const upcoming = [];
+    tasks.forEach(task => {
+        const time = getReminderTime(task);
+        if (time === null) return;
+        if (time > now) {
+            upcoming.push({ task, time });
+        } else if (task.reminderFiredAt !== time && now - time <= REMINDER_CATCH_UP_MS) {
+            due.push(task);
+        }
+    });
+    return { due, upcoming };
+}
+
+/**
+ * Tells whether the user allows desktop notifications (`settings.notificationsEnabled`, on by default).
+ * @returns {Promise<boolean>} A promise that resolves with true if notifications are enabled.
+ */
+async function areNotificationsEnabled() {
+    const settings = await storage.getSettings();
+    return settings.notificationsEnabled !== false;
+}
+
+/**
+ * Records that a task's reminder or overdue alert has been shown, so it is not shown again.
+ * @param {object} task The task whose alert was shown.
+ * @returns {Promise<object|null>} A promise that resolves with the updated task, or null if it no longer exists.
+ */
+async function markReminderShown(task) {
+    return taskManager.updateTask(task.id, { reminderFiredAt: getReminderTime(task) });
+}
+
+/**
+ * Pushes a task's reminder back.
+ * @param {string} taskId The task ID.
+ * @param {number} [minutes=REMINDER_SNOOZE_MINUTES] How many minutes from now to remind again.
+ * @param {number} [now=Date.now()] The current time.
+ * @returns {Promise<object|null>} A promise that resolves with the updated task, or null if it no longer exists.
+ */
+async function snoozeReminder(taskId, minutes = REMINDER_SNOOZE_MINUTES, now = Date.now()) {
+    return taskManager.updateTask(taskId, { reminderSnoozedUntil: now + minutes * 60 * 1000 });
+}
+
+export {
+    REMINDER_ALARM_PREFIX,
+    REMINDER_SNOOZE_MINUTES,
+    DATE_ONLY_DUE_HOUR,
+    getReminderAlarmName,
+    getTaskIdFromAlarmName,
+    getDueMoment,
+    getReminderTime,
+    planReminders,
+    areNotificationsEnabled,
+    markReminderShown,
+    snoozeReminder
+};
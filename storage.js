@@ -1,8 +1,615 @@
+// Every key written through `transaction` (and so through setItem) has a revision counter stored
+// under the key plus this suffix, so that a context can tell whether another one wrote the key.
+const REVISION_KEY_SUFFIX = '_revision';
+
+// How often a transaction is attempted before giving up on keys that keep changing in another context.
+const TRANSACTION_MAX_ATTEMPTS = 5;
+
+// The last queued transaction per key in this context (the popup, the options page or the service worker).
+const transactionQueues = new Map();
+
+// Thrown when a transaction's keys were changed by another context on every attempt.
+class TransactionConflictError extends Error {
+    constructor(keys, attempts) {
+        super(`Storage keys "${keys.join('", "')}" kept changing in another extension context; gave up after ${attempts} attempts.`);
+        this.name = 'TransactionConflictError';
+        this.keys = keys;
+    }
+}
+
+function getRevisionKey(key) {
+    return key + REVISION_KEY_SUFFIX;
+}
+
+// Collections stored one record per item instead of as one array, so that changing an item
+// writes that item only. Each item is stored under getRecordKey; the collection's own key holds
+// the index: one entry per item, in collection order, with its ID and the `indexFields` used for
+// sorting and filtering (left out when null, false or empty), so that queries read only the
+// records they return; changing any other field writes the record alone. `lazyFields` are large
+// fields kept in keys of their own (getFieldKey) and left out of the records transactions and lists read.
+// Filled in below StorageManager, which defines the keys.
+const RECORD_COLLECTIONS = {};
+
+// Separates an item's ID from its collection key in record keys, and a field name from the record key.
+const RECORD_KEY_SEPARATOR = ':';
+
+function getRecordKey(key, id) {
+    return key + RECORD_KEY_SEPARATOR + id;
+}
+
+function getFieldKey(key, id, field) {
+    return getRecordKey(key, id) + RECORD_KEY_SEPARATOR + field;
+}
+
+function toIndexEntry(collection, record) {
+    const entry = { id: record.id };
+    collection.indexFields.forEach(field => {
+        const value = record[field];
+        if (value !== undefined && value !== null && value !== false && !(Array.isArray(value) && value.length === 0)) {
+            entry[field] = value;
+        }
+    });
+    return entry;
+}
+
+// Splits an item into the record stored under its record key and its lazy fields.
+function splitRecord(collection, record) {
+    if (!collection.lazyFields.some(field => field in record)) {
+        return { stored: record, lazy: {} }; // No copy: this runs for every item of every transaction
+    }
+    const stored = { ...record };
+    const lazy = {};
+    collection.lazyFields.forEach(field => {
+        if (field in stored) {
+            lazy[field] = stored[field];
+            delete stored[field];
+        }
+    });
+    return { stored, lazy };
+}
+
+function checkRecords(key, records) {
+    if (!Array.isArray(records) || records.some(record => typeof record !== 'object' || record === null || !record.id)) {
+        throw new TypeError(`Storage key "${key}" holds a record collection: expected an array of objects with an "id".`);
+    }
+}
+
+// The items of a collection in the order of its index, with their lazy fields if `withLazyFields`.
+async function readRecords(key, index, { withLazyFields = false } = {}) {
+    const collection = RECORD_COLLECTIONS[key];
+    const ids = index.map(entry => entry.id);
+    if (ids.length === 0) {
+        return [];
+    }
+    const keys = ids.map(id => getRecordKey(key, id));
+    if (withLazyFields) {
+        ids.forEach(id => collection.lazyFields.forEach(field => keys.push(getFieldKey(key, id, field))));
+    }
+    const stored = await chrome.storage.local.get(keys);
+    return ids.filter(id => stored[getRecordKey(key, id)] !== undefined).map(id => {
+        const record = stored[getRecordKey(key, id)];
+        if (withLazyFields) {
+            collection.lazyFields.forEach(field => {
+                const value = stored[getFieldKey(key, id, field)];
+                if (value !== undefined) {
+                    record[field] = value;
+                }
+            });
+        }
+        return record;
+    });
+}
+
+// Reads `key` for a transaction: its value, a `diff` that computes the storage writes turning
+// that value into a changed one ({set, remove}, both empty if nothing changed), and a `describe`
+// that lists the items those writes change, for change captures (see captureChanges).
+async function readForTransaction(key, storedValue) {
+    const collection = RECORD_COLLECTIONS[key];
+    if (!collection || storedValue === undefined) {
+        const snapshot = JSON.stringify(storedValue);
+        return {
+            value: storedValue,
+            diff: async value => {
+                if (collection && value !== undefined) {
+                    return diffRecords(key, new Map(), value); // First write of a collection
+                }
+                if (JSON.stringify(value) === snapshot) return { set: {}, remove: [] };
+                return value === undefined ? { set: {}, remove: [key] } : { set: { [key]: value }, remove: [] };
+            },
+            describe: async (value, written) => {
+                if (collection) {
+                    return describeRecordWrite(key, { snapshots: new Map(), beforePositions: new Map(), records: value || [] }, written);
+                }
+                const before = snapshot === undefined ? [] : JSON.parse(snapshot);
+                return isItemList(before) && isItemList(value || []) ? getItemChanges(before, JSON.parse(JSON.stringify(value || []))) : [];
+            }
+        };
+    }
+
+    const records = await readRecords(key, storedValue);
+    const snapshots = new Map(records.map(record => [record.id, JSON.stringify(record)]));
+    const indexSnapshot = JSON.stringify(storedValue);
+    return {
+        value: records,
+        diff: async value => {
+            if (value === undefined) {
+                const remove = [key];
+                snapshots.forEach((snapshot, id) => {
+                    remove.push(getRecordKey(key, id), ...collection.lazyFields.map(field => getFieldKey(key, id, field)));
+                });
+                return { set: {}, remove };
+            }
+            return diffRecords(key, snapshots, value, indexSnapshot);
+        },
+        describe: async (value, written) => describeRecordWrite(key, {
+            snapshots,
+            beforePositions: new Map(storedValue.map((entry, position) => [entry.id, position])),
+            records: value || []
+        }, written)
+    };
+}
+
+// Adds to `set` the records of `records` that differ from their stored version (`snapshots`:
+// ID => JSON of the stored record) and the lazy fields whose value differs from the stored one.
+// Returns the stored values of those lazy fields, by field key.
+async function diffRecordValues(key, snapshots, records, set) {
+    const collection = RECORD_COLLECTIONS[key];
+    const lazyValues = {};
+    records.forEach(record => {
+        const { stored, lazy } = splitRecord(collection, record);
+        if (JSON.stringify(stored) !== snapshots.get(record.id)) {
+            set[getRecordKey(key, record.id)] = stored;
+        }
+        Object.entries(lazy).forEach(([field, value]) => {
+            lazyValues[getFieldKey(key, record.id, field)] = value;
+        });
+    });
+    // Lazy fields aren't part of the snapshot; compare them with what is stored
+    const lazyKeys = Object.keys(lazyValues);
+    const storedLazy = lazyKeys.length > 0 ? await chrome.storage.local.get(lazyKeys) : {};
+    lazyKeys.forEach(fieldKey => {
+        if (JSON.stringify(lazyValues[fieldKey]) !== JSON.stringify(storedLazy[fieldKey])) {
+            set[fieldKey] = lazyValues[fieldKey];
+        }
+    });
+    return storedLazy;
+}
+
+// The writes that turn the stored items of a collection (`snapshots`: ID => JSON of the stored
+// record) into `records`: changed and new records (see diffRecordValues), the index if it
+// changed, and the removal of the records (and lazy fields) of items no longer present. Also
+// returns the stored values of the lazy fields set, as `storedLazy`.
+async function diffRecords(key, snapshots, records, indexSnapshot = null) {
+    checkRecords(key, records);
+    const collection = RECORD_COLLECTIONS[key];
+    const set = {};
+    const remove = [];
+    const storedLazy = await diffRecordValues(key, snapshots, records, set);
+
+    const ids = new Set(records.map(record => record.id));
+    snapshots.forEach((snapshot, id) => {
+        if (!ids.has(id)) {
+            remove.push(getRecordKey(key, id), ...collection.lazyFields.map(field => getFieldKey(key, id, field)));
+        }
+    });
+    const newIndex = records.map(record => toIndexEntry(collection, record));
+    if (JSON.stringify(newIndex) !== indexSnapshot) {
+        set[key] = newIndex;
+    }
+    return { set, remove, storedLazy };
+}
+
+// The change captures running in this context (see captureChanges): `{keys, changes}`, where
+// `changes` maps each captured key to a Map of item ID => `{id, before, after, beforeIndex, afterIndex}`.
+const changeCaptures = new Set();
+
+function isCaptured(key) {
+    return [...changeCaptures].some(capture => capture.keys.has(key));
+}
+
+// The per-item changes between two versions of a list of items: the item before and after (null
+// when it did not exist) and its position in each (-1 when it did not exist). Items that only moved
+// are left out.
+function getItemChanges(before, after) {
+    const beforePositions = new Map(before.map((item, position) => [item.id, position]));
+    const afterPositions = new Map(after.map((item, position) => [item.id, position]));
+    const changes = [];
+    new Set([...beforePositions.keys(), ...afterPositions.keys()]).forEach(id => {
+        const beforeIndex = beforePositions.has(id) ? beforePositions.get(id) : -1;
+        const afterIndex = afterPositions.has(id) ? afterPositions.get(id) : -1;
+        const beforeItem = beforeIndex === -1 ? null : before[beforeIndex];
+        const afterItem = afterIndex === -1 ? null : after[afterIndex];
+        if (JSON.stringify(beforeItem) !== JSON.stringify(afterItem)) {
+            changes.push({ id, before: beforeItem, after: afterItem, beforeIndex, afterIndex });
+        }
+    });
+    return changes;
+}
+
+// The items of a record collection that a write changes, like getItemChanges: `snapshots` holds
+// the JSON of the stored records read, `beforePositions` their positions in the index, `records`
+// the items written (all of them, or for setRecords the ones set, at `afterPositions`), and
+// `written` the write ({set, remove, storedLazy}, see diffRecords). Only the changed items are
+// read or copied, and their lazy fields only when they changed (null when they were unset), so a
+// note's content is only reported when it was written. Removed items are reported with their lazy fields.
+async function describeRecordWrite(key, { snapshots, beforePositions, records, afterPositions = null }, { set, remove, storedLazy = {} }) {
+    const collection = RECORD_COLLECTIONS[key];
+    const changes = [];
+    records.forEach((record, position) => {
+        const recordKey = getRecordKey(key, record.id);
+        const lazyFields = collection.lazyFields.filter(field => getFieldKey(key, record.id, field) in set);
+        if (!(recordKey in set) && lazyFields.length === 0) return;
+        const snapshot = snapshots.get(record.id);
+        const before = snapshot === undefined ? null : JSON.parse(snapshot);
+        const after = JSON.parse(JSON.stringify(splitRecord(collection, record).stored));
+        lazyFields.forEach(field => {
+            const fieldKey = getFieldKey(key, record.id, field);
+            if (before) {
+                before[field] = storedLazy[fieldKey] === undefined ? null : storedLazy[fieldKey];
+            }
+            after[field] = set[fieldKey];
+        });
+        changes.push({
+            id: record.id,
+            before,
+            after,
+            beforeIndex: beforePositions.has(record.id) ? beforePositions.get(record.id) : -1,
+            afterIndex: afterPositions ? afterPositions.get(record.id) : position
+        });
+    });
+
+    const removedKeys = new Set(remove);
+    const removedIds = [...snapshots.keys()].filter(id => removedKeys.has(getRecordKey(key, id)));
+    if (removedIds.length > 0) {
+        const lazyKeys = removedIds.flatMap(id => collection.lazyFields.map(field => getFieldKey(key, id, field)));
+        const storedLazyOfRemoved = lazyKeys.length > 0 ? await chrome.storage.local.get(lazyKeys) : {};
+        removedIds.forEach(id => {
+            const before = JSON.parse(snapshots.get(id));
+            collection.lazyFields.forEach(field => {
+                const value = storedLazyOfRemoved[getFieldKey(key, id, field)];
+                if (value !== undefined) {
+                    before[field] = value;
+                }
+            });
+            changes.push({ id, before, after: null, beforeIndex: beforePositions.get(id), afterIndex: -1 });
+        });
+    }
+    return changes;
+}
+
+// Combines two changes of the same item by consecutive writes: the item before the first and after
+// the second. Lazy fields only one of the writes changed kept their value through the other.
+function mergeItemChanges(key, first, second) {
+    const lazyFields = RECORD_COLLECTIONS[key] ? RECORD_COLLECTIONS[key].lazyFields : [];
+    const withLazyFields = (item, other) => {
+        if (!item || !other) return item;
+        const merged = { ...item };
+        lazyFields.filter(field => !(field in merged) && field in other).forEach(field => {
+            merged[field] = other[field];
+        });
+        return merged;
+    };
+    return {
+        id: first.id,
+        before: withLazyFields(first.before, second.before),
+        after: withLazyFields(second.after, first.after),
+        beforeIndex: first.beforeIndex,
+        afterIndex: second.afterIndex
+    };
+}
+
+// Adds the item changes of a committed write of `key` to the captures of the key.
+function reportItemChanges(key, itemChanges) {
+    changeCaptures.forEach(capture => {
+        if (!capture.keys.has(key)) return;
+        const changes = capture.changes.get(key);
+        itemChanges.forEach(change => {
+            const previous = changes.get(change.id);
+            changes.set(change.id, previous ? mergeItemChanges(key, previous, change) : change);
+        });
+    });
+}
+
+// One read-modify-write attempt after another until the revisions read still match at commit time.
+async function runTransaction(keys, fn) {
+    const revisionKeys = keys.map(getRevisionKey);
+    for (let attempt = 1; attempt <= TRANSACTION_MAX_ATTEMPTS; attempt++) {
+        const stored = await chrome.storage.local.get([...keys, ...revisionKeys]);
+        const values = {};
+        const diffs = {};
+        const describers = {};
+        for (const key of keys) {
+            const read = await readForTransaction(key, stored[key]);
+            values[key] = read.value;
+            diffs[key] = read.diff;
+            describers[key] = read.describe;
+        }
+
+        const result = await fn(values);
+
+        const changes = {};
+        const removedKeys = [];
+        const writes = {};
+        for (const key of keys) {
+            const written = await diffs[key](values[key]);
+            const { set, remove } = written;
+            if (Object.keys(set).length === 0 && remove.length === 0) continue;
+            writes[key] = written;
+            Object.assign(changes, set);
+            removedKeys.push(...remove);
+            if (values[key] === undefined) {
+                removedKeys.push(getRevisionKey(key)); // A removed key starts over at revision 0
+            } else {
+                changes[getRevisionKey(key)] = (stored[getRevisionKey(key)] || 0) + 1;
+            }
+        }
+        if (Object.keys(changes).length === 0 && removedKeys.length === 0) {
+            return result; // Nothing to write
+        }
+        // Described from what this attempt read, before the revision check so as not to widen the gap to the write
+        const itemChanges = {};
+        for (const key of Object.keys(writes).filter(isCaptured)) {
+            itemChanges[key] = await describers[key](values[key], writes[key]);
+        }
+        const latest = await chrome.storage.local.get(revisionKeys);
+        if (revisionKeys.some(key => (latest[key] || 0) !== (stored[key] || 0))) {
+            console.warn(`Storage keys "${keys.join('", "')}" were changed in another context; retrying (attempt ${attempt} of ${TRANSACTION_MAX_ATTEMPTS}).`);
+            continue;
+        }
+
+        if (Object.keys(changes).length > 0) {
+            await chrome.storage.local.set(changes);
+        }
+        if (removedKeys.length > 0) {
+            await chrome.storage.local.remove(removedKeys);
+        }
+        Object.entries(itemChanges).forEach(([key, keyChanges]) => reportItemChanges(key, keyChanges));
+        return result;
+    }
+    throw new TransactionConflictError(keys, TRANSACTION_MAX_ATTEMPTS);
+}
+
+// The write of updateRecords: like runTransaction on the collection, but reading only the index
+// and the records with the given IDs rather than the whole collection.
+async function runRecordsUpdate(key, ids, fn) {
+    const collection = RECORD_COLLECTIONS[key];
+    const revisionKey = getRevisionKey(key);
+    const wanted = new Set(ids);
+    for (let attempt = 1; attempt <= TRANSACTION_MAX_ATTEMPTS; attempt++) {
+        const stored = await chrome.storage.local.get([key, revisionKey]);
+        const index = (stored[key] || []).slice();
+        const positions = new Map(index.map((entry, position) => [entry.id, position]));
+        const beforePositions = new Map(positions);
+        const records = await readRecords(key, index.filter(entry => wanted.has(entry.id)));
+        const snapshots = new Map(records.map(record => [record.id, JSON.stringify(record)]));
+
+        const result = await fn(records);
+
+        checkRecords(key, records);
+        const changes = {};
+        const storedLazy = await diffRecordValues(key, snapshots, records, changes);
+        records.forEach(record => {
+            const entry = toIndexEntry(collection, record);
+            if (positions.has(record.id)) {
+                index[positions.get(record.id)] = entry;
+            } else {
+                positions.set(record.id, index.length);
+                index.push(entry);
+            }
+        });
+        if (JSON.stringify(index) !== JSON.stringify(stored[key])) {
+            changes[key] = index;
+        }
+        if (Object.keys(changes).length === 0) {
+            return result; // Nothing to write
+        }
+        const itemChanges = isCaptured(key)
+            ? await describeRecordWrite(key, { snapshots, beforePositions, records, afterPositions: positions }, { set: changes, remove: [], storedLazy })
+            : null;
+        const latest = await chrome.storage.local.get(revisionKey);
+        if ((latest[revisionKey] || 0) !== (stored[revisionKey] || 0)) {
+            console.warn(`Storage key "${key}" was changed in another context; retrying (attempt ${attempt} of ${TRANSACTION_MAX_ATTEMPTS}).`);
+            continue;
+        }
+        changes[revisionKey] = (stored[revisionKey] || 0) + 1;
+        await chrome.storage.local.set(changes);
+        if (itemChanges) {
+            reportItemChanges(key, itemChanges);
+        }
+        return result;
+    }
+    throw new TransactionConflictError([key], TRANSACTION_MAX_ATTEMPTS);
+}
+
+// Runs `run` once the queued transactions on any of `keys` in this context are done; later ones wait for it.
+async function queueOn(keys, run) {
+    const previous = keys.map(key => transactionQueues.get(key));
+    let release;
+    const current = new Promise(resolve => {
+        release = resolve;
+    });
+    keys.forEach(key => transactionQueues.set(key, current));
+    try {
+        await Promise.all(previous);
+        return await run();
+    } finally {
+        release();
+        keys.forEach(key => {
+            if (transactionQueues.get(key) === current) {
+                transactionQueues.delete(key);
+            }
+        });
+    }
+}
+
+// The subscriptions of this context (see subscribe): `{keys, area, callback}`, where `keys` is a
+// Set of keys, or null for every key of the area.
+const subscriptions = new Set();
+
+// Change events are described and dispatched one after another, in the order they arrive, even
+// when describing one has to read storage.
+let dispatchQueue = Promise.resolve();
+
+let isListeningForChanges = false;
+
+function isItemList(value) {
+    return Array.isArray(value) && value.every(item => typeof item === 'object' && item !== null && item.id !== undefined);
+}
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isUnset(value) {
+    return value === undefined || value === null;
+}
+
+// The top-level fields whose value differs between two versions of an object.
+function getChangedFields(before, after) {
+    return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+        .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+}
+
+// Compares two versions of a list of items with IDs: the items added, the items removed, and
+// `{before, after, fields}` for every item whose fields changed.
+function diffItems(before, after) {
+    const previousById = new Map(before.map(item => [item.id, item]));
+    const afterIds = new Set(after.map(item => item.id));
+    const added = [];
+    const updated = [];
+    after.forEach(item => {
+        const previous = previousById.get(item.id);
+        if (!previous) {
+            added.push(item);
+            return;
+        }
+        const fields = getChangedFields(previous, item);
+        if (fields.length > 0) {
+            updated.push({ before: previous, after: item, fields });
+        }
+    });
+    return { added, updated, removed: before.filter(item => !afterIds.has(item.id)) };
+}
+
+// The key a stored key belongs to (see getChangedKeys), with the ID, and the lazy field if any, for
+// the record and field keys of a record collection. Null for revision counters.
+function parseStoredKey(storedKey) {
+    const key = Object.keys(RECORD_COLLECTIONS).find(collectionKey => storedKey.startsWith(collectionKey + RECORD_KEY_SEPARATOR));
+    if (!key) {
+        return storedKey.endsWith(REVISION_KEY_SUFFIX) ? null : { key: storedKey };
+    }
+    const rest = storedKey.slice(key.length + RECORD_KEY_SEPARATOR.length);
+    const field = RECORD_COLLECTIONS[key].lazyFields.find(name => rest.endsWith(RECORD_KEY_SEPARATOR + name));
+    return field ? { key, id: rest.slice(0, -(RECORD_KEY_SEPARATOR + field).length), field } : { key, id: rest };
+}
+
+// The items of a record collection added, updated and removed by the stored keys of one change
+// event (`entries`: `{id, field, change}`; no ID for the index). Items are reported as stored,
+// without their lazy fields, which are written to keys of their own: an item whose lazy fields
+// changed without its record is read back and reported as updated in those fields.
+async function describeRecordChanges(key, entries) {
+    const added = [];
+    const updated = [];
+    const removed = [];
+    const lazyFieldsById = new Map();
+    entries.filter(entry => entry.field).forEach(({ id, field }) => {
+        lazyFieldsById.set(id, [...(lazyFieldsById.get(id) || []), field]);
+    });
+    entries.filter(entry => entry.id !== undefined && !entry.field).forEach(({ id, change }) => {
+        const lazyFields = lazyFieldsById.get(id) || [];
+        lazyFieldsById.delete(id);
+        if (change.oldValue === undefined) {
+            added.push(change.newValue);
+        } else if (change.newValue === undefined) {
+            removed.push(change.oldValue);
+        } else {
+            const fields = [...getChangedFields(change.oldValue, change.newValue), ...lazyFields];
+            if (fields.length > 0) {
+                updated.push({ before: change.oldValue, after: change.newValue, fields });
+            }
+        }
+    });
+    if (lazyFieldsById.size > 0) {
+        const stored = await chrome.storage.local.get([...lazyFieldsById.keys()].map(id => getRecordKey(key, id)));
+        lazyFieldsById.forEach((fields, id) => {
+            const record = stored[getRecordKey(key, id)];
+            if (record !== undefined) {
+                updated.push({ before: record, after: record, fields });
+            }
+        });
+    }
+    return { added, updated, removed };
+}
+
+// Describes the change of `key` in one change event (see subscribe).
+async function describeChange(key, entries, areaName) {
+    if (areaName === 'local' && RECORD_COLLECTIONS[key]) {
+        return { key, ...(await describeRecordChanges(key, entries)), fields: [] };
+    }
+    const { oldValue, newValue } = entries[0].change;
+    const change = { key, oldValue, newValue, added: [], updated: [], removed: [], fields: [] };
+    if ([oldValue, newValue].every(value => isUnset(value) || isItemList(value))) {
+        Object.assign(change, diffItems(oldValue || [], newValue || []));
+    } else if ([oldValue, newValue].every(value => isUnset(value) || isPlainObject(value))) {
+        change.fields = getChangedFields(oldValue || {}, newValue || {});
+    }
+    return change;
+}
+
+async function notifySubscriber(subscription, change) {
+    try {
+        await subscription.callback(change);
+    } catch (error) {
+        console.error(`Error in storage subscription to "${change.key}":`, error);
+    }
+}
+
+async function dispatchChanges(changes, areaName) {
+    const entriesByKey = new Map();
+    Object.entries(changes).forEach(([storedKey, change]) => {
+        const parsed = areaName === 'local' ? parseStoredKey(storedKey) : { key: storedKey };
+        if (parsed) {
+            entriesByKey.set(parsed.key, [...(entriesByKey.get(parsed.key) || []), { ...parsed, change }]);
+        }
+    });
+    for (const [key, entries] of entriesByKey) {
+        const matching = [...subscriptions].filter(subscription => subscription.area === areaName && (subscription.keys === null || subscription.keys.has(key)));
+        if (matching.length === 0) continue;
+        try {
+            const change = await describeChange(key, entries, areaName);
+            // Unsubscribing while the change was described stops the callback too
+            matching.filter(subscription => subscriptions.has(subscription)).forEach(subscription => notifySubscriber(subscription, change));
+        } catch (error) {
+            console.error(`Error describing the change of "${key}":`, error);
+        }
+    }
+}
+
+function handleStorageChanged(changes, areaName) {
+    if (![...subscriptions].some(subscription => subscription.area === areaName)) {
+        return;
+    }
+    dispatchQueue = dispatchQueue.then(() => dispatchChanges(changes, areaName));
+}
+
 const StorageManager = {
     STORAGE_KEYS: {
         TASKS: 'marketingProductivityExtension_tasks',
         NOTES: 'marketingProductivityExtension_notes',
         SETTINGS: 'marketingProductivityExtension_settings',
+        TIME_ENTRIES: 'marketingProductivityExtension_timeEntries',
+        ACTIVE_TIMER: 'marketingProductivityExtension_activeTimer',
+        YOUTUBE_VIDEOS: 'marketingProductivityExtension_youtubeVideos',
+        COMMAND_HISTORY: 'marketingProductivityExtension_commandHistory',
+        PROJECTS: 'marketingProductivityExtension_projects',
+        TEMPLATES: 'marketingProductivityExtension_templates',
+        ACTIVITY_LOG: 'marketingProductivityExtension_activityLog',
+        SCHEMA_VERSION: 'marketingProductivityExtension_schemaVersion',
+        SYNC_STATE: 'marketingProductivityExtension_syncState',
+        SYNC_BASE: 'marketingProductivityExtension_syncBase',
+        SYNC_CONFLICTS: 'marketingProductivityExtension_syncConflicts',
+        VAULT: 'marketingProductivityExtension_vault',
+        VAULT_KEY: 'marketingProductivityExtension_vaultKey', // In chrome.storage.session, while the vault is unlocked
     },
 
     async init() {
@@ -14,10 +621,14 @@ const StorageManager = {
         // If chrome.storage.local is available, the async function implicitly resolves.
     },
 
+    // Record collections (see RECORD_COLLECTIONS) are returned as the array of their items, lazy fields included.
     async getItem(key, defaultValue = null) {
         try {
             const result = await chrome.storage.local.get(key);
-            return result[key] !== undefined ? result[key] : defaultValue;
+            if (result[key] === undefined) {
+                return defaultValue;
+            }
+            return RECORD_COLLECTIONS[key] ? await readRecords(key, result[key], { withLazyFields: true }) : result[key];
         } catch (error) {
             console.error(`Error getting item "${key}":`, error);
             throw error; // Propagate error
@@ -26,22 +637,247 @@ const StorageManager = {
 
     async setItem(key, value) {
         try {
-            await chrome.storage.local.set({ [key]: value });
+            await this.transaction(key, values => {
+                values[key] = value;
+            });
         } catch (error) {
             console.error(`Error setting item "${key}":`, error);
             throw error; // Propagate error
         }
     },
 
+    // Reads every stored key at once, as stored (record collections as their index, record and
+    // field keys), e.g. for migrations (see migrations.js).
+    async getAllItems() {
+        try {
+            return await chrome.storage.local.get(null);
+        } catch (error) {
+            console.error('Error getting all items:', error);
+            throw error; // Propagate error
+        }
+    },
+
+    // Writes several keys in a single storage call, so they are saved together or not at all.
+    async setItems(items) {
+        try {
+            await this.transaction(Object.keys(items), values => {
+                Object.assign(values, items);
+            });
+        } catch (error) {
+            console.error(`Error setting items "${Object.keys(items).join('", "')}":`, error);
+            throw error; // Propagate error
+        }
+    },
+
+    // Writes stored keys as they are, bypassing the record layout and the revision counters, for
+    // migrations working on the items getAllItems returns. Use setItems everywhere else.
+    async setRawItems(items) {
+        try {
+            await chrome.storage.local.set(items);
+        } catch (error) {
+            console.error(`Error setting raw items "${Object.keys(items).join('", "')}":`, error);
+            throw error; // Propagate error
+        }
+    },
+
+    // Removes stored keys as they are; see setRawItems.
+    async removeRawItems(keys) {
+        try {
+            await chrome.storage.local.remove(keys);
+        } catch (error) {
+            console.error(`Error removing raw items "${keys.join('", "')}":`, error);
+            throw error; // Propagate error
+        }
+    },
+
+    // Converts the items of a record collection to the stored keys that hold them: the index, the
+    // records and the lazy fields. Used by the migration from the array layout.
+    toRecordItems(key, records) {
+        const collection = RECORD_COLLECTIONS[key];
+        const items = { [key]: records.map(record => toIndexEntry(collection, record)) };
+        records.forEach(record => {
+            const { stored, lazy } = splitRecord(collection, record);
+            items[getRecordKey(key, record.id)] = stored;
+            Object.entries(lazy).forEach(([field, value]) => {
+                items[getFieldKey(key, record.id, field)] = value;
+            });
+        });
+        return items;
+    },
+
+    // Maps the keys of a chrome.storage.onChanged event to the keys they belong to: the record and
+    // field keys of a record collection to the collection's key, revision counters to their key.
+    getChangedKeys(changes) {
+        return new Set(Object.keys(changes).map(storedKey => {
+            const key = storedKey.endsWith(REVISION_KEY_SUFFIX) ? storedKey.slice(0, -REVISION_KEY_SUFFIX.length) : storedKey;
+            return Object.keys(RECORD_COLLECTIONS).find(collectionKey => key.startsWith(collectionKey + RECORD_KEY_SEPARATOR)) || key;
+        }));
+    },
+
+    // Calls `callback` whenever `keys` (a key or an array of keys; null for every key of the area)
+    // change in storage, from any extension context, this one included. The callback receives one
+    // change per changed key and event: `{key, oldValue, newValue, added, updated, removed, fields}`.
+    // For lists of items with IDs, `added` and `removed` hold the items and `updated` holds
+    // `{before, after, fields}` per item changed; for objects such as the settings, `fields` names
+    // the properties changed. Record collections (see RECORD_COLLECTIONS) are described from their
+    // records, without oldValue and newValue and without lazy fields (see describeRecordChanges);
+    // reordering their items alone yields empty lists. A transaction that adds or changes some items
+    // and removes others notifies twice, as it writes and removes in two storage calls. `area` is
+    // the storage area ('local', 'session' or 'sync'); record collections only exist in 'local'.
+    // Callbacks aren't awaited; their errors are logged. Returns a function that unsubscribes.
+    subscribe(keys, callback, { area = 'local' } = {}) {
+        if (!isListeningForChanges) {
+            chrome.storage.onChanged.addListener(handleStorageChanged);
+            isListeningForChanges = true;
+        }
+        const subscription = { keys: keys === null ? null : new Set([].concat(keys)), area, callback };
+        subscriptions.add(subscription);
+        return () => {
+            subscriptions.delete(subscription);
+        };
+    },
+
+    // The index of a record collection: `{id, ...indexFields}` per item, in collection order.
+    // Enough for counting and filtering without reading the records.
+    async getIndex(key) {
+        try {
+            const result = await chrome.storage.local.get(key);
+            return result[key] || [];
+        } catch (error) {
+            console.error(`Error getting index "${key}":`, error);
+            throw error; // Propagate error
+        }
+    },
+
+    // Reads the items of a record collection with the given IDs in one storage call, lazy fields
+    // included. Unknown IDs are left out.
+    async getRecords(key, ids) {
+        try {
+            return await readRecords(key, ids.map(id => ({ id })), { withLazyFields: true });
+        } catch (error) {
+            console.error(`Error getting records of "${key}":`, error);
+            throw error; // Propagate error
+        }
+    },
+
+    // Adds or replaces items of a record collection in one storage call; new items go to the end.
+    // Lazy fields that an item leaves out keep their stored value. See updateRecords.
+    async setRecords(key, records) {
+        try {
+            checkRecords(key, records);
+            await queueOn([key], () => runRecordsUpdate(key, records.map(record => record.id), stored => {
+                records.forEach(record => {
+                    const position = stored.findIndex(item => item.id === record.id);
+                    stored.splice(position === -1 ? stored.length : position, 1, record);
+                });
+            }));
+        } catch (error) {
+            console.error(`Error setting records of "${key}":`, error);
+            throw error; // Propagate error
+        }
+    },
+
+    // A transaction (see transaction) on some items of a record collection: `fn` receives the
+    // stored items with the given IDs (in collection order, without their lazy fields; unknown IDs
+    // are left out), changes them in place or adds new items to the array, and may return a
+    // result. Only the index and these records are read, and only the changed records are written,
+    // with the index when items were added (at the end) or their index fields changed. Items taken
+    // out of the array keep their stored value: items are removed with a transaction on the whole
+    // collection.
+    async updateRecords(key, ids, fn) {
+        return queueOn([key], () => runRecordsUpdate(key, ids, fn));
+    },
+
+    // `key` may also be an array of keys.
     async removeItem(key) {
         try {
-            await chrome.storage.local.remove(key);
+            await this.transaction(key, values => {
+                Object.keys(values).forEach(name => {
+                    values[name] = undefined;
+                });
+            });
         } catch (error) {
             console.error(`Error removing item "${key}":`, error);
             throw error; // Propagate error
         }
     },
 
+    // Runs `operation` and collects the items of `keys` (item lists and record collections) that the
+    // transactions and setRecords of this context change while it runs, each described by the write
+    // itself from the values it read, so concurrent writes of other contexts are not included.
+    // Resolves with `{result, changes}`: `changes` maps every key to a list of
+    // `{id, before, after, beforeIndex, afterIndex}` (see getItemChanges); records hold only the
+    // lazy fields that changed. An item changed by several writes is listed once, and not at all if
+    // it ended up unchanged. Writes of this context that run at the same time as `operation` are
+    // collected too, so callers must not run other writes meanwhile.
+    async captureChanges(keys, operation) {
+        const keyList = [...new Set([].concat(keys))];
+        const capture = { keys: new Set(keyList), changes: new Map(keyList.map(key => [key, new Map()])) };
+        changeCaptures.add(capture);
+        try {
+            const result = await operation();
+            const changes = {};
+            capture.changes.forEach((itemChanges, key) => {
+                changes[key] = [...itemChanges.values()].filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after));
+            });
+            return { result, changes };
+        } finally {
+            changeCaptures.delete(capture);
+        }
+    },
+
+    // Runs a read-modify-write of `keys` (a key or an array of keys) without losing concurrent updates.
+    // `fn` receives an object with the current value of every key (undefined if unset), changes it
+    // in place or by assigning new values (undefined removes a key), and may return a result.
+    // Record collections are passed as the array of their items without their lazy fields, and only
+    // the records that changed are written back. Changes are written in one storage call, together
+    // with the bumped revision counters.
+    // Transactions on the same key run one after another within a context. If another context
+    // wrote one of the keys since it was read, `fn` runs again on the fresh values, so it must not
+    // have side effects besides changing `values`; after TRANSACTION_MAX_ATTEMPTS a
+    // TransactionConflictError is thrown. Never start a transaction on a key from within a
+    // transaction on the same key: the inner one would wait for the outer one forever.
+    async transaction(keys, fn) {
+        const keyList = [...new Set([].concat(keys))];
+        return queueOn(keyList, () => runTransaction(keyList, fn));
+    },
+
+    // The size of an item as chrome.storage.sync counts it against its quotas: the key plus the
+    // JSON of the value, in UTF-8 bytes.
+    getItemSize(key, value) {
+        const encoder = new TextEncoder();
+        return encoder.encode(key).length + encoder.encode(JSON.stringify(value)).length;
+    },
+
+    // Session storage lives in memory for the browser session only (chrome.storage.session).
+    async getSessionItem(key, defaultValue = null) {
+        try {
+            const result = await chrome.storage.session.get(key);
+            return result[key] !== undefined ? result[key] : defaultValue;
+        } catch (error) {
+            console.error(`Error getting session item "${key}":`, error);
+            throw error; // Propagate error
+        }
+    },
+
+    async setSessionItem(key, value) {
+        try {
+            await chrome.storage.session.set({ [key]: value });
+        } catch (error) {
+            console.error(`Error setting session item "${key}":`, error);
+            throw error; // Propagate error
+        }
+    },
+
+    async removeSessionItem(key) {
+        try {
+            await chrome.storage.session.remove(key);
+        } catch (error) {
+            console.error(`Error removing session item "${key}":`, error);
+            throw error; // Propagate error
+        }
+    },
+
     async clearAll() {
         try {
             await chrome.storage.local.clear();
@@ -59,14 +895,60 @@ const StorageManager = {
         return this.setItem(this.STORAGE_KEYS.TASKS, tasks);
     },
 
+    // Notes are returned without their content, which is loaded on demand with getNoteContents.
     async getAllNotes() {
-        return this.getItem(this.STORAGE_KEYS.NOTES, []);
+        const key = this.STORAGE_KEYS.NOTES;
+        try {
+            return await readRecords(key, await this.getIndex(key));
+        } catch (error) {
+            console.error(`Error getting item "${key}":`, error);
+            throw error; // Propagate error
+        }
+    },
+
+    // Reads the content of the given notes in one storage call, as an object keyed by note ID.
+    async getNoteContents(ids) {
+        const key = this.STORAGE_KEYS.NOTES;
+        try {
+            const stored = await chrome.storage.local.get(ids.map(id => getFieldKey(key, id, 'content')));
+            return Object.fromEntries(ids.map(id => {
+                const content = stored[getFieldKey(key, id, 'content')];
+                return [id, content !== undefined ? content : ''];
+            }));
+        } catch (error) {
+            console.error('Error getting note contents:', error);
+            throw error; // Propagate error
+        }
     },
 
     async saveAllNotes(notes) {
         return this.setItem(this.STORAGE_KEYS.NOTES, notes);
     },
 
+    async getAllYoutubeVideos() {
+        return this.getItem(this.STORAGE_KEYS.YOUTUBE_VIDEOS, []);
+    },
+
+    async saveAllYoutubeVideos(videos) {
+        return this.setItem(this.STORAGE_KEYS.YOUTUBE_VIDEOS, videos);
+    },
+
+    async getAllProjects() {
+        return this.getItem(this.STORAGE_KEYS.PROJECTS, []);
+    },
+
+    async saveAllProjects(projects) {
+        return this.setItem(this.STORAGE_KEYS.PROJECTS, projects);
+    },
+
+    async getAllTemplates() {
+        return this.getItem(this.STORAGE_KEYS.TEMPLATES, []);
+    },
+
+    async saveAllTemplates(templates) {
+        return this.setItem(this.STORAGE_KEYS.TEMPLATES, templates);
+    },
+
     async getSettings() {
         return this.getItem(this.STORAGE_KEYS.SETTINGS, {});
     },
@@ -74,17 +956,81 @@ const StorageManager = {
     async saveSettings(settings) {
         return this.setItem(this.STORAGE_KEYS.SETTINGS, settings);
     },
+
+    // Merges `changes` into the stored settings so that callers only touch their own keys.
+    async updateSettings(changes) {
+        const key = this.STORAGE_KEYS.SETTINGS;
+        return this.transaction(key, values => {
+            values[key] = { ...(values[key] || {}), ...changes };
+            return values[key];
+        });
+    },
+
+    async getAllTimeEntries() {
+        return this.getItem(this.STORAGE_KEYS.TIME_ENTRIES, []);
+    },
+
+    async saveAllTimeEntries(entries) {
+        return this.setItem(this.STORAGE_KEYS.TIME_ENTRIES, entries);
+    },
+
+    async getActiveTimer() {
+        return this.getItem(this.STORAGE_KEYS.ACTIVE_TIMER, null);
+    },
+
+    async saveActiveTimer(timer) {
+        return this.setItem(this.STORAGE_KEYS.ACTIVE_TIMER, timer);
+    },
+};
+
+RECORD_COLLECTIONS[StorageManager.STORAGE_KEYS.TASKS] = {
+    indexFields: ['isComplete', 'status', 'priority', 'dueDate', 'deferUntil', 'tags', 'projectId', 'sortOrder', 'createdAt', 'deletedAt'],
+    lazyFields: []
+};
+RECORD_COLLECTIONS[StorageManager.STORAGE_KEYS.NOTES] = {
+    indexFields: ['projectId', 'createdAt', 'deletedAt'],
+    lazyFields: ['content', 'encrypted'] // Rich HTML, possibly with embedded images; the encrypted title and content of private notes
 };
 
+export { TransactionConflictError };
 export const STORAGE_KEYS = StorageManager.STORAGE_KEYS; // Re-export STORAGE_KEYS if they need to be accessed directly from imports
 export const init = StorageManager.init;
 export const getItem = StorageManager.getItem;
 export const setItem = StorageManager.setItem;
+export const getAllItems = StorageManager.getAllItems;
+export const setItems = StorageManager.setItems;
+export const setRawItems = StorageManager.setRawItems;
+export const removeRawItems = StorageManager.removeRawItems;
+export const toRecordItems = StorageManager.toRecordItems;
+export const getChangedKeys = StorageManager.getChangedKeys;
+export const subscribe = StorageManager.subscribe;
+export const getIndex = StorageManager.getIndex;
+export const getRecords = StorageManager.getRecords;
+export const setRecords = StorageManager.setRecords;
+export const updateRecords = StorageManager.updateRecords;
 export const removeItem = StorageManager.removeItem;
+export const transaction = StorageManager.transaction;
+export const captureChanges = StorageManager.captureChanges;
+export const getItemSize = StorageManager.getItemSize;
+export const getSessionItem = StorageManager.getSessionItem;
+export const setSessionItem = StorageManager.setSessionItem;
+export const removeSessionItem = StorageManager.removeSessionItem;
 export const clearAll = StorageManager.clearAll;
 export const getAllTasks = StorageManager.getAllTasks;
 export const saveAllTasks = StorageManager.saveAllTasks;
 export const getAllNotes = StorageManager.getAllNotes;
 export const saveAllNotes = StorageManager.saveAllNotes;
+export const getNoteContents = StorageManager.getNoteContents;
+export const getAllYoutubeVideos = StorageManager.getAllYoutubeVideos;
+export const saveAllYoutubeVideos = StorageManager.saveAllYoutubeVideos;
+export const getAllProjects = StorageManager.getAllProjects;
+export const saveAllProjects = StorageManager.saveAllProjects;
+export const getAllTemplates = StorageManager.getAllTemplates;
+export const saveAllTemplates = StorageManager.saveAllTemplates;
 export const getSettings = StorageManager.getSettings;
-export const saveSettings = StorageManager.saveSettings;
\ No newline at end of file
+export const saveSettings = StorageManager.saveSettings;
+export const updateSettings = StorageManager.updateSettings;
+export const getAllTimeEntries = StorageManager.getAllTimeEntries;
+export const saveAllTimeEntries = StorageManager.saveAllTimeEntries;
+export const getActiveTimer = StorageManager.getActiveTimer;
+export const saveActiveTimer = StorageManager.saveActiveTimer;
\ No newline at end of file
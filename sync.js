@@ -0,0 +1,733 @@
+import * as storage from './storage.js';
+import activityLog, { toLoggedValue } from './activitylog.js';
+import { normalizeTask } from './migrations.js';
+
+/**
+ * Version of the data layout in chrome.storage.sync. A device that finds a newer version stops
+ * syncing until the extension is updated.
+ */
+const SYNC_FORMAT_VERSION = 1;
+
+/**
+ * What is synced: all tasks (the trash included, so deletions carry over), the note fields in
+ * `NOTE_SYNC_FIELDS` of all notes but private ones, and the settings except `DEVICE_LOCAL_SETTINGS`.
+ */
+const SYNC_COLLECTIONS = ['tasks', 'notes', 'settings'];
+
+/**
+ * Note content stays on the device it was written on: rich HTML with images would not fit in
+ * chrome.storage.sync. Notes created elsewhere arrive with their title and an empty body.
+ */
+const NOTE_SYNC_FIELDS = ['id', 'title', 'projectId', 'createdAt', 'updatedAt', 'deletedAt'];
+
+/**
+ * Settings that describe what one device is showing rather than how the user wants things.
+ */
+const DEVICE_LOCAL_SETTINGS = ['activeProjectId'];
+
+/**
+ * Fields whose conflicts are resolved without being logged: bookkeeping that changes on every
+ * write, or on many tasks at once.
+ */
+const UNLOGGED_CONFLICT_FIELDS = ['updatedAt', 'sortOrder', 'reminderFiredAt'];
+
+/**
+ * The chrome.storage.sync quotas, for storage areas that don't state their own.
+ */
+const DEFAULT_SYNC_QUOTAS = { QUOTA_BYTES: 102400, QUOTA_BYTES_PER_ITEM: 8192, MAX_ITEMS: 512 };
+
+/**
+ * Keys in chrome.storage.sync: the manifest, which says how many chunks each collection has, and
+ * the chunks, `chunk.<collection>.<n>`. Keys count against the quotas, so they are short.
+ */
+const SYNC_MANIFEST_KEY = 'manifest';
+const SYNC_CHUNK_PREFIX = 'chunk.';
+
+/**
+ * Room kept free in every chunk for its key, and in the total quota for the manifest's growth.
+ */
+const CHUNK_KEY_RESERVE_BYTES = 32;
+const QUOTA_RESERVE_BYTES = 1024;
+
+/**
+ * Local changes are synced after this many minutes, so that a burst of edits is one write:
+ * chrome.storage.sync allows 120 writes a minute and 1800 an hour.
+ */
+const SYNC_DELAY_MINUTES = 1;
+
+/**
+ * A failed sync is retried after this many minutes.
+ */
+const SYNC_RETRY_MINUTES = 5;
+
+/**
+ * The conflict log keeps this many entries; older ones are dropped.
+ */
+const MAX_SYNC_CONFLICTS = 100;
+
+/**
+ * The sync state of this device, stored in chrome.storage.local:
+ * - enabled: whether the user turned sync on here;
+ * - deviceId: this device's entry in the vector clocks;
+ * - status: 'off', 'pending' (on, not synced yet), 'syncing', 'synced', 'error' or 'quotaExceeded';
+ * - lastSyncAt: when the last sync succeeded;
+ * - lastError: what went wrong, for 'error' and 'quotaExceeded';
+ * - usageBytes, quotaBytes: how much of chrome.storage.sync the synced data takes up.
+ */
+const DEFAULT_SYNC_STATE = {
+    enabled: false,
+    deviceId: null,
+    status: 'off',
+    lastSyncAt: null,
+    lastError: null,
+    usageBytes: 0,
+    quotaBytes: DEFAULT_SYNC_QUOTAS.QUOTA_BYTES
+};
+
+/**
+ * Thrown when the data in chrome.storage.sync can't be used or the synced data doesn't fit.
+ */
+class SyncError extends Error {
+    /**
+     * @param {string} message - The error message.
+     * @param {string} reason - 'incomplete' (another device is mid-write), 'newerFormat' or 'quotaExceeded'.
+     */
+    constructor(message, reason) {
+        super(message);
+        this.name = 'SyncError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Serializes a value as JSON with the keys of every object sorted, so that equal values always
+ * give the same text whatever order their fields were set in.
+ * @param {*} value - The value.
+ * @returns {string} The JSON.
+ */
+function toCanonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(item => (item === undefined ? 'null' : toCanonicalJson(item))).join(',')}]`;
+    }
+    if (value !== null && typeof value === 'object') {
+        const fields = Object.keys(value).sort().filter(key => value[key] !== undefined);
+        return `{${fields.map(key => `${JSON.stringify(key)}:${toCanonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function isSame(a, b) {
+    return toCanonicalJson(a) === toCanonicalJson(b);
+}
+
+/**
+ * Tells whether a value is one that `compactRecord` leaves out.
+ * @param {*} value - The value.
+ * @returns {boolean} True for undefined, null, '', false and [].
+ */
+function isEmptyValue(value) {
+    return value === undefined || value === null || value === '' || value === false || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Returns the empty value of the same kind as `value`: what a field left out of a compacted
+ * record stood for, judging by the value it has locally.
+ * @param {*} value - The local value.
+ * @returns {*} false, [], '' or null.
+ */
+function getEmptyValueLike(value) {
+    if (typeof value === 'boolean') return false;
+    if (Array.isArray(value)) return [];
+    if (typeof value === 'string') return '';
+    return null;
+}
+
+/**
+ * Leaves out the top-level fields with empty values (see `isEmptyValue`), which are most of a
+ * task, to save sync quota.
+ * @param {object} record - The record.
+ * @returns {object} The compacted record.
+ */
+function compactRecord(record) {
+    return Object.fromEntries(Object.entries(record).filter(([, value]) => !isEmptyValue(value)));
+}
+
+function compareIds(a, b) {
+    return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+/**
+ * Converts the local data to the form it is synced in: compacted tasks and note metadata sorted
+ * by ID, and the settings as a single record with the ID 'settings'. Private notes (see vault.js)
+ * stay on this device, encrypted; a note made private is removed from the other devices.
+ * @param {Array<object>} tasks - All tasks, the trash included.
+ * @param {Array<object>} notes - All notes, the trash included.
+ * @param {object} settings - The settings.
+ * @returns {{tasks: Array<object>, notes: Array<object>, settings: Array<object>}} The synced collections.
+ */
+function toSyncCollections(tasks, notes, settings) {
+    const syncedSettings = Object.fromEntries(Object.entries(settings).filter(([field]) => !DEVICE_LOCAL_SETTINGS.includes(field)));
+    return {
+        tasks: tasks.map(compactRecord).sort(compareIds),
+        notes: notes
+            .filter(note => !note.isPrivate)
+            .map(note => compactRecord(Object.fromEntries(NOTE_SYNC_FIELDS.filter(field => field in note).map(field => [field, note[field]]))))
+            .sort(compareIds),
+        settings: [{ ...syncedSettings, id: 'settings' }] // Not compacted: a missing setting means its default, not false
+    };
+}
+
+/**
+ * Serializes the records of a collection, one line each.
+ * @param {Array<object>} records - The records.
+ * @returns {string} The text.
+ */
+function encodeRecords(records) {
+    return records.map(toCanonicalJson).join('\n');
+}
+
+/**
+ * Parses the text written by `encodeRecords`.
+ * @param {string} text - The text.
+ * @returns {Array<object>} The records.
+ */
+function decodeRecords(text) {
+    return text === '' ? [] : text.split('\n').map(line => JSON.parse(line));
+}
+
+/**
+ * Splits text into chunks that each fit in one chrome.storage.sync item as a string value.
+ * Chunks end at record boundaries where possible, so that a change to one record usually changes
+ * one chunk; a record too large for a chunk of its own is split, but never inside a surrogate
+ * pair. Joining the chunks gives the text back.
+ * @param {string} text - The text, as written by `encodeRecords`.
+ * @param {number} maxChunkBytes - The most a chunk's value may take up (see `storage.getItemSize`).
+ * @returns {Array<string>} The chunks.
+ */
+function chunkText(text, maxChunkBytes) {
+    const sizeOf = piece => storage.getItemSize('', piece) - 2; // Without the quotes around a whole chunk
+    const budget = maxChunkBytes - 2;
+    const chunks = [];
+    let chunk = '';
+    let chunkSize = 0;
+    (text === '' ? [] : text.split(/(?<=\n)/)).forEach(line => {
+        let piece = line;
+        let size = sizeOf(piece);
+        if (chunkSize + size <= budget) {
+            chunk += piece;
+            chunkSize += size;
+            return;
+        }
+        if (chunk !== '') {
+            chunks.push(chunk);
+        }
+        while (size > budget) {
+            // The longest prefix that fits, by binary search
+            let low = 1;
+            let high = piece.length;
+            while (low < high) {
+                const middle = Math.ceil((low + high) / 2);
+                if (sizeOf(piece.slice(0, middle)) <= budget) low = middle;
+                else high = middle - 1;
+            }
+            const code = piece.charCodeAt(low - 1);
+            const length = code >= 0xD800 && code <= 0xDBFF && low > 1 ? low - 1 : low;
+            chunks.push(piece.slice(0, length));
+            piece = piece.slice(length);
+            size = sizeOf(piece);
+        }
+        chunk = piece;
+        chunkSize = size;
+    });
+    if (chunk !== '') {
+        chunks.push(chunk);
+    }
+    return chunks;
+}
+
+/**
+ * Hashes text with 32-bit FNV-1a, to tell whether the chunks of a collection were all written by
+ * the same sync.
+ * @param {string} text - The text.
+ * @returns {string} The hash, in hexadecimal.
+ */
+function hashText(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+function getChunkKey(collection, n) {
+    return `${SYNC_CHUNK_PREFIX}${collection}.${n}`;
+}
+
+/**
+ * Tells whether vector clock `clock` has seen everything `other` has, i.e. whether the data it
+ * belongs to descends from the data `other` belongs to.
+ * @param {Object<string, number>} clock - A vector clock: writes per device ID.
+ * @param {Object<string, number>} other - Another vector clock.
+ * @returns {boolean} True if `clock` is at least `other` for every device.
+ */
+function dominates(clock, other) {
+    return Object.entries(other).every(([deviceId, count]) => (clock[deviceId] || 0) >= count);
+}
+
+/**
+ * Combines two vector clocks, taking the larger count for every device.
+ * @param {Object<string, number>} a - A vector clock.
+ * @param {Object<string, number>} b - Another vector clock.
+ * @returns {Object<string, number>} The combined clock.
+ */
+function mergeClocks(a, b) {
+    const merged = { ...a };
+    Object.entries(b).forEach(([deviceId, count]) => {
+        merged[deviceId] = Math.max(merged[deviceId] || 0, count);
+    });
+    return merged;
+}
+
+/**
+ * Builds a conflict log entry.
+ * @param {object} details - `{collection, record, field, localValue, remoteValue, kept, now}`;
+ *        `field` is null when one side deleted the record and the other changed it.
+ * @returns {object} The entry: `{id, collection, recordId, title, field, localValue, remoteValue, kept, at}`.
+ */
+function createConflict({ collection, record, field, localValue, remoteValue, kept, now }) {
+    return {
+        id: crypto.randomUUID(),
+        collection,
+        recordId: record.id,
+        title: toLoggedValue(record.title || ''),
+        field,
+        localValue: toLoggedValue(localValue),
+        remoteValue: toLoggedValue(remoteValue),
+        kept,
+        at: now
+    };
+}
+
+/**
+ * Three-way merges one record, field by field. A field changed on one side only takes that
+ * side's value; a field changed to different values on both sides is a conflict, won by the side
+ * with the newer `updatedAt` (the remote side on a tie) and logged. A record deleted on one side
+ * is deleted unless the other side changed it, in which case the change wins. Without a base
+ * (the record is new, or the histories diverged) every differing field is a conflict.
+ * @param {object|undefined} base - The record as of the last sync.
+ * @param {object|undefined} local - The record on this device.
+ * @param {object|undefined} remote - The record in chrome.storage.sync.
+ * @param {object} context - `{collection, conflicts, now}`; conflicts are pushed onto `conflicts`.
+ * @returns {object|null} The merged record, or null if it is deleted.
+ */
+function mergeRecord(base, local, remote, { collection, conflicts, now }) {
+    if (!local || !remote) {
+        const kept = local || remote;
+        if (!kept || (base && isSame(kept, base))) {
+            return null; // Deleted on both sides, or on one side and unchanged on the other
+        }
+        if (base) {
+            conflicts.push(createConflict({
+                collection,
+                record: kept,
+                field: null,
+                localValue: local ? null : 'deleted',
+                remoteValue: remote ? null : 'deleted',
+                kept: local ? 'local' : 'remote',
+                now
+            }));
+        }
+        return kept;
+    }
+
+    const localWins = (local.updatedAt || 0) > (remote.updatedAt || 0);
+    const merged = {};
+    new Set([...Object.keys(base || {}), ...Object.keys(local), ...Object.keys(remote)]).forEach(field => {
+        const baseValue = base ? base[field] : undefined;
+        let value;
+        if (isSame(local[field], remote[field]) || (base && isSame(remote[field], baseValue))) {
+            value = local[field];
+        } else if (base && isSame(local[field], baseValue)) {
+            value = remote[field];
+        } else {
+            value = localWins ? local[field] : remote[field];
+            if (!UNLOGGED_CONFLICT_FIELDS.includes(field)) {
+                conflicts.push(createConflict({
+                    collection,
+                    record: localWins ? local : remote,
+                    field,
+                    localValue: local[field],
+                    remoteValue: remote[field],
+                    kept: localWins ? 'local' : 'remote',
+                    now
+                }));
+            }
+        }
+        if (value !== undefined) {
+            merged[field] = value;
+        }
+    });
+    return merged;
+}
+
+/**
+ * Three-way merges the synced collections (see `toSyncCollections`) with `mergeRecord`.
+ * @param {object} base - The collections as of the last sync; empty collections if there is no usable base.
+ * @param {object} local - The collections on this device.
+ * @param {object} remote - The collections in chrome.storage.sync.
+ * @param {number} [now=Date.now()] - The current time, for the conflict log.
+ * @returns {{merged: object, conflicts: Array<object>}} The merged collections, sorted by ID, and the conflicts.
+ */
+function mergeCollections(base, local, remote, now = Date.now()) {
+    const conflicts = [];
+    const merged = {};
+    SYNC_COLLECTIONS.forEach(collection => {
+        const byId = records => new Map((records || []).map(record => [record.id, record]));
+        const baseRecords = byId(base[collection]);
+        const localRecords = byId(local[collection]);
+        const remoteRecords = byId(remote[collection]);
+        const ids = [...new Set([...baseRecords.keys(), ...localRecords.keys(), ...remoteRecords.keys()])].sort();
+        merged[collection] = ids
+            .map(id => mergeRecord(baseRecords.get(id), localRecords.get(id), remoteRecords.get(id), { collection, conflicts, now }))
+            .filter(Boolean);
+    });
+    return { merged, conflicts };
+}
+
+/**
+ * Applies a merged record to the local one. Fields the merged record leaves out are kept if they
+ * aren't synced or are empty locally; otherwise they were emptied on the other side and get the
+ * matching empty value (see `getEmptyValueLike`).
+ * @param {object} local - The local record.
+ * @param {object} merged - The merged record, in synced form.
+ * @param {function(string): boolean} isSyncedField - Tells whether a field is synced.
+ * @returns {object} The updated local record.
+ */
+function applyRecord(local, merged, isSyncedField) {
+    const record = { ...merged };
+    Object.keys(local).forEach(field => {
+        if (field in record) return;
+        record[field] = !isSyncedField(field) || isEmptyValue(local[field]) ? local[field] : getEmptyValueLike(local[field]);
+    });
+    return record;
+}
+
+/**
+ * Applies the merged records of a collection to the local records: changed records are updated,
+ * records deleted elsewhere are removed and new ones are added at the end. Unchanged records, and
+ * records that aren't synced (those missing from `localSynced`, i.e. private notes), are kept as they are.
+ * @param {Array<object>} records - The local records.
+ * @param {Array<object>} localSynced - The local records in synced form.
+ * @param {Array<object>} merged - The merged records.
+ * @param {function(string): boolean} isSyncedField - Tells whether a field is synced.
+ * @param {function(object): object} createRecord - Builds a local record from a merged record that is new here.
+ * @returns {Array<object>} The updated local records.
+ */
+function applyCollection(records, localSynced, merged, isSyncedField, createRecord) {
+    const localById = new Map(localSynced.map(record => [record.id, record]));
+    const mergedById = new Map(merged.map(record => [record.id, record]));
+    const recordIds = new Set(records.map(record => record.id));
+    const updated = records
+        .filter(record => !localById.has(record.id) || mergedById.has(record.id))
+        .map(record => {
+            if (!localById.has(record.id)) return record;
+            const mergedRecord = mergedById.get(record.id);
+            return isSame(mergedRecord, localById.get(record.id)) ? record : applyRecord(record, mergedRecord, isSyncedField);
+        });
+    merged.filter(record => !recordIds.has(record.id)).forEach(record => updated.push(createRecord(record)));
+    return updated;
+}
+
+/**
+ * Mirrors tasks, note metadata and settings into chrome.storage.sync, so that they follow the
+ * user across the devices they sign in to Chrome on. Opt-in per device (see `setEnabled`).
+ *
+ * Each collection is stored as text, one record per line, split into chunks that fit the
+ * per-item quota (`chunkText`); the manifest lists the chunk counts, a hash of each collection
+ * and a vector clock counting every device's writes. A sync reads the remote data, three-way
+ * merges it with the local data against the data of the last sync (`mergeCollections`), applies
+ * the result locally in one storage transaction and writes the changed chunks back. If the remote
+ * clock doesn't descend from the clock of the last sync, a write was lost (two devices wrote at
+ * once, or the sync data was cleared), so the data of the last sync can't tell deletions from
+ * additions: the merge then keeps every record from both sides.
+ *
+ * The engine takes the storage area to sync through, so it can run against an in-memory fake
+ * (see tests/memorystoragearea.js); the default instance uses chrome.storage.sync.
+ */
+class SyncEngine {
+    /**
+     * @param {object} [area] - A chrome.storage area; chrome.storage.sync if omitted.
+     */
+    constructor(area = null) {
+        this.area = area;
+        this.running = Promise.resolve();
+    }
+
+    /**
+     * The storage area synced through.
+     * @private
+     * @returns {object} The area.
+     */
+    _getArea() {
+        return this.area || chrome.storage.sync;
+    }
+
+    /**
+     * The quotas of the storage area, falling back to `DEFAULT_SYNC_QUOTAS`.
+     * @private
+     * @returns {{QUOTA_BYTES: number, QUOTA_BYTES_PER_ITEM: number, MAX_ITEMS: number}} The quotas.
+     */
+    _getQuotas() {
+        const area = this._getArea();
+        return Object.fromEntries(Object.entries(DEFAULT_SYNC_QUOTAS).map(([name, value]) => [name, area[name] || value]));
+    }
+
+    /**
+     * Retrieves this device's sync state (see `DEFAULT_SYNC_STATE`).
+     * @returns {Promise<object>} A promise that resolves with the state.
+     */
+    async getState() {
+        return { ...DEFAULT_SYNC_STATE, ...(await storage.getItem(storage.STORAGE_KEYS.SYNC_STATE, {})) };
+    }
+
+    /**
+     * Merges changes into the stored sync state.
+     * @private
+     * @param {object} changes - The changed fields.
+     * @returns {Promise<object>} A promise that resolves with the updated state.
+     */
+    async _updateState(changes) {
+        const key = storage.STORAGE_KEYS.SYNC_STATE;
+        return storage.transaction(key, values => {
+            values[key] = { ...DEFAULT_SYNC_STATE, ...(values[key] || {}), ...changes };
+            return values[key];
+        });
+    }
+
+    /**
+     * Turns sync on or off for this device. Turning it on gives the device an ID for the vector
+     * clocks if it has none; the first sync then merges the local data with the synced data.
+     * @param {boolean} enabled - Whether to sync.
+     * @returns {Promise<object>} A promise that resolves with the updated state.
+     */
+    async setEnabled(enabled) {
+        const state = await this.getState();
+        return this._updateState({
+            enabled: Boolean(enabled),
+            deviceId: state.deviceId || crypto.randomUUID(),
+            status: enabled ? 'pending' : 'off',
+            lastError: null
+        });
+    }
+
+    /**
+     * Retrieves the conflict log, newest first.
+     * @returns {Promise<Array<object>>} A promise that resolves with the entries (see `createConflict`).
+     */
+    async getConflicts() {
+        const conflicts = await storage.getItem(storage.STORAGE_KEYS.SYNC_CONFLICTS, []);
+        return conflicts.slice().reverse();
+    }
+
+    /**
+     * Empties the conflict log.
+     * @returns {Promise<void>}
+     */
+    async clearConflicts() {
+        await storage.removeItem(storage.STORAGE_KEYS.SYNC_CONFLICTS);
+    }
+
+    /**
+     * Appends entries to the conflict log, keeping the newest `MAX_SYNC_CONFLICTS`.
+     * @private
+     * @param {Array<object>} conflicts - The new entries.
+     * @returns {Promise<void>}
+     */
+    async _logConflicts(conflicts) {
+        if (conflicts.length === 0) return;
+        const key = storage.STORAGE_KEYS.SYNC_CONFLICTS;
+        await storage.transaction(key, values => {
+            values[key] = [...(values[key] || []), ...conflicts].slice(-MAX_SYNC_CONFLICTS);
+        });
+    }
+
+    /**
+     * Reads and checks the synced data.
+     * @private
+     * @returns {Promise<{clock: object, collections: object|null, texts: object, items: object}>} A promise
+     *          that resolves with the remote vector clock, the collections (null if nothing was synced
+     *          yet), the text of each collection and all stored items.
+     * @throws {SyncError} If the data was written by a newer version or is incomplete.
+     */
+    async _readRemote() {
+        const items = await this._getArea().get(null);
+        const manifest = items[SYNC_MANIFEST_KEY];
+        if (!manifest) {
+            return { clock: {}, collections: null, texts: {}, items };
+        }
+        if (manifest.version > SYNC_FORMAT_VERSION) {
+            throw new SyncError('The synced data was written by a newer version of the extension. Update the extension to keep syncing.', 'newerFormat');
+        }
+        const collections = {};
+        const texts = {};
+        SYNC_COLLECTIONS.forEach(collection => {
+            const { chunks = 0, hash = hashText('') } = manifest.collections[collection] || {};
+            const parts = Array.from({ length: chunks }, (_, n) => items[getChunkKey(collection, n)]);
+            const text = parts.join('');
+            if (parts.some(part => typeof part !== 'string') || hashText(text) !== hash) {
+                throw new SyncError('The synced data is being written by another device. Syncing again shortly.', 'incomplete');
+            }
+            texts[collection] = text;
+            collections[collection] = decodeRecords(text);
+        });
+        return { clock: manifest.clock || {}, collections, texts, items };
+    }
+
+    /**
+     * Writes the merged collections: the chunks that changed and the manifest in one call, then
+     * removes chunks no longer used.
+     * @private
+     * @param {object} merged - The merged collections.
+     * @param {object} clock - The new vector clock.
+     * @param {object} remote - The remote data as read by `_readRemote`.
+     * @param {object} state - The sync state.
+     * @param {number} now - The current time.
+     * @returns {Promise<number>} A promise that resolves with the bytes the synced data takes up.
+     * @throws {SyncError} If the data doesn't fit in the quotas.
+     */
+    async _writeRemote(merged, clock, remote, state, now) {
+        const quotas = this._getQuotas();
+        const manifest = { version: SYNC_FORMAT_VERSION, deviceId: state.deviceId, updatedAt: now, clock, collections: {} };
+        const chunkItems = {};
+        SYNC_COLLECTIONS.forEach(collection => {
+            const text = encodeRecords(merged[collection]);
+            const chunks = chunkText(text, quotas.QUOTA_BYTES_PER_ITEM - CHUNK_KEY_RESERVE_BYTES);
+            manifest.collections[collection] = { chunks: chunks.length, hash: hashText(text) };
+            chunks.forEach((chunk, n) => {
+                chunkItems[getChunkKey(collection, n)] = chunk;
+            });
+        });
+
+        const usageBytes = Object.entries({ ...chunkItems, [SYNC_MANIFEST_KEY]: manifest })
+            .reduce((total, [key, value]) => total + storage.getItemSize(key, value), 0);
+        const itemCount = Object.keys(chunkItems).length + 1;
+        if (usageBytes > quotas.QUOTA_BYTES - QUOTA_RESERVE_BYTES || itemCount > quotas.MAX_ITEMS) {
+            throw new SyncError(`The synced data would take up ${Math.ceil(usageBytes / 1024)} KB in ${itemCount} items; Chrome sync allows ${Math.floor((quotas.QUOTA_BYTES - QUOTA_RESERVE_BYTES) / 1024)} KB in ${quotas.MAX_ITEMS}. Empty the trash or delete old tasks to keep syncing.`, 'quotaExceeded');
+        }
+
+        const changes = { [SYNC_MANIFEST_KEY]: manifest };
+        Object.entries(chunkItems).forEach(([key, chunk]) => {
+            if (remote.items[key] !== chunk) {
+                changes[key] = chunk;
+            }
+        });
+        await this._getArea().set(changes);
+        const unusedKeys = Object.keys(remote.items).filter(key => key.startsWith(SYNC_CHUNK_PREFIX) && !(key in chunkItems));
+        if (unusedKeys.length > 0) {
+            await this._getArea().remove(unusedKeys);
+        }
+        return usageBytes;
+    }
+
+    /**
+     * Syncs this device once, if sync is on. Overlapping calls run one after another. Errors are
+     * not thrown but recorded in the state ('error' or 'quotaExceeded'); changes merged in from
+     * other devices are recorded in the activity log with the origin 'sync', conflicts in the
+     * conflict log.
+     * @param {number} [now=Date.now()] - The current time.
+     * @returns {Promise<object>} A promise that resolves with the sync state afterwards.
+     */
+    sync(now = Date.now()) {
+        const run = this.running.then(() => this._sync(now));
+        this.running = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * One sync; see `sync`.
+     * @private
+     * @param {number} now - The current time.
+     * @returns {Promise<object>} A promise that resolves with the sync state afterwards.
+     */
+    async _sync(now) {
+        const state = await this.getState();
+        if (!state.enabled) {
+            return state;
+        }
+        const { TASKS, NOTES, SETTINGS, SYNC_BASE } = storage.STORAGE_KEYS;
+        await this._updateState({ status: 'syncing' });
+        try {
+            const remote = await this._readRemote();
+            const base = await storage.getItem(SYNC_BASE, null);
+            const empty = { tasks: [], notes: [], settings: [] };
+            const remoteCollections = remote.collections || empty;
+            const baseCollections = base && dominates(remote.clock, base.clock) ? base.collections : empty;
+
+            let outcome = null;
+            await storage.transaction([TASKS, NOTES, SETTINGS], values => {
+                const tasks = values[TASKS] || [];
+                const notes = values[NOTES] || [];
+                const settings = values[SETTINGS] || {};
+                const local = toSyncCollections(tasks, notes, settings);
+                const { merged, conflicts } = mergeCollections(baseCollections, local, remoteCollections, now);
+                const updatedTasks = applyCollection(tasks, local.tasks, merged.tasks, () => true, record => normalizeTask(record));
+                const updatedNotes = applyCollection(notes, local.notes, merged.notes, field => NOTE_SYNC_FIELDS.includes(field), record => ({ title: '', projectId: null, ...record }));
+                const { id, ...updatedSettings } = applyRecord({ ...settings, id: 'settings' }, merged.settings[0], field => !DEVICE_LOCAL_SETTINGS.includes(field));
+                values[TASKS] = updatedTasks;
+                values[NOTES] = updatedNotes;
+                values[SETTINGS] = isSame(updatedSettings, settings) ? values[SETTINGS] : updatedSettings;
+                outcome = { merged, conflicts, tasks, notes, updatedTasks, updatedNotes };
+            });
+
+            await activityLog.withOrigin('sync', async () => {
+                await activityLog.recordChanges('task', outcome.tasks, outcome.updatedTasks);
+                await activityLog.recordChanges('note', outcome.notes, outcome.updatedNotes);
+            });
+            await this._logConflicts(outcome.conflicts);
+
+            // Until the push succeeds, the remote data is what this device last agreed on
+            let clock = mergeClocks(remote.clock, base ? base.clock : {});
+            await storage.setItem(SYNC_BASE, { clock: remote.clock, collections: remoteCollections });
+            let usageBytes = remote.collections ? Object.entries(remote.items).reduce((total, [key, value]) => total + storage.getItemSize(key, value), 0) : 0;
+            const changed = !remote.collections || SYNC_COLLECTIONS.some(collection => encodeRecords(outcome.merged[collection]) !== remote.texts[collection]);
+            if (changed || !isSame(clock, remote.clock)) {
+                clock = { ...clock, [state.deviceId]: (clock[state.deviceId] || 0) + 1 };
+                usageBytes = await this._writeRemote(outcome.merged, clock, remote, state, now);
+                await storage.setItem(SYNC_BASE, { clock, collections: outcome.merged });
+            }
+            return await this._updateState({ status: 'synced', lastSyncAt: now, lastError: null, usageBytes, quotaBytes: this._getQuotas().QUOTA_BYTES });
+        } catch (error) {
+            console.error('Sync failed:', error);
+            return this._updateState({
+                status: error.name === 'SyncError' && error.reason === 'quotaExceeded' ? 'quotaExceeded' : 'error',
+                lastError: error.message
+            });
+        }
+    }
+}
+
+const syncEngine = new SyncEngine();
+
+export {
+    SYNC_FORMAT_VERSION,
+    SYNC_COLLECTIONS,
+    NOTE_SYNC_FIELDS,
+    DEVICE_LOCAL_SETTINGS,
+    DEFAULT_SYNC_QUOTAS,
+    SYNC_MANIFEST_KEY,
+    SYNC_DELAY_MINUTES,
+    SYNC_RETRY_MINUTES,
+    SyncError,
+    SyncEngine,
+    toSyncCollections,
+    encodeRecords,
+    decodeRecords,
+    chunkText,
+    hashText,
+    dominates,
+    mergeClocks,
+    mergeRecord,
+    mergeCollections
+};
+export default syncEngine;
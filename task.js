@@ -1,4 +1,7 @@
 import * as storage from './storage.js';
+import { normalizeRecurrence, getNextDueDate, parseDueDate, formatDate, toDueDateValue } from './recurrence.js';
+import { getWorkflowColumns } from './workflow.js';
+import activityLog from './activitylog.js';
 
 /**
  * Custom Error class for storage-related issues.
@@ -21,6 +24,128 @@ class InvalidInputError extends Error {
     }
 }
 
+/**
+ * Custom Error class for attempts to complete a task whose blockers are still open.
+ */
+class TaskBlockedError extends Error {
+    constructor(message, blockers = []) {
+        super(message);
+        this.name = 'TaskBlockedError';
+        this.blockers = blockers; // The open tasks that block completion
+    }
+}
+
+/**
+ * Supported task priorities, ordered from lowest to highest.
+ */
+const PRIORITIES = ['none', 'low', 'medium', 'high'];
+
+/**
+ * Gap between the `sortOrder` keys of neighbouring tasks in manual order.
+ * Moving a task only rewrites its own key (to the midpoint between its new neighbours);
+ * all keys are re-spaced only when two neighbours end up too close to split.
+ */
+const SORT_ORDER_STEP = 1024;
+
+/**
+ * Compares tasks by their manual `sortOrder` key. Tasks without a key sort last,
+ * and ties (such as a recurring task and its next occurrence) fall back to creation order.
+ * @param {object} a - The first task.
+ * @param {object} b - The second task.
+ * @returns {number} A negative, zero or positive number, as for `Array.prototype.sort`.
+ */
+function compareSortOrder(a, b) {
+    const keyA = Number.isFinite(a.sortOrder) ? a.sortOrder : Infinity;
+    const keyB = Number.isFinite(b.sortOrder) ? b.sortOrder : Infinity;
+    if (keyA === keyB) {
+        return a.createdAt - b.createdAt;
+    }
+    return keyA < keyB ? -1 : 1;
+}
+
+/**
+ * Comparators for the `sort` option of `TaskManager.queryTasks`.
+ * Each comparator sorts ascending; prefix the sort key with '-' to reverse it.
+ * Tasks without a due date always sort after tasks that have one.
+ */
+const TASK_SORTERS = {
+    manual: compareSortOrder,
+    createdAt: (a, b) => a.createdAt - b.createdAt,
+    dueDate: (a, b) => {
+        const dueA = parseDueDate(a.dueDate);
+        const dueB = parseDueDate(b.dueDate);
+        if (!dueA || !dueB) {
+            return (dueA ? 0 : 1) - (dueB ? 0 : 1);
+        }
+        return dueA - dueB;
+    },
+    priority: (a, b) => PRIORITIES.indexOf(a.priority || 'none') - PRIORITIES.indexOf(b.priority || 'none'),
+    title: (a, b) => a.title.localeCompare(b.title)
+};
+
+/**
+ * Returns the tasks listed in `task.blockedBy` that are not complete yet.
+ * A task is considered blocked while this list is non-empty.
+ * @param {object} task - The task whose blockers should be resolved.
+ * @param {Array<object>} tasks - All tasks, used to look up blockers by ID.
+ * @returns {Array<object>} The open blocking tasks.
+ */
+function getOpenBlockers(task, tasks) {
+    const blockedBy = task.blockedBy || [];
+    return tasks.filter(other => blockedBy.includes(other.id) && !other.isComplete);
+}
+
+/**
+ * Tells whether a task is deferred (snoozed): open and hidden from the default list until its `deferUntil` time.
+ * @param {object} task - The task to check.
+ * @param {number} [now=Date.now()] - The current time.
+ * @returns {boolean} True if the task is deferred.
+ */
+function isDeferred(task, now = Date.now()) {
+    return !task.isComplete && Number.isFinite(task.deferUntil) && task.deferUntil > now;
+}
+
+/**
+ * Finds a subtask node anywhere in a subtask tree.
+ * @param {Array<object>} subtasks - The top-level subtask nodes to search.
+ * @param {string} subtaskId - The unique ID of the subtask to find.
+ * @param {object|null} [parent=null] - The node owning `subtasks` (used during recursion).
+ * @returns {{node: object, parent: object|null, siblings: Array<object>, index: number}|null}
+ *          The node together with the array containing it and its index there, or null if not found.
+ */
+function findSubtaskLocation(subtasks, subtaskId, parent = null) {
+    for (let index = 0; index < subtasks.length; index++) {
+        const node = subtasks[index];
+        if (node.id === subtaskId) {
+            return { node, parent, siblings: subtasks, index };
+        }
+        const nested = findSubtaskLocation(node.subtasks || [], subtaskId, node);
+        if (nested) {
+            return nested;
+        }
+    }
+    return null;
+}
+
+/**
+ * Computes the completion percentage of a task or subtask node, rolled up from its subtree.
+ * A node without subtasks is 0% or 100% depending on `isComplete`; a node with subtasks
+ * averages its children, and a node marked complete counts as 100% regardless of its children.
+ * @param {object} node - A task or subtask node.
+ * @returns {number} The completion percentage, from 0 to 100.
+ */
+function getCompletionPercentage(node) {
+    const children = node.subtasks || [];
+    if (node.isComplete) {
+        return 100;
+    }
+    if (children.length === 0) {
+        return 0;
+    }
+    const total = children.reduce((sum, child) => sum + getCompletionPercentage(child), 0);
+    return Math.round(total / children.length);
+}
+
 /**
  * Manages tasks and subtasks using chrome.storage.local.
  * Provides CRUD operations and helper functions for task management.
@@ -43,12 +168,12 @@ class TaskManager {
     }
 
     /**
-     * Retrieves tasks from chrome.storage.local using the centralized storage module.
+     * Retrieves every stored task, including tasks in the trash.
      * @private
      * @returns {Promise<Array<object>>} A promise that resolves with an array of task objects.
      * @throws {StorageError} If there's an error retrieving tasks from storage.
      */
-    async _getTasks() {
+    async _getStoredTasks() {
         try {
             // Refactored to use storage.js's getAllTasks function
             const tasks = await storage.getAllTasks();
@@ -60,20 +185,200 @@ class TaskManager {
     }
 
     /**
-     * Saves the provided array of tasks to chrome.storage.local using the centralized storage module.
+     * Runs a read-modify-write of every stored task, including tasks in the trash, as a storage
+     * transaction (see `storage.transaction`), so that concurrent changes from this or another
+     * extension page are not lost. `fn` receives a copy of the stored tasks and a `save` callback
+     * taking the tasks to write; if it doesn't call `save`, nothing is written. `fn` is run again
+     * if another page changed the tasks in the meantime, so it must not have other side effects.
+     * The saved changes are recorded in the activity log.
      * @private
-     * @param {Array<object>} tasks - The array of task objects to save.
-     * @returns {Promise<void>} A promise that resolves when tasks are successfully saved.
-     * @throws {StorageError} If there's an error saving tasks to storage.
+     * @param {function(Array<object>, function(Array<object>): void): *} fn - The read-modify-write.
+     * @returns {Promise<*>} A promise that resolves with the value returned by `fn`.
+     * @throws {StorageError} If there's an error reading or saving tasks.
+     */
+    async _transactStoredTasks(fn) {
+        const key = storage.STORAGE_KEYS.TASKS;
+        let previousTasks = [];
+        let savedTasks = null;
+        let callbackError = null;
+        let result;
+        try {
+            result = await storage.transaction(key, async values => {
+                previousTasks = values[key] || [];
+                savedTasks = null;
+                let outcome;
+                try {
+                    outcome = await fn(structuredClone(previousTasks), tasks => {
+                        savedTasks = tasks;
+                    });
+                } catch (error) {
+                    callbackError = error;
+                    throw error;
+                }
+                if (savedTasks) {
+                    values[key] = savedTasks;
+                }
+                return outcome;
+            });
+        } catch (error) {
+            if (error === callbackError) {
+                throw error; // Validation errors and the like are the caller's
+            }
+            console.error('Error saving tasks to storage:', error);
+            throw new StorageError('Failed to save tasks due to storage error.', error);
+        }
+        if (savedTasks) {
+            await activityLog.recordChanges('task', previousTasks, savedTasks);
+        }
+        return result;
+    }
+
+    /**
+     * Retrieves the task index: `{id, ...}` with the fields used for filtering and sorting, per
+     * stored task, the trashed ones included (see `RECORD_COLLECTIONS` in storage.js).
+     * @private
+     * @returns {Promise<Array<object>>} A promise that resolves with the index entries.
+     * @throws {StorageError} If there's an error retrieving tasks from storage.
+     */
+    async _getTaskIndex() {
+        try {
+            return await storage.getIndex(storage.STORAGE_KEYS.TASKS);
+        } catch (error) {
+            console.error('Error retrieving tasks from storage:', error);
+            throw new StorageError('Failed to retrieve tasks due to storage error.', error);
+        }
+    }
+
+    /**
+     * Retrieves the stored tasks with the given IDs, in the order given. Unknown IDs are left out.
+     * @private
+     * @param {Array<string>} ids - The task IDs.
+     * @returns {Promise<Array<object>>} A promise that resolves with the tasks.
+     * @throws {StorageError} If there's an error retrieving tasks from storage.
+     */
+    async _getTaskRecords(ids) {
+        if (ids.length === 0) {
+            return [];
+        }
+        try {
+            return await storage.getRecords(storage.STORAGE_KEYS.TASKS, ids);
+        } catch (error) {
+            console.error('Error retrieving tasks from storage:', error);
+            throw new StorageError('Failed to retrieve tasks due to storage error.', error);
+        }
+    }
+
+    /**
+     * Retrieves the tasks that are not in the trash. All regular operations work on these only.
+     * @private
+     * @returns {Promise<Array<object>>} A promise that resolves with an array of task objects.
+     * @throws {StorageError} If there's an error retrieving tasks from storage.
+     */
+    async _getTasks() {
+        const tasks = await this._getStoredTasks();
+        return tasks.filter(task => !task.deletedAt);
+    }
+
+    /**
+     * Like `_transactStoredTasks`, but for the tasks that are not in the trash: `fn` only sees
+     * those, and `save` keeps the trashed tasks as they are in storage. Saved tasks keep their
+     * place in storage, whatever their order in the array passed to `save`.
+     * @private
+     * @param {function(Array<object>, function(Array<object>): void): *} fn - The read-modify-write.
+     * @returns {Promise<*>} A promise that resolves with the value returned by `fn`.
+     * @throws {StorageError} If there's an error reading or saving tasks.
+     */
+    async _transactTasks(fn) {
+        return this._transactStoredTasks((storedTasks, save) => fn(storedTasks.filter(task => !task.deletedAt), tasks => {
+            // New tasks go to the end
+            const savedById = new Map(tasks.map(task => [task.id, task]));
+            const kept = storedTasks
+                .filter(task => task.deletedAt || savedById.has(task.id))
+                .map(task => (task.deletedAt ? task : savedById.get(task.id)));
+            const keptIds = new Set(kept.map(task => task.id));
+            save([...kept, ...tasks.filter(task => !keptIds.has(task.id))]);
+        }));
+    }
+
+    /**
+     * Like `_transactStoredTasks`, but reading and writing only the stored tasks with the given IDs
+     * (see `storage.updateRecords`), for changes to a single task or a few. `fn` receives copies of
+     * those tasks (unknown IDs are left out) and `save` takes the tasks to write: changed ones and
+     * new ones, which go to the end. Tasks can't be removed this way.
+     * @private
+     * @param {Array<string>} ids - The IDs of the tasks to read.
+     * @param {function(Array<object>, function(Array<object>): void): *} fn - The read-modify-write.
+     * @returns {Promise<*>} A promise that resolves with the value returned by `fn`.
+     * @throws {StorageError} If there's an error reading or saving tasks.
      */
-    async _saveTasks(tasks) {
+    async _updateStoredTasks(ids, fn) {
+        let previousTasks = [];
+        let savedTasks = null;
+        let callbackError = null;
+        let result;
         try {
-            // Refactored to use storage.js's saveAllTasks function
-            await storage.saveAllTasks(tasks);
+            result = await storage.updateRecords(storage.STORAGE_KEYS.TASKS, ids, async records => {
+                previousTasks = records.slice();
+                savedTasks = null;
+                let outcome;
+                try {
+                    outcome = await fn(structuredClone(records), tasks => {
+                        savedTasks = tasks;
+                    });
+                } catch (error) {
+                    callbackError = error;
+                    throw error;
+                }
+                if (savedTasks) {
+                    records.splice(0, records.length, ...savedTasks);
+                }
+                return outcome;
+            });
         } catch (error) {
+            if (error === callbackError) {
+                throw error; // Validation errors and the like are the caller's
+            }
             console.error('Error saving tasks to storage:', error);
             throw new StorageError('Failed to save tasks due to storage error.', error);
         }
+        if (savedTasks) {
+            const savedIds = new Set(savedTasks.map(task => task.id));
+            await activityLog.recordChanges('task', previousTasks.filter(task => savedIds.has(task.id)), savedTasks);
+        }
+        return result;
+    }
+
+    /**
+     * Like `_updateStoredTasks`, but for the tasks that are not in the trash: `fn` only sees those.
+     * @private
+     * @param {Array<string>} ids - The IDs of the tasks to read.
+     * @param {function(Array<object>, function(Array<object>): void): *} fn - The read-modify-write.
+     * @returns {Promise<*>} A promise that resolves with the value returned by `fn`.
+     * @throws {StorageError} If there's an error reading or saving tasks.
+     */
+    async _updateTasks(ids, fn) {
+        return this._updateStoredTasks(ids, (storedTasks, save) => fn(storedTasks.filter(task => !task.deletedAt), save));
+    }
+
+    /**
+     * Reads the open tasks blocking a task, for operations that don't read every task (see `getOpenBlockers`).
+     * @private
+     * @param {object} task - The task whose blockers should be resolved.
+     * @returns {Promise<Array<object>>} A promise that resolves with the open blocking tasks, trashed ones left out.
+     * @throws {StorageError} If there's an error retrieving tasks from storage.
+     */
+    async _getOpenBlockers(task) {
+        const blockedBy = task.blockedBy || [];
+        if (blockedBy.length === 0) {
+            return [];
+        }
+        try {
+            const blockers = await storage.getRecords(storage.STORAGE_KEYS.TASKS, blockedBy);
+            return getOpenBlockers(task, blockers.filter(blocker => !blocker.deletedAt));
+        } catch (error) {
+            console.error('Error retrieving tasks from storage:', error);
+            throw new StorageError('Failed to retrieve tasks due to storage error.', error);
+        }
     }
 
     /**
@@ -93,10 +398,227 @@ class TaskManager {
         return `_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 9)}`;
     }
 
+    /**
+     * Validates a task priority.
+     * @private
+     * @param {string} [priority] - The priority to validate. Defaults to 'none'.
+     * @returns {string} The validated priority.
+     * @throws {InvalidInputError} If the priority is not one of `PRIORITIES`.
+     */
+    _normalizePriority(priority) {
+        if (priority === undefined || priority === null) {
+            return 'none';
+        }
+        if (!PRIORITIES.includes(priority)) {
+            throw new InvalidInputError(`Invalid priority "${priority}". Expected one of: ${PRIORITIES.join(', ')}.`);
+        }
+        return priority;
+    }
+
+    /**
+     * Normalizes a list of tags: trims them, strips a leading '#', lowercases them and removes duplicates.
+     * @private
+     * @param {Array<string>} [tags] - The tags to normalize. Defaults to an empty list.
+     * @returns {Array<string>} The normalized tags.
+     * @throws {InvalidInputError} If `tags` is not an array of strings.
+     */
+    _normalizeTags(tags) {
+        if (tags === undefined || tags === null) {
+            return [];
+        }
+        if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+            throw new InvalidInputError('Tags must be provided as an array of strings.');
+        }
+        const normalized = tags
+            .map(tag => tag.trim().replace(/^#/, '').toLowerCase())
+            .filter(tag => tag !== '');
+        return [...new Set(normalized)];
+    }
+
+    /**
+     * Validates a task reminder.
+     * @private
+     * @param {number|null} [reminderMinutes] - How many minutes before the due date to remind, 0 for at the due date.
+     * @returns {number|null} The validated number of minutes, or null for no reminder.
+     * @throws {InvalidInputError} If the reminder is not a non-negative whole number of minutes.
+     */
+    _normalizeReminder(reminderMinutes) {
+        if (reminderMinutes === undefined || reminderMinutes === null) {
+            return null;
+        }
+        if (!Number.isInteger(reminderMinutes) || reminderMinutes < 0) {
+            throw new InvalidInputError('Reminders must be given as a non-negative whole number of minutes before the due date.');
+        }
+        return reminderMinutes;
+    }
+
+    /**
+     * Validates the time a task is deferred until.
+     * @private
+     * @param {number|null} [deferUntil] - The timestamp, or null to stop deferring.
+     * @returns {number|null} The validated timestamp, or null.
+     * @throws {InvalidInputError} If `deferUntil` is not a timestamp.
+     */
+    _normalizeDeferUntil(deferUntil) {
+        if (deferUntil === undefined || deferUntil === null) {
+            return null;
+        }
+        if (!Number.isFinite(deferUntil)) {
+            throw new InvalidInputError('Tasks can only be deferred until a timestamp.');
+        }
+        return deferUntil;
+    }
+
+    /**
+     * Validates and normalizes a recurrence rule supplied by a caller.
+     * Monthly and yearly rules are anchored on the due date's day of the month so that clamped
+     * months (e.g. the 31st falling on the 30th, or Feb 29 on Feb 28) don't drift the rest of the series.
+     * @private
+     * @param {object|null} recurrence - The recurrence rule to validate, or null to clear it.
+     * @param {string|number|null} dueDate - The due date the series starts from.
+     * @returns {object|null} The normalized recurrence rule, or null if none was given.
+     * @throws {InvalidInputError} If the recurrence rule is invalid.
+     */
+    _normalizeRecurrence(recurrence, dueDate) {
+        if (recurrence === undefined || recurrence === null) {
+            return null;
+        }
+        const rule = normalizeRecurrence(recurrence);
+        if (!rule) {
+            throw new InvalidInputError('Invalid recurrence rule. Expected a "frequency" of daily, weekly, monthly or yearly with optional "interval", "byWeekday", "byMonthDay", "until" and "count".');
+        }
+        const anchor = parseDueDate(dueDate);
+        if ((rule.frequency === 'monthly' || rule.frequency === 'yearly') && rule.byMonthDay === null && anchor) {
+            rule.byMonthDay = anchor.getDate();
+        }
+        return rule;
+    }
+
+    /**
+     * Builds the next occurrence of a recurring task, with its subtasks reset to incomplete and no blockers.
+     * The returned task is not saved; the caller is responsible for persisting it.
+     * @private
+     * @param {object} task - The recurring task whose next occurrence should be built.
+     * @returns {object|null} The next occurrence, or null if the task does not recur or the series has ended.
+     */
+    _buildNextOccurrence(task) {
+        if (!task.recurrence || task.nextOccurrenceId) {
+            return null; // Not recurring, or the next occurrence already exists
+        }
+        // Series saved before yearly rules were anchored pick up their anchor from this occurrence
+        const recurrence = this._normalizeRecurrence(task.recurrence, task.dueDate);
+        const nextDueDate = getNextDueDate({ ...task, recurrence });
+        if (nextDueDate === null) {
+            return null; // The series has ended (reached `until` or `count`)
+        }
+
+        const now = Date.now();
+        // The reminder state belongs to this occurrence: the next one's reminder is neither snoozed nor shown yet
+        const { reminderSnoozedUntil, reminderFiredAt, ...series } = task;
+        return {
+            ...series,
+            id: this._generateUniqueId(),
+            dueDate: nextDueDate,
+            recurrence,
+            isComplete: false,
+            status: null, // Each occurrence starts at the beginning of the workflow
+            createdAt: now,
+            updatedAt: now,
+            seriesId: task.seriesId || task.id,
+            occurrenceIndex: (task.occurrenceIndex || 0) + 1,
+            nextOccurrenceId: null,
+            deferUntil: null, // Deferring one occurrence doesn't defer the next
+            blockedBy: [], // Like a new task; this occurrence's blockers don't carry over
+            subtasks: this._resetSubtaskTree(task.subtasks || [], now)
+        };
+    }
+
+    /**
+     * Deep-copies a subtask tree with fresh IDs and every node marked incomplete.
+     * @private
+     * @param {Array<object>} subtasks - The subtask nodes to copy.
+     * @param {number} now - The timestamp to use for `createdAt`/`updatedAt`.
+     * @returns {Array<object>} The reset copy of the tree.
+     */
+    _resetSubtaskTree(subtasks, now) {
+        return subtasks.map(subtask => ({
+            ...subtask,
+            id: this._generateUniqueId(),
+            isComplete: false,
+            createdAt: now,
+            updatedAt: now,
+            subtasks: this._resetSubtaskTree(subtask.subtasks || [], now)
+        }));
+    }
+
+    /**
+     * Gives every task without a `sortOrder` key one, placing them after the keyed tasks
+     * in creation order. Tasks saved before manual ordering existed are keyed this way on first use.
+     * @private
+     * @param {Array<object>} tasks - All tasks; modified in place.
+     * @returns {void}
+     */
+    _ensureSortOrders(tasks) {
+        if (tasks.every(task => Number.isFinite(task.sortOrder))) {
+            return;
+        }
+        this._respaceSortOrders(tasks.slice().sort(compareSortOrder));
+    }
+
+    /**
+     * Rewrites the `sortOrder` keys of the given tasks to evenly spaced values, keeping their order.
+     * @private
+     * @param {Array<object>} orderedTasks - The tasks, in manual order; modified in place.
+     * @returns {void}
+     */
+    _respaceSortOrders(orderedTasks) {
+        orderedTasks.forEach((task, index) => {
+            task.sortOrder = (index + 1) * SORT_ORDER_STEP;
+        });
+        console.log(`Re-spaced the manual order of ${orderedTasks.length} task(s).`);
+    }
+
+    /**
+     * Computes a `sortOrder` key that places a task at `index` in the given manual order,
+     * i.e. between `orderedTasks[index - 1]` and `orderedTasks[index]`.
+     * If those neighbours are too close to split, every key is re-spaced first.
+     * @private
+     * @param {Array<object>} orderedTasks - The other tasks, in manual order, all with `sortOrder` keys.
+     * @param {number} index - The position to place the task at.
+     * @returns {number} The new key.
+     */
+    _getSortOrderAt(orderedTasks, index) {
+        const previous = orderedTasks[index - 1];
+        const next = orderedTasks[index];
+        if (!previous && !next) {
+            return SORT_ORDER_STEP;
+        }
+        if (!next) {
+            return previous.sortOrder + SORT_ORDER_STEP;
+        }
+        if (!previous) {
+            return next.sortOrder - SORT_ORDER_STEP;
+        }
+
+        let key = (previous.sortOrder + next.sortOrder) / 2;
+        if (!(key > previous.sortOrder && key < next.sortOrder)) {
+            this._respaceSortOrders(orderedTasks);
+            key = (previous.sortOrder + next.sortOrder) / 2;
+        }
+        return key;
+    }
+
     /**
      * Creates a new task and adds it to the storage.
      * @param {object} taskData - An object containing properties for the new task.
-     *                          Expected properties: `title`, `description` (optional), `dueDate` (optional).
+     *                          Expected properties: `title`, `description` (optional), `dueDate` (optional),
+     *                          `priority` (optional, one of `PRIORITIES`), `tags` (optional array of strings),
+     *                          `recurrence` (optional, see `recurrence.js` for the rule format),
+     *                          `projectId` (optional, the project the task belongs to),
+     *                          `reminderMinutes` (optional, minutes before the due date to remind),
+     *                          `icalUid` (optional, the UID of the iCalendar item the task was imported from, see `icalendar.js`),
+     *                          `subtasks` (optional array of subtask data, each with its own optional `subtasks`).
+     *                          Recurring tasks without a `dueDate` start today.
      * @returns {Promise<object>} A promise that resolves with the newly created task object.
      * @throws {InvalidInputError} If `taskData` is invalid.
      * @throws {StorageError} If there's an error saving tasks to storage.
@@ -106,24 +628,48 @@ class TaskManager {
             throw new InvalidInputError('Invalid task data. A "title" is required to create a task.');
         }
 
-        const tasks = await this._getTasks();
-        const now = Date.now();
+        let dueDate = taskData.dueDate || null; // Can be a string (e.g., 'YYYY-MM-DD') or timestamp
+        if (taskData.recurrence && !dueDate) {
+            dueDate = formatDate(new Date()); // A series needs a date to recur from
+        }
+        const recurrence = this._normalizeRecurrence(taskData.recurrence, dueDate);
+        const priority = this._normalizePriority(taskData.priority);
+        const tags = this._normalizeTags(taskData.tags);
+        const reminderMinutes = this._normalizeReminder(taskData.reminderMinutes);
+        const subtasks = this._buildSubtaskTree(taskData.subtasks || []);
 
-        const newTask = {
-            id: this._generateUniqueId(),
-            title: taskData.title,
-            description: taskData.description || '',
-            dueDate: taskData.dueDate || null, // Can be a string (e.g., 'YYYY-MM-DD') or timestamp
-            isComplete: false,
-            createdAt: now,
-            updatedAt: now,
-            subtasks: [] // Initialize with an empty array for subtasks
-        };
+        return this._transactTasks((tasks, save) => {
+            const now = Date.now();
+            this._ensureSortOrders(tasks);
 
-        tasks.push(newTask);
-        await this._saveTasks(tasks);
-        console.log('Task created:', newTask.id, newTask.title);
-        return newTask;
+            const newTask = {
+                id: this._generateUniqueId(),
+                title: taskData.title,
+                description: taskData.description || '',
+                dueDate,
+                priority,
+                tags,
+                isComplete: false,
+                status: null, // Workflow column ID; null until the task is moved on the board (see workflow.js)
+                projectId: taskData.projectId || null, // See project.js
+                createdAt: now,
+                updatedAt: now,
+                recurrence, // null for one-off tasks
+                reminderMinutes, // null for no reminder
+                icalUid: taskData.icalUid || null, // Set on tasks imported from iCalendar files
+                seriesId: null, // Set on spawned occurrences to the id of the first task in the series
+                occurrenceIndex: 0,
+                nextOccurrenceId: null, // Set once the following occurrence has been created
+                blockedBy: [], // IDs of tasks that must be completed first; managed via linkTasks/unlinkTasks
+                sortOrder: this._getSortOrderAt(tasks.slice().sort(compareSortOrder), tasks.length), // New tasks go to the end of the manual order
+                subtasks // Usually empty; templates create a task together with its subtask tree
+            };
+
+            tasks.push(newTask);
+            save(tasks);
+            console.log('Task created:', newTask.id, newTask.title);
+            return newTask;
+        });
     }
 
     /**
@@ -137,12 +683,12 @@ class TaskManager {
         if (!id) {
             throw new InvalidInputError('Task ID must be provided to retrieve a task.');
         }
-        const tasks = await this._getTasks();
-        return tasks.find(task => task.id === id) || null;
+        const [task] = await this._getTaskRecords([id]);
+        return task && !task.deletedAt ? task : null;
     }
 
     /**
-     * Retrieves all tasks currently stored.
+     * Retrieves all tasks that are not in the trash.
      * @returns {Promise<Array<object>>} A promise that resolves with an array of all task objects.
      * @throws {StorageError} If there's an error retrieving tasks from storage.
      */
@@ -151,10 +697,152 @@ class TaskManager {
         return this._getTasks();
     }
 
+    /**
+     * Retrieves the tasks matching all of the given criteria. Every criterion is optional;
+     * calling `queryTasks()` with no arguments returns all tasks, newest first.
+     * @param {object} [query={}] - The query criteria.
+     * @param {Array<string>|string} [query.tags] - Only tasks carrying every one of these tags.
+     * @param {Array<string>|string} [query.priority] - Only tasks with one of these priorities.
+     * @param {string} [query.status='all'] - 'open', 'done', 'all' or 'snoozed' (deferred tasks only, see `isDeferred`).
+     * @param {boolean} [query.includeDeferred=true] - Whether to include deferred tasks when `status` isn't 'snoozed'.
+     * @param {string|number} [query.dueBefore] - Only tasks due on or before this date ('YYYY-MM-DD' or timestamp).
+     * @param {string|number} [query.dueAfter] - Only tasks due on or after this date ('YYYY-MM-DD' or timestamp).
+     * @param {string} [query.text] - Case-insensitive text to look for in the title, description and tags.
+     * @param {string|null} [query.projectId] - Only tasks in this project; null for tasks without a project.
+     * @param {string} [query.sort='-createdAt'] - A key of `TASK_SORTERS`, prefixed with '-' for descending order.
+     * @returns {Promise<Array<object>>} A promise that resolves with the matching tasks, sorted.
+     * @throws {InvalidInputError} If a criterion is invalid.
+     * @throws {StorageError} If there's an error retrieving tasks from storage.
+     */
+    async queryTasks(query = {}) {
+        if (typeof query !== 'object' || query === null) {
+            throw new InvalidInputError('Task query must be an object.');
+        }
+
+        const { status = 'all', text, sort = '-createdAt' } = query;
+        if (!['open', 'done', 'all', 'snoozed'].includes(status)) {
+            throw new InvalidInputError(`Invalid status filter "${status}". Expected 'open', 'done', 'all' or 'snoozed'.`);
+        }
+
+        const tags = this._normalizeTags(typeof query.tags === 'string' ? [query.tags] : query.tags);
+        const priorities = query.priority === undefined || query.priority === null
+            ? []
+            : [].concat(query.priority).map(priority => this._normalizePriority(priority));
+
+        let dueBefore = null;
+        if (query.dueBefore !== undefined && query.dueBefore !== null) {
+            dueBefore = parseDueDate(query.dueBefore);
+            if (!dueBefore) {
+                throw new InvalidInputError('Invalid "dueBefore" date.');
+            }
+            if (typeof query.dueBefore === 'string') {
+                dueBefore.setHours(23, 59, 59, 999); // A plain date includes the whole day
+            }
+        }
+        const dueAfter = query.dueAfter === undefined || query.dueAfter === null ? null : parseDueDate(query.dueAfter);
+        if (query.dueAfter !== undefined && query.dueAfter !== null && !dueAfter) {
+            throw new InvalidInputError('Invalid "dueAfter" date.');
+        }
+
+        const descending = sort.startsWith('-');
+        const sorter = TASK_SORTERS[descending ? sort.slice(1) : sort];
+        if (!sorter) {
+            throw new InvalidInputError(`Invalid sort "${sort}". Expected one of: ${Object.keys(TASK_SORTERS).join(', ')}.`);
+        }
+
+        const needle = typeof text === 'string' ? text.trim().toLowerCase() : '';
+        const now = Date.now();
+
+        // Every criterion but the text is checked on the index, so only the matching records are read
+        const entries = (await this._getTaskIndex()).filter(task => {
+            if (task.deletedAt) return false;
+            if (status === 'open' && task.isComplete) return false;
+            if (status === 'done' && !task.isComplete) return false;
+            if (status === 'snoozed' ? !isDeferred(task, now) : query.includeDeferred === false && isDeferred(task, now)) return false;
+            if (priorities.length > 0 && !priorities.includes(task.priority || 'none')) return false;
+            if (query.projectId !== undefined && (task.projectId || null) !== query.projectId) return false;
+
+            const taskTags = task.tags || [];
+            if (!tags.every(tag => taskTags.includes(tag))) return false;
+
+            if (dueBefore || dueAfter) {
+                const due = parseDueDate(task.dueDate);
+                if (!due) return false; // Undated tasks never match a date range
+                if (dueBefore && due > dueBefore) return false;
+                if (dueAfter && due < dueAfter) return false;
+            }
+            return true;
+        });
+        const tasks = await this._getTaskRecords(entries.map(entry => entry.id));
+
+        const matches = !needle ? tasks : tasks.filter(task => {
+            const haystack = [task.title, task.description, ...(task.tags || [])].join(' ').toLowerCase();
+            return haystack.includes(needle);
+        });
+
+        // Tasks without a due date stay at the end regardless of direction.
+        return matches.sort((a, b) => {
+            if (sorter === TASK_SORTERS.dueDate && (!parseDueDate(a.dueDate) || !parseDueDate(b.dueDate))) {
+                return sorter(a, b);
+            }
+            return descending ? sorter(b, a) : sorter(a, b);
+        });
+    }
+
+    /**
+     * Validates `newData` and merges it into a copy of `task`.
+     * The original `id`, `subtasks`, `blockedBy`, `isComplete` and `status` are always preserved.
+     * @private
+     * @param {object} task - The stored task to update.
+     * @param {object} newData - The properties to update.
+     * @returns {object} The updated task.
+     * @throws {InvalidInputError} If the priority, tags, reminder, deferral or recurrence rule are invalid.
+     */
+    _mergeTaskUpdate(task, newData) {
+        if (newData.priority !== undefined) {
+            newData = { ...newData, priority: this._normalizePriority(newData.priority) };
+        }
+        if (newData.tags !== undefined) {
+            newData = { ...newData, tags: this._normalizeTags(newData.tags) };
+        }
+        if (newData.reminderMinutes !== undefined) {
+            newData = { ...newData, reminderMinutes: this._normalizeReminder(newData.reminderMinutes) };
+        }
+        if (newData.deferUntil !== undefined) {
+            newData = { ...newData, deferUntil: this._normalizeDeferUntil(newData.deferUntil) };
+        }
+        if (newData.recurrence !== undefined) {
+            const dueDate = newData.dueDate !== undefined ? newData.dueDate : task.dueDate;
+            newData = { ...newData, recurrence: this._normalizeRecurrence(newData.recurrence, dueDate) };
+        }
+
+        // Merge new data while explicitly preserving ID and subtasks structure,
+        // unless subtasks are directly managed via addSubtask/deleteSubtask.
+        const merged = {
+            ...task,
+            ...newData,
+            id: task.id, // Ensure ID is immutable through updates
+            subtasks: task.subtasks, // Ensure subtasks array reference is maintained
+            blockedBy: task.blockedBy || [], // Dependencies are managed via linkTasks/unlinkTasks
+            isComplete: task.isComplete, // Managed via markTaskStatus, which checks blockers and spawns the next occurrence
+            status: task.status, // Managed via setTaskStatus, likewise
+            updatedAt: Date.now() // Update timestamp
+        };
+        delete merged.deletedAt; // The trash is managed via deleteTask/restoreTask
+        if (merged.dueDate !== task.dueDate || merged.reminderMinutes !== task.reminderMinutes) {
+            delete merged.reminderSnoozedUntil; // A snooze only postpones the reminder it was set for (see reminders.js)
+        }
+        if (merged.dueDate !== task.dueDate) {
+            delete merged.reminderFiredAt; // The reminder and overdue alert are shown again for the new due date
+        }
+        return merged;
+    }
+
     /**
      * Updates an existing task with new data.
      * Merges `newData` into the existing task, preserving the original `id` and `subtasks` array
-     * unless explicitly overridden by `newData`.
+     * unless explicitly overridden by `newData`. `isComplete` and `status` are ignored; use
+     * `markTaskStatus` or `setTaskStatus` to change them.
      * @param {string} id - The unique ID of the task to update.
      * @param {object} newData - An object containing the properties to update.
      * @returns {Promise<object|null>} A promise that resolves with the updated task object, or null if the task was not found.
@@ -166,33 +854,26 @@ class TaskManager {
             throw new InvalidInputError('Task ID and valid new data object are required to update a task.');
         }
 
-        const tasks = await this._getTasks();
-        const taskIndex = tasks.findIndex(task => task.id === id);
-
-        if (taskIndex === -1) {
-            console.warn(`Task with ID ${id} not found for update.`);
-            return null; // Task not found
-        }
+        return this._updateTasks([id], (tasks, save) => {
+            const taskIndex = tasks.findIndex(task => task.id === id);
 
-        // Merge new data while explicitly preserving ID and subtasks structure,
-        // unless subtasks are directly managed via addSubtask/deleteSubtask.
-        // `id` is always preserved from the original task.
-        const updatedTask = {
-            ...tasks[taskIndex],
-            ...newData,
-            id: tasks[taskIndex].id, // Ensure ID is immutable through updateTask
-            subtasks: tasks[taskIndex].subtasks, // Ensure subtasks array reference is maintained
-            updatedAt: Date.now() // Update timestamp
-        };
+            if (taskIndex === -1) {
+                console.warn(`Task with ID ${id} not found for update.`);
+                return null; // Task not found
+            }
 
-        tasks[taskIndex] = updatedTask;
-        await this._saveTasks(tasks);
-        console.log('Task updated:', updatedTask.id, updatedTask.title);
-        return updatedTask;
+            const updatedTask = this._mergeTaskUpdate(tasks[taskIndex], newData);
+            tasks[taskIndex] = updatedTask;
+            save(tasks);
+            console.log('Task updated:', updatedTask.id, updatedTask.title);
+            return updatedTask;
+        });
     }
 
     /**
-     * Deletes a task by its unique ID.
+     * Moves a task, with its subtasks, to the trash by setting its `deletedAt` timestamp.
+     * Trashed tasks are left out of every query and no longer block other tasks, but their
+     * dependencies are kept so that `restoreTask` brings the task back exactly as it was.
      * @param {string} id - The unique ID of the task to delete.
      * @returns {Promise<boolean>} A promise that resolves with true if the task was deleted, false if not found.
      * @throws {InvalidInputError} If `id` is not provided.
@@ -203,76 +884,822 @@ class TaskManager {
             throw new InvalidInputError('Task ID must be provided to delete a task.');
         }
 
-        const tasks = await this._getTasks();
-        const initialLength = tasks.length;
-        const filteredTasks = tasks.filter(task => task.id !== id);
+        return this._updateStoredTasks([id], (tasks, save) => {
+            const task = tasks.find(t => t.id === id && !t.deletedAt);
+            if (!task) {
+                console.warn(`Task with ID ${id} not found for deletion.`);
+                return false; // Task not found
+            }
+
+            task.deletedAt = Date.now();
+            save(tasks);
+            console.log('Task moved to trash:', id);
+            return true;
+        });
+    }
+
+    /**
+     * Retrieves the tasks in the trash, most recently deleted first.
+     * @returns {Promise<Array<object>>} A promise that resolves with the trashed tasks.
+     * @throws {StorageError} If there's an error retrieving tasks from storage.
+     */
+    async getTrashedTasks() {
+        const tasks = await this._getStoredTasks();
+        return tasks.filter(task => task.deletedAt).sort((a, b) => b.deletedAt - a.deletedAt);
+    }
 
-        if (filteredTasks.length === initialLength) {
-            console.warn(`Task with ID ${id} not found for deletion.`);
-            return false; // Task not found
+    /**
+     * Restores a task from the trash.
+     * @param {string} id - The unique ID of the trashed task.
+     * @returns {Promise<object|null>} A promise that resolves with the restored task, or null if it is not in the trash.
+     * @throws {InvalidInputError} If `id` is not provided.
+     * @throws {StorageError} If there's an error saving tasks to storage.
+     */
+    async restoreTask(id) {
+        if (!id) {
+            throw new InvalidInputError('Task ID must be provided to restore a task.');
         }
 
-        await this._saveTasks(filteredTasks);
-        console.log('Task deleted:', id);
-        return true;
+        return this._updateStoredTasks([id], (tasks, save) => {
+            const task = tasks.find(t => t.id === id && t.deletedAt);
+            if (!task) {
+                console.warn(`Task with ID ${id} not found in the trash.`);
+                return null;
+            }
+
+            delete task.deletedAt;
+            save(tasks);
+            console.log('Task restored from trash:', id);
+            return task;
+        });
+    }
+
+    /**
+     * Permanently deletes tasks from the trash in a single storage write, dropping any
+     * dependencies on them. Tasks that are not in the trash are left alone.
+     * @param {Array<string>} ids - The unique IDs of the trashed tasks to delete.
+     * @returns {Promise<number>} A promise that resolves with the number of deleted tasks.
+     * @throws {InvalidInputError} If `ids` is invalid.
+     * @throws {StorageError} If there's an error reading or saving tasks.
+     */
+    async purgeTasks(ids) {
+        const idSet = this._validateTaskIds(ids, 'permanently delete tasks');
+
+        return this._transactStoredTasks((tasks, save) => {
+            const remaining = tasks.filter(task => !(task.deletedAt && idSet.has(task.id)));
+            const purgedCount = tasks.length - remaining.length;
+            if (purgedCount === 0) {
+                return 0;
+            }
+
+            // Drop dangling dependencies on the purged tasks
+            remaining.forEach(task => {
+                if (task.blockedBy && task.blockedBy.some(blockerId => idSet.has(blockerId))) {
+                    task.blockedBy = task.blockedBy.filter(blockerId => !idSet.has(blockerId));
+                }
+            });
+
+            save(remaining);
+            console.log(`Permanently deleted ${purgedCount} task(s).`);
+            return purgedCount;
+        });
+    }
+
+    /**
+     * Sets a task's completion status in place, appending the next occurrence of a recurring
+     * task to `tasks` when it is completed. Blockers are not checked.
+     * @private
+     * @param {object} task - The task to update (an element of `tasks`).
+     * @param {boolean} isComplete - The new completion status.
+     * @param {Array<object>} tasks - All tasks; receives the spawned occurrence, if any.
+     * @returns {object|null} The spawned next occurrence, or null if none was created.
+     */
+    _applyTaskStatus(task, isComplete, tasks) {
+        task.isComplete = isComplete;
+        task.updatedAt = Date.now();
+
+        const nextOccurrence = isComplete ? this._buildNextOccurrence(task) : null;
+        if (nextOccurrence) {
+            task.nextOccurrenceId = nextOccurrence.id;
+            tasks.push(nextOccurrence);
+        }
+        return nextOccurrence;
     }
 
     /**
      * Marks a task as complete or incomplete.
-     * This is a specialized update function.
+     * Completing an occurrence of a recurring task also creates the next occurrence of the series
+     * (with its subtasks reset), unless that occurrence already exists.
      * @param {string} id - The unique ID of the task to update.
      * @param {boolean} isComplete - The new completion status (true for complete, false for incomplete).
+     * @param {object} [options={}] - Additional options.
+     * @param {boolean} [options.force=false] - Complete the task even if some of its blockers are still open.
      * @returns {Promise<object|null>} A promise that resolves with the updated task object, or null if the task was not found.
      * @throws {InvalidInputError} If `id` is invalid or `isComplete` is not a boolean.
+     * @throws {TaskBlockedError} If completing a task with open blockers without `force`.
      * @throws {StorageError} If there's an error saving tasks to storage.
      */
-    async markTaskStatus(id, isComplete) {
+    async markTaskStatus(id, isComplete, { force = false } = {}) {
         if (!id || typeof isComplete !== 'boolean') {
             throw new InvalidInputError('Task ID and a boolean status (isComplete) are required to mark task status.');
         }
-        return this.updateTask(id, { isComplete });
+
+        return this._updateTasks([id], async (tasks, save) => {
+            const taskIndex = tasks.findIndex(task => task.id === id);
+
+            if (taskIndex === -1) {
+                console.warn(`Task with ID ${id} not found for marking status.`);
+                return null; // Task not found
+            }
+
+            const task = tasks[taskIndex];
+            if (isComplete && !force) {
+                const blockers = await this._getOpenBlockers(task);
+                if (blockers.length > 0) {
+                    throw new TaskBlockedError(
+                        `Task ${id} is blocked by ${blockers.length} open task(s): ${blockers.map(blocker => blocker.title).join(', ')}.`,
+                        blockers
+                    );
+                }
+            }
+
+            const nextOccurrence = this._applyTaskStatus(task, isComplete, tasks);
+
+            // The status change and the spawned occurrence are saved in a single write.
+            save(tasks);
+            console.log('Task status updated:', id, isComplete);
+            if (nextOccurrence) {
+                console.log('Next occurrence created:', nextOccurrence.id, nextOccurrence.dueDate);
+            }
+            return task;
+        });
     }
 
     /**
-     * Adds a subtask to an existing task.
-     * @param {string} taskId - The unique ID of the parent task.
-     * @param {object} subtaskData - An object containing properties for the new subtask.
-     *                             Expected property: `title`.
-     * @returns {Promise<object|null>} A promise that resolves with the newly created subtask object, or null if the parent task was not found.
-     * @throws {InvalidInputError} If `taskId` or `subtaskData` are invalid.
+     * Moves a task to a workflow column (see `workflow.js`). Moving it into a column marked done
+     * completes the task, with the same blocker check and recurrence handling as `markTaskStatus`;
+     * moving it out of one reopens it. WIP limits are advisory and not enforced here.
+     * @param {string} id - The unique ID of the task to move.
+     * @param {string} status - The ID of the target workflow column.
+     * @param {object} [options={}] - Additional options.
+     * @param {boolean} [options.force=false] - Complete the task even if some of its blockers are still open.
+     * @returns {Promise<object|null>} A promise that resolves with the updated task object, or null if the task was not found.
+     * @throws {InvalidInputError} If `id` is missing or `status` is not a configured column.
+     * @throws {TaskBlockedError} If moving a task with open blockers into a done column without `force`.
+     * @throws {StorageError} If there's an error reading or saving tasks.
+     */
+    async setTaskStatus(id, status, { force = false } = {}) {
+        if (!id || !status) {
+            throw new InvalidInputError('Task ID and a workflow status must be provided to set task status.');
+        }
+
+        const columns = await getWorkflowColumns();
+        const column = columns.find(c => c.id === status);
+        if (!column) {
+            throw new InvalidInputError(`Invalid workflow status "${status}". Expected one of: ${columns.map(c => c.id).join(', ')}.`);
+        }
+
+        return this._updateTasks([id], async (tasks, save) => {
+            const task = tasks.find(t => t.id === id);
+            if (!task) {
+                console.warn(`Task with ID ${id} not found for setting workflow status.`);
+                return null; // Task not found
+            }
+
+            if (column.isDone && !task.isComplete && !force) {
+                const blockers = await this._getOpenBlockers(task);
+                if (blockers.length > 0) {
+                    throw new TaskBlockedError(
+                        `Task ${id} is blocked by ${blockers.length} open task(s): ${blockers.map(blocker => blocker.title).join(', ')}.`,
+                        blockers
+                    );
+                }
+            }
+
+            if (column.isDone !== Boolean(task.isComplete)) {
+                this._applyTaskStatus(task, column.isDone, tasks);
+            }
+            task.status = column.id;
+            task.updatedAt = Date.now();
+
+            save(tasks);
+            console.log('Task workflow status updated:', id, column.id);
+            return task;
+        });
+    }
+
+    /**
+     * Records that `taskId` cannot be completed before `blockerId`.
+     * @param {string} taskId - The unique ID of the dependent task.
+     * @param {string} blockerId - The unique ID of the task that blocks it.
+     * @returns {Promise<object|null>} A promise that resolves with the updated dependent task, or null if either task was not found.
+     * @throws {InvalidInputError} If an ID is missing, or if the link would create a dependency cycle.
      * @throws {StorageError} If there's an error saving tasks to storage.
      */
-    async addSubtask(taskId, subtaskData) {
-        if (!taskId || !subtaskData || typeof subtaskData !== 'object' || !subtaskData.title) {
-            throw new InvalidInputError('Parent Task ID and valid subtask data with a "title" are required to add a subtask.');
+    async linkTasks(taskId, blockerId) {
+        if (!taskId || !blockerId) {
+            throw new InvalidInputError('Task ID and blocker task ID must be provided to link tasks.');
+        }
+        if (taskId === blockerId) {
+            throw new InvalidInputError('A task cannot block itself.');
+        }
+
+        return this._transactTasks((tasks, save) => {
+            const task = tasks.find(t => t.id === taskId);
+            const blocker = tasks.find(t => t.id === blockerId);
+
+            if (!task || !blocker) {
+                console.warn(`Task ${taskId} or blocker ${blockerId} not found for linking.`);
+                return null; // One of the tasks was not found
+            }
+
+            const blockedBy = task.blockedBy || [];
+            if (blockedBy.includes(blockerId)) {
+                return task; // Already linked
+            }
+
+            // Walk the blocker's own dependencies; reaching `taskId` means the new link would close a cycle.
+            const tasksById = new Map(tasks.map(t => [t.id, t]));
+            const visited = new Set();
+            const stack = [blockerId];
+            while (stack.length > 0) {
+                const currentId = stack.pop();
+                if (currentId === taskId) {
+                    throw new InvalidInputError(`Linking task ${taskId} to ${blockerId} would create a dependency cycle.`);
+                }
+                if (visited.has(currentId)) continue;
+                visited.add(currentId);
+                const current = tasksById.get(currentId);
+                if (current && current.blockedBy) {
+                    stack.push(...current.blockedBy);
+                }
+            }
+
+            task.blockedBy = [...blockedBy, blockerId];
+            task.updatedAt = Date.now();
+            save(tasks);
+            console.log('Tasks linked:', taskId, 'blocked by', blockerId);
+            return task;
+        });
+    }
+
+    /**
+     * Removes the dependency of `taskId` on `blockerId`.
+     * @param {string} taskId - The unique ID of the dependent task.
+     * @param {string} blockerId - The unique ID of the blocking task.
+     * @returns {Promise<boolean>} A promise that resolves with true if the link was removed, false if it did not exist.
+     * @throws {InvalidInputError} If an ID is missing.
+     * @throws {StorageError} If there's an error saving tasks to storage.
+     */
+    async unlinkTasks(taskId, blockerId) {
+        if (!taskId || !blockerId) {
+            throw new InvalidInputError('Task ID and blocker task ID must be provided to unlink tasks.');
         }
 
+        return this._updateTasks([taskId], (tasks, save) => {
+            const task = tasks.find(t => t.id === taskId);
+
+            if (!task || !(task.blockedBy || []).includes(blockerId)) {
+                console.warn(`No link from task ${taskId} to blocker ${blockerId} found for unlinking.`);
+                return false; // Task or link not found
+            }
+
+            task.blockedBy = task.blockedBy.filter(id => id !== blockerId);
+            task.updatedAt = Date.now();
+            save(tasks);
+            console.log('Tasks unlinked:', taskId, blockerId);
+            return true;
+        });
+    }
+
+    /**
+     * Retrieves the open tasks currently blocking the given task.
+     * @param {string} id - The unique ID of the task.
+     * @returns {Promise<Array<object>>} A promise that resolves with the open blockers (empty if the task is not blocked or not found).
+     * @throws {InvalidInputError} If `id` is not provided.
+     * @throws {StorageError} If there's an error retrieving tasks from storage.
+     */
+    async getBlockingTasks(id) {
+        if (!id) {
+            throw new InvalidInputError('Task ID must be provided to retrieve its blockers.');
+        }
         const tasks = await this._getTasks();
-        const taskIndex = tasks.findIndex(task => task.id === taskId);
+        const task = tasks.find(t => t.id === id);
+        return task ? getOpenBlockers(task, tasks) : [];
+    }
+
+    /**
+     * Creates any occurrences of recurring tasks whose due dates have passed without being generated,
+     * e.g. because the browser was closed when they came due. Each series is advanced until its
+     * latest occurrence is due after `now` or the series ends.
+     * @param {number} [now=Date.now()] - The reference time; occurrences due on or before this day are created.
+     * @returns {Promise<Array<object>>} A promise that resolves with the newly created occurrences.
+     * @throws {StorageError} If there's an error reading or saving tasks.
+     */
+    async materializeRecurringTasks(now = Date.now()) {
+        const MAX_OCCURRENCES_PER_SERIES = 366; // Guards against runaway loops for long absences
+        const today = formatDate(new Date(now));
+        return this._transactTasks((tasks, save) => {
+            const created = [];
+
+            // Only the latest occurrence of each series (the one without a successor) can spawn more.
+            const latestOccurrences = tasks.filter(task => task.recurrence && !task.nextOccurrenceId);
+
+            latestOccurrences.forEach(latest => {
+                let current = latest;
+                for (let i = 0; i < MAX_OCCURRENCES_PER_SERIES; i++) {
+                    const nextDueDate = getNextDueDate(current);
+                    const nextDay = nextDueDate !== null ? formatDate(parseDueDate(nextDueDate)) : null;
+                    if (nextDay === null || nextDay > today) {
+                        break; // Series ended, or the next occurrence isn't due yet
+                    }
+                    const nextOccurrence = this._buildNextOccurrence(current);
+                    current.nextOccurrenceId = nextOccurrence.id;
+                    tasks.push(nextOccurrence);
+                    created.push(nextOccurrence);
+                    current = nextOccurrence;
+                }
+            });
+
+            if (created.length > 0) {
+                save(tasks);
+                console.log(`Materialized ${created.length} missed recurring task occurrence(s).`);
+            }
+            return created;
+        });
+    }
+
+    /**
+     * Defers (snoozes) a task: hides it from lists that leave out deferred tasks until the given time,
+     * when the background service worker brings it back (see `wakeDeferredTasks`).
+     * @param {string} id - The unique ID of the task to defer.
+     * @param {number|null} until - The timestamp to defer the task until, or null to bring it back now.
+     * @returns {Promise<object|null>} A promise that resolves with the updated task, or null if the task was not found.
+     * @throws {InvalidInputError} If `id` is not provided or `until` is not a timestamp.
+     * @throws {StorageError} If there's an error saving tasks to storage.
+     */
+    async deferTask(id, until) {
+        if (!id) {
+            throw new InvalidInputError('Task ID is required to defer a task.');
+        }
+        return this.updateTask(id, { deferUntil: this._normalizeDeferUntil(until) });
+    }
+
+    /**
+     * Brings back the tasks whose deferral has run out by clearing their `deferUntil`.
+     * @param {number} [now=Date.now()] - The current time.
+     * @returns {Promise<Array<object>>} A promise that resolves with the open tasks that were brought back.
+     * @throws {StorageError} If there's an error reading or saving tasks.
+     */
+    async wakeDeferredTasks(now = Date.now()) {
+        return this._transactTasks((tasks, save) => {
+            const expired = tasks.filter(task => Number.isFinite(task.deferUntil) && task.deferUntil <= now);
+            if (expired.length === 0) {
+                return [];
+            }
+            expired.forEach(task => {
+                task.deferUntil = null;
+                task.updatedAt = now;
+            });
+            save(tasks);
+            console.log(`Brought back ${expired.length} deferred task(s).`);
+            return expired.filter(task => !task.isComplete);
+        });
+    }
+
+    /**
+     * Returns when the next deferred task comes back.
+     * @returns {Promise<number|null>} A promise that resolves with the earliest `deferUntil`, or null if no task is deferred.
+     * @throws {StorageError} If there's an error retrieving tasks from storage.
+     */
+    async getNextDeferralEnd() {
+        const ends = (await this._getTasks())
+            .filter(task => Number.isFinite(task.deferUntil))
+            .map(task => task.deferUntil);
+        return ends.length > 0 ? Math.min(...ends) : null;
+    }
+
+    /**
+     * Moves a task to just before or just after another task in manual order (the 'manual' sort).
+     * Usually only the moved task's `sortOrder` key changes.
+     * @param {string} id - The unique ID of the task to move.
+     * @param {object} position - Where to move it; exactly one of:
+     * @param {string} [position.before] - The ID of the task to place it before.
+     * @param {string} [position.after] - The ID of the task to place it after.
+     * @returns {Promise<object|null>} A promise that resolves with the moved task, or null if either task was not found.
+     * @throws {InvalidInputError} If `id` or `position` are invalid.
+     * @throws {StorageError} If there's an error reading or saving tasks.
+     */
+    async moveTask(id, { before, after } = {}) {
+        const anchorId = before || after;
+        if (!id || !anchorId || (before && after)) {
+            throw new InvalidInputError('Task ID and exactly one of "before" or "after" must be provided to move a task.');
+        }
+        if (anchorId === id) {
+            throw new InvalidInputError('A task cannot be moved relative to itself.');
+        }
+
+        return this._transactTasks((tasks, save) => {
+            const task = tasks.find(t => t.id === id);
+            const anchor = tasks.find(t => t.id === anchorId);
+            if (!task || !anchor) {
+                console.warn(`Task ${id} or anchor task ${anchorId} not found for moving.`);
+                return null;
+            }
+
+            this._ensureSortOrders(tasks);
+            const ordered = tasks.filter(t => t !== task).sort(compareSortOrder);
+            const anchorIndex = ordered.indexOf(anchor);
+            task.sortOrder = this._getSortOrderAt(ordered, before ? anchorIndex : anchorIndex + 1);
+            task.updatedAt = Date.now();
+
+            save(tasks);
+            console.log('Task moved:', id, before ? 'before' : 'after', anchorId);
+            return task;
+        });
+    }
 
-        if (taskIndex === -1) {
-            console.warn(`Parent task with ID ${taskId} not found for adding subtask.`);
-            return null; // Parent task not found
+    /**
+     * Validates a list of task IDs for a bulk operation.
+     * @private
+     * @param {Array<string>} ids - The task IDs.
+     * @param {string} operation - The operation name, used in the error message.
+     * @returns {Set<string>} The IDs as a set.
+     * @throws {InvalidInputError} If `ids` is not a non-empty array of IDs.
+     */
+    _validateTaskIds(ids, operation) {
+        if (!Array.isArray(ids) || ids.length === 0 || ids.some(id => !id)) {
+            throw new InvalidInputError(`A non-empty array of task IDs is required to ${operation}.`);
         }
+        return new Set(ids);
+    }
 
+    /**
+     * Applies the same update to several tasks in a single storage write.
+     * Every update is validated before anything is saved, so either all tasks are updated or none are.
+     * @param {Array<string>} ids - The unique IDs of the tasks to update. Unknown IDs are ignored.
+     * @param {object} newData - The properties to update (see `updateTask`).
+     * @returns {Promise<Array<object>>} A promise that resolves with the updated tasks.
+     * @throws {InvalidInputError} If `ids` or `newData` are invalid.
+     * @throws {StorageError} If there's an error reading or saving tasks.
+     */
+    async bulkUpdate(ids, newData) {
+        const idSet = this._validateTaskIds(ids, 'update tasks');
+        if (typeof newData !== 'object' || newData === null) {
+            throw new InvalidInputError('A valid new data object is required to update tasks.');
+        }
+
+        return this._transactTasks((tasks, save) => {
+            const updated = [];
+            const nextTasks = tasks.map(task => {
+                if (!idSet.has(task.id)) return task;
+                const updatedTask = this._mergeTaskUpdate(task, newData);
+                updated.push(updatedTask);
+                return updatedTask;
+            });
+
+            if (updated.length > 0) {
+                save(nextTasks);
+            }
+            console.log(`Bulk updated ${updated.length} task(s).`);
+            return updated;
+        });
+    }
+
+    /**
+     * Moves several tasks to the trash in a single storage write (see `deleteTask`).
+     * @param {Array<string>} ids - The unique IDs of the tasks to delete. Unknown IDs are ignored.
+     * @returns {Promise<number>} A promise that resolves with the number of deleted tasks.
+     * @throws {InvalidInputError} If `ids` is invalid.
+     * @throws {StorageError} If there's an error reading or saving tasks.
+     */
+    async bulkDelete(ids) {
+        const idSet = this._validateTaskIds(ids, 'delete tasks');
+
+        return this._transactStoredTasks((tasks, save) => {
+            const now = Date.now();
+            let deletedCount = 0;
+            tasks.forEach(task => {
+                if (idSet.has(task.id) && !task.deletedAt) {
+                    task.deletedAt = now;
+                    deletedCount++;
+                }
+            });
+            if (deletedCount === 0) {
+                return 0;
+            }
+
+            save(tasks);
+            console.log(`Bulk moved ${deletedCount} task(s) to trash.`);
+            return deletedCount;
+        });
+    }
+
+    /**
+     * Marks several tasks complete or incomplete in a single storage write.
+     * Blockers that are completed in the same call don't count as open. Completed recurring
+     * tasks spawn their next occurrence, as with `markTaskStatus`.
+     * @param {Array<string>} ids - The unique IDs of the tasks to update. Unknown IDs are ignored.
+     * @param {boolean} isComplete - The new completion status.
+     * @param {object} [options={}] - Additional options.
+     * @param {boolean} [options.force=false] - Complete tasks even if some of their blockers are still open.
+     * @returns {Promise<Array<object>>} A promise that resolves with the updated tasks.
+     * @throws {InvalidInputError} If `ids` is invalid or `isComplete` is not a boolean.
+     * @throws {TaskBlockedError} If completing tasks with open blockers without `force`; nothing is saved.
+     *         The error's `blockers` lists every open blocker.
+     * @throws {StorageError} If there's an error reading or saving tasks.
+     */
+    async bulkSetStatus(ids, isComplete, { force = false } = {}) {
+        const idSet = this._validateTaskIds(ids, 'change task status');
+        if (typeof isComplete !== 'boolean') {
+            throw new InvalidInputError('A boolean status (isComplete) is required to change task status.');
+        }
+
+        return this._transactTasks((tasks, save) => {
+            const selected = tasks.filter(task => idSet.has(task.id));
+
+            if (isComplete && !force) {
+                const blockers = new Map();
+                selected.forEach(task => {
+                    getOpenBlockers(task, tasks)
+                        .filter(blocker => !idSet.has(blocker.id))
+                        .forEach(blocker => blockers.set(blocker.id, blocker));
+                });
+                if (blockers.size > 0) {
+                    const openBlockers = [...blockers.values()];
+                    throw new TaskBlockedError(
+                        `Some of the selected tasks are blocked by ${openBlockers.length} open task(s): ${openBlockers.map(blocker => blocker.title).join(', ')}.`,
+                        openBlockers
+                    );
+                }
+            }
+
+            const spawned = selected
+                .map(task => this._applyTaskStatus(task, isComplete, tasks))
+                .filter(Boolean);
+
+            if (selected.length > 0) {
+                save(tasks);
+            }
+            console.log(`Bulk status updated for ${selected.length} task(s):`, isComplete);
+            if (spawned.length > 0) {
+                console.log(`Created ${spawned.length} next occurrence(s) of recurring tasks.`);
+            }
+            return selected;
+        });
+    }
+
+    /**
+     * Adds one or more tags to several tasks in a single storage write, keeping their existing tags.
+     * @param {Array<string>} ids - The unique IDs of the tasks to tag. Unknown IDs are ignored.
+     * @param {string|Array<string>} tags - The tag(s) to add.
+     * @returns {Promise<Array<object>>} A promise that resolves with the updated tasks.
+     * @throws {InvalidInputError} If `ids` or `tags` are invalid.
+     * @throws {StorageError} If there's an error reading or saving tasks.
+     */
+    async bulkAddTag(ids, tags) {
+        const idSet = this._validateTaskIds(ids, 'tag tasks');
+        const newTags = this._normalizeTags([].concat(tags));
+        if (newTags.length === 0) {
+            throw new InvalidInputError('At least one tag is required to tag tasks.');
+        }
+
+        return this._transactTasks((tasks, save) => {
+            const now = Date.now();
+            const updated = [];
+            tasks.forEach(task => {
+                if (!idSet.has(task.id)) return;
+                const existingTags = task.tags || [];
+                if (newTags.every(tag => existingTags.includes(tag))) return; // Already tagged
+                task.tags = [...new Set([...existingTags, ...newTags])];
+                task.updatedAt = now;
+                updated.push(task);
+            });
+
+            if (updated.length > 0) {
+                save(tasks);
+            }
+            console.log(`Bulk tagged ${updated.length} task(s):`, newTags.join(', '));
+            return updated;
+        });
+    }
+
+    /**
+     * Reschedules several tasks in a single storage write, either to a fixed due date or by
+     * shifting each task's own due date by a number of days. Shifting skips tasks without a due date.
+     * @param {Array<string>} ids - The unique IDs of the tasks to reschedule. Unknown IDs are ignored.
+     * @param {object} schedule - The new schedule; exactly one of:
+     * @param {string|number|null} [schedule.dueDate] - The new due date for every task (null clears it).
+     * @param {number} [schedule.shiftDays] - The number of days to move each due date by (may be negative).
+     * @returns {Promise<Array<object>>} A promise that resolves with the rescheduled tasks.
+     * @throws {InvalidInputError} If `ids` or `schedule` are invalid.
+     * @throws {StorageError} If there's an error reading or saving tasks.
+     */
+    async bulkReschedule(ids, schedule = {}) {
+        const idSet = this._validateTaskIds(ids, 'reschedule tasks');
+        const hasDueDate = schedule.dueDate !== undefined;
+        const hasShift = schedule.shiftDays !== undefined;
+        if (hasDueDate === hasShift) {
+            throw new InvalidInputError('Either a "dueDate" or a "shiftDays" value is required to reschedule tasks.');
+        }
+        if (hasDueDate && schedule.dueDate !== null && !parseDueDate(schedule.dueDate)) {
+            throw new InvalidInputError(`Invalid due date "${schedule.dueDate}".`);
+        }
+        if (hasShift && !Number.isInteger(schedule.shiftDays)) {
+            throw new InvalidInputError('"shiftDays" must be a whole number of days.');
+        }
+
+        return this._transactTasks((tasks, save) => {
+            const now = Date.now();
+            const updated = [];
+            tasks.forEach(task => {
+                if (!idSet.has(task.id)) return;
+                if (hasDueDate) {
+                    task.dueDate = schedule.dueDate;
+                } else {
+                    const current = parseDueDate(task.dueDate);
+                    if (!current) return; // Nothing to shift
+                    current.setDate(current.getDate() + schedule.shiftDays);
+                    task.dueDate = toDueDateValue(current, task.dueDate);
+                }
+                task.updatedAt = now;
+                updated.push(task);
+            });
+
+            if (updated.length > 0) {
+                save(tasks);
+            }
+            console.log(`Bulk rescheduled ${updated.length} task(s).`);
+            return updated;
+        });
+    }
+
+    /**
+     * Builds a subtask node from caller-supplied data.
+     * Subtask nodes carry the same fields as tasks (minus task-only relations such as recurrence
+     * and dependencies) and may contain their own `subtasks`, forming a tree of any depth.
+     * @private
+     * @param {object} subtaskData - The subtask data. `title` is required.
+     * @returns {object} The new subtask node.
+     * @throws {InvalidInputError} If the priority or tags are invalid.
+     */
+    _buildSubtask(subtaskData) {
         const now = Date.now();
-        const newSubtask = {
+        return {
             id: this._generateUniqueId(),
             title: subtaskData.title,
+            description: subtaskData.description || '',
+            dueDate: subtaskData.dueDate || null,
+            priority: this._normalizePriority(subtaskData.priority),
+            tags: this._normalizeTags(subtaskData.tags),
             isComplete: false, // Subtasks are incomplete by default
             createdAt: now,
-            updatedAt: now
+            updatedAt: now,
+            subtasks: []
         };
+    }
+
+    /**
+     * Builds a whole subtask tree from caller-supplied data.
+     * @private
+     * @param {Array<object>} subtasksData - The subtask data; each entry may have its own `subtasks`.
+     * @returns {Array<object>} The new subtask nodes.
+     * @throws {InvalidInputError} If the data is not an array, or an entry has no title or invalid priority or tags.
+     */
+    _buildSubtaskTree(subtasksData) {
+        if (!Array.isArray(subtasksData)) {
+            throw new InvalidInputError('Subtasks must be provided as an array.');
+        }
+        return subtasksData.map(subtaskData => {
+            if (!subtaskData || typeof subtaskData !== 'object' || !subtaskData.title) {
+                throw new InvalidInputError('Invalid subtask data. A "title" is required for every subtask.');
+            }
+            const node = this._buildSubtask(subtaskData);
+            node.subtasks = this._buildSubtaskTree(subtaskData.subtasks || []);
+            return node;
+        });
+    }
 
-        tasks[taskIndex].subtasks.push(newSubtask);
-        tasks[taskIndex].updatedAt = now; // Update parent task's timestamp
-        await this._saveTasks(tasks);
-        console.log('Subtask added to task:', taskId, newSubtask.id, newSubtask.title);
-        return newSubtask;
+    /**
+     * Looks up a task and one of its subtask nodes, logging a warning if either is missing.
+     * @private
+     * @param {Array<object>} tasks - All tasks.
+     * @param {string} taskId - The unique ID of the task owning the subtask.
+     * @param {string} subtaskId - The unique ID of the subtask.
+     * @param {string} operation - A description of the calling operation, used in warnings.
+     * @returns {{task: object, location: object}|null} The task and subtask location, or null if not found.
+     */
+    _locateSubtask(tasks, taskId, subtaskId, operation) {
+        const task = tasks.find(t => t.id === taskId);
+        if (!task) {
+            console.warn(`Parent task with ID ${taskId} not found for ${operation}.`);
+            return null;
+        }
+        const location = findSubtaskLocation(task.subtasks || [], subtaskId);
+        if (!location) {
+            console.warn(`Subtask with ID ${subtaskId} not found within task ${taskId} for ${operation}.`);
+            return null;
+        }
+        return { task, location };
     }
 
     /**
-     * Deletes a specific subtask from a parent task.
+     * Adds a subtask to an existing task, either at the top level of its subtask tree
+     * or nested under another subtask.
+     * @param {string} taskId - The unique ID of the parent task.
+     * @param {object} subtaskData - An object containing properties for the new subtask.
+     *                             Expected property: `title`. Optional: `description`, `dueDate`, `priority`, `tags`.
+     * @param {string|null} [parentSubtaskId=null] - The unique ID of the subtask to nest under, or null for the top level.
+     * @returns {Promise<object|null>} A promise that resolves with the newly created subtask object, or null if the parent task or subtask was not found.
+     * @throws {InvalidInputError} If `taskId` or `subtaskData` are invalid.
+     * @throws {StorageError} If there's an error saving tasks to storage.
+     */
+    async addSubtask(taskId, subtaskData, parentSubtaskId = null) {
+        if (!taskId || !subtaskData || typeof subtaskData !== 'object' || !subtaskData.title) {
+            throw new InvalidInputError('Parent Task ID and valid subtask data with a "title" are required to add a subtask.');
+        }
+
+        const newSubtask = this._buildSubtask(subtaskData);
+        return this._updateTasks([taskId], (tasks, save) => {
+            const task = tasks.find(t => t.id === taskId);
+
+            if (!task) {
+                console.warn(`Parent task with ID ${taskId} not found for adding subtask.`);
+                return null; // Parent task not found
+            }
+
+            let siblings = task.subtasks;
+            if (parentSubtaskId) {
+                const located = this._locateSubtask(tasks, taskId, parentSubtaskId, 'adding subtask');
+                if (!located) {
+                    return null; // Parent subtask not found
+                }
+                const parent = located.location.node;
+                parent.subtasks = parent.subtasks || [];
+                parent.updatedAt = newSubtask.createdAt;
+                siblings = parent.subtasks;
+            }
+
+            siblings.push(newSubtask);
+            task.updatedAt = newSubtask.createdAt; // Update parent task's timestamp
+            save(tasks);
+            console.log('Subtask added to task:', taskId, newSubtask.id, newSubtask.title);
+            return newSubtask;
+        });
+    }
+
+    /**
+     * Updates a subtask anywhere in a task's subtask tree.
+     * The subtask's `id` and child `subtasks` are preserved; use `moveSubtask` to restructure the tree.
+     * @param {string} taskId - The unique ID of the task owning the subtask.
+     * @param {string} subtaskId - The unique ID of the subtask to update.
+     * @param {object} newData - An object containing the properties to update.
+     * @returns {Promise<object|null>} A promise that resolves with the updated subtask, or null if the task or subtask was not found.
+     * @throws {InvalidInputError} If the IDs or `newData` are invalid.
+     * @throws {StorageError} If there's an error saving tasks to storage.
+     */
+    async updateSubtask(taskId, subtaskId, newData) {
+        if (!taskId || !subtaskId || typeof newData !== 'object' || newData === null) {
+            throw new InvalidInputError('Parent Task ID, Subtask ID and a valid new data object are required to update a subtask.');
+        }
+        if (newData.title !== undefined && !newData.title) {
+            throw new InvalidInputError('A subtask "title" cannot be empty.');
+        }
+
+        const changes = { ...newData };
+        if (changes.priority !== undefined) {
+            changes.priority = this._normalizePriority(changes.priority);
+        }
+        if (changes.tags !== undefined) {
+            changes.tags = this._normalizeTags(changes.tags);
+        }
+
+        return this._updateTasks([taskId], (tasks, save) => {
+            const located = this._locateSubtask(tasks, taskId, subtaskId, 'update');
+            if (!located) {
+                return null;
+            }
+
+            const { task, location } = located;
+            const now = Date.now();
+            const updatedSubtask = {
+                ...location.node,
+                ...changes,
+                id: location.node.id, // Ensure ID is immutable through updateSubtask
+                subtasks: location.node.subtasks || [], // Children are managed via add/move/delete
+                updatedAt: now
+            };
+            location.siblings[location.index] = updatedSubtask;
+            task.updatedAt = now;
+
+            save(tasks);
+            console.log('Subtask updated:', taskId, subtaskId);
+            return updatedSubtask;
+        });
+    }
+
+    /**
+     * Deletes a specific subtask, including its own subtasks, from anywhere in a task's subtask tree.
      * @param {string} taskId - The unique ID of the parent task.
      * @param {string} subtaskId - The unique ID of the subtask to delete.
      * @returns {Promise<boolean>} A promise that resolves with true if the subtask was deleted, false if either task or subtask was not found.
@@ -284,31 +1711,22 @@ class TaskManager {
             throw new InvalidInputError('Parent Task ID and Subtask ID must be provided to delete a subtask.');
         }
 
-        const tasks = await this._getTasks();
-        const taskIndex = tasks.findIndex(task => task.id === taskId);
+        return this._updateTasks([taskId], (tasks, save) => {
+            const located = this._locateSubtask(tasks, taskId, subtaskId, 'deletion');
+            if (!located) {
+                return false;
+            }
 
-        if (taskIndex === -1) {
-            console.warn(`Parent task with ID ${taskId} not found for subtask deletion.`);
-            return false; // Parent task not found
-        }
-
-        const task = tasks[taskIndex];
-        const initialSubtaskCount = task.subtasks.length;
-        task.subtasks = task.subtasks.filter(subtask => subtask.id !== subtaskId);
-
-        if (task.subtasks.length === initialSubtaskCount) {
-            console.warn(`Subtask with ID ${subtaskId} not found within task ${taskId} for deletion.`);
-            return false; // Subtask not found within the parent task
-        }
-
-        tasks[taskIndex].updatedAt = Date.now(); // Update parent task's timestamp
-        await this._saveTasks(tasks);
-        console.log('Subtask deleted from task:', taskId, subtaskId);
-        return true;
+            located.location.siblings.splice(located.location.index, 1);
+            located.task.updatedAt = Date.now(); // Update parent task's timestamp
+            save(tasks);
+            console.log('Subtask deleted from task:', taskId, subtaskId);
+            return true;
+        });
     }
 
     /**
-     * Marks a subtask as complete or incomplete within its parent task.
+     * Marks a subtask as complete or incomplete anywhere within its parent task's subtask tree.
      * @param {string} taskId - The unique ID of the parent task.
      * @param {string} subtaskId - The unique ID of the subtask to update.
      * @param {boolean} isComplete - The new completion status (true for complete, false for incomplete).
@@ -321,29 +1739,177 @@ class TaskManager {
             throw new InvalidInputError('Parent Task ID, Subtask ID, and a boolean status (isComplete) are required to mark subtask status.');
         }
 
-        const tasks = await this._getTasks();
-        const taskIndex = tasks.findIndex(task => task.id === taskId);
+        return this._updateTasks([taskId], (tasks, save) => {
+            const located = this._locateSubtask(tasks, taskId, subtaskId, 'marking status');
+            if (!located) {
+                return null;
+            }
+
+            const now = Date.now();
+            const subtask = located.location.node;
+            subtask.isComplete = isComplete;
+            subtask.updatedAt = now; // Update subtask's timestamp
+            located.task.updatedAt = now; // Update parent task's timestamp
 
-        if (taskIndex === -1) {
-            console.warn(`Parent task with ID ${taskId} not found for marking subtask status.`);
-            return null; // Parent task not found
+            save(tasks);
+            console.log('Subtask status updated:', taskId, subtaskId, isComplete);
+            return subtask;
+        });
+    }
+
+    /**
+     * Moves a subtask (with its own subtasks) to a new position, under a new parent subtask,
+     * or into the subtask tree of another task.
+     * @param {string} taskId - The unique ID of the task currently owning the subtask.
+     * @param {string} subtaskId - The unique ID of the subtask to move.
+     * @param {object} destination - Where to move the subtask.
+     * @param {string} [destination.taskId=taskId] - The unique ID of the task to move the subtask into.
+     * @param {string|null} [destination.parentSubtaskId=null] - The subtask to nest under, or null for the top level.
+     * @param {number} [destination.index] - The position among the new siblings. Defaults to the end.
+     * @returns {Promise<object|null>} A promise that resolves with the moved subtask, or null if a task or subtask was not found.
+     * @throws {InvalidInputError} If the IDs are missing, or if a subtask would be moved into its own subtree.
+     * @throws {StorageError} If there's an error saving tasks to storage.
+     */
+    async moveSubtask(taskId, subtaskId, destination = {}) {
+        if (!taskId || !subtaskId || typeof destination !== 'object' || destination === null) {
+            throw new InvalidInputError('Task ID, Subtask ID and a destination object are required to move a subtask.');
         }
+        const targetTaskId = destination.taskId || taskId;
+        const targetParentId = destination.parentSubtaskId || null;
+        if (destination.index !== undefined && (!Number.isInteger(destination.index) || destination.index < 0)) {
+            throw new InvalidInputError('Destination index must be a non-negative integer.');
+        }
+
+        return this._updateTasks([taskId, targetTaskId], (tasks, save) => {
+            const located = this._locateSubtask(tasks, taskId, subtaskId, 'move');
+            if (!located) {
+                return null;
+            }
+            const subtask = located.location.node;
+            if (targetParentId && (targetParentId === subtaskId || findSubtaskLocation(subtask.subtasks || [], targetParentId))) {
+                throw new InvalidInputError('A subtask cannot be moved into itself or one of its own subtasks.');
+            }
+
+            const targetTask = tasks.find(t => t.id === targetTaskId);
+            if (!targetTask) {
+                console.warn(`Destination task with ID ${targetTaskId} not found for moving subtask.`);
+                return null;
+            }
+
+            // Detach first so that indexes among the new siblings are computed without the moved node.
+            located.location.siblings.splice(located.location.index, 1);
 
-        const task = tasks[taskIndex];
-        const subtaskIndex = task.subtasks.findIndex(sub => sub.id === subtaskId);
+            let siblings = targetTask.subtasks;
+            if (targetParentId) {
+                const parentLocation = findSubtaskLocation(targetTask.subtasks || [], targetParentId);
+                if (!parentLocation) {
+                    console.warn(`Destination subtask with ID ${targetParentId} not found within task ${targetTaskId}.`);
+                    return null; // Nothing is saved, so the detach above is discarded
+                }
+                parentLocation.node.subtasks = parentLocation.node.subtasks || [];
+                siblings = parentLocation.node.subtasks;
+            }
 
-        if (subtaskIndex === -1) {
-            console.warn(`Subtask with ID ${subtaskId} not found within task ${taskId} for marking status.`);
-            return null; // Subtask not found
+            const index = destination.index === undefined ? siblings.length : Math.min(destination.index, siblings.length);
+            siblings.splice(index, 0, subtask);
+
+            const now = Date.now();
+            subtask.updatedAt = now;
+            located.task.updatedAt = now;
+            targetTask.updatedAt = now;
+
+            save(tasks);
+            console.log('Subtask moved:', subtaskId, 'to task', targetTaskId, targetParentId ? `under ${targetParentId}` : 'at top level', 'index', index);
+            return subtask;
+        });
+    }
+
+    /**
+     * Moves a subtask to a new position among its current siblings.
+     * @param {string} taskId - The unique ID of the task owning the subtask.
+     * @param {string} subtaskId - The unique ID of the subtask to reorder.
+     * @param {number} newIndex - The new position among its siblings.
+     * @returns {Promise<object|null>} A promise that resolves with the reordered subtask, or null if the task or subtask was not found.
+     * @throws {InvalidInputError} If the IDs are missing or `newIndex` is not a non-negative integer.
+     * @throws {StorageError} If there's an error saving tasks to storage.
+     */
+    async reorderSubtask(taskId, subtaskId, newIndex) {
+        if (!taskId || !subtaskId || !Number.isInteger(newIndex) || newIndex < 0) {
+            throw new InvalidInputError('Task ID, Subtask ID and a non-negative integer index are required to reorder a subtask.');
         }
 
-        task.subtasks[subtaskIndex].isComplete = isComplete;
-        task.subtasks[subtaskIndex].updatedAt = Date.now(); // Update subtask's timestamp
-        tasks[taskIndex].updatedAt = Date.now(); // Update parent task's timestamp
-        
-        await this._saveTasks(tasks);
-        console.log('Subtask status updated:', taskId, subtaskId, isComplete);
-        return task.subtasks[subtaskIndex];
+        return this._updateTasks([taskId], (tasks, save) => {
+            const located = this._locateSubtask(tasks, taskId, subtaskId, 'reorder');
+            if (!located) {
+                return null;
+            }
+
+            const { siblings, index, node } = located.location;
+            siblings.splice(index, 1);
+            siblings.splice(Math.min(newIndex, siblings.length), 0, node);
+            located.task.updatedAt = Date.now();
+
+            save(tasks);
+            console.log('Subtask reordered:', taskId, subtaskId, newIndex);
+            return node;
+        });
+    }
+
+    /**
+     * Turns a subtask into a standalone top-level task. Its own subtasks come along with it.
+     * @param {string} taskId - The unique ID of the task owning the subtask.
+     * @param {string} subtaskId - The unique ID of the subtask to promote.
+     * @returns {Promise<object|null>} A promise that resolves with the new task, or null if the task or subtask was not found.
+     * @throws {InvalidInputError} If the IDs are missing.
+     * @throws {StorageError} If there's an error saving tasks to storage.
+     */
+    async promoteSubtaskToTask(taskId, subtaskId) {
+        if (!taskId || !subtaskId) {
+            throw new InvalidInputError('Task ID and Subtask ID must be provided to promote a subtask.');
+        }
+
+        return this._transactTasks((tasks, save) => {
+            const located = this._locateSubtask(tasks, taskId, subtaskId, 'promotion');
+            if (!located) {
+                return null;
+            }
+
+            const { siblings, index, node } = located.location;
+            siblings.splice(index, 1);
+
+            const now = Date.now();
+            const newTask = {
+                id: node.id, // Keep the ID so existing references to the subtask stay valid
+                title: node.title,
+                description: node.description || '',
+                dueDate: node.dueDate || null,
+                priority: node.priority || 'none',
+                tags: node.tags || [],
+                isComplete: node.isComplete,
+                status: null,
+                projectId: located.task.projectId || null, // Stays in its former parent's project
+                createdAt: node.createdAt,
+                updatedAt: now,
+                recurrence: null,
+                seriesId: null,
+                occurrenceIndex: 0,
+                nextOccurrenceId: null,
+                blockedBy: [],
+                sortOrder: null,
+                subtasks: node.subtasks || []
+            };
+            located.task.updatedAt = now;
+
+            // Place the promoted task right after its former parent in manual order
+            this._ensureSortOrders(tasks);
+            const ordered = tasks.slice().sort(compareSortOrder);
+            newTask.sortOrder = this._getSortOrderAt(ordered, ordered.indexOf(located.task) + 1);
+            tasks.push(newTask);
+
+            save(tasks);
+            console.log('Subtask promoted to task:', taskId, subtaskId);
+            return newTask;
+        });
     }
 }
 
@@ -355,4 +1921,5 @@ const taskManager = new TaskManager();
 // This call is now encapsulated within the taskManager object, avoiding global conflicts.
 taskManager.init();
 
+export { StorageError, InvalidInputError, PRIORITIES, getOpenBlockers, getCompletionPercentage, isDeferred };
 export default taskManager;
\ No newline at end of file
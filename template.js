@@ -0,0 +1,471 @@
+import * as storage from './storage.js';
+import taskManager, { StorageError, InvalidInputError, PRIORITIES } from './task.js';
+import { parseDueDate, formatDate } from './recurrence.js';
+
+/**
+ * Identifies template files written by `exportTemplates`.
+ */
+const TEMPLATE_EXPORT_FORMAT = 'marketingProductivityExtension/templates';
+const TEMPLATE_EXPORT_VERSION = 1;
+
+/**
+ * Matches a placeholder variable such as `{{product}}` or `{{ launch-name }}`.
+ */
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z0-9_-]+)\s*\}\}/g;
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Returns the number of calendar days from `anchor` to `date`, ignoring the time of day.
+ * @param {Date} date The date.
+ * @param {Date} anchor The anchor date.
+ * @returns {number} The offset in days; negative when `date` is before `anchor`.
+ */
+function getDayOffset(date, anchor) {
+    const utcDate = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+    const utcAnchor = Date.UTC(anchor.getFullYear(), anchor.getMonth(), anchor.getDate());
+    return Math.round((utcDate - utcAnchor) / DAY_IN_MS);
+}
+
+/**
+ * Lists the placeholder variables used in a piece of text.
+ * @param {string} text The text to scan.
+ * @returns {Array<string>} The variable names, in order of first use.
+ */
+function findVariables(text) {
+    const names = [];
+    for (const match of String(text || '').matchAll(VARIABLE_PATTERN)) {
+        if (!names.includes(match[1])) {
+            names.push(match[1]);
+        }
+    }
+    return names;
+}
+
+/**
+ * Replaces the placeholder variables in a piece of text.
+ * @param {string} text The text containing `{{name}}` placeholders.
+ * @param {Object<string, string>} values The value for each variable name.
+ * @returns {string} The text with every placeholder replaced.
+ */
+function fillVariables(text, values) {
+    return String(text || '').replace(VARIABLE_PATTERN, (placeholder, name) => values[name]);
+}
+
+/**
+ * Visits a template item and all of its subtasks, depth first.
+ * @param {object} item The template item (the template's `task` or one of its subtasks).
+ * @param {function(object): void} callback Called with every item.
+ */
+function walkTemplateItems(item, callback) {
+    callback(item);
+    (item.subtasks || []).forEach(subtask => walkTemplateItems(subtask, callback));
+}
+
+/**
+ * Manages task templates: reusable task checklists whose due dates are stored relative to an
+ * anchor date (e.g. "launch day -7d") and whose text may contain `{{variable}}` placeholders
+ * that are filled in when the template is instantiated.
+ *
+ * A template looks like `{ id, name, description, createdAt, updatedAt, task }`, where `task`
+ * holds `title`, `description`, `priority`, `tags`, `dueOffsetDays` (days from the anchor
+ * date, or null for no due date) and `subtasks` (items of the same shape, to any depth).
+ * Templates are persisted in chrome.storage.local.
+ */
+class TemplateManager {
+    /**
+     * Retrieves all templates from storage.
+     * @private
+     * @returns {Promise<Array<object>>} A promise that resolves with the templates.
+     * @throws {StorageError} If there's an error retrieving templates from storage.
+     */
+    async _getTemplates() {
+        try {
+            return await storage.getAllTemplates();
+        } catch (error) {
+            console.error('Error retrieving templates from storage:', error);
+            throw new StorageError('Failed to retrieve templates due to storage error.', error);
+        }
+    }
+
+    /**
+     * Runs a read-modify-write of the templates as a storage transaction (see `storage.transaction`).
+     * `fn` receives a copy of the templates and a `save` callback taking the templates to write;
+     * nothing is written unless it calls `save`. `fn` may run more than once, so it must not
+     * have other side effects.
+     * @private
+     * @param {function(Array<object>, function(Array<object>): void): *} fn - The read-modify-write.
+     * @returns {Promise<*>} A promise that resolves with the value returned by `fn`.
+     * @throws {StorageError} If there's an error reading or saving templates.
+     */
+    async _transactTemplates(fn) {
+        const key = storage.STORAGE_KEYS.TEMPLATES;
+        let callbackError = null;
+        try {
+            return await storage.transaction(key, async values => {
+                const templates = structuredClone(values[key] || []);
+                try {
+                    return await fn(templates, saved => {
+                        values[key] = saved;
+                    });
+                } catch (error) {
+                    callbackError = error;
+                    throw error;
+                }
+            });
+        } catch (error) {
+            if (error === callbackError) {
+                throw error;
+            }
+            console.error('Error saving templates to storage:', error);
+            throw new StorageError('Failed to save templates due to storage error.', error);
+        }
+    }
+
+    /**
+     * Validates a template item and its subtasks, returning a clean copy.
+     * @private
+     * @param {object} item - The item to validate.
+     * @returns {object} The normalized item.
+     * @throws {InvalidInputError} If the item has no title, or an invalid priority, tags or offset.
+     */
+    _normalizeItem(item) {
+        if (!item || typeof item !== 'object' || typeof item.title !== 'string' || item.title.trim() === '') {
+            throw new InvalidInputError('Invalid template item. A "title" is required for the task and every subtask.');
+        }
+        const priority = item.priority === undefined || item.priority === null ? 'none' : item.priority;
+        if (!PRIORITIES.includes(priority)) {
+            throw new InvalidInputError(`Invalid priority "${priority}". Expected one of: ${PRIORITIES.join(', ')}.`);
+        }
+        const tags = item.tags === undefined || item.tags === null ? [] : item.tags;
+        if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+            throw new InvalidInputError('Template tags must be provided as an array of strings.');
+        }
+        const dueOffsetDays = item.dueOffsetDays === undefined ? null : item.dueOffsetDays;
+        if (dueOffsetDays !== null && !Number.isInteger(dueOffsetDays)) {
+            throw new InvalidInputError(`Invalid due date offset "${dueOffsetDays}". Expected a whole number of days.`);
+        }
+        if (item.subtasks !== undefined && !Array.isArray(item.subtasks)) {
+            throw new InvalidInputError('Template subtasks must be provided as an array.');
+        }
+
+        return {
+            title: item.title,
+            description: typeof item.description === 'string' ? item.description : '',
+            priority,
+            tags: [...tags],
+            dueOffsetDays,
+            subtasks: (item.subtasks || []).map(subtask => this._normalizeItem(subtask))
+        };
+    }
+
+    /**
+     * Validates template data and builds a new template with a fresh ID.
+     * @private
+     * @param {object} templateData - `name` (required), `description` (optional) and `task` (required).
+     * @returns {object} The new template (not yet saved).
+     * @throws {InvalidInputError} If `templateData` is invalid.
+     */
+    _buildTemplate(templateData) {
+        if (!templateData || typeof templateData !== 'object' || typeof templateData.name !== 'string' || templateData.name.trim() === '') {
+            throw new InvalidInputError('Invalid template data. A "name" is required to create a template.');
+        }
+        const now = Date.now();
+        return {
+            id: crypto.randomUUID(),
+            name: templateData.name.trim(),
+            description: typeof templateData.description === 'string' ? templateData.description : '',
+            createdAt: now,
+            updatedAt: now,
+            task: this._normalizeItem(templateData.task)
+        };
+    }
+
+    /**
+     * Converts a task or subtask node into a template item.
+     * @private
+     * @param {object} node - The task or subtask.
+     * @param {Date|null} anchor - The date offsets are relative to, or null to drop due dates.
+     * @returns {object} The template item.
+     */
+    _itemFromNode(node, anchor) {
+        const due = parseDueDate(node.dueDate);
+        return {
+            title: node.title,
+            description: node.description || '',
+            priority: node.priority || 'none',
+            tags: [...(node.tags || [])],
+            dueOffsetDays: due && anchor ? getDayOffset(due, anchor) : null,
+            subtasks: (node.subtasks || []).map(subtask => this._itemFromNode(subtask, anchor))
+        };
+    }
+
+    /**
+     * Creates a template from template data, e.g. one written by hand or received from a teammate.
+     * @param {object} templateData - `name` (required), `description` (optional) and `task` (required,
+     *                                see the class description for its shape).
+     * @returns {Promise<object>} A promise that resolves with the new template.
+     * @throws {InvalidInputError} If `templateData` is invalid.
+     * @throws {StorageError} If there's an error saving templates to storage.
+     */
+    async createTemplate(templateData) {
+        const template = this._buildTemplate(templateData);
+        return this._transactTemplates((templates, save) => {
+            templates.push(template);
+            save(templates);
+            console.log('Template created:', template.id, template.name);
+            return template;
+        });
+    }
+
+    /**
+     * Saves an existing task, together with its subtasks, as a template.
+     * Due dates are stored as offsets from `anchorDate`, which defaults to the task's own due date;
+     * items without a due date (or all items, when there is no anchor) get no offset.
+     * Completion state, recurrence, dependencies and the project are not part of a template.
+     * @param {string} taskId - The unique ID of the task.
+     * @param {object} [options={}] - Template options.
+     * @param {string} [options.name] - The template name; defaults to the task title.
+     * @param {string} [options.description] - A description of the template.
+     * @param {string|number} [options.anchorDate] - The anchor date ('YYYY-MM-DD' or timestamp).
+     * @returns {Promise<object|null>} A promise that resolves with the new template, or null if the task was not found.
+     * @throws {InvalidInputError} If `taskId` or `anchorDate` are invalid.
+     * @throws {StorageError} If there's an error reading or saving storage.
+     */
+    async saveTaskAsTemplate(taskId, { name, description, anchorDate } = {}) {
+        if (!taskId) {
+            throw new InvalidInputError('Task ID must be provided to save a task as a template.');
+        }
+        const anchor = anchorDate ? parseDueDate(anchorDate) : null;
+        if (anchorDate && !anchor) {
+            throw new InvalidInputError(`Invalid anchor date "${anchorDate}".`);
+        }
+
+        const task = await taskManager.getTaskById(taskId);
+        if (!task) {
+            console.warn(`Task with ID ${taskId} not found for saving as a template.`);
+            return null;
+        }
+
+        return this.createTemplate({
+            name: name || task.title,
+            description,
+            task: this._itemFromNode(task, anchor || parseDueDate(task.dueDate))
+        });
+    }
+
+    /**
+     * Retrieves a single template by its unique ID.
+     * @param {string} id - The unique ID of the template.
+     * @returns {Promise<object|null>} A promise that resolves with the template, or null if not found.
+     * @throws {InvalidInputError} If `id` is not provided.
+     * @throws {StorageError} If there's an error retrieving templates from storage.
+     */
+    async getTemplateById(id) {
+        if (!id) {
+            throw new InvalidInputError('Template ID must be provided to retrieve a template.');
+        }
+        const templates = await this._getTemplates();
+        return templates.find(template => template.id === id) || null;
+    }
+
+    /**
+     * Retrieves all templates, sorted by name.
+     * @returns {Promise<Array<object>>} A promise that resolves with the templates.
+     * @throws {StorageError} If there's an error retrieving templates from storage.
+     */
+    async getAllTemplates() {
+        const templates = await this._getTemplates();
+        return templates.slice().sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Renames a template.
+     * @param {string} id - The unique ID of the template.
+     * @param {string} name - The new name.
+     * @returns {Promise<object|null>} A promise that resolves with the updated template, or null if not found.
+     * @throws {InvalidInputError} If `id` or `name` are invalid.
+     * @throws {StorageError} If there's an error saving templates to storage.
+     */
+    async renameTemplate(id, name) {
+        if (!id || typeof name !== 'string' || name.trim() === '') {
+            throw new InvalidInputError('Template ID and a non-empty name are required to rename a template.');
+        }
+        return this._transactTemplates((templates, save) => {
+            const template = templates.find(t => t.id === id);
+            if (!template) {
+                console.warn(`Template with ID ${id} not found for renaming.`);
+                return null;
+            }
+            template.name = name.trim();
+            template.updatedAt = Date.now();
+            save(templates);
+            return template;
+        });
+    }
+
+    /**
+     * Deletes a template. Tasks created from it are not affected.
+     * @param {string} id - The unique ID of the template.
+     * @returns {Promise<boolean>} A promise that resolves with true if the template was deleted, false if not found.
+     * @throws {InvalidInputError} If `id` is not provided.
+     * @throws {StorageError} If there's an error saving templates to storage.
+     */
+    async deleteTemplate(id) {
+        if (!id) {
+            throw new InvalidInputError('Template ID must be provided to delete a template.');
+        }
+        return this._transactTemplates((templates, save) => {
+            const remaining = templates.filter(template => template.id !== id);
+            if (remaining.length === templates.length) {
+                console.warn(`Template with ID ${id} not found for deletion.`);
+                return false;
+            }
+            save(remaining);
+            console.log('Template deleted:', id);
+            return true;
+        });
+    }
+
+    /**
+     * Lists the placeholder variables a template uses in its titles, descriptions and tags.
+     * @param {object} template - The template.
+     * @returns {Array<string>} The variable names, in order of first use.
+     */
+    getTemplateVariables(template) {
+        const names = [];
+        walkTemplateItems(template.task, item => {
+            [item.title, item.description, ...(item.tags || [])].forEach(text => {
+                findVariables(text).forEach(name => {
+                    if (!names.includes(name)) names.push(name);
+                });
+            });
+        });
+        return names;
+    }
+
+    /**
+     * Reports whether any item of a template has a relative due date, i.e. whether
+     * instantiating it needs an anchor date.
+     * @param {object} template - The template.
+     * @returns {boolean} True if an anchor date is needed.
+     */
+    needsAnchorDate(template) {
+        let needsAnchor = false;
+        walkTemplateItems(template.task, item => {
+            if (item.dueOffsetDays !== null && item.dueOffsetDays !== undefined) needsAnchor = true;
+        });
+        return needsAnchor;
+    }
+
+    /**
+     * Creates a task, with its whole subtask tree, from a template.
+     * @param {string} id - The unique ID of the template.
+     * @param {object} [options={}] - Instantiation options.
+     * @param {string|number} [options.anchorDate] - The date due date offsets are relative to
+     *        ('YYYY-MM-DD' or timestamp); required when the template has relative due dates.
+     * @param {Object<string, string>} [options.variables={}] - A value for every placeholder variable.
+     * @param {string|null} [options.projectId=null] - The project the new task belongs to.
+     * @returns {Promise<object|null>} A promise that resolves with the new task, or null if the template was not found.
+     * @throws {InvalidInputError} If the anchor date is missing or invalid, or a variable has no value.
+     * @throws {StorageError} If there's an error reading or saving storage.
+     */
+    async instantiateTemplate(id, { anchorDate, variables = {}, projectId = null } = {}) {
+        const template = await this.getTemplateById(id);
+        if (!template) {
+            console.warn(`Template with ID ${id} not found for instantiation.`);
+            return null;
+        }
+
+        const missing = this.getTemplateVariables(template).filter(name => {
+            const value = variables[name];
+            return typeof value !== 'string' || value.trim() === '';
+        });
+        if (missing.length > 0) {
+            throw new InvalidInputError(`Missing values for template variables: ${missing.join(', ')}.`);
+        }
+
+        const anchor = anchorDate ? parseDueDate(anchorDate) : null;
+        if (anchorDate && !anchor) {
+            throw new InvalidInputError(`Invalid anchor date "${anchorDate}".`);
+        }
+        if (!anchor && this.needsAnchorDate(template)) {
+            throw new InvalidInputError('An anchor date is required because this template has relative due dates.');
+        }
+
+        const values = Object.fromEntries(Object.entries(variables).map(([name, value]) => [name, String(value).trim()]));
+        const toTaskData = item => {
+            let dueDate = null;
+            if (item.dueOffsetDays !== null && item.dueOffsetDays !== undefined) {
+                const due = new Date(anchor.getFullYear(), anchor.getMonth(), anchor.getDate() + item.dueOffsetDays);
+                dueDate = formatDate(due);
+            }
+            return {
+                title: fillVariables(item.title, values),
+                description: fillVariables(item.description, values),
+                priority: item.priority,
+                tags: (item.tags || []).map(tag => fillVariables(tag, values)),
+                dueDate,
+                subtasks: (item.subtasks || []).map(toTaskData)
+            };
+        };
+
+        const task = await taskManager.createTask({ ...toTaskData(template.task), projectId });
+        console.log('Template instantiated:', template.id, task.id);
+        return task;
+    }
+
+    /**
+     * Exports templates as a JSON document that can be shared and imported with `importTemplates`.
+     * @param {Array<string>} [ids] - The IDs of the templates to export; all templates when omitted.
+     * @returns {Promise<string>} A promise that resolves with the JSON document.
+     * @throws {StorageError} If there's an error retrieving templates from storage.
+     */
+    async exportTemplates(ids) {
+        const templates = await this.getAllTemplates();
+        const selected = Array.isArray(ids) ? templates.filter(template => ids.includes(template.id)) : templates;
+        return JSON.stringify({
+            format: TEMPLATE_EXPORT_FORMAT,
+            version: TEMPLATE_EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            templates: selected.map(({ name, description, task }) => ({ name, description, task }))
+        }, null, 2);
+    }
+
+    /**
+     * Imports templates from a JSON document written by `exportTemplates`.
+     * Every template is validated before any is saved, and each gets a fresh ID, so importing
+     * the same file twice creates duplicates rather than overwriting existing templates.
+     * @param {string} json - The JSON document.
+     * @returns {Promise<Array<object>>} A promise that resolves with the imported templates.
+     * @throws {InvalidInputError} If the document is not valid template JSON.
+     * @throws {StorageError} If there's an error saving templates to storage.
+     */
+    async importTemplates(json) {
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (error) {
+            throw new InvalidInputError('The template file is not valid JSON.');
+        }
+        if (!data || data.format !== TEMPLATE_EXPORT_FORMAT || !Array.isArray(data.templates)) {
+            throw new InvalidInputError('The file does not contain exported templates.');
+        }
+        if (data.version > TEMPLATE_EXPORT_VERSION) {
+            throw new InvalidInputError(`Unsupported template file version ${data.version}.`);
+        }
+
+        const imported = data.templates.map(templateData => this._buildTemplate(templateData));
+        return this._transactTemplates((templates, save) => {
+            templates.push(...imported);
+            save(templates);
+            console.log('Templates imported:', imported.length);
+            return imported;
+        });
+    }
+}
+
+const templateManager = new TemplateManager();
+
+export { TEMPLATE_EXPORT_FORMAT, findVariables, fillVariables };
+export default templateManager;
@@ -0,0 +1,70 @@
+import { resetFakeChrome } from './fakechrome.js';
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as storage from '../storage.js';
+import commandHistory from '../commandhistory.js';
+import NoteManager from '../note.js';
+import vault from '../vault.js';
+
+const PASSPHRASE = 'correct horse battery staple';
+
+// Everything stored in chrome.storage.session, where the undo history lives, as text.
+async function readSession() {
+    return JSON.stringify(await chrome.storage.session.get(null));
+}
+
+beforeEach(async () => {
+    resetFakeChrome();
+    await commandHistory.clear();
+});
+
+describe('CommandHistory and private notes', () => {
+    it('forgets the commands that touched a note once it is made private', async () => {
+        await vault.setUp(PASSPHRASE);
+        const note = await commandHistory.record('Add note', 'notes', () =>
+            NoteManager.createNote({ title: 'Launch plan', content: '<p>Channel budget</p>', projectId: null }));
+        const other = await commandHistory.record('Add note', 'notes', () =>
+            NoteManager.createNote({ title: 'Press list', content: '<p>Editors</p>', projectId: null }));
+        assert.match(await readSession(), /Channel budget/);
+
+        await NoteManager.setNotePrivate(note.id, true);
+
+        const session = await readSession();
+        assert.ok(!session.includes('Launch plan'));
+        assert.ok(!session.includes('Channel budget'));
+        const state = await commandHistory.getState();
+        assert.equal(state.canUndo, true); // The other note's command is kept
+        await commandHistory.undo();
+        assert.equal(await NoteManager.getNoteById(other.id), null);
+        assert.equal((await commandHistory.getState()).canUndo, false);
+    });
+
+    it('does not record privacy changes, so undoing while locked cannot write plaintext back', async () => {
+        await vault.setUp(PASSPHRASE);
+        const note = await NoteManager.createNote({ title: 'Launch plan', content: '<p>Channel budget</p>', projectId: null });
+        await NoteManager.setNotePrivate(note.id, true);
+        await vault.lock();
+
+        assert.equal(await commandHistory.undo(), null);
+        const [stored] = await storage.getRecords(storage.STORAGE_KEYS.NOTES, [note.id]);
+        assert.equal(stored.isPrivate, true);
+        assert.equal(stored.title, '');
+        assert.equal(stored.content, '');
+        assert.ok(!JSON.stringify(await chrome.storage.local.get(null)).includes('Channel budget'));
+    });
+
+    it('forgets the commands of private notes when the passphrase changes', async () => {
+        await vault.setUp(PASSPHRASE);
+        const note = await commandHistory.record('Add note', 'notes', () =>
+            NoteManager.createNote({ title: 'Launch plan', content: '<p>Channel budget</p>', projectId: null, isPrivate: true }));
+        await commandHistory.undo();
+        assert.equal((await commandHistory.getState()).canRedo, true);
+
+        await commandHistory.redo();
+        await vault.changePassphrase(PASSPHRASE, `${PASSPHRASE} again`);
+
+        assert.deepEqual(await commandHistory.getState(), { canUndo: false, canRedo: false, undoLabel: null, redoLabel: null });
+        const [opened] = Object.values(await NoteManager.openPrivateNotes([note.id]));
+        assert.deepEqual(opened, { title: 'Launch plan', content: '<p>Channel budget</p>' });
+    });
+});
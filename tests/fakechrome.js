@@ -0,0 +1,39 @@
+/**
+ * A stand-in for the `chrome` global, for running the extension's modules under Node's test runner
+ * (see "Running the tests" in the README). chrome.storage.local, .session and .sync are in-memory
+ * areas (see memorystoragearea.js); chrome.storage.onChanged receives the changes of all three with
+ * the area's name, like in the browser. Import this module before the modules under test.
+ */
+import { createMemoryStorageArea } from './memorystoragearea.js';
+
+const listeners = [];
+
+/**
+ * Replaces the storage areas with empty ones. Listeners added to chrome.storage.onChanged stay.
+ * @param {object} [options={}] Options.
+ * @param {object} [options.syncQuotas={}] Quotas for chrome.storage.sync (see createMemoryStorageArea).
+ * @returns {{local: object, session: object, sync: object}} The new areas.
+ */
+function resetFakeChrome({ syncQuotas = {} } = {}) {
+    const areas = {
+        local: createMemoryStorageArea(),
+        session: createMemoryStorageArea(),
+        sync: createMemoryStorageArea(syncQuotas)
+    };
+    Object.entries(areas).forEach(([areaName, area]) => {
+        area.onChanged.addListener(changes => listeners.forEach(listener => listener(changes, areaName)));
+        globalThis.chrome.storage[areaName] = area;
+    });
+    return areas;
+}
+
+globalThis.chrome = {
+    storage: {
+        onChanged: {
+            addListener: listener => listeners.push(listener)
+        }
+    }
+};
+resetFakeChrome();
+
+export { resetFakeChrome };
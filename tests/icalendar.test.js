@@ -0,0 +1,160 @@
+import { resetFakeChrome } from './fakechrome.js';
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import taskManager from '../task.js';
+import {
+    serializeTasks,
+    parseICalendar,
+    exportTasksToICalendar,
+    previewICalendarImport,
+    importICalendar
+} from '../icalendar.js';
+
+const FIXTURES = ['recurring.ics', 'alarms.ics', 'folding-escaping.ics'];
+
+function readFixture(name) {
+    return readFile(new URL(`./fixtures/icalendar/${name}`, import.meta.url), 'utf8');
+}
+
+function getItem(items, uid) {
+    const item = items.find(candidate => candidate.uid === uid);
+    assert.ok(item, `Expected an item with UID ${uid}`);
+    return item;
+}
+
+// Imports every item of an iCalendar file into the (empty) task list.
+async function importFixture(name) {
+    return importICalendar(await previewICalendarImport(await readFixture(name)));
+}
+
+// The unfolded content lines of an iCalendar file.
+function unfold(text) {
+    return text.replace(/\r\n[ \t]/g, '').split('\r\n');
+}
+
+beforeEach(() => {
+    resetFakeChrome();
+});
+
+describe('parseICalendar', () => {
+    it('reads RRULEs into recurrence rules', async () => {
+        const items = parseICalendar(await readFixture('recurring.ics'));
+
+        assert.deepEqual(getItem(items, 'weekly-standup@example.com').taskData.recurrence,
+            { frequency: 'weekly', interval: 1, byWeekday: [1, 4], byMonthDay: null, until: null, count: 10 });
+        assert.deepEqual(getItem(items, 'monthly-report@example.com').taskData.recurrence,
+            { frequency: 'monthly', interval: 1, byWeekday: [], byMonthDay: 31, until: '2027-06-30', count: null });
+        assert.deepEqual(getItem(items, 'quarterly-budget@example.com').taskData.recurrence,
+            { frequency: 'monthly', interval: 3, byWeekday: [], byMonthDay: 2, until: null, count: 4 });
+        const leapDay = getItem(items, 'leap-review@example.com').taskData;
+        assert.equal(leapDay.dueDate, '2028-02-29');
+        assert.equal(leapDay.recurrence.frequency, 'yearly');
+    });
+
+    it('reads the first VALARM as a reminder before the due date', async () => {
+        const items = parseICalendar(await readFixture('alarms.ics'));
+
+        assert.equal(getItem(items, 'press-release@example.com').taskData.reminderMinutes, 15);
+        assert.equal(getItem(items, 'ad-budget@example.com').taskData.reminderMinutes, 24 * 60);
+
+        const webinar = getItem(items, 'webinar@example.com');
+        assert.equal(webinar.taskData.reminderMinutes, 60); // Absolute trigger an hour before DTSTART
+        assert.deepEqual(webinar.warnings, ['Only the first of several reminders was imported.']);
+
+        const late = getItem(items, 'late-alarm@example.com');
+        assert.equal(late.taskData.reminderMinutes, null);
+        assert.equal(late.warnings.length, 1);
+    });
+
+    it('unfolds lines and unescapes text, keeping leading and trailing spaces', async () => {
+        const items = parseICalendar(await readFixture('folding-escaping.ics'));
+
+        assert.equal(getItem(items, 'padded-title@example.com').taskData.title, '  Padded title  ');
+        const escaped = getItem(items, 'escaped-text@example.com').taskData;
+        assert.equal(escaped.title, 'Review Q4 plan; budget, timeline \\ owners');
+        assert.equal(escaped.description,
+            'First line\nSecond line with a semicolon; a comma, and a backslash \\ that continue on a folded line\nThird line');
+        assert.deepEqual(escaped.tags, ['planning', 'q4,draft']);
+        assert.equal(escaped.isComplete, true);
+        assert.equal(getItem(items, 'long-unicode@example.com').taskData.title,
+            'Übersetzung der Kampagne für Café-Partner in München、東京 und Zürich prüfen');
+    });
+});
+
+describe('serializeTasks', () => {
+    it('folds long lines at 75 octets without splitting characters', () => {
+        const title = 'Übersetzung der Kampagne für Café-Partner in München、東京 und Zürich prüfen '.repeat(3);
+        const text = serializeTasks([{ id: 'task-1', title, dueDate: '2026-10-22', createdAt: 0 }]);
+        const encoder = new TextEncoder();
+
+        text.split('\r\n').forEach(line => {
+            assert.ok(encoder.encode(line).length <= 75, `Line too long: ${line}`);
+            assert.ok(!line.includes('�'));
+        });
+        assert.ok(unfold(text).includes(`SUMMARY:${title}`));
+    });
+
+    it('anchors yearly rules on DTSTART rather than BYMONTHDAY', () => {
+        const text = serializeTasks([{
+            id: 'task-1',
+            title: 'Leap-day review',
+            dueDate: '2028-02-29',
+            recurrence: { frequency: 'yearly', interval: 1, byWeekday: [], byMonthDay: 29, until: null, count: null },
+            createdAt: 0
+        }]);
+
+        assert.ok(unfold(text).includes('RRULE:FREQ=YEARLY'));
+        assert.ok(unfold(text).includes('DTSTART;VALUE=DATE:20280229'));
+    });
+});
+
+describe('round trip', () => {
+    FIXTURES.forEach(name => {
+        it(`re-imports the export of ${name} without changes`, async () => {
+            const { created } = await importFixture(name);
+            const exported = await exportTasksToICalendar();
+
+            const preview = await previewICalendarImport(exported);
+            assert.equal(preview.length, created);
+            preview.forEach(item => {
+                assert.equal(item.action, 'unchanged', `${item.uid} would change: ${JSON.stringify(item.changes)}`);
+            });
+
+            const before = await taskManager.getAllTasks();
+            await importICalendar(preview);
+            assert.deepEqual(await taskManager.getAllTasks(), before);
+            assert.equal(await exportTasksToICalendar(), exported);
+        });
+    });
+
+    it('keeps recurrence, reminders and escaped text through an export', async () => {
+        for (const name of FIXTURES) {
+            await importFixture(name);
+        }
+        const lines = unfold(await exportTasksToICalendar());
+
+        assert.ok(lines.includes('RRULE:FREQ=WEEKLY;BYDAY=MO,TH;COUNT=10'));
+        assert.ok(lines.includes('RRULE:FREQ=MONTHLY;BYMONTHDAY=31;UNTIL=20270630'));
+        assert.ok(lines.includes('RRULE:FREQ=MONTHLY;INTERVAL=3;BYMONTHDAY=2;COUNT=4'));
+        assert.ok(lines.includes('TRIGGER;RELATED=END:-PT15M'));
+        assert.ok(lines.includes('TRIGGER;RELATED=END:-P1D'));
+        assert.ok(lines.includes('SUMMARY:  Padded title  '));
+        assert.ok(lines.includes('SUMMARY:Review Q4 plan\\; budget\\, timeline \\\\ owners'));
+        assert.ok(lines.includes('CATEGORIES:planning,q4\\,draft'));
+    });
+
+    it('exports a completed occurrence without its RRULE and the next one with the rest of the count', async () => {
+        await importFixture('recurring.ics');
+        const [standup] = await taskManager.queryTasks({ text: 'standup' });
+        await taskManager.markTaskStatus(standup.id, true);
+
+        const items = parseICalendar(await exportTasksToICalendar());
+        const done = getItem(items, `${standup.id}@marketing-productivity-extension`);
+        assert.equal(done.taskData.recurrence, null);
+        assert.equal(done.taskData.isComplete, true);
+        const next = getItem(items, 'weekly-standup@example.com');
+        assert.equal(next.taskData.dueDate, '2026-10-22');
+        assert.equal(next.taskData.recurrence.count, 9);
+    });
+});
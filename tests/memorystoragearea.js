@@ -0,0 +1,98 @@
+/**
+ * An in-memory stand-in for a chrome.storage area (`get`, `set`, `remove`, `clear`, `getBytesInUse`),
+ * for running storage code outside the browser: the storage benchmark, and the sync engine
+ * (see sync.js) against a fake of chrome.storage.sync. Values are kept as JSON, like Chrome
+ * serializes them, so callers never share objects with the store.
+ */
+
+// Items are measured like storage.getItemSize, from the JSON already at hand.
+function getByteLength(text) {
+    return new TextEncoder().encode(text).length;
+}
+
+/**
+ * Creates an in-memory storage area. Quotas are only enforced when given; `set` then rejects like
+ * Chrome does ("QUOTA_BYTES_PER_ITEM quota exceeded", ...) and writes nothing.
+ * @param {object} [quotas={}] - The quotas, named like the constants of chrome.storage.sync.
+ * @param {number} [quotas.QUOTA_BYTES] - The most all items may take up together.
+ * @param {number} [quotas.QUOTA_BYTES_PER_ITEM] - The most a single item may take up.
+ * @param {number} [quotas.MAX_ITEMS] - The most items the area may hold.
+ * @returns {object} The area. Its `stats` count the `set` calls, the bytes written and the bytes
+ *          the matching chrome.storage.onChanged events would carry (old and new values); reset
+ *          them at will. `onChanged.addListener` registers a listener called with the changes.
+ */
+function createMemoryStorageArea(quotas = {}) {
+    const store = new Map();
+    const listeners = [];
+    const stats = { sets: 0, bytes: 0, eventBytes: 0 };
+    const toKeys = keys => (keys === null || keys === undefined ? [...store.keys()] : [].concat(keys));
+    const sizeOf = entries => entries.reduce((total, [key, json]) => total + getByteLength(key) + getByteLength(json), 0);
+    const notify = changes => {
+        if (Object.keys(changes).length > 0) {
+            listeners.forEach(listener => listener(changes));
+        }
+    };
+
+    return {
+        ...quotas,
+        stats,
+        onChanged: {
+            addListener: listener => listeners.push(listener)
+        },
+        async get(keys) {
+            const result = {};
+            toKeys(keys).forEach(key => {
+                if (store.has(key)) result[key] = JSON.parse(store.get(key));
+            });
+            return result;
+        },
+        async set(items) {
+            const updated = Object.entries(items).map(([key, value]) => [key, JSON.stringify(value)]);
+            if (quotas.QUOTA_BYTES_PER_ITEM !== undefined && updated.some(([key, json]) => sizeOf([[key, json]]) > quotas.QUOTA_BYTES_PER_ITEM)) {
+                throw new Error('QUOTA_BYTES_PER_ITEM quota exceeded');
+            }
+            const after = new Map([...store, ...updated]);
+            if (quotas.MAX_ITEMS !== undefined && after.size > quotas.MAX_ITEMS) {
+                throw new Error('MAX_ITEMS quota exceeded');
+            }
+            if (quotas.QUOTA_BYTES !== undefined && sizeOf([...after]) > quotas.QUOTA_BYTES) {
+                throw new Error('QUOTA_BYTES quota exceeded');
+            }
+
+            stats.sets++;
+            const changes = {};
+            updated.forEach(([key, json]) => {
+                stats.bytes += key.length + json.length;
+                stats.eventBytes += key.length + json.length + (store.has(key) ? store.get(key).length : 0);
+                if (listeners.length > 0) {
+                    changes[key] = { newValue: JSON.parse(json) };
+                    if (store.has(key)) changes[key].oldValue = JSON.parse(store.get(key));
+                }
+                store.set(key, json);
+            });
+            notify(changes);
+        },
+        async remove(keys) {
+            const changes = {};
+            [].concat(keys).forEach(key => {
+                if (!store.has(key)) return;
+                changes[key] = { oldValue: JSON.parse(store.get(key)) };
+                store.delete(key);
+            });
+            notify(changes);
+        },
+        async clear() {
+            const changes = {};
+            store.forEach((json, key) => {
+                changes[key] = { oldValue: JSON.parse(json) };
+            });
+            store.clear();
+            notify(changes);
+        },
+        async getBytesInUse(keys) {
+            return sizeOf(toKeys(keys).filter(key => store.has(key)).map(key => [key, store.get(key)]));
+        }
+    };
+}
+
+export { createMemoryStorageArea };
@@ -0,0 +1,106 @@
+import { resetFakeChrome } from './fakechrome.js';
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import * as storage from '../storage.js';
+import { SCHEMA_VERSION, MIGRATIONS, createMigrationContext, applyMigrations, runMigrations } from '../migrations.js';
+
+// The fixtures hold the same data as stored at every schema version: `schema-<n>.json` is what
+// migration n makes of `schema-<n-1>.json`, with the IDs it generates for records without one.
+const FIXTURE_NOW = Date.UTC(2026, 0, 1);
+
+async function readFixture(version) {
+    return JSON.parse(await readFile(new URL(`./fixtures/migrations/schema-${version}.json`, import.meta.url), 'utf8'));
+}
+
+// A context that hands out the given IDs in order.
+function createFixtureContext(generatedIds) {
+    const ids = [...generatedIds];
+    return createMigrationContext({
+        now: FIXTURE_NOW,
+        generateId: () => {
+            assert.ok(ids.length > 0, 'The migration generated more IDs than the fixture expects');
+            return ids.shift();
+        }
+    });
+}
+
+// The IDs generated by the migrations after `fromVersion`, in the order they run.
+async function getGeneratedIds(fromVersion) {
+    const ids = [];
+    for (let version = fromVersion + 1; version <= SCHEMA_VERSION; version++) {
+        ids.push(...(await readFixture(version)).generatedIds);
+    }
+    return ids;
+}
+
+const FROM_VERSIONS = Array.from({ length: SCHEMA_VERSION }, (_, version) => version);
+
+beforeEach(() => {
+    resetFakeChrome();
+});
+
+describe('migration steps', () => {
+    MIGRATIONS.forEach(migration => {
+        it(`migration ${migration.version}: ${migration.description}`, async () => {
+            const before = await readFixture(migration.version - 1);
+            const after = await readFixture(migration.version);
+            const input = structuredClone(before.items);
+
+            const migrated = migration.migrate(input, createFixtureContext(after.generatedIds));
+
+            assert.deepEqual(migrated, after.items);
+            assert.deepEqual(input, before.items, 'The migration modified its input');
+        });
+    });
+});
+
+describe('applyMigrations', () => {
+    FROM_VERSIONS.forEach(fromVersion => {
+        it(`brings schema version ${fromVersion} data up to date`, async () => {
+            const { items } = await readFixture(fromVersion);
+            const { items: latest } = await readFixture(SCHEMA_VERSION);
+
+            const result = applyMigrations(items, fromVersion, createFixtureContext(await getGeneratedIds(fromVersion)));
+
+            assert.deepEqual(result.items, latest);
+            assert.deepEqual(result.applied, MIGRATIONS.map(migration => migration.version).filter(version => version > fromVersion));
+        });
+    });
+
+    it('leaves current data alone', async () => {
+        const { items } = await readFixture(SCHEMA_VERSION);
+
+        assert.deepEqual(applyMigrations(items, SCHEMA_VERSION, createFixtureContext([])), { items, applied: [] });
+    });
+});
+
+describe('runMigrations', () => {
+    FROM_VERSIONS.forEach(fromVersion => {
+        it(`migrates stored schema version ${fromVersion} data once`, async () => {
+            const { items } = await readFixture(fromVersion);
+            const { items: latest } = await readFixture(SCHEMA_VERSION);
+            await storage.setRawItems(fromVersion === 0 ? items : { ...items, [storage.STORAGE_KEYS.SCHEMA_VERSION]: fromVersion });
+
+            const first = await runMigrations(createFixtureContext(await getGeneratedIds(fromVersion)));
+            const stored = await storage.getAllItems();
+            assert.equal(first.toVersion, SCHEMA_VERSION);
+            assert.deepEqual(stored, { ...latest, [storage.STORAGE_KEYS.SCHEMA_VERSION]: SCHEMA_VERSION });
+
+            const second = await runMigrations(createFixtureContext([]));
+            assert.deepEqual(second, { fromVersion: SCHEMA_VERSION, toVersion: SCHEMA_VERSION, applied: [] });
+            assert.deepEqual(await storage.getAllItems(), stored);
+        });
+    });
+
+    it('leaves data from a newer version alone', async () => {
+        const { items } = await readFixture(0);
+        const stored = { ...items, [storage.STORAGE_KEYS.SCHEMA_VERSION]: SCHEMA_VERSION + 1 };
+        await storage.setRawItems(stored);
+
+        const result = await runMigrations(createFixtureContext([]));
+
+        assert.deepEqual(result.applied, []);
+        assert.deepEqual(await storage.getAllItems(), stored);
+    });
+});
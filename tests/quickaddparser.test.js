@@ -0,0 +1,110 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuickAdd } from '../quickaddparser.js';
+
+// Tuesday, March 10, 2026, 10:00 local time
+const NOW = new Date(2026, 2, 10, 10, 0);
+
+// A due date with a time of day, as parseQuickAdd returns it.
+function at(month, day, hours, minutes = 0) {
+    return new Date(2026, month - 1, day, hours, minutes).getTime();
+}
+
+const WEEKDAYS = [1, 2, 3, 4, 5];
+
+// Per locale: the input and the fields it should parse to. Fields left out are not checked.
+const CASES = {
+    en: [
+        ['Draft newsletter tomorrow', { title: 'Draft newsletter', dueDate: '2026-03-11' }],
+        ['Call Sam fri, 3pm', { title: 'Call Sam', dueDate: at(3, 13, 15) }],
+        ['Pay rent next monday', { title: 'Pay rent', dueDate: '2026-03-16' }],
+        ['Book venue in 3 days', { title: 'Book venue', dueDate: '2026-03-13' }],
+        ['Plan offsite in a week', { title: 'Plan offsite', dueDate: '2026-03-17' }],
+        ['File taxes on 4/15', { title: 'File taxes', dueDate: '2026-04-15' }],
+        ['Send invoice 1/5', { title: 'Send invoice', dueDate: '2027-01-05' }],
+        ['Archive 2026-03-01', { title: 'Archive', dueDate: '2026-03-01' }],
+        ['Lunch at noon', { title: 'Lunch', dueDate: at(3, 10, 12) }],
+        ['Demo at 3:30pm', { title: 'Demo', dueDate: at(3, 10, 15, 30) }],
+        ['Standup 9:30am', { title: 'Standup', dueDate: at(3, 11, 9, 30) }],
+        ['Night check 12am', { title: 'Night check', dueDate: at(3, 11, 0) }],
+        ['Ship it #release #Release #q3-launch', { title: 'Ship it', tags: ['release', 'q3-launch'] }],
+        ['Fix login !high', { title: 'Fix login', priority: 'high' }],
+        ['Fix login !2', { title: 'Fix login', priority: 'medium' }],
+        ['Water plants daily', { title: 'Water plants', recurrence: { frequency: 'daily', interval: 1 }, dueDate: null }],
+        ['Review budget every month', { title: 'Review budget', recurrence: { frequency: 'monthly', interval: 1 } }],
+        ['Backup every 2 weeks', { title: 'Backup', recurrence: { frequency: 'weekly', interval: 2 }, dueDate: null }],
+        ['Team sync every friday', { title: 'Team sync', recurrence: { frequency: 'weekly', interval: 1, byWeekday: [5] }, dueDate: '2026-03-13' }],
+        ['Check inbox every weekday', { title: 'Check inbox', recurrence: { frequency: 'weekly', interval: 1, byWeekday: WEEKDAYS }, dueDate: '2026-03-10' }],
+        ['Payroll every 2 weeks on mon', { title: 'Payroll', recurrence: { frequency: 'weekly', interval: 2, byWeekday: [1] }, dueDate: '2026-03-16' }],
+        ['Newsletter every week fri 9am', { title: 'Newsletter', recurrence: { frequency: 'weekly', interval: 1, byWeekday: [5] }, dueDate: at(3, 13, 9) }],
+        // Not dates, times, tags or priorities
+        ['Buy 1.5 liters', { title: 'Buy 1.5 liters', dueDate: null }],
+        ['Move 2/30 meeting', { title: 'Move 2/30 meeting', dueDate: null }],
+        ['Close #123 !urgent', { title: 'Close #123 !urgent', tags: [], priority: null }],
+        ['Meet at the office', { title: 'Meet at the office', dueDate: null }],
+        ['Every so often', { title: 'Every so often', recurrence: null }]
+    ],
+    de: [
+        ['Bericht morgen um 15 Uhr', { title: 'Bericht', dueDate: at(3, 11, 15) }],
+        ['Lesen 15:30 Uhr', { title: 'Lesen', dueDate: at(3, 10, 15, 30) }],
+        ['Arzt übermorgen 9:30', { title: 'Arzt', dueDate: at(3, 12, 9, 30) }],
+        ['Steuern am 15.4.', { title: 'Steuern', dueDate: '2026-04-15' }],
+        ['Miete nächsten Montag', { title: 'Miete', dueDate: '2026-03-16' }],
+        ['Treffen in einer Woche', { title: 'Treffen', dueDate: '2026-03-17' }],
+        ['Gießen jeden Montag #garten', { title: 'Gießen', tags: ['garten'], recurrence: { frequency: 'weekly', interval: 1, byWeekday: [1] } }],
+        ['Sicherung alle 2 Wochen am Freitag', { title: 'Sicherung', recurrence: { frequency: 'weekly', interval: 2, byWeekday: [5] }, dueDate: '2026-03-13' }],
+        ['Zeiten erfassen täglich', { title: 'Zeiten erfassen', recurrence: { frequency: 'daily', interval: 1 } }],
+        ['Rechnung jeden Monat', { title: 'Rechnung', recurrence: { frequency: 'monthly', interval: 1 } }],
+        ['Um 15 Minuten verschieben', { title: 'Um 15 Minuten verschieben', dueDate: null }]
+    ],
+    fr: [
+        ['Rapport demain à 15h', { title: 'Rapport', dueDate: at(3, 11, 15) }],
+        ['Réunion lundi prochain', { title: 'Réunion', dueDate: '2026-03-16' }],
+        ['Impôts le 15/4', { title: 'Impôts', dueDate: '2026-04-15' }],
+        ['Facture dans 3 jours', { title: 'Facture', dueDate: '2026-03-13' }],
+        ['Arroser tous les lundis', { title: 'Arroser', recurrence: { frequency: 'weekly', interval: 1, byWeekday: [1] }, dueDate: '2026-03-16' }],
+        ['Ménage tous les jours', { title: 'Ménage', recurrence: { frequency: 'daily', interval: 1 } }],
+        ['Sauvegarde toutes les 2 semaines', { title: 'Sauvegarde', recurrence: { frequency: 'weekly', interval: 2 } }],
+        ['Paie toutes les 2 semaines le vendredi', { title: 'Paie', recurrence: { frequency: 'weekly', interval: 2, byWeekday: [5] } }],
+        ['Bilan chaque mois', { title: 'Bilan', recurrence: { frequency: 'monthly', interval: 1 } }],
+        ['Tous ensemble', { title: 'Tous ensemble', recurrence: null }]
+    ],
+    es: [
+        ['Informe mañana a las 15:00', { title: 'Informe', dueDate: at(3, 11, 15) }],
+        ['Limpiar pasado mañana', { title: 'Limpiar', dueDate: '2026-03-12' }],
+        ['Llamar dentro de 2 semanas', { title: 'Llamar', dueDate: '2026-03-24' }],
+        ['Pagar el 15/4', { title: 'Pagar', dueDate: '2026-04-15' }],
+        ['Regar todos los lunes', { title: 'Regar', recurrence: { frequency: 'weekly', interval: 1, byWeekday: [1] }, dueDate: '2026-03-16' }],
+        ['Copia todas las semanas', { title: 'Copia', recurrence: { frequency: 'weekly', interval: 1 } }],
+        ['Revisar cada 2 meses', { title: 'Revisar', recurrence: { frequency: 'monthly', interval: 2 } }],
+        ['Correr todos los días', { title: 'Correr', recurrence: { frequency: 'daily', interval: 1 } }],
+        ['Todos juntos', { title: 'Todos juntos', recurrence: null }]
+    ]
+};
+
+describe('parseQuickAdd', () => {
+    Object.entries(CASES).forEach(([locale, cases]) => {
+        describe(locale, () => {
+            cases.forEach(([input, expected]) => {
+                it(`parses "${input}"`, () => {
+                    const result = parseQuickAdd(input, { now: NOW, locale });
+                    const actual = Object.fromEntries(Object.keys(expected).map(field => [field, result[field]]));
+                    assert.deepEqual(actual, expected);
+                });
+            });
+        });
+    });
+
+    it('falls back to English keywords for unsupported locales', () => {
+        assert.equal(parseQuickAdd('Report tomorrow', { now: NOW, locale: 'it-IT' }).dueDate, '2026-03-11');
+    });
+
+    it('lists the recognized expressions as tokens, in input order', () => {
+        const { tokens } = parseQuickAdd('Payroll !high every 2 weeks on mon #finance', { now: NOW });
+        assert.deepEqual(tokens.map(({ type, text }) => [type, text]), [
+            ['priority', '!high'],
+            ['recurrence', 'every 2 weeks on mon'],
+            ['tag', '#finance']
+        ]);
+    });
+});
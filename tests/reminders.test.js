@@ -0,0 +1,52 @@
+import { resetFakeChrome } from './fakechrome.js';
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import taskManager from '../task.js';
+import { getReminderTime, markReminderShown, planReminders } from '../reminders.js';
+
+const HOUR = 60 * 60 * 1000;
+const NOW = new Date(2026, 2, 10, 12, 0).getTime();
+
+beforeEach(() => {
+    resetFakeChrome();
+});
+
+describe('planReminders', () => {
+    it('plans an overdue alert at the due moment of a task without a reminder', () => {
+        const task = { id: 'a', title: 'Launch plan', dueDate: NOW + HOUR, reminderMinutes: null, isComplete: false };
+
+        assert.deepEqual(planReminders([task], NOW), { due: [], upcoming: [{ task, time: NOW + HOUR }] });
+        assert.deepEqual(planReminders([task], NOW + 2 * HOUR), { due: [task], upcoming: [] });
+        assert.deepEqual(planReminders([{ ...task, reminderFiredAt: NOW + HOUR }], NOW + 2 * HOUR), { due: [], upcoming: [] });
+    });
+
+    it('alerts a task with a reminder once before it is due and once when it becomes overdue', () => {
+        const task = { id: 'a', title: 'Launch plan', dueDate: NOW + HOUR, reminderMinutes: 30, isComplete: false };
+
+        assert.equal(getReminderTime(task), NOW + HOUR / 2);
+        const reminded = { ...task, reminderFiredAt: NOW + HOUR / 2 };
+        assert.deepEqual(planReminders([reminded], NOW + HOUR / 2), { due: [], upcoming: [{ task: reminded, time: NOW + HOUR }] });
+        assert.deepEqual(planReminders([reminded], NOW + HOUR), { due: [reminded], upcoming: [] });
+        assert.deepEqual(planReminders([{ ...task, reminderFiredAt: NOW + HOUR }], NOW + 2 * HOUR), { due: [], upcoming: [] });
+    });
+
+    it('leaves out complete tasks, tasks without a due date and alerts older than a day', () => {
+        const tasks = [
+            { id: 'a', title: 'Done', dueDate: NOW - HOUR, isComplete: true },
+            { id: 'b', title: 'Someday', dueDate: null, reminderMinutes: 0, isComplete: false },
+            { id: 'c', title: 'Long overdue', dueDate: NOW - 25 * HOUR, isComplete: false }
+        ];
+
+        assert.deepEqual(planReminders(tasks, NOW), { due: [], upcoming: [] });
+    });
+
+    it('shows the overdue alert again once the task is rescheduled', async () => {
+        const task = await taskManager.createTask({ title: 'Launch plan', dueDate: NOW - HOUR });
+        await markReminderShown(task);
+        const shown = await taskManager.getTaskById(task.id);
+        assert.deepEqual(planReminders([shown], NOW).due, []);
+
+        const rescheduled = await taskManager.updateTask(task.id, { dueDate: NOW - HOUR / 2 });
+        assert.deepEqual(planReminders([rescheduled], NOW).due, [rescheduled]);
+    });
+});
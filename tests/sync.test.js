@@ -0,0 +1,288 @@
+import { resetFakeChrome } from './fakechrome.js';
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as storage from '../storage.js';
+import taskManager from '../task.js';
+import { createMemoryStorageArea } from './memorystoragearea.js';
+import { SYNC_MANIFEST_KEY, SyncEngine, toSyncCollections, decodeRecords, chunkText, mergeRecord } from '../sync.js';
+
+const { TASKS, NOTES } = storage.STORAGE_KEYS;
+const NOW = Date.UTC(2026, 9, 19, 12);
+
+let syncArea;
+
+// A device: its own chrome.storage.local and a sync engine on the shared chrome.storage.sync.
+async function createDevice() {
+    const device = { local: createMemoryStorageArea(), engine: new SyncEngine(syncArea) };
+    await onDevice(device, () => device.engine.setEnabled(true));
+    return device;
+}
+
+// Runs `run` with chrome.storage.local switched to the device's.
+async function onDevice(device, run) {
+    chrome.storage.local = device.local;
+    return run();
+}
+
+// Changes a stored task's fields, `updatedAt` included, without TaskManager's bookkeeping.
+async function editTask(id, changes) {
+    await storage.updateRecords(TASKS, [id], ([task]) => {
+        Object.assign(task, changes);
+    });
+}
+
+async function getTask(id) {
+    const [task] = await storage.getRecords(TASKS, [id]);
+    return task;
+}
+
+// The text of a synced collection, joined from its chunks.
+async function readSyncedText(collection) {
+    const items = await syncArea.get(null);
+    const { chunks } = items[SYNC_MANIFEST_KEY].collections[collection];
+    return Array.from({ length: chunks }, (_, n) => items[`chunk.${collection}.${n}`]).join('');
+}
+
+beforeEach(() => {
+    syncArea = resetFakeChrome().sync;
+});
+
+describe('mergeRecord', () => {
+    const base = { id: 'task-1', title: 'Draft brief', priority: 'low', updatedAt: 1 };
+
+    it('takes each field from the side that changed it', () => {
+        const conflicts = [];
+        const merged = mergeRecord(base, { ...base, title: 'Draft the brief', updatedAt: 3 }, { ...base, priority: 'high', updatedAt: 2 },
+            { collection: 'tasks', conflicts, now: NOW });
+
+        assert.deepEqual(merged, { id: 'task-1', title: 'Draft the brief', priority: 'high', updatedAt: 3 });
+        assert.deepEqual(conflicts, []);
+    });
+
+    it('keeps the newer value of a field changed on both sides and logs the conflict', () => {
+        const conflicts = [];
+        const merged = mergeRecord(base, { ...base, title: 'Local title', updatedAt: 2 }, { ...base, title: 'Remote title', updatedAt: 3 },
+            { collection: 'tasks', conflicts, now: NOW });
+
+        assert.equal(merged.title, 'Remote title');
+        assert.equal(merged.updatedAt, 3); // Bookkeeping: resolved without a log entry
+        assert.equal(conflicts.length, 1);
+        assert.deepEqual({ ...conflicts[0], id: undefined }, {
+            id: undefined,
+            collection: 'tasks',
+            recordId: 'task-1',
+            title: 'Remote title',
+            field: 'title',
+            localValue: 'Local title',
+            remoteValue: 'Remote title',
+            kept: 'remote',
+            at: NOW
+        });
+    });
+
+    it('deletes a record deleted on one side unless the other side changed it', () => {
+        const conflicts = [];
+        const context = { collection: 'tasks', conflicts, now: NOW };
+
+        assert.equal(mergeRecord(base, undefined, { ...base }, context), null);
+        assert.deepEqual(conflicts, []);
+
+        const changed = { ...base, title: 'Changed', updatedAt: 2 };
+        assert.deepEqual(mergeRecord(base, undefined, changed, context), changed);
+        assert.equal(conflicts.length, 1);
+        assert.equal(conflicts[0].field, null);
+        assert.equal(conflicts[0].localValue, 'deleted');
+        assert.equal(conflicts[0].kept, 'remote');
+    });
+});
+
+describe('chunkText', () => {
+    it('splits at record boundaries into chunks that fit', () => {
+        const text = Array.from({ length: 40 }, (_, n) => `{"id":"task-${n}","title":"Draft campaign brief #${n}"}`).join('\n');
+        const chunks = chunkText(text, 200);
+
+        assert.ok(chunks.length > 1);
+        assert.equal(chunks.join(''), text);
+        chunks.forEach(chunk => {
+            assert.ok(storage.getItemSize('', chunk) <= 200);
+            assert.ok(chunk.endsWith('\n') || chunk === chunks[chunks.length - 1], 'A chunk ended inside a record');
+        });
+    });
+
+    it('splits a record too large for a chunk without breaking surrogate pairs', () => {
+        const text = `{"id":"task-1","title":"${'Launch 🚀 '.repeat(40)}"}`;
+        const chunks = chunkText(text, 64);
+
+        assert.equal(chunks.join(''), text);
+        chunks.forEach(chunk => {
+            assert.ok(storage.getItemSize('', chunk) <= 64);
+            const last = chunk.charCodeAt(chunk.length - 1);
+            assert.ok(last < 0xD800 || last > 0xDBFF, 'A chunk ended inside a surrogate pair');
+        });
+    });
+});
+
+describe('SyncEngine', () => {
+    it('merges changes to different fields of a task made on two devices', async () => {
+        const laptop = await createDevice();
+        const desktop = await createDevice();
+        const task = await onDevice(laptop, () => taskManager.createTask({ title: 'Draft brief', priority: 'low' }));
+        await onDevice(laptop, () => laptop.engine.sync(NOW));
+        await onDevice(desktop, () => desktop.engine.sync(NOW));
+
+        await onDevice(laptop, () => editTask(task.id, { title: 'Draft the brief', updatedAt: NOW + 2 }));
+        await onDevice(desktop, () => editTask(task.id, { priority: 'high', updatedAt: NOW + 1 }));
+        await onDevice(laptop, () => laptop.engine.sync(NOW + 10));
+        await onDevice(desktop, () => desktop.engine.sync(NOW + 20));
+        await onDevice(laptop, () => laptop.engine.sync(NOW + 30));
+
+        for (const device of [laptop, desktop]) {
+            const synced = await onDevice(device, () => getTask(task.id));
+            assert.equal(synced.title, 'Draft the brief');
+            assert.equal(synced.priority, 'high');
+            assert.deepEqual(await onDevice(device, () => device.engine.getConflicts()), []);
+        }
+    });
+
+    it('logs a field changed on both devices, keeping the newer change', async () => {
+        const laptop = await createDevice();
+        const desktop = await createDevice();
+        const task = await onDevice(laptop, () => taskManager.createTask({ title: 'Draft brief' }));
+        await onDevice(laptop, () => laptop.engine.sync(NOW));
+        await onDevice(desktop, () => desktop.engine.sync(NOW));
+
+        await onDevice(laptop, () => editTask(task.id, { title: 'Laptop title', updatedAt: NOW + 1 }));
+        await onDevice(desktop, () => editTask(task.id, { title: 'Desktop title', updatedAt: NOW + 2 }));
+        await onDevice(laptop, () => laptop.engine.sync(NOW + 10));
+        const state = await onDevice(desktop, () => desktop.engine.sync(NOW + 20));
+
+        assert.equal(state.status, 'synced');
+        assert.equal((await onDevice(desktop, () => getTask(task.id))).title, 'Desktop title');
+        const conflicts = await onDevice(desktop, () => desktop.engine.getConflicts());
+        assert.equal(conflicts.length, 1);
+        assert.equal(conflicts[0].collection, 'tasks');
+        assert.equal(conflicts[0].recordId, task.id);
+        assert.equal(conflicts[0].field, 'title');
+        assert.equal(conflicts[0].localValue, 'Desktop title');
+        assert.equal(conflicts[0].remoteValue, 'Laptop title');
+        assert.equal(conflicts[0].kept, 'local');
+        assert.equal(conflicts[0].at, NOW + 20);
+
+        await onDevice(laptop, () => laptop.engine.sync(NOW + 30));
+        assert.equal((await onDevice(laptop, () => getTask(task.id))).title, 'Desktop title');
+    });
+
+    it('splits the synced data into chunks that fit the item quota and reassembles them on another device', async () => {
+        syncArea = resetFakeChrome({ syncQuotas: { QUOTA_BYTES_PER_ITEM: 512 } }).sync;
+        const laptop = await createDevice();
+        const desktop = await createDevice();
+        await onDevice(laptop, async () => {
+            for (let n = 0; n < 20; n++) {
+                await taskManager.createTask({ title: `Draft campaign brief #${n}`, description: 'Audience, channels, budget and success metrics.', tags: ['campaign'] });
+            }
+        });
+
+        const state = await onDevice(laptop, () => laptop.engine.sync(NOW));
+        assert.equal(state.status, 'synced');
+        const items = await syncArea.get(null);
+        assert.ok(items[SYNC_MANIFEST_KEY].collections.tasks.chunks > 1);
+        Object.entries(items).forEach(([key, value]) => {
+            assert.ok(storage.getItemSize(key, value) <= 512, `${key} is over the item quota`);
+        });
+
+        await onDevice(desktop, () => desktop.engine.sync(NOW + 10));
+        const laptopTasks = await onDevice(laptop, () => storage.getAllTasks());
+        const desktopTasks = await onDevice(desktop, () => storage.getAllTasks());
+        assert.deepEqual(toSyncCollections(desktopTasks, [], {}).tasks, toSyncCollections(laptopTasks, [], {}).tasks);
+
+        // Fewer tasks take fewer chunks; the chunks no longer used are removed
+        await onDevice(laptop, async () => {
+            await taskManager.bulkDelete(laptopTasks.slice(2).map(task => task.id));
+            await taskManager.purgeTasks(laptopTasks.slice(2).map(task => task.id));
+            await laptop.engine.sync(NOW + 20);
+        });
+        const remaining = await syncArea.get(null);
+        const { chunks } = remaining[SYNC_MANIFEST_KEY].collections.tasks;
+        assert.deepEqual(Object.keys(remaining).filter(key => key.startsWith('chunk.tasks.')).sort(),
+            Array.from({ length: chunks }, (_, n) => `chunk.tasks.${n}`));
+        assert.equal(decodeRecords(await readSyncedText('tasks')).length, 2);
+    });
+
+    it('reports quotaExceeded without writing anything when the data does not fit', async () => {
+        syncArea = resetFakeChrome({ syncQuotas: { QUOTA_BYTES: 4096 } }).sync;
+        const laptop = await createDevice();
+        await onDevice(laptop, async () => {
+            for (let n = 0; n < 20; n++) {
+                await taskManager.createTask({ title: `Draft campaign brief #${n}`, description: 'Outline the audience, channels, budget and success metrics. '.repeat(3) });
+            }
+        });
+        const tasks = await onDevice(laptop, () => storage.getAllTasks());
+
+        const state = await onDevice(laptop, () => laptop.engine.sync(NOW));
+
+        assert.equal(state.status, 'quotaExceeded');
+        assert.match(state.lastError, /Empty the trash or delete old tasks/);
+        assert.deepEqual(await syncArea.get(null), {});
+        assert.deepEqual(await onDevice(laptop, () => storage.getAllTasks()), tasks);
+    });
+
+    it('reports quotaExceeded when the data needs more items than allowed', async () => {
+        syncArea = resetFakeChrome({ syncQuotas: { QUOTA_BYTES_PER_ITEM: 256, MAX_ITEMS: 4 } }).sync;
+        const laptop = await createDevice();
+        await onDevice(laptop, async () => {
+            for (let n = 0; n < 10; n++) {
+                await taskManager.createTask({ title: `Draft campaign brief #${n}` });
+            }
+        });
+
+        const state = await onDevice(laptop, () => laptop.engine.sync(NOW));
+
+        assert.equal(state.status, 'quotaExceeded');
+        assert.deepEqual(await syncArea.get(null), {});
+    });
+
+    it('leaves out private notes and note content', async () => {
+        const laptop = await createDevice();
+        const desktop = await createDevice();
+        await onDevice(laptop, () => storage.saveAllNotes([
+            { id: 'note-public', title: 'Launch plan', content: '<p>Channel budget</p>', projectId: null, createdAt: NOW, updatedAt: NOW },
+            { id: 'note-private', title: '', content: '', isPrivate: true, encrypted: { iv: 'aXY=', data: 'c2VhbGVk' }, projectId: null, createdAt: NOW, updatedAt: NOW }
+        ]));
+
+        await onDevice(laptop, () => laptop.engine.sync(NOW));
+
+        const notes = decodeRecords(await readSyncedText('notes'));
+        assert.deepEqual(notes, [{ id: 'note-public', title: 'Launch plan', createdAt: NOW, updatedAt: NOW }]);
+        const everything = JSON.stringify(await syncArea.get(null));
+        assert.ok(!everything.includes('Channel budget'));
+        assert.ok(!everything.includes('note-private'));
+        assert.ok(!everything.includes('c2VhbGVk'));
+
+        await onDevice(desktop, () => desktop.engine.sync(NOW + 10));
+        const desktopNotes = await onDevice(desktop, () => storage.getItem(NOTES, []));
+        assert.deepEqual(desktopNotes.map(note => note.id), ['note-public']);
+        assert.equal(desktopNotes[0].title, 'Launch plan');
+        assert.equal(desktopNotes[0].content, undefined);
+    });
+
+    it('removes a note made private from the other devices and keeps it on its own', async () => {
+        const laptop = await createDevice();
+        const desktop = await createDevice();
+        const note = { id: 'note-1', title: 'Launch plan', content: '<p>Channel budget</p>', projectId: null, createdAt: NOW, updatedAt: NOW };
+        await onDevice(laptop, () => storage.saveAllNotes([note]));
+        await onDevice(laptop, () => laptop.engine.sync(NOW));
+        await onDevice(desktop, () => desktop.engine.sync(NOW + 10));
+
+        await onDevice(laptop, () => storage.saveAllNotes([
+            { ...note, title: '', content: '', isPrivate: true, encrypted: { iv: 'aXY=', data: 'c2VhbGVk' }, updatedAt: NOW + 20 }
+        ]));
+        await onDevice(laptop, () => laptop.engine.sync(NOW + 30));
+        await onDevice(desktop, () => desktop.engine.sync(NOW + 40));
+
+        assert.deepEqual(decodeRecords(await readSyncedText('notes')), []);
+        assert.deepEqual(await onDevice(desktop, () => storage.getItem(NOTES, [])), []);
+        const [kept] = await onDevice(laptop, () => storage.getItem(NOTES, []));
+        assert.equal(kept.isPrivate, true);
+        assert.deepEqual(kept.encrypted, { iv: 'aXY=', data: 'c2VhbGVk' });
+    });
+});
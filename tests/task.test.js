@@ -0,0 +1,107 @@
+import { resetFakeChrome } from './fakechrome.js';
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as storage from '../storage.js';
+import taskManager from '../task.js';
+
+const { TASKS } = storage.STORAGE_KEYS;
+
+// The task record keys read from chrome.storage.local while `run` runs.
+async function getReadRecordKeys(run) {
+    const area = chrome.storage.local;
+    const get = area.get;
+    const keys = [];
+    area.get = async requested => {
+        [].concat(requested === null ? [] : requested).filter(key => key.startsWith(`${TASKS}:`)).forEach(key => keys.push(key));
+        return get.call(area, requested);
+    };
+    try {
+        await run();
+    } finally {
+        area.get = get;
+    }
+    return keys;
+}
+
+beforeEach(() => {
+    resetFakeChrome();
+});
+
+describe('task reads', () => {
+    it('reads only the records of the tasks a query matches', async () => {
+        const launch = await taskManager.createTask({ title: 'Launch plan', priority: 'high', tags: ['campaign'] });
+        await taskManager.createTask({ title: 'Press list', priority: 'low' });
+        await taskManager.createTask({ title: 'Budget review', priority: 'high' });
+        const trashed = await taskManager.createTask({ title: 'Old campaign', tags: ['campaign'] });
+        await taskManager.deleteTask(trashed.id);
+
+        let result;
+        const keys = await getReadRecordKeys(async () => {
+            result = await taskManager.queryTasks({ tags: 'campaign', priority: 'high' });
+        });
+
+        assert.deepEqual(result.map(task => task.id), [launch.id]);
+        assert.deepEqual(keys, [`${TASKS}:${launch.id}`]);
+    });
+
+    it('checks text on the records of the tasks the other criteria match', async () => {
+        const launch = await taskManager.createTask({ title: 'Launch plan', description: 'Channel budget', priority: 'high' });
+        await taskManager.createTask({ title: 'Budget review', priority: 'low' });
+
+        const keys = await getReadRecordKeys(async () => {
+            assert.deepEqual((await taskManager.queryTasks({ text: 'budget', priority: 'high' })).map(task => task.id), [launch.id]);
+        });
+
+        assert.deepEqual(keys, [`${TASKS}:${launch.id}`]);
+    });
+
+    it('reads a single record for getTaskById and leaves out trashed tasks', async () => {
+        const task = await taskManager.createTask({ title: 'Launch plan' });
+        await taskManager.createTask({ title: 'Press list' });
+
+        const keys = await getReadRecordKeys(async () => {
+            assert.equal((await taskManager.getTaskById(task.id)).title, 'Launch plan');
+        });
+        assert.deepEqual(keys, [`${TASKS}:${task.id}`]);
+
+        await taskManager.deleteTask(task.id);
+        assert.equal(await taskManager.getTaskById(task.id), null);
+    });
+
+    it('rewrites the index only when an indexed field changes', async () => {
+        const task = await taskManager.createTask({ title: 'Launch plan' });
+        const index = await storage.getIndex(TASKS);
+
+        await taskManager.updateTask(task.id, { title: 'Launch plan v2', description: 'Channels' });
+        assert.deepEqual(await storage.getIndex(TASKS), index);
+
+        await taskManager.markTaskStatus(task.id, true);
+        assert.equal((await storage.getIndex(TASKS))[0].isComplete, true);
+    });
+});
+
+describe('task updates', () => {
+    it('leaves the completion status to markTaskStatus and setTaskStatus', async () => {
+        const blocker = await taskManager.createTask({ title: 'Budget review' });
+        const task = await taskManager.createTask({ title: 'Launch plan', dueDate: '2026-03-10', recurrence: { frequency: 'weekly', interval: 1 } });
+        await taskManager.linkTasks(task.id, blocker.id);
+
+        const updated = await taskManager.updateTask(task.id, { title: 'Launch plan v2', isComplete: true, status: 'done' });
+        assert.equal(updated.title, 'Launch plan v2');
+        assert.equal(updated.isComplete, false);
+        assert.equal(updated.status, null);
+        assert.equal((await taskManager.bulkUpdate([task.id], { isComplete: true }))[0].isComplete, false);
+        assert.equal((await taskManager.getAllTasks()).length, 2); // No next occurrence was spawned
+    });
+
+    it('starts the next occurrence of a recurring task without blockers', async () => {
+        const blocker = await taskManager.createTask({ title: 'Budget review' });
+        const task = await taskManager.createTask({ title: 'Launch plan', dueDate: '2026-03-10', recurrence: { frequency: 'weekly', interval: 1 } });
+        await taskManager.linkTasks(task.id, blocker.id);
+
+        const completed = await taskManager.markTaskStatus(task.id, true, { force: true });
+        const next = await taskManager.getTaskById(completed.nextOccurrenceId);
+        assert.deepEqual(next.blockedBy, []);
+        assert.deepEqual((await taskManager.getTaskById(task.id)).blockedBy, [blocker.id]);
+    });
+});
@@ -0,0 +1,272 @@
+import * as storage from './storage.js';
+import { StorageError, InvalidInputError } from './task.js';
+import { formatDate } from './recurrence.js';
+
+/**
+ * Default Pomodoro cycle lengths, in minutes.
+ */
+const POMODORO_DEFAULTS = {
+    workMinutes: 25,
+    shortBreakMinutes: 5,
+    longBreakMinutes: 15,
+    cyclesBeforeLongBreak: 4
+};
+
+const TIMER_MODES = ['stopwatch', 'pomodoro'];
+
+const MINUTE_IN_MS = 60 * 1000;
+
+/**
+ * Records time spent on tasks.
+ * Time entries are persisted in chrome.storage.local, as is the currently running timer,
+ * so a timer keeps running when the popup closes. The background service worker owns the
+ * running timer: it starts and stops it on request and advances Pomodoro phases via chrome.alarms.
+ */
+class TimeTracker {
+    /**
+     * Retrieves all recorded time entries.
+     * @private
+     * @returns {Promise<Array<object>>} A promise that resolves with the time entries.
+     * @throws {StorageError} If there's an error retrieving entries from storage.
+     */
+    async _getEntries() {
+        try {
+            return await storage.getAllTimeEntries();
+        } catch (error) {
+            console.error('Error retrieving time entries from storage:', error);
+            throw new StorageError('Failed to retrieve time entries due to storage error.', error);
+        }
+    }
+
+    /**
+     * Appends a time entry for the given span, skipping empty spans.
+     * @private
+     * @param {string} taskId - The unique ID of the task the time was spent on.
+     * @param {number} start - The start timestamp.
+     * @param {number} end - The end timestamp.
+     * @param {string} mode - The timer mode that produced the entry.
+     * @returns {Promise<object|null>} A promise that resolves with the new entry, or null if the span was empty.
+     * @throws {StorageError} If there's an error saving entries to storage.
+     */
+    async _recordEntry(taskId, start, end, mode) {
+        if (end <= start) {
+            return null;
+        }
+        const entry = {
+            id: crypto.randomUUID(),
+            taskId,
+            start,
+            end,
+            duration: end - start,
+            mode
+        };
+        const key = storage.STORAGE_KEYS.TIME_ENTRIES;
+        try {
+            await storage.transaction(key, values => {
+                values[key] = [...(values[key] || []), entry];
+            });
+        } catch (error) {
+            console.error('Error saving time entries to storage:', error);
+            throw new StorageError('Failed to save time entries due to storage error.', error);
+        }
+        console.log('Time entry recorded:', taskId, entry.duration);
+        return entry;
+    }
+
+    /**
+     * Persists the running timer state (or clears it when `timer` is null).
+     * @private
+     * @param {object|null} timer - The timer state to save.
+     * @returns {Promise<void>}
+     * @throws {StorageError} If there's an error saving the timer to storage.
+     */
+    async _saveActiveTimer(timer) {
+        try {
+            await storage.saveActiveTimer(timer);
+        } catch (error) {
+            console.error('Error saving active timer to storage:', error);
+            throw new StorageError('Failed to save the active timer due to storage error.', error);
+        }
+    }
+
+    /**
+     * Retrieves the currently running timer, if any.
+     * @returns {Promise<object|null>} A promise that resolves with the timer state:
+     *          `{ taskId, mode, startedAt, phase, phaseStartedAt, phaseEndsAt, cycle }`, or null if no timer is running.
+     * @throws {StorageError} If there's an error retrieving the timer from storage.
+     */
+    async getActiveTimer() {
+        try {
+            return await storage.getActiveTimer();
+        } catch (error) {
+            console.error('Error retrieving active timer from storage:', error);
+            throw new StorageError('Failed to retrieve the active timer due to storage error.', error);
+        }
+    }
+
+    /**
+     * Starts a timer on a task. Any timer already running is stopped (and its time recorded) first.
+     * In 'pomodoro' mode the timer alternates between work and break phases; only work phases are recorded.
+     * @param {string} taskId - The unique ID of the task to track time against.
+     * @param {object} [options={}] - Timer options.
+     * @param {string} [options.mode='stopwatch'] - 'stopwatch' or 'pomodoro'.
+     * @param {number} [now=Date.now()] - The start time.
+     * @returns {Promise<object>} A promise that resolves with the new timer state.
+     * @throws {InvalidInputError} If `taskId` is missing or the mode is unknown.
+     * @throws {StorageError} If there's an error reading or saving storage.
+     */
+    async startTimer(taskId, { mode = 'stopwatch' } = {}, now = Date.now()) {
+        if (!taskId) {
+            throw new InvalidInputError('Task ID must be provided to start a timer.');
+        }
+        if (!TIMER_MODES.includes(mode)) {
+            throw new InvalidInputError(`Invalid timer mode "${mode}". Expected one of: ${TIMER_MODES.join(', ')}.`);
+        }
+
+        await this.stopTimer(now);
+
+        const timer = {
+            taskId,
+            mode,
+            startedAt: now,
+            phase: 'work',
+            phaseStartedAt: now,
+            // Stopwatch timers run until stopped; Pomodoro work phases end on their own.
+            phaseEndsAt: mode === 'pomodoro' ? now + POMODORO_DEFAULTS.workMinutes * MINUTE_IN_MS : null,
+            cycle: 1
+        };
+        await this._saveActiveTimer(timer);
+        console.log('Timer started:', taskId, mode);
+        return timer;
+    }
+
+    /**
+     * Stops the running timer and records the time spent in the current work phase.
+     * @param {number} [now=Date.now()] - The stop time.
+     * @returns {Promise<object|null>} A promise that resolves with the recorded entry, or null if no time was recorded.
+     * @throws {StorageError} If there's an error reading or saving storage.
+     */
+    async stopTimer(now = Date.now()) {
+        const timer = await this.getActiveTimer();
+        if (!timer) {
+            return null;
+        }
+
+        let entry = null;
+        if (timer.phase === 'work') {
+            const end = timer.phaseEndsAt ? Math.min(now, timer.phaseEndsAt) : now;
+            entry = await this._recordEntry(timer.taskId, timer.phaseStartedAt, end, timer.mode);
+        }
+        await this._saveActiveTimer(null);
+        console.log('Timer stopped:', timer.taskId);
+        return entry;
+    }
+
+    /**
+     * Moves a Pomodoro timer on to its next phase once the current phase has ended:
+     * a finished work phase is recorded and followed by a short break (or a long break every
+     * `cyclesBeforeLongBreak` cycles); a finished break starts the next work phase.
+     * @param {number} [now=Date.now()] - The current time.
+     * @returns {Promise<object|null>} A promise that resolves with the updated timer, or null if no
+     *          Pomodoro phase was due to end.
+     * @throws {StorageError} If there's an error reading or saving storage.
+     */
+    async advancePomodoroPhase(now = Date.now()) {
+        const timer = await this.getActiveTimer();
+        if (!timer || timer.mode !== 'pomodoro' || !timer.phaseEndsAt || now < timer.phaseEndsAt) {
+            return null;
+        }
+
+        const phaseStartedAt = timer.phaseEndsAt;
+        let next;
+        if (timer.phase === 'work') {
+            await this._recordEntry(timer.taskId, timer.phaseStartedAt, timer.phaseEndsAt, timer.mode);
+            const isLongBreak = timer.cycle % POMODORO_DEFAULTS.cyclesBeforeLongBreak === 0;
+            const breakMinutes = isLongBreak ? POMODORO_DEFAULTS.longBreakMinutes : POMODORO_DEFAULTS.shortBreakMinutes;
+            next = {
+                ...timer,
+                phase: isLongBreak ? 'longBreak' : 'break',
+                phaseStartedAt,
+                phaseEndsAt: phaseStartedAt + breakMinutes * MINUTE_IN_MS
+            };
+        } else {
+            next = {
+                ...timer,
+                phase: 'work',
+                phaseStartedAt,
+                phaseEndsAt: phaseStartedAt + POMODORO_DEFAULTS.workMinutes * MINUTE_IN_MS,
+                cycle: timer.cycle + 1
+            };
+        }
+
+        await this._saveActiveTimer(next);
+        console.log('Pomodoro phase advanced:', next.taskId, next.phase, next.cycle);
+        return next;
+    }
+
+    /**
+     * Retrieves the recorded time entries, optionally limited to one task.
+     * @param {string} [taskId] - Only return entries for this task.
+     * @returns {Promise<Array<object>>} A promise that resolves with the time entries, oldest first.
+     * @throws {StorageError} If there's an error retrieving entries from storage.
+     */
+    async getEntries(taskId) {
+        const entries = await this._getEntries();
+        const filtered = taskId ? entries.filter(entry => entry.taskId === taskId) : entries;
+        return filtered.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Summarizes recorded time per task and per day (local 'YYYY-MM-DD').
+     * The running timer's current work phase is included, so totals stay live while tracking.
+     * @param {object} [range={}] - Optional time range.
+     * @param {number} [range.from] - Only include entries starting at or after this timestamp.
+     * @param {number} [range.to] - Only include entries starting before this timestamp.
+     * @param {number} [now=Date.now()] - The current time, used for the running timer.
+     * @returns {Promise<{byTask: Object<string, number>, byDay: Object<string, number>, total: number}>}
+     *          A promise that resolves with durations in milliseconds.
+     * @throws {StorageError} If there's an error retrieving entries from storage.
+     */
+    async getSummary({ from = -Infinity, to = Infinity } = {}, now = Date.now()) {
+        const [entries, timer] = await Promise.all([this._getEntries(), this.getActiveTimer()]);
+        const spans = entries.map(entry => ({ taskId: entry.taskId, start: entry.start, duration: entry.duration }));
+        if (timer && timer.phase === 'work') {
+            const end = timer.phaseEndsAt ? Math.min(now, timer.phaseEndsAt) : now;
+            spans.push({ taskId: timer.taskId, start: timer.phaseStartedAt, duration: Math.max(0, end - timer.phaseStartedAt) });
+        }
+
+        const summary = { byTask: {}, byDay: {}, total: 0 };
+        spans
+            .filter(span => span.start >= from && span.start < to)
+            .forEach(span => {
+                const day = formatDate(new Date(span.start));
+                summary.byTask[span.taskId] = (summary.byTask[span.taskId] || 0) + span.duration;
+                summary.byDay[day] = (summary.byDay[day] || 0) + span.duration;
+                summary.total += span.duration;
+            });
+        return summary;
+    }
+}
+
+/**
+ * Formats a duration as a compact "1h 05m" / "12m" / "45s" string.
+ * @param {number} duration - The duration in milliseconds.
+ * @returns {string} The formatted duration.
+ */
+function formatDuration(duration) {
+    const totalSeconds = Math.floor(duration / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    if (hours > 0) {
+        return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+    }
+    if (minutes > 0) {
+        return `${minutes}m`;
+    }
+    return `${totalSeconds}s`;
+}
+
+const timeTracker = new TimeTracker();
+
+export { POMODORO_DEFAULTS, TIMER_MODES, formatDuration };
+export default timeTracker;
@@ -0,0 +1,209 @@
+import * as storage from './storage.js';
+import taskManager from './task.js';
+import NoteManager from './note.js';
+
+/**
+ * How long deleted items stay in the trash before the background service worker purges them,
+ * unless the user configures `trashRetentionDays` in the settings.
+ */
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const MAX_TRASH_RETENTION_DAYS = 365;
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Tells whether a task, note or saved video is in the trash.
+ * @param {object} item The item to check.
+ * @returns {boolean} True if the item has been deleted but not purged yet.
+ */
+function isTrashed(item) {
+    return Boolean(item && item.deletedAt);
+}
+
+/**
+ * Moves a saved YouTube video to the trash.
+ * @param {string} id The unique ID of the saved video (not the YouTube video ID).
+ * @returns {Promise<boolean>} A promise that resolves with true if the video was deleted, false if not found.
+ */
+async function trashVideo(id) {
+    const key = storage.STORAGE_KEYS.YOUTUBE_VIDEOS;
+    return storage.transaction(key, values => {
+        const video = (values[key] || []).find(v => v.id === id && !isTrashed(v));
+        if (!video) {
+            return false;
+        }
+        video.deletedAt = Date.now();
+        return true;
+    });
+}
+
+/**
+ * Restores a saved YouTube video from the trash.
+ * @param {string} id The unique ID of the saved video.
+ * @returns {Promise<object|null>} A promise that resolves with the restored video, or null if it is not in the trash.
+ */
+async function restoreVideo(id) {
+    const key = storage.STORAGE_KEYS.YOUTUBE_VIDEOS;
+    return storage.transaction(key, values => {
+        const video = (values[key] || []).find(v => v.id === id && isTrashed(v));
+        if (!video) {
+            return null;
+        }
+        delete video.deletedAt;
+        return video;
+    });
+}
+
+/**
+ * Permanently deletes saved YouTube videos from the trash.
+ * @param {Array<string>} ids The unique IDs of the trashed videos.
+ * @returns {Promise<number>} A promise that resolves with the number of deleted videos.
+ */
+async function purgeVideos(ids) {
+    const key = storage.STORAGE_KEYS.YOUTUBE_VIDEOS;
+    return storage.transaction(key, values => {
+        const videos = values[key] || [];
+        const remaining = videos.filter(video => !(isTrashed(video) && ids.includes(video.id)));
+        const purgedCount = videos.length - remaining.length;
+        if (purgedCount > 0) {
+            values[key] = remaining;
+        }
+        return purgedCount;
+    });
+}
+
+/**
+ * The kinds of items that can be in the trash, with the operations for each.
+ */
+const TRASH_TYPES = {
+    task: {
+        getTrashed: () => taskManager.getTrashedTasks(),
+        restore: id => taskManager.restoreTask(id),
+        purge: ids => taskManager.purgeTasks(ids)
+    },
+    note: {
+        getTrashed: () => NoteManager.getTrashedNotes(),
+        restore: id => NoteManager.restoreNote(id),
+        purge: ids => NoteManager.purgeNotes(ids)
+    },
+    video: {
+        getTrashed: async () => (await storage.getAllYoutubeVideos()).filter(isTrashed),
+        restore: id => restoreVideo(id),
+        purge: ids => purgeVideos(ids)
+    }
+};
+
+/**
+ * Looks up the operations for a kind of trashed item.
+ * @param {string} type 'task', 'note' or 'video'.
+ * @returns {object} The operations.
+ * @throws {Error} If the type is unknown.
+ */
+function getTrashType(type) {
+    const trashType = TRASH_TYPES[type];
+    if (!trashType) {
+        throw new Error(`Unknown trash item type "${type}". Expected one of: ${Object.keys(TRASH_TYPES).join(', ')}.`);
+    }
+    return trashType;
+}
+
+/**
+ * Lists everything in the trash, most recently deleted first.
+ * @returns {Promise<Array<{type: string, item: object}>>} A promise that resolves with the trashed items and their type.
+ */
+async function getTrashedItems() {
+    const types = Object.keys(TRASH_TYPES);
+    const lists = await Promise.all(types.map(type => TRASH_TYPES[type].getTrashed()));
+    return lists
+        .flatMap((items, i) => items.map(item => ({ type: types[i], item })))
+        .sort((a, b) => b.item.deletedAt - a.item.deletedAt);
+}
+
+/**
+ * Restores an item from the trash.
+ * @param {string} type 'task', 'note' or 'video'.
+ * @param {string} id The unique ID of the item.
+ * @returns {Promise<object|null>} A promise that resolves with the restored item, or null if it is not in the trash.
+ */
+async function restoreItem(type, id) {
+    return getTrashType(type).restore(id);
+}
+
+/**
+ * Permanently deletes an item from the trash.
+ * @param {string} type 'task', 'note' or 'video'.
+ * @param {string} id The unique ID of the item.
+ * @returns {Promise<boolean>} A promise that resolves with true if the item was deleted, false if it is not in the trash.
+ */
+async function deleteItemForever(type, id) {
+    return (await getTrashType(type).purge([id])) > 0;
+}
+
+/**
+ * Permanently deletes trashed items, either all of them or those deleted before a cutoff.
+ * @param {number} [deletedBefore=Infinity] Only purge items deleted before this timestamp.
+ * @returns {Promise<number>} A promise that resolves with the number of purged items.
+ */
+async function purgeTrash(deletedBefore = Infinity) {
+    let purgedCount = 0;
+    for (const type of Object.keys(TRASH_TYPES)) {
+        const ids = (await TRASH_TYPES[type].getTrashed())
+            .filter(item => item.deletedAt < deletedBefore)
+            .map(item => item.id);
+        if (ids.length > 0) {
+            purgedCount += await TRASH_TYPES[type].purge(ids);
+        }
+    }
+    return purgedCount;
+}
+
+/**
+ * Permanently deletes everything in the trash.
+ * @returns {Promise<number>} A promise that resolves with the number of purged items.
+ */
+async function emptyTrash() {
+    return purgeTrash();
+}
+
+/**
+ * Validates a trash retention period.
+ * @param {number|string} days The number of days, e.g. from a settings form.
+ * @returns {number|null} The number of days as an integer, or null if it is not a whole number from 1 to 365.
+ */
+function normalizeTrashRetentionDays(days) {
+    const value = Number(days);
+    return Number.isInteger(value) && value >= 1 && value <= MAX_TRASH_RETENTION_DAYS ? value : null;
+}
+
+/**
+ * Retrieves the configured trash retention period from the settings.
+ * @returns {Promise<number>} A promise that resolves with the number of days, `DEFAULT_TRASH_RETENTION_DAYS` if unset.
+ */
+async function getTrashRetentionDays() {
+    const settings = await storage.getSettings();
+    return normalizeTrashRetentionDays(settings.trashRetentionDays) || DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+/**
+ * Permanently deletes the items that have been in the trash for longer than the retention period.
+ * @param {number} [now=Date.now()] The current time.
+ * @returns {Promise<number>} A promise that resolves with the number of purged items.
+ */
+async function purgeExpiredItems(now = Date.now()) {
+    const retentionDays = await getTrashRetentionDays();
+    return purgeTrash(now - retentionDays * DAY_IN_MS);
+}
+
+export {
+    DEFAULT_TRASH_RETENTION_DAYS,
+    MAX_TRASH_RETENTION_DAYS,
+    isTrashed,
+    trashVideo,
+    getTrashedItems,
+    restoreItem,
+    deleteItemForever,
+    emptyTrash,
+    normalizeTrashRetentionDays,
+    getTrashRetentionDays,
+    purgeExpiredItems
+};
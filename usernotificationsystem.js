@@ -26,8 +26,10 @@ const UserNotificationSystem = (function() {
      * @param {string} message The message to display.
      * @param {string} type The type of notification ('success', 'error', 'info').
      * @param {number} [duration] The duration in milliseconds before the notification fades out.
+     * @param {{label: string, handler: function}} [action] An optional action button (e.g. "Undo").
+     *                                                       Clicking it runs the handler and dismisses the notification.
      */
-    function _showNotification(message, type, duration) {
+    function _showNotification(message, type, duration, action) {
         if (!_notificationContainer) {
             console.warn("UserNotificationSystem: Not initialized. Call init() first.");
             return;
@@ -42,6 +44,11 @@ const UserNotificationSystem = (function() {
         closeButton.setAttribute('aria-label', 'Close notification'); // Accessible label for close button
 
         notificationItem.appendChild(messageElement);
+        let actionButton = null;
+        if (action) {
+            actionButton = _createElement('button', 'notification-action', action.label);
+            notificationItem.appendChild(actionButton);
+        }
         notificationItem.appendChild(closeButton);
 
         // Prepend to show newer notifications at the top
@@ -64,6 +71,14 @@ const UserNotificationSystem = (function() {
             clearTimeout(timer); // Prevent auto-hide after manual close
             _hideNotification(notificationItem);
         };
+
+        if (actionButton) {
+            actionButton.onclick = () => {
+                clearTimeout(timer);
+                _hideNotification(notificationItem);
+                action.handler();
+            };
+        }
     }
 
     /**
@@ -154,6 +169,17 @@ const UserNotificationSystem = (function() {
             _showNotification(message, 'info', duration);
         },
 
+        /**
+         * Displays an informational notification with an action button, such as "Undo".
+         * @param {string} message The message to display.
+         * @param {string} actionLabel The action button label.
+         * @param {function} onAction Called when the action button is clicked.
+         * @param {number} [duration] The duration in milliseconds before the notification fades out. Defaults to 5000ms.
+         */
+        showAction: function(message, actionLabel, onAction, duration) {
+            _showNotification(message, 'info', duration, { label: actionLabel, handler: onAction });
+        },
+
         /**
          * Shows a persistent loading indicator with an optional message.
          * The loading indicator will block user interaction while visible.
@@ -205,4 +231,6 @@ const UserNotificationSystem = (function() {
             items.forEach(item => _hideNotification(item));
         }
     };
-})();
\ No newline at end of file
+})();
+
+export default UserNotificationSystem;
\ No newline at end of file
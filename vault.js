@@ -0,0 +1,384 @@
+import * as storage from './storage.js';
+import commandHistory from './commandhistory.js';
+
+/**
+ * Version of the stored vault (`STORAGE_KEYS.VAULT`) and of the payloads it encrypts.
+ */
+const VAULT_FORMAT_VERSION = 1;
+
+/**
+ * PBKDF2-SHA-256 iterations for deriving the key from the passphrase. Stored with the vault, so
+ * raising it only affects vaults set up (or passphrases changed) afterwards.
+ */
+const PBKDF2_ITERATIONS = 600000;
+
+const SALT_BYTES = 16;
+const IV_BYTES = 12; // The AES-GCM standard nonce size
+
+/**
+ * Passphrases shorter than this are refused.
+ */
+const MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * The vault locks after this many minutes without use, unless the settings say otherwise
+ * (`vaultAutoLockMinutes`).
+ */
+const DEFAULT_AUTO_LOCK_MINUTES = 15;
+const MAX_AUTO_LOCK_MINUTES = 24 * 60;
+
+/**
+ * Using the key pushes the auto-lock back, but at most this often, so that decrypting a list of
+ * notes doesn't write the session key for each one.
+ */
+const TOUCH_INTERVAL_MS = 30 * 1000;
+
+/**
+ * The payload encrypted with the key when the vault is set up, to tell a wrong passphrase from a
+ * right one without decrypting any note.
+ */
+const CHECK_PAYLOAD = 'vault';
+
+/**
+ * Thrown when private notes are read or written while the vault is locked.
+ */
+class VaultLockedError extends Error {
+    constructor() {
+        super('Private notes are locked. Unlock them with your passphrase first.');
+        this.name = 'VaultLockedError';
+    }
+}
+
+/**
+ * Thrown when a passphrase doesn't open the vault.
+ */
+class InvalidPassphraseError extends Error {
+    constructor() {
+        super('The passphrase is wrong.');
+        this.name = 'InvalidPassphraseError';
+    }
+}
+
+function toBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+}
+
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+/**
+ * Validates the auto-lock setting.
+ * @param {*} value - The setting, e.g. the value of the options page input.
+ * @returns {number|null} The whole number of minutes from 1 to `MAX_AUTO_LOCK_MINUTES`, or null if invalid.
+ */
+function normalizeAutoLockMinutes(value) {
+    const minutes = Number(value);
+    return Number.isInteger(minutes) && minutes >= 1 && minutes <= MAX_AUTO_LOCK_MINUTES ? minutes : null;
+}
+
+function checkPassphrase(passphrase) {
+    if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        throw new Error(`The passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters long.`);
+    }
+}
+
+/**
+ * Derives the AES-GCM key of a passphrase with PBKDF2-SHA-256. The key is extractable so that it
+ * can be kept in session storage while the vault is unlocked.
+ * @param {string} passphrase - The passphrase.
+ * @param {Uint8Array} salt - The vault's salt.
+ * @param {number} iterations - The PBKDF2 iterations.
+ * @returns {Promise<CryptoKey>} A promise that resolves with the 256-bit AES-GCM key.
+ */
+async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        true,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Encrypts a JSON-serializable payload with AES-GCM under a fresh random IV.
+ * @param {CryptoKey} key - The key.
+ * @param {*} payload - The payload.
+ * @returns {Promise<{iv: string, data: string}>} A promise that resolves with the IV and the ciphertext, in base64.
+ */
+async function encryptPayload(key, payload) {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(payload)));
+    return { iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+}
+
+/**
+ * Decrypts a payload encrypted by `encryptPayload`.
+ * @param {CryptoKey} key - The key.
+ * @param {{iv: string, data: string}} envelope - The IV and ciphertext.
+ * @returns {Promise<*>} A promise that resolves with the payload.
+ * @throws {InvalidPassphraseError} If the key is not the one the payload was encrypted with (or the ciphertext was altered).
+ */
+async function decryptPayload(key, envelope) {
+    let plaintext;
+    try {
+        plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(envelope.iv) }, key, fromBase64(envelope.data));
+    } catch (error) {
+        throw new InvalidPassphraseError();
+    }
+    return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+/**
+ * The passphrase vault of private notes. Private notes are stored encrypted with AES-GCM under a
+ * key derived from the user's passphrase with PBKDF2 (see note.js); the passphrase itself is never
+ * stored. The vault (`STORAGE_KEYS.VAULT`) holds the salt, the iteration count and a check value
+ * encrypted with the key.
+ *
+ * Unlocking puts the key in chrome.storage.session, which is kept in memory only, is readable by
+ * extension pages but not by content scripts, and is cleared when the browser closes. The key
+ * expires after the auto-lock timeout without use; the service worker locks the vault with an
+ * alarm when it does (see background.js), and an expired key is never used even before that.
+ */
+class VaultManager {
+    /**
+     * Tells whether the vault is set up and unlocked.
+     * @param {number} [now=Date.now()] - The current time.
+     * @returns {Promise<{isSetUp: boolean, isUnlocked: boolean, expiresAt: number|null}>} A promise
+     *          that resolves with the status; `expiresAt` is when the vault locks unless used.
+     */
+    async getStatus(now = Date.now()) {
+        const [vault, session] = await Promise.all([
+            storage.getItem(storage.STORAGE_KEYS.VAULT),
+            storage.getSessionItem(storage.STORAGE_KEYS.VAULT_KEY)
+        ]);
+        const isUnlocked = Boolean(vault && session && session.expiresAt > now);
+        return { isSetUp: Boolean(vault), isUnlocked, expiresAt: isUnlocked ? session.expiresAt : null };
+    }
+
+    /**
+     * The auto-lock timeout from the settings.
+     * @private
+     * @returns {Promise<number>} A promise that resolves with the timeout in minutes.
+     */
+    async _getAutoLockMinutes() {
+        const settings = await storage.getSettings();
+        return normalizeAutoLockMinutes(settings.vaultAutoLockMinutes) || DEFAULT_AUTO_LOCK_MINUTES;
+    }
+
+    /**
+     * Keeps the key in session storage until the auto-lock timeout.
+     * @private
+     * @param {CryptoKey} key - The key.
+     * @param {number} now - The current time.
+     * @returns {Promise<void>}
+     */
+    async _openSession(key, now) {
+        const rawKey = new Uint8Array(await crypto.subtle.exportKey('raw', key));
+        const minutes = await this._getAutoLockMinutes();
+        await storage.setSessionItem(storage.STORAGE_KEYS.VAULT_KEY, {
+            key: toBase64(rawKey),
+            touchedAt: now,
+            expiresAt: now + minutes * 60 * 1000
+        });
+    }
+
+    /**
+     * Returns the key of the unlocked vault and pushes the auto-lock back.
+     * @private
+     * @param {number} [now=Date.now()] - The current time.
+     * @returns {Promise<CryptoKey>} A promise that resolves with the key.
+     * @throws {VaultLockedError} If the vault is locked, or its key expired.
+     */
+    async _getKey(now = Date.now()) {
+        const session = await storage.getSessionItem(storage.STORAGE_KEYS.VAULT_KEY);
+        if (!session || session.expiresAt <= now) {
+            if (session) {
+                await this.lock(); // The auto-lock alarm hasn't fired yet
+            }
+            throw new VaultLockedError();
+        }
+        if (now - session.touchedAt >= TOUCH_INTERVAL_MS) {
+            const minutes = await this._getAutoLockMinutes();
+            await storage.setSessionItem(storage.STORAGE_KEYS.VAULT_KEY, { ...session, touchedAt: now, expiresAt: now + minutes * 60 * 1000 });
+        }
+        return crypto.subtle.importKey('raw', fromBase64(session.key), 'AES-GCM', false, ['encrypt', 'decrypt']);
+    }
+
+    /**
+     * Derives the key of a passphrase and checks it against the vault.
+     * @private
+     * @param {object} vault - The stored vault.
+     * @param {string} passphrase - The passphrase.
+     * @returns {Promise<CryptoKey>} A promise that resolves with the key.
+     * @throws {InvalidPassphraseError} If the passphrase is wrong.
+     */
+    async _openVault(vault, passphrase) {
+        const key = await deriveKey(passphrase, fromBase64(vault.salt), vault.iterations);
+        if (await decryptPayload(key, vault.check) !== CHECK_PAYLOAD) {
+            throw new InvalidPassphraseError();
+        }
+        return key;
+    }
+
+    /**
+     * Creates the stored vault for a new key.
+     * @private
+     * @param {string} passphrase - The passphrase.
+     * @returns {Promise<{vault: object, key: CryptoKey}>} A promise that resolves with the vault and its key.
+     */
+    async _createVault(passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+        const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+        const vault = {
+            version: VAULT_FORMAT_VERSION,
+            salt: toBase64(salt),
+            iterations: PBKDF2_ITERATIONS,
+            check: await encryptPayload(key, CHECK_PAYLOAD)
+        };
+        return { vault, key };
+    }
+
+    /**
+     * Sets up the vault with a passphrase and unlocks it.
+     * @param {string} passphrase - The passphrase, at least `MIN_PASSPHRASE_LENGTH` characters long.
+     * @param {number} [now=Date.now()] - The current time.
+     * @returns {Promise<void>}
+     * @throws {Error} If the passphrase is too short or the vault is already set up.
+     */
+    async setUp(passphrase, now = Date.now()) {
+        checkPassphrase(passphrase);
+        const { vault, key } = await this._createVault(passphrase);
+        const vaultKey = storage.STORAGE_KEYS.VAULT;
+        await storage.transaction(vaultKey, values => {
+            if (values[vaultKey]) {
+                throw new Error('A passphrase is already set. Change it instead.');
+            }
+            values[vaultKey] = vault;
+        });
+        await this._openSession(key, now);
+    }
+
+    /**
+     * Unlocks the vault until the auto-lock timeout.
+     * @param {string} passphrase - The passphrase.
+     * @param {number} [now=Date.now()] - The current time.
+     * @returns {Promise<void>}
+     * @throws {InvalidPassphraseError} If the passphrase is wrong.
+     * @throws {Error} If the vault isn't set up.
+     */
+    async unlock(passphrase, now = Date.now()) {
+        const vault = await storage.getItem(storage.STORAGE_KEYS.VAULT);
+        if (!vault) {
+            throw new Error('No passphrase is set. Set one in the options first.');
+        }
+        await this._openSession(await this._openVault(vault, passphrase), now);
+    }
+
+    /**
+     * Locks the vault: forgets the key.
+     * @returns {Promise<void>}
+     */
+    async lock() {
+        await storage.removeSessionItem(storage.STORAGE_KEYS.VAULT_KEY);
+    }
+
+    /**
+     * Locks the vault if its auto-lock timeout has passed.
+     * @param {number} [now=Date.now()] - The current time.
+     * @returns {Promise<boolean>} A promise that resolves with true if the vault was locked now.
+     */
+    async lockIfExpired(now = Date.now()) {
+        const session = await storage.getSessionItem(storage.STORAGE_KEYS.VAULT_KEY);
+        if (!session || session.expiresAt > now) {
+            return false;
+        }
+        await this.lock();
+        return true;
+    }
+
+    /**
+     * Encrypts a payload with the vault's key.
+     * @param {*} payload - A JSON-serializable payload.
+     * @returns {Promise<{iv: string, data: string}>} A promise that resolves with the encrypted payload.
+     * @throws {VaultLockedError} If the vault is locked.
+     */
+    async encrypt(payload) {
+        return encryptPayload(await this._getKey(), payload);
+    }
+
+    /**
+     * Decrypts a payload encrypted by `encrypt`.
+     * @param {{iv: string, data: string}} envelope - The encrypted payload.
+     * @returns {Promise<*>} A promise that resolves with the payload.
+     * @throws {VaultLockedError} If the vault is locked.
+     */
+    async decrypt(envelope) {
+        return decryptPayload(await this._getKey(), envelope);
+    }
+
+    /**
+     * Changes the passphrase: derives a new key (with a new salt) and re-encrypts every private
+     * note with it, in one storage transaction with the vault, so that the notes and the vault
+     * never disagree on the key. The undo history forgets the commands that touched those notes,
+     * whose payloads are encrypted with the old key. Leaves the vault unlocked with the new key.
+     * @param {string} currentPassphrase - The current passphrase.
+     * @param {string} newPassphrase - The new passphrase, at least `MIN_PASSPHRASE_LENGTH` characters long.
+     * @param {number} [now=Date.now()] - The current time.
+     * @returns {Promise<number>} A promise that resolves with the number of re-encrypted notes.
+     * @throws {InvalidPassphraseError} If the current passphrase is wrong.
+     * @throws {Error} If the new passphrase is too short or the vault isn't set up.
+     */
+    async changePassphrase(currentPassphrase, newPassphrase, now = Date.now()) {
+        checkPassphrase(newPassphrase);
+        const { VAULT, NOTES } = storage.STORAGE_KEYS;
+        const vault = await storage.getItem(VAULT);
+        if (!vault) {
+            throw new Error('No passphrase is set. Set one first.');
+        }
+        const oldKey = await this._openVault(vault, currentPassphrase);
+        const { vault: newVault, key: newKey } = await this._createVault(newPassphrase);
+
+        const ids = await storage.transaction([VAULT, NOTES], async values => {
+            if (!values[VAULT] || values[VAULT].salt !== vault.salt) {
+                throw new Error('The passphrase was changed in another window. Reload the options and try again.');
+            }
+            const notes = values[NOTES] || [];
+            const ids = notes.filter(note => note.isPrivate).map(note => note.id);
+            // The encrypted payloads are lazy fields, not part of the notes the transaction reads
+            const records = new Map((await storage.getRecords(NOTES, ids)).map(record => [record.id, record]));
+            for (const note of notes) {
+                const record = records.get(note.id);
+                if (record && record.encrypted) {
+                    note.encrypted = await encryptPayload(newKey, await decryptPayload(oldKey, record.encrypted));
+                }
+            }
+            values[VAULT] = newVault;
+            return [...records.keys()];
+        });
+        await this._openSession(newKey, now);
+        await commandHistory.forget('notes', ids);
+        return ids.length;
+    }
+}
+
+const vault = new VaultManager();
+
+export {
+    VAULT_FORMAT_VERSION,
+    PBKDF2_ITERATIONS,
+    MIN_PASSPHRASE_LENGTH,
+    DEFAULT_AUTO_LOCK_MINUTES,
+    MAX_AUTO_LOCK_MINUTES,
+    VaultLockedError,
+    InvalidPassphraseError,
+    VaultManager,
+    normalizeAutoLockMinutes
+};
+export default vault;
@@ -0,0 +1,136 @@
+import * as storage from './storage.js';
+
+/**
+ * The workflow columns used until the user configures their own: a content pipeline
+ * from first idea to published piece.
+ */
+const DEFAULT_WORKFLOW_COLUMNS = [
+    { id: 'idea', name: 'Idea', isDone: false, wipLimit: null },
+    { id: 'drafting', name: 'Drafting', isDone: false, wipLimit: null },
+    { id: 'review', name: 'Review', isDone: false, wipLimit: null },
+    { id: 'scheduled', name: 'Scheduled', isDone: false, wipLimit: null },
+    { id: 'published', name: 'Published', isDone: true, wipLimit: null }
+];
+
+/**
+ * Derives a column ID from its name, e.g. 'In Review' -> 'in-review'.
+ * @param {string} name The column name.
+ * @returns {string} The slug.
+ */
+function slugify(name) {
+    return name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Validates and normalizes a list of workflow columns.
+ * Each column needs a name; its `id` defaults to a slug of the name, `isDone` to false and
+ * `wipLimit` (the number of tasks the column should hold at most) to null for no limit.
+ * @param {Array<object>} columns The columns, in board order.
+ * @returns {Array<object>|null} The normalized columns, or null if they are invalid: empty,
+ *          with a nameless column, duplicate IDs, a bad WIP limit, or no column marked done.
+ */
+function normalizeWorkflowColumns(columns) {
+    if (!Array.isArray(columns) || columns.length === 0) {
+        return null;
+    }
+
+    const normalized = [];
+    for (const column of columns) {
+        if (!column || typeof column.name !== 'string' || column.name.trim() === '') {
+            return null;
+        }
+        const id = typeof column.id === 'string' && column.id.trim() !== '' ? column.id.trim() : slugify(column.name);
+        const wipLimit = column.wipLimit === undefined || column.wipLimit === null || column.wipLimit === ''
+            ? null
+            : Number(column.wipLimit);
+        if (!id || normalized.some(other => other.id === id)) {
+            return null;
+        }
+        if (wipLimit !== null && (!Number.isInteger(wipLimit) || wipLimit < 1)) {
+            return null;
+        }
+        normalized.push({ id, name: column.name.trim(), isDone: Boolean(column.isDone), wipLimit });
+    }
+
+    return normalized.some(column => column.isDone) ? normalized : null;
+}
+
+/**
+ * Returns the column a task lands in by default for the given completion state:
+ * the first done column for completed tasks, the first open column otherwise.
+ * @param {Array<object>} columns The normalized workflow columns.
+ * @param {boolean} isComplete The task's completion state.
+ * @returns {object} The column.
+ */
+function getDefaultColumn(columns, isComplete) {
+    return columns.find(column => column.isDone === isComplete) || columns[0];
+}
+
+/**
+ * Resolves the workflow column a task belongs in.
+ * A task's stored `status` is used when it names an existing column that agrees with the task's
+ * completion state. Otherwise (no status yet, a removed column, or the task was completed or
+ * reopened from the list view) the default column for its completion state is used. Since
+ * completing from the list view leaves `status` alone, reopening such a task puts it back in
+ * the open column it came from.
+ * @param {object} task The task.
+ * @param {Array<object>} columns The normalized workflow columns.
+ * @returns {string} The column ID.
+ */
+function resolveTaskStatus(task, columns) {
+    const column = columns.find(c => c.id === task.status);
+    if (column && column.isDone === Boolean(task.isComplete)) {
+        return column.id;
+    }
+    return getDefaultColumn(columns, Boolean(task.isComplete)).id;
+}
+
+/**
+ * Counts the tasks in each workflow column.
+ * @param {Array<object>} tasks The tasks to count.
+ * @param {Array<object>} columns The normalized workflow columns.
+ * @returns {Object<string, number>} The number of tasks per column ID.
+ */
+function countTasksByStatus(tasks, columns) {
+    const counts = Object.fromEntries(columns.map(column => [column.id, 0]));
+    tasks.forEach(task => {
+        counts[resolveTaskStatus(task, columns)]++;
+    });
+    return counts;
+}
+
+/**
+ * Retrieves the configured workflow columns from the settings, falling back to
+ * `DEFAULT_WORKFLOW_COLUMNS` when none (or an invalid set) are stored.
+ * @returns {Promise<Array<object>>} A promise that resolves with the normalized columns.
+ */
+async function getWorkflowColumns() {
+    const settings = await storage.getSettings();
+    return normalizeWorkflowColumns(settings.workflowColumns) || DEFAULT_WORKFLOW_COLUMNS.map(column => ({ ...column }));
+}
+
+/**
+ * Validates the given workflow columns and stores them in the settings.
+ * Tasks whose column is removed move to the default column for their completion state.
+ * @param {Array<object>} columns The columns, in board order.
+ * @returns {Promise<Array<object>>} A promise that resolves with the normalized columns that were saved.
+ * @throws {Error} If the columns are invalid (see `normalizeWorkflowColumns`).
+ */
+async function saveWorkflowColumns(columns) {
+    const normalized = normalizeWorkflowColumns(columns);
+    if (!normalized) {
+        throw new Error('Invalid workflow columns. Every column needs a unique name, WIP limits must be positive whole numbers, and at least one column must be marked done.');
+    }
+    await storage.updateSettings({ workflowColumns: normalized });
+    return normalized;
+}
+
+export {
+    DEFAULT_WORKFLOW_COLUMNS,
+    normalizeWorkflowColumns,
+    getDefaultColumn,
+    resolveTaskStatus,
+    countTasksByStatus,
+    getWorkflowColumns,
+    saveWorkflowColumns
+};